@@ -1,6 +1,10 @@
 import { Routes, Route } from 'react-router-dom'
 import { AuthProvider } from './contexts/AuthContext'
+import { CustomerProvider } from './contexts/CustomerContext'
 import Home from './pages/Home'
+import Quote from './pages/Quote'
+import CustomerLogin from './pages/account/Login'
+import Account from './pages/account/Account'
 import AdminLogin from './pages/admin/Login'
 import AdminLayout from './pages/admin/Layout'
 import Dashboard from './pages/admin/Dashboard'
@@ -8,24 +12,39 @@ import Materials from './pages/admin/Materials'
 import Pricing from './pages/admin/Pricing'
 import Settings from './pages/admin/Settings'
 import Simulator from './pages/admin/Simulator'
+import StockSheets from './pages/admin/StockSheets'
+import Machines from './pages/admin/Machines'
+import Orders from './pages/admin/Orders'
+import OrderDetail from './pages/admin/OrderDetail'
 
 function App() {
   return (
     <AuthProvider>
-      <Routes>
-        {/* Public Routes */}
-        <Route path="/" element={<Home />} />
+      <CustomerProvider>
+        <Routes>
+          {/* Public Routes */}
+          <Route path="/" element={<Home />} />
+          <Route path="/quote/:id" element={<Quote />} />
 
-        {/* Admin Routes */}
-        <Route path="/admin/login" element={<AdminLogin />} />
-        <Route path="/admin" element={<AdminLayout />}>
-          <Route index element={<Dashboard />} />
-          <Route path="materials" element={<Materials />} />
-          <Route path="pricing" element={<Pricing />} />
-          <Route path="settings" element={<Settings />} />
-          <Route path="simulator" element={<Simulator />} />
-        </Route>
-      </Routes>
+          {/* Customer Account */}
+          <Route path="/account/login" element={<CustomerLogin />} />
+          <Route path="/account" element={<Account />} />
+
+          {/* Admin Routes */}
+          <Route path="/admin/login" element={<AdminLogin />} />
+          <Route path="/admin" element={<AdminLayout />}>
+            <Route index element={<Dashboard />} />
+            <Route path="orders" element={<Orders />} />
+            <Route path="orders/:id" element={<OrderDetail />} />
+            <Route path="materials" element={<Materials />} />
+            <Route path="pricing" element={<Pricing />} />
+            <Route path="stock" element={<StockSheets />} />
+            <Route path="machines" element={<Machines />} />
+            <Route path="settings" element={<Settings />} />
+            <Route path="simulator" element={<Simulator />} />
+          </Route>
+        </Routes>
+      </CustomerProvider>
     </AuthProvider>
   )
 }
@@ -0,0 +1,107 @@
+import { useEffect } from 'react';
+import { formatCurrency, formatNumber } from '@shared/pricing';
+
+const PRICE_DEBOUNCE_MS = 250;
+
+/**
+ * One part in the cart, as a row of the batch table, priced on the server
+ * whenever its inputs change. Changes in quick succession (typing a
+ * quantity) are sent once they settle, and answers to earlier inputs are dropped.
+ *
+ * @param {Object} props.line - Cart line, see Home
+ * @param {Object} props.material - The line's material
+ * @param {number} props.thickness - mm
+ * @param {boolean} props.active - Whether the line is the one shown in the viewer
+ * @param {Function} props.onChange - (key, changes) merges the pricing result into the line
+ */
+export default function CartLineItem({ line, material, thickness, active, onSelect, onRemove, onChange }) {
+    const { key, dxfContent, parseOptions, materialId, quantity, machineId } = line;
+
+    useEffect(() => {
+        if (!materialId || !(thickness > 0)) {
+            onChange(key, { quote: null, pricing: false, pricingError: '' });
+            return;
+        }
+
+        const controller = new AbortController();
+        const timer = setTimeout(async () => {
+            onChange(key, { pricing: true });
+            try {
+                const response = await fetch('/api/quote/calculate', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    signal: controller.signal,
+                    body: JSON.stringify({ dxfContent, parseOptions, materialId, thickness, quantity, machineId }),
+                });
+                const data = await response.json();
+                if (!response.ok) throw new Error(data.error || 'Failed to calculate price');
+                onChange(key, { quote: data, pricing: false, pricingError: '' });
+            } catch (err) {
+                if (err.name === 'AbortError') return;
+                onChange(key, { quote: null, pricing: false, pricingError: err.message });
+            }
+        }, PRICE_DEBOUNCE_MS);
+
+        return () => {
+            clearTimeout(timer);
+            controller.abort();
+        };
+    }, [key, dxfContent, parseOptions, materialId, thickness, quantity, machineId, onChange]);
+
+    const { metrics } = line.dxfData;
+    const validation = line.quote?.validation;
+    const breakdown = line.quote?.breakdown;
+
+    // How the file read: geometry errors, things to look at, or clean
+    const status = validation?.errorCount > 0
+        ? <span className="text-red-400">{validation.errorCount} errors</span>
+        : !line.unitsConfirmed
+            ? <span className="text-amber-400">Confirm units</span>
+            : validation?.warningCount > 0 || metrics.unsupportedCount > 0
+                ? <span className="text-amber-400">Warnings</span>
+                : <span className="text-green-400">Parsed</span>;
+
+    // No price until the scale is confirmed and the geometry can be cut
+    const price = !line.unitsConfirmed
+        ? <span className="text-amber-400">Confirm units</span>
+        : line.pricing
+            ? <span className="text-slate-400">Pricing...</span>
+            : line.pricingError
+                ? <span className="text-red-400" title={line.pricingError}>Not priced</span>
+                : validation?.blocking
+                    ? <span className="text-red-400">Fix geometry</span>
+                    : breakdown
+                        ? <span className="font-medium">{formatCurrency(breakdown.partsTotal, breakdown.currency)}</span>
+                        : line.quote
+                            ? <span className="text-amber-400">Can't be priced</span>
+                            : <span className="text-slate-500">—</span>;
+
+    return (
+        <tr onClick={onSelect} className={`cursor-pointer text-sm ${active ? 'bg-indigo-500/10' : ''}`}>
+            <td className="font-medium max-w-[12rem] truncate" title={line.fileName}>{line.fileName}</td>
+            <td>{status}</td>
+            <td className="whitespace-nowrap">{formatNumber(metrics.width, '', 1)} × {formatNumber(metrics.height, 'mm', 1)}</td>
+            <td className="whitespace-nowrap">{formatNumber(metrics.totalLength, 'mm', 0)}</td>
+            <td className="whitespace-nowrap">
+                {material?.name || '—'}
+                <div className="text-xs text-slate-500">{formatNumber(thickness, 'mm')}</div>
+            </td>
+            <td>{quantity}</td>
+            <td className="text-right whitespace-nowrap">{price}</td>
+            <td className="text-right">
+                <button
+                    onClick={(e) => {
+                        e.stopPropagation();
+                        onRemove();
+                    }}
+                    className="text-slate-500 hover:text-white transition"
+                    title="Remove from cart"
+                >
+                    <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                    </svg>
+                </button>
+            </td>
+        </tr>
+    );
+}
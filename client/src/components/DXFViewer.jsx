@@ -2,7 +2,30 @@ import { useEffect, useRef, useState } from 'react';
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 
-export default function DXFViewer({ dxfData, className }) {
+// Line colour per layer operation
+const OPERATION_COLORS = {
+    cut: 0x6366f1, // Indigo-500
+    engrave: 0x22c55e, // Green-500
+    bend: 0xf59e0b, // Amber-500
+    ignore: 0x334155, // Slate-700
+};
+
+// Overlay colour per highlight kind
+const HIGHLIGHT_COLORS = {
+    error: 0xef4444, // Red-500
+    warning: 0xfbbf24, // Amber-400
+    selected: 0xffffff,
+};
+
+// Overlay colour for paths drawn over the part (e.g. the kerf-compensated cut path)
+const OVERLAY_COLOR = 0x22d3ee; // Cyan-400
+
+/**
+ * @param {Object} props.dxfData - parseDxf result
+ * @param {Object} [props.highlights] - { [entityId]: 'error' | 'warning' | 'selected' } drawn over the part
+ * @param {Array} [props.overlayPaths] - Point lists [[{ x, y }]] drawn over the part
+ */
+export default function DXFViewer({ dxfData, highlights, overlayPaths, className }) {
     const containerRef = useRef(null);
     const rendererRef = useRef(null);
     const sceneRef = useRef(null);
@@ -129,18 +152,25 @@ export default function DXFViewer({ dxfData, className }) {
         const group = new THREE.Group();
         group.name = 'dxfContent';
 
-        // Material
-        const material = new THREE.LineBasicMaterial({ color: 0x6366f1, linewidth: 2 }); // Indigo-500
+        // One material per layer operation
+        const materials = {};
+        const materialFor = (operation) => {
+            const key = OPERATION_COLORS[operation] ? operation : 'cut';
+            if (!materials[key]) {
+                materials[key] = new THREE.LineBasicMaterial({ color: OPERATION_COLORS[key], linewidth: 2 });
+            }
+            return materials[key];
+        };
 
-        // Parse Entities
-        // We prefer raw entities for precision if available
-        const entities = dxfData.raw?.entities || dxfData.entities || [];
+        // Draw the parser's processed entities (in mm) so the preview shows exactly
+        // what gets priced: expanded blocks, hatch boundaries, bulges and NURBS curves
+        const entities = dxfData.entities || [];
 
         // Track bounds
         const box = new THREE.Box3();
 
         entities.forEach(entity => {
-            const object = createThreeObject(entity, material);
+            const object = createThreeObject(entity, materialFor(entity.operation));
             if (object) {
                 if (Array.isArray(object)) {
                     object.forEach(o => {
@@ -220,203 +250,84 @@ export default function DXFViewer({ dxfData, className }) {
 
     }, [dxfData]);
 
-    return (
-        <div ref={containerRef} className={`w-full h-full relative ${className || ''}`}>
-            {/* Overlay UI calls could go here */}
-        </div>
-    );
-}
-
-function createThreeObject(entity, material) {
-    // Handle different types
-    // Note: entity structure depends on whether we used raw or processed
-    // If we use raw (dxfData.raw.entities), types are standard DXF strings
-
-    // We try to support both or fallback
-    const type = entity.type;
-
-    if (type === 'LINE') {
-        // Raw: vertices provided differently?
-        // dxf-parser: vertices: [{x,y,z}, {x,y,z}]
-        const start = entity.vertices?.[0] || entity.startPoint;
-        const end = entity.vertices?.[1] || entity.endPoint;
-        if (start && end) {
-            const geometry = new THREE.BufferGeometry().setFromPoints([
-                new THREE.Vector3(start.x, start.y, start.z || 0),
-                new THREE.Vector3(end.x, end.y, end.z || 0)
-            ]);
-            return new THREE.Line(geometry, material);
-        }
-    }
-
-    if (type === 'LWPOLYLINE' || type === 'POLYLINE') {
-        const vertices = entity.vertices || [];
-        if (vertices.length < 2) return null;
-
-        const points = [];
-        const isClosed = entity.shape || entity.closed;
-
-        // Loop through vertices
-        for (let i = 0; i < vertices.length; i++) {
-            const current = vertices[i];
-            const next = vertices[(i + 1) % vertices.length];
+    // Highlight overlay, rebuilt without refitting the view
+    useEffect(() => {
+        if (!sceneRef.current || !dxfData || !highlights) return;
+        const scene = sceneRef.current;
 
-            // If it's the last point and not closed, stop
-            if (i === vertices.length - 1 && !isClosed) {
-                points.push(new THREE.Vector3(current.x, current.y, current.z || 0));
-                break;
+        const group = new THREE.Group();
+        group.name = 'highlights';
+        group.position.z = 1; // In front of the part
+
+        const materials = {};
+        for (const [id, kind] of Object.entries(highlights)) {
+            const entity = dxfData.entities[id];
+            if (!entity || !HIGHLIGHT_COLORS[kind]) continue;
+            if (!materials[kind]) {
+                materials[kind] = new THREE.LineBasicMaterial({ color: HIGHLIGHT_COLORS[kind], linewidth: 3 });
             }
+            const object = createThreeObject(entity, materials[kind]);
+            if (object) group.add(object);
+        }
 
-            const p1 = new THREE.Vector3(current.x, current.y, current.z || 0);
-            const p2 = new THREE.Vector3(next.x, next.y, next.z || 0);
-
-            // Check for bulge
-            if (current.bulge && current.bulge !== 0) {
-                // It's an arc
-                const bulge = current.bulge;
-                const theta = 4 * Math.atan(bulge);
-
-                const d = p1.distanceTo(p2);
-                if (d === 0) continue;
-
-                // Center calculation
-                const midpoint = new THREE.Vector3().addVectors(p1, p2).multiplyScalar(0.5);
-                const dx = p2.x - p1.x;
-                const dy = p2.y - p1.y;
-
-                const cot_theta_2 = (1 - bulge * bulge) / (2 * bulge);
-
-                // Normal to chord (-dy, dx)
-                const normal = new THREE.Vector3(-dy, dx, 0).normalize();
-
-                const center = new THREE.Vector3()
-                    .copy(midpoint)
-                    .addScaledVector(normal, cot_theta_2 * (d / 2));
-
-                // Start and End Angles
-                const startAngle = Math.atan2(p1.y - center.y, p1.x - center.x);
-                let endAngle = Math.atan2(p2.y - center.y, p2.x - center.x);
-
-                // Ensure angles are ordered correctly for EllipseCurve
-                // EllipseCurve expects startAngle < endAngle for CCW, or aClockwise=true for CW
-                // DXF bulge > 0 is CCW, bulge < 0 is CW.
-                const isClockwise = bulge < 0;
-
-                // Adjust endAngle if it's "behind" startAngle for CCW or "ahead" for CW
-                if (!isClockwise && endAngle < startAngle) {
-                    endAngle += 2 * Math.PI;
-                } else if (isClockwise && endAngle > startAngle) {
-                    endAngle -= 2 * Math.PI;
-                }
-
-                const radius = p1.distanceTo(center); // Use distance to center for radius
-
-                const curve = new THREE.EllipseCurve(
-                    center.x, center.y,
-                    radius, radius,
-                    startAngle, endAngle,
-                    isClockwise,
-                    0
-                );
+        scene.add(group);
+        return () => {
+            scene.remove(group);
+            disposeGroup(group);
+        };
+    }, [dxfData, highlights]);
 
-                // Add the start point of the segment if it's the first point of the polyline
-                // or if the previous segment was a straight line.
-                if (points.length === 0 || (i > 0 && vertices[i - 1].bulge === 0)) {
-                    points.push(p1);
-                }
+    // Path overlay, also rebuilt without refitting the view
+    useEffect(() => {
+        if (!sceneRef.current || !overlayPaths?.length) return;
+        const scene = sceneRef.current;
 
-                const arcPoints = curve.getPoints(Math.max(4, Math.ceil(Math.abs(theta) * 10)));
-                // Convert to Vector3 and add to main points array
-                arcPoints.forEach(p => points.push(new THREE.Vector3(p.x, p.y, 0)));
+        const group = new THREE.Group();
+        group.name = 'overlayPaths';
+        group.position.z = 0.5; // Between the part and the highlights
 
-            } else {
-                // Straight line segment
-                // Only add the start point if it's the first point of the polyline
-                // or if the previous segment was an arc.
-                if (points.length === 0 || (i > 0 && vertices[i - 1].bulge !== 0)) {
-                    points.push(p1);
-                }
-                points.push(p2);
-            }
+        const material = new THREE.LineBasicMaterial({ color: OVERLAY_COLOR, linewidth: 1 });
+        for (const points of overlayPaths) {
+            const object = createThreeObject({ points }, material);
+            if (object) group.add(object);
         }
 
-        const geometry = new THREE.BufferGeometry().setFromPoints(points);
-        return new THREE.Line(geometry, material);
-    }
+        scene.add(group);
+        return () => {
+            scene.remove(group);
+            disposeGroup(group);
+        };
+    }, [overlayPaths]);
 
-    if (type === 'CIRCLE') {
-        // Raw: center, radius
-        const center = entity.center || { x: 0, y: 0, z: 0 };
-        const radius = entity.radius || 0;
-        const curve = new THREE.EllipseCurve(
-            center.x, center.y,
-            radius, radius,
-            0, 2 * Math.PI,
-            false,
-            0
-        );
-        const points = curve.getPoints(64); // Resolution
-        const geometry = new THREE.BufferGeometry().setFromPoints(points);
-        return new THREE.Line(geometry, material);
-    }
+    return (
+        <div ref={containerRef} className={`w-full h-full relative ${className || ''}`}>
+            {/* Overlay UI calls could go here */}
+        </div>
+    );
+}
 
-    if (type === 'ARC') {
-        const center = entity.center || { x: 0, y: 0, z: 0 };
-        const radius = entity.radius || 0;
-        // DXF Angles are in degrees, Three.js in radians
-        // DXF 'startAngle' is degrees.
-        const startAngle = (entity.startAngle || 0) * (Math.PI / 180);
-        const endAngle = (entity.endAngle || 0) * (Math.PI / 180);
-
-        const curve = new THREE.EllipseCurve(
-            center.x, center.y,
-            radius, radius,
-            startAngle, endAngle,
-            false, // Clockwise? DXF is CCW usually. EllipseCurve is CCW by default (aClockwise=false)
-            0
-        );
-        const points = curve.getPoints(32);
-        const geometry = new THREE.BufferGeometry().setFromPoints(points);
-        return new THREE.Line(geometry, material);
-    }
+// Free a group's GPU buffers once it is out of the scene
+function disposeGroup(group) {
+    group.traverse((object) => {
+        object.geometry?.dispose();
+        object.material?.dispose();
+    });
+}
 
-    if (type === 'SPLINE') {
-        // Raw Spline Data:
-        // controlPoints: [{x,y,z}, ...]
-        // degreeOfSplineCurve (default 3)
-        // knots: []
-
-        if (entity.controlPoints && entity.controlPoints.length > 1) {
-            // Check if we have knots for NURBS
-            // If simple, use CatmullRom or just lines
-            const points = entity.controlPoints.map(p => new THREE.Vector3(p.x, p.y, p.z || 0));
-
-            // For precision, ideally NURBS. But CatmullRom is decent approximation if control points are simple
-            // However, DXF splines are control points for B-Splines, NOT points ON the curve.
-            // CatmullRom passes THROUGH points. SplineCurve (2D) passes THROUGH points.
-            // We need B-Spline interpolation.
-            // But Three.js core doesn't have B-Spline.
-            // We can just draw the control polygon for validation or linear for now if we lack NURBS
-            // OR use simple linear interpolation if the user is OKAY with it, but prompt said "Exact".
-            // Let's assume for now linear connecting control points is WRONG.
-            // Many DXF parsers convert Splines to Polylines.
-            // If dsf-parser doesn't, we need to.
-
-            // WAIT: dxf-parser SPLINE often includes fit points?
-            // If `numberOfFitPoints > 0`, use fit points?
-
-            // Let's create a curve from points.
-            const curve = new THREE.CatmullRomCurve3(points);
-            // Note: This is an approximation. Real DXF Spline is different.
-            // But implementing full NURBS in a single file without imports is hard.
-
-            const shapePoints = curve.getPoints(points.length * 10);
-            const geometry = new THREE.BufferGeometry().setFromPoints(shapePoints);
-            return new THREE.Line(geometry, material);
-        }
+function createThreeObject(entity, material) {
+    const points = entity.points || [];
+
+    if (entity.type === 'POINT' && points.length === 1) {
+        const geometry = new THREE.BufferGeometry().setFromPoints([
+            new THREE.Vector3(points[0].x, points[0].y, 0)
+        ]);
+        return new THREE.Points(geometry, new THREE.PointsMaterial({ color: material.color, size: 4 }));
     }
 
-    // Polyline 2D
+    if (points.length < 2) return null;
 
-    return null;
+    const geometry = new THREE.BufferGeometry().setFromPoints(
+        points.map(p => new THREE.Vector3(p.x, p.y, 0))
+    );
+    return new THREE.Line(geometry, material);
 }
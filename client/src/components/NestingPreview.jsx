@@ -0,0 +1,60 @@
+/**
+ * Per-sheet nesting layouts drawn as small SVGs
+ *
+ * @param {Object} props.nesting - nestParts result
+ * @param {Object} props.outlines - { [partId]: [{x,y}] } part outlines as passed to nestParts
+ */
+export default function NestingPreview({ nesting, outlines, className }) {
+    if (!nesting?.sheets.length) return null;
+
+    return (
+        <div className={`grid grid-cols-2 md:grid-cols-3 gap-3 ${className || ''}`}>
+            {nesting.sheets.map((layout, index) => (
+                <div key={index}>
+                    <svg
+                        viewBox={`0 0 ${layout.sheet.width} ${layout.sheet.height}`}
+                        className="w-full bg-slate-900 border border-slate-700/50 rounded"
+                        // Flip Y so the layout reads like the DXF (origin bottom left)
+                        style={{ transform: 'scaleY(-1)' }}
+                    >
+                        <rect
+                            width={layout.sheet.width}
+                            height={layout.sheet.height}
+                            fill="none"
+                            stroke="#334155"
+                            strokeWidth={layout.sheet.width / 200}
+                        />
+                        {layout.placements.map((placement, i) => (
+                            <polygon
+                                key={i}
+                                points={placedOutline(outlines[placement.partId] || [], placement)}
+                                fill="#6366f1"
+                                fillOpacity={0.35}
+                                stroke="#6366f1"
+                                strokeWidth={layout.sheet.width / 400}
+                            />
+                        ))}
+                    </svg>
+                    <div className="text-xs text-slate-400 mt-1">
+                        Sheet {index + 1}{layout.sheet.isRemnant ? ' (remnant)' : ''}: {layout.sheet.width} × {layout.sheet.height} mm ·{' '}
+                        {layout.placements.length} parts ·{' '}
+                        {(layout.utilization * 100).toFixed(0)}% used
+                    </div>
+                </div>
+            ))}
+        </div>
+    );
+}
+
+function placedOutline(outline, placement) {
+    const radians = (placement.rotation * Math.PI) / 180;
+    const cos = Math.cos(radians);
+    const sin = Math.sin(radians);
+    return outline
+        .map(p => {
+            const x = p.x * cos - p.y * sin + placement.offset.x + placement.x;
+            const y = p.x * sin + p.y * cos + placement.offset.y + placement.y;
+            return `${x},${y}`;
+        })
+        .join(' ');
+}
@@ -0,0 +1,24 @@
+import { ORDER_STATUS_LABELS } from '@shared/orders';
+
+const STATUS_STYLES = {
+    received: 'bg-sky-500/20 text-sky-400',
+    reviewed: 'bg-indigo-500/20 text-indigo-300',
+    nesting: 'bg-purple-500/20 text-purple-300',
+    cutting: 'bg-amber-500/20 text-amber-400',
+    finishing: 'bg-orange-500/20 text-orange-400',
+    shipped: 'bg-green-500/20 text-green-400',
+    closed: 'bg-slate-700 text-slate-300',
+};
+
+/**
+ * An order's status as a small coloured label
+ *
+ * @param {string} props.status - One of ORDER_STATUSES
+ */
+export default function OrderStatusBadge({ status }) {
+    return (
+        <span className={`px-2 py-1 rounded text-xs ${STATUS_STYLES[status] || 'bg-slate-700 text-slate-300'}`}>
+            {ORDER_STATUS_LABELS[status] || status}
+        </span>
+    );
+}
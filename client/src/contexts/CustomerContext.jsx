@@ -0,0 +1,94 @@
+import { useState } from 'react';
+import { CustomerContext } from './useCustomer';
+
+/**
+ * The signed-in customer, kept apart from the admin session so a shop
+ * employee can quote as a customer in the same browser
+ */
+export function CustomerProvider({ children }) {
+    const [token, setToken] = useState(() => localStorage.getItem('customerToken'));
+    const [customer, setCustomer] = useState(() => {
+        const saved = localStorage.getItem('customer');
+        return saved ? JSON.parse(saved) : null;
+    });
+    const [loading, setLoading] = useState(false);
+
+    const isSignedIn = !!token;
+
+    const saveCustomer = (data) => {
+        setCustomer(data);
+        localStorage.setItem('customer', JSON.stringify(data));
+    };
+
+    // Login and registration both answer with a token and the account
+    const signIn = async (url, body) => {
+        setLoading(true);
+        try {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body),
+            });
+
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Sign in failed');
+            }
+
+            setToken(data.token);
+            localStorage.setItem('customerToken', data.token);
+            saveCustomer(data.customer);
+            return { success: true };
+        } catch (error) {
+            return { success: false, error: error.message };
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const login = (email, password) => signIn('/api/account/login', { email, password });
+
+    const register = (details) => signIn('/api/account/register', details);
+
+    const logout = () => {
+        setToken(null);
+        setCustomer(null);
+        localStorage.removeItem('customerToken');
+        localStorage.removeItem('customer');
+    };
+
+    // Sends the customer's token when signed in; public routes then keep
+    // what's saved on the account, and work the same signed out
+    const customerFetch = async (url, options = {}) => {
+        const headers = {
+            ...options.headers,
+            ...(token && { 'Authorization': `Bearer ${token}` }),
+            'Content-Type': 'application/json',
+        };
+
+        const response = await fetch(url, { ...options, headers });
+
+        if (token && (response.status === 401 || response.status === 403)) {
+            logout();
+            throw new Error('Session expired, please sign in again');
+        }
+
+        return response;
+    };
+
+    return (
+        <CustomerContext.Provider value={{
+            token,
+            customer,
+            isSignedIn,
+            loading,
+            login,
+            register,
+            logout,
+            saveCustomer,
+            customerFetch
+        }}>
+            {children}
+        </CustomerContext.Provider>
+    );
+}
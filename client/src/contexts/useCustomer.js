@@ -0,0 +1,11 @@
+import { createContext, useContext } from 'react';
+
+export const CustomerContext = createContext(null);
+
+export function useCustomer() {
+    const context = useContext(CustomerContext);
+    if (!context) {
+        throw new Error('useCustomer must be used within a CustomerProvider');
+    }
+    return context;
+}
@@ -0,0 +1,11 @@
+/**
+ * Read a File object and return DXF content
+ */
+export async function readDxfFile(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = (e) => resolve(e.target.result);
+        reader.onerror = () => reject(new Error('Failed to read file'));
+        reader.readAsText(file);
+    });
+}
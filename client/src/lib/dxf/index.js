@@ -1,2 +1,3 @@
-export { parseDxf, readDxfFile } from './parser';
+// Browser-only DXF helpers; parsing and measuring are in @shared/dxf
+export { readDxfFile } from './file';
 export { DxfRenderer } from './renderer';
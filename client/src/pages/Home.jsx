@@ -1,21 +1,49 @@
-import { useState, useEffect, useCallback } from 'react';
-import { parseDxf, readDxfFile } from '../lib/dxf';
-import { calculatePrice, formatCurrency, formatNumber } from '../lib/pricing';
+import { useState, useEffect, useMemo, useCallback, useRef } from 'react';
+import { useNavigate, Link } from 'react-router-dom';
+import { parseDxf, readDxfZip, validateGeometry, offsetContours, LAYER_OPERATIONS, LAYER_OPERATION_LABELS } from '@shared/dxf';
+import { readDxfFile } from '../lib/dxf';
+import { calculateOrderTotal, formatCurrency, formatNumber, MAX_QUANTITY } from '@shared/pricing';
+import { getKerf, MACHINE_TYPE_LABELS } from '@shared/machines';
+import { getSheets, nestForQuote } from '@shared/quote';
+import { DRAWING_UNITS } from '@shared/units';
 import DXFViewer from '../components/DXFViewer';
+import NestingPreview from '../components/NestingPreview';
+import CartLineItem from '../components/CartLineItem';
+import { useCustomer } from '../contexts/useCustomer';
+
+const CUSTOM_THICKNESS = 'custom';
+
+// Thickness to quote a line at: a pricing entry's, or a custom one in between for materials that allow it
+function lineThickness(line) {
+    return parseFloat(line.selectedThickness === CUSTOM_THICKNESS ? line.customThickness : line.selectedThickness);
+}
+
+// A line's price once it can be ordered: its scale confirmed and its geometry cuttable
+function orderableBreakdown(line) {
+    if (!line.unitsConfirmed || line.quote?.validation.blocking) return null;
+    return line.quote?.breakdown || null;
+}
 
 export default function Home() {
+    const navigate = useNavigate();
+    const { isSignedIn, customerFetch } = useCustomer();
     const [config, setConfig] = useState({ materials: [], settings: {} });
     const [loading, setLoading] = useState(true);
-    const [dxfData, setDxfData] = useState(null);
     const [error, setError] = useState('');
     const [dragActive, setDragActive] = useState(false);
 
-    const [selectedMaterial, setSelectedMaterial] = useState('');
-    const [selectedThickness, setSelectedThickness] = useState('');
-    const [priceBreakdown, setPriceBreakdown] = useState(null);
+    // Cart: one line per uploaded file, each with its own material, thickness
+    // and quantity, and the server's price for it
+    const [lines, setLines] = useState([]);
+    const [activeKey, setActiveKey] = useState(null);
+    const nextKey = useRef(1);
 
-    // Quantity State
-    const [quantity, setQuantity] = useState(1);
+    const [failedFiles, setFailedFiles] = useState([]);
+    const [applyAll, setApplyAll] = useState({ materialId: '', selectedThickness: '' });
+
+    const [selectedIssue, setSelectedIssue] = useState(null);
+    const [showKerfPath, setShowKerfPath] = useState(false);
+    const [savingQuote, setSavingQuote] = useState(false);
 
     useEffect(() => {
         fetchConfig();
@@ -26,12 +54,6 @@ export default function Home() {
             const response = await fetch('/api/config');
             const data = await response.json();
             setConfig(data);
-            if (data.materials.length > 0) {
-                setSelectedMaterial(data.materials[0].id.toString());
-                if (data.materials[0].pricingEntries.length > 0) {
-                    setSelectedThickness(data.materials[0].pricingEntries[0].thickness.toString());
-                }
-            }
         } catch (error) {
             console.error('Failed to fetch config:', error);
         } finally {
@@ -39,45 +61,230 @@ export default function Home() {
         }
     };
 
-    // Calculate price when inputs change
-    useEffect(() => {
-        if (!dxfData || !config.materials.length) return;
+    const updateLine = useCallback((key, changes) => {
+        setLines(prev => prev.map(l => (l.key === key ? { ...l, ...changes } : l)));
+    }, []);
+
+    // The line shown in the viewer and the quote panel
+    const line = lines.find(l => l.key === activeKey) || null;
+    const updateActive = (changes) => updateLine(activeKey, changes);
+
+    const dxfData = line?.dxfData || null;
+    const unitsConfirmed = !!line?.unitsConfirmed;
+    const selectedMaterial = line?.materialId || '';
+    const selectedThickness = line?.selectedThickness || '';
+    const quantity = line?.quantity || 1;
+    const thickness = line ? lineThickness(line) : NaN;
+    const currentMaterial = config.materials.find(m => m.id.toString() === selectedMaterial);
+
+    // Nesting preview for materials billed by sheets consumed; the price itself comes from the server
+    const nesting = useMemo(() => {
+        if (!dxfData || !currentMaterial) return null;
+        const sheets = getSheets(currentMaterial, thickness, config.settings);
+        return nestForQuote(dxfData, currentMaterial, sheets, quantity, config.settings);
+    }, [dxfData, currentMaterial, thickness, quantity, config]);
+
+    const serverQuote = line?.quote || null;
+    const pricing = !!line?.pricing;
+    const pricingError = line?.pricingError || '';
+    const priceBreakdown = serverQuote?.breakdown || null;
+    const machineQuotes = serverQuote?.machineQuotes ?? null;
+    const fitsStock = serverQuote?.fitsStock ?? true;
+
+    // Kerf of the machine the part is priced on, else the shop's
+    const kerf = serverQuote?.kerf ?? getKerf(null, config.settings);
+
+    // Manufacturability check, re-run whenever the geometry changes
+    const validation = useMemo(() => {
+        if (!dxfData) return null;
+        return validateGeometry(dxfData, {
+            kerf,
+            blockingIssues: config.settings.blockingIssues,
+        });
+    }, [dxfData, config, kerf]);
+
+    // Path the machine cuts along, offset by half the kerf, and the holes it closes up
+    const kerfOffset = useMemo(() => {
+        if (!dxfData || !(kerf > 0)) return null;
+        return offsetContours(dxfData.contours, kerf, { tolerance: config.settings.kerfTolerance });
+    }, [dxfData, config, kerf]);
+
+    // Entities to highlight in the viewer: the selected issue, else all of them,
+    // and the features that collapse while the kerf path is shown
+    const highlights = useMemo(() => {
+        if (!validation) return null;
+        const result = {};
+        if (showKerfPath && kerfOffset && selectedIssue === null) {
+            for (const { contourId } of kerfOffset.collapsed) {
+                for (const id of dxfData.contours[contourId].entities) result[id] = 'warning';
+            }
+        }
+        for (const issue of validation.issues) {
+            if (selectedIssue !== null && issue.id !== selectedIssue) continue;
+            for (const id of issue.entities) {
+                if (selectedIssue !== null) result[id] = 'selected';
+                else if (result[id] !== 'error') result[id] = issue.severity;
+            }
+        }
+        return result;
+    }, [validation, selectedIssue, showKerfPath, kerfOffset, dxfData]);
+
+    // Order total over every line that can be ordered; setup and the minimum charge apply once
+    const orderTotal = calculateOrderTotal(lines.map(orderableBreakdown).filter(Boolean), config.settings);
+    const linesNeedingAttention = lines.filter(l =>
+        !l.unitsConfirmed || l.pricing || !l.quote?.breakdown || l.quote.validation.blocking
+    );
 
-        const material = config.materials.find(m => m.id.toString() === selectedMaterial);
-        if (!material) return;
+    // Admin-configured classification rules, applied to every parse
+    const shopParseOptions = {
+        layerRules: config.settings.layerRules,
+        engraveColors: config.settings.engraveColors,
+        cleanupTolerance: config.settings.cleanupTolerance,
+    };
 
-        const pricing = material.pricingEntries.find(p => p.thickness.toString() === selectedThickness);
-        if (!pricing) return;
+    const selectLine = (key) => {
+        setActiveKey(key);
+        setSelectedIssue(null);
+    };
 
-        const breakdown = calculatePrice(dxfData.metrics, pricing, config.settings);
-        setPriceBreakdown(breakdown);
-    }, [dxfData, selectedMaterial, selectedThickness, config]);
+    // Add each DXF file to the cart, and each DXF in a ZIP archive, in the
+    // material and thickness of the part being looked at (assemblies are
+    // usually cut from one stock). Files that can't be read are listed with the reason.
+    const handleFiles = async (files) => {
+        const defaultMaterial = line ? null : config.materials[0];
+        const added = [];
+        const failed = [];
 
-    const handleFile = async (file) => {
-        if (!file) return;
+        const addFile = (fileName, content) => {
+            try {
+                const parsed = parseDxf(content, shopParseOptions);
+                added.push({
+                    key: nextKey.current++,
+                    fileName,
+                    dxfContent: content,
+                    parseOptions: {},
+                    dxfData: parsed,
+                    unitsConfirmed: !parsed.units.ambiguous,
+                    materialId: line ? line.materialId : defaultMaterial?.id.toString() || '',
+                    selectedThickness: line
+                        ? line.selectedThickness
+                        : defaultMaterial?.pricingEntries[0]?.thickness.toString() || '',
+                    customThickness: line ? line.customThickness : '',
+                    quantity: 1,
+                    machineId: null,
+                    quote: null,
+                    pricing: false,
+                    pricingError: '',
+                });
+            } catch (err) {
+                failed.push({ key: nextKey.current++, fileName, reason: err.message });
+            }
+        };
 
-        if (!file.name.toLowerCase().endsWith('.dxf')) {
-            setError('Please upload a DXF file');
-            return;
+        for (const file of [...files]) {
+            const name = file.name.toLowerCase();
+            try {
+                if (name.endsWith('.zip')) {
+                    const entries = await readDxfZip(file);
+                    if (entries.length === 0) throw new Error('No DXF files in the archive');
+                    for (const entry of entries) {
+                        if (entry.error) failed.push({ key: nextKey.current++, fileName: `${file.name} › ${entry.name}`, reason: entry.error });
+                        else addFile(entry.name, entry.content);
+                    }
+                } else if (name.endsWith('.dxf')) {
+                    addFile(file.name, await readDxfFile(file));
+                } else {
+                    throw new Error('Not a DXF or ZIP file');
+                }
+            } catch (err) {
+                failed.push({ key: nextKey.current++, fileName: file.name, reason: err.message });
+            }
         }
 
         setError('');
+        setFailedFiles(prev => [...prev, ...failed]);
+        if (added.length > 0) {
+            setLines(prev => [...prev, ...added]);
+            selectLine(added[0].key);
+        }
+    };
+
+    const removeLine = (key) => {
+        const remaining = lines.filter(l => l.key !== key);
+        setLines(remaining);
+        if (key === activeKey) selectLine(remaining[0]?.key ?? null);
+    };
+
+    // One material and thickness for every part in the cart
+    const applyToAll = () => {
+        setLines(prev => prev.map(l => ({
+            ...l,
+            materialId: applyAll.materialId,
+            selectedThickness: applyAll.selectedThickness,
+            customThickness: '',
+            machineId: null,
+        })));
+    };
+
+    // Re-parse the same file when the customer changes how it should be read
+    const reparse = (changes) => {
+        const options = { ...line.parseOptions, ...changes };
         try {
-            const content = await readDxfFile(file);
-            const parsed = parseDxf(content);
-            setDxfData(parsed);
+            updateActive({
+                dxfData: parseDxf(line.dxfContent, { ...options, ...shopParseOptions }),
+                parseOptions: options,
+            });
+            setSelectedIssue(null);
+            return true;
         } catch (err) {
             setError(err.message);
-            setDxfData(null);
+            return false;
         }
     };
 
-    const handleDrop = useCallback((e) => {
+    const handleUnitChange = (unit) => {
+        if (reparse({ units: unit })) updateActive({ unitsConfirmed: true });
+    };
+
+    const handleLayerChange = (layerName, operation) => {
+        reparse({ layerOverrides: { ...line.parseOptions.layerOverrides, [layerName]: operation } });
+    };
+
+    // Save the cart as one quote and open its shareable page to place the
+    // order; the server prices every line again as it saves
+    const handleOrder = async () => {
+        setSavingQuote(true);
+        setError('');
+        try {
+            const response = await customerFetch('/api/quotes', {
+                method: 'POST',
+                body: JSON.stringify({
+                    lines: lines.map(l => ({
+                        fileName: l.fileName,
+                        dxfContent: l.dxfContent,
+                        parseOptions: l.parseOptions,
+                        materialId: l.materialId,
+                        thickness: lineThickness(l),
+                        quantity: l.quantity,
+                        machineId: l.quote.breakdown.details.machine?.id || null,
+                    })),
+                }),
+            });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error || 'Failed to save quote');
+            navigate(`/quote/${data.id}`, { state: { order: true } });
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setSavingQuote(false);
+        }
+    };
+
+    const handleDrop = (e) => {
         e.preventDefault();
         setDragActive(false);
-        const file = e.dataTransfer.files[0];
-        handleFile(file);
-    }, []);
+        handleFiles(e.dataTransfer.files);
+    };
 
     const handleDragOver = (e) => {
         e.preventDefault();
@@ -88,8 +295,8 @@ export default function Home() {
         setDragActive(false);
     };
 
-    const currentMaterial = config.materials.find(m => m.id.toString() === selectedMaterial);
     const thicknesses = currentMaterial?.pricingEntries || [];
+    const applyAllThicknesses = config.materials.find(m => m.id.toString() === applyAll.materialId)?.pricingEntries || [];
 
     return (
         <div className="min-h-screen">
@@ -97,9 +304,14 @@ export default function Home() {
             <header className="border-b border-slate-700/50 bg-slate-900/50 backdrop-blur-xl sticky top-0 z-40">
                 <div className="max-w-7xl mx-auto px-6 py-4 flex justify-between items-center">
                     <h1 className="text-2xl font-bold gradient-text">DXF Quote Tool</h1>
-                    <a href="/admin/login" className="text-slate-400 hover:text-white text-sm transition">
-                        Admin →
-                    </a>
+                    <div className="flex items-center gap-6">
+                        <Link to="/account" className="text-slate-400 hover:text-white text-sm transition">
+                            {isSignedIn ? 'My Account' : 'Sign In'}
+                        </Link>
+                        <a href="/admin/login" className="text-slate-400 hover:text-white text-sm transition">
+                            Admin →
+                        </a>
+                    </div>
                 </div>
             </header>
 
@@ -120,7 +332,7 @@ export default function Home() {
                         {/* Left Column: Upload & Preview */}
                         <div className="lg:col-span-2 space-y-6">
                             {/* Upload Area */}
-                            {!dxfData && (
+                            {lines.length === 0 && (
                                 <div
                                     className={`dropzone ${dragActive ? 'active' : ''}`}
                                     onDrop={handleDrop}
@@ -129,8 +341,12 @@ export default function Home() {
                                 >
                                     <input
                                         type="file"
-                                        accept=".dxf"
-                                        onChange={(e) => handleFile(e.target.files[0])}
+                                        accept=".dxf,.zip"
+                                        multiple
+                                        onChange={(e) => {
+                                            handleFiles(e.target.files);
+                                            e.target.value = '';
+                                        }}
                                         className="hidden"
                                         id="file-input"
                                     />
@@ -140,8 +356,8 @@ export default function Home() {
                                                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M7 16a4 4 0 01-.88-7.903A5 5 0 1115.9 6L16 6a5 5 0 011 9.9M15 13l-3-3m0 0l-3 3m3-3v12" />
                                             </svg>
                                         </div>
-                                        <div className="text-lg font-medium mb-2">Drop your DXF file here</div>
-                                        <div className="text-slate-400">or click to browse</div>
+                                        <div className="text-lg font-medium mb-2">Drop your DXF files here</div>
+                                        <div className="text-slate-400">or click to browse, one file per part or a ZIP of them</div>
                                     </label>
                                 </div>
                             )}
@@ -152,6 +368,124 @@ export default function Home() {
                                 </div>
                             )}
 
+                            {/* Cart */}
+                            {(lines.length > 0 || failedFiles.length > 0) && (
+                                <div
+                                    className={`glass-card overflow-hidden ${dragActive ? 'border-indigo-500/50' : ''}`}
+                                    onDrop={handleDrop}
+                                    onDragOver={handleDragOver}
+                                    onDragLeave={handleDragLeave}
+                                >
+                                    <div className="flex items-center justify-between px-4 py-3 border-b border-slate-700/50">
+                                        <span className="font-medium">
+                                            Parts <span className="text-sm text-slate-400">({lines.length})</span>
+                                        </span>
+                                        <input
+                                            type="file"
+                                            accept=".dxf,.zip"
+                                            multiple
+                                            onChange={(e) => {
+                                                handleFiles(e.target.files);
+                                                e.target.value = '';
+                                            }}
+                                            className="hidden"
+                                            id="cart-file-input"
+                                        />
+                                        <label htmlFor="cart-file-input" className="btn btn-secondary py-1 px-3 text-sm cursor-pointer">
+                                            Add Files
+                                        </label>
+                                    </div>
+
+                                    {/* Apply one material and thickness to every part */}
+                                    {lines.length > 1 && (
+                                        <div className="flex flex-wrap items-center gap-3 px-4 py-3 border-b border-slate-700/50">
+                                            <select
+                                                value={applyAll.materialId}
+                                                onChange={(e) => {
+                                                    const material = config.materials.find(m => m.id.toString() === e.target.value);
+                                                    setApplyAll({
+                                                        materialId: e.target.value,
+                                                        selectedThickness: material?.pricingEntries[0]?.thickness.toString() || '',
+                                                    });
+                                                }}
+                                                className="select py-1 text-sm w-auto"
+                                            >
+                                                <option value="">Material...</option>
+                                                {config.materials.map((m) => (
+                                                    <option key={m.id} value={m.id}>{m.name}</option>
+                                                ))}
+                                            </select>
+                                            <select
+                                                value={applyAll.selectedThickness}
+                                                onChange={(e) => setApplyAll({ ...applyAll, selectedThickness: e.target.value })}
+                                                className="select py-1 text-sm w-auto"
+                                                disabled={!applyAll.materialId}
+                                            >
+                                                {applyAllThicknesses.map((p) => (
+                                                    <option key={p.thickness} value={p.thickness}>{p.thickness} mm</option>
+                                                ))}
+                                            </select>
+                                            <button
+                                                onClick={applyToAll}
+                                                disabled={!applyAll.materialId || !applyAll.selectedThickness}
+                                                className="btn btn-secondary py-1 px-3 text-sm"
+                                            >
+                                                Apply to all
+                                            </button>
+                                        </div>
+                                    )}
+
+                                    <div className="max-h-96 overflow-auto">
+                                        <table className="data-table">
+                                            <thead>
+                                                <tr>
+                                                    <th>File</th>
+                                                    <th>Status</th>
+                                                    <th>Size</th>
+                                                    <th>Cut Length</th>
+                                                    <th>Material</th>
+                                                    <th>Qty</th>
+                                                    <th className="text-right">Price</th>
+                                                    <th />
+                                                </tr>
+                                            </thead>
+                                            <tbody>
+                                                {lines.map((l) => (
+                                                    <CartLineItem
+                                                        key={l.key}
+                                                        line={l}
+                                                        material={config.materials.find(m => m.id.toString() === l.materialId)}
+                                                        thickness={lineThickness(l)}
+                                                        active={l.key === activeKey}
+                                                        onSelect={() => selectLine(l.key)}
+                                                        onRemove={() => removeLine(l.key)}
+                                                        onChange={updateLine}
+                                                    />
+                                                ))}
+                                                {failedFiles.map((f) => (
+                                                    <tr key={f.key} className="text-sm">
+                                                        <td className="font-medium max-w-[12rem] truncate" title={f.fileName}>{f.fileName}</td>
+                                                        <td className="text-red-400">Failed</td>
+                                                        <td colSpan={5} className="text-slate-400">{f.reason}</td>
+                                                        <td className="text-right">
+                                                            <button
+                                                                onClick={() => setFailedFiles(prev => prev.filter(x => x.key !== f.key))}
+                                                                className="text-slate-500 hover:text-white transition"
+                                                                title="Dismiss"
+                                                            >
+                                                                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                                                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                                                                </svg>
+                                                            </button>
+                                                        </td>
+                                                    </tr>
+                                                ))}
+                                            </tbody>
+                                        </table>
+                                    </div>
+                                </div>
+                            )}
+
                             {/* DXF Viewer */}
                             {dxfData && (
                                 <div className="glass-card overflow-hidden">
@@ -162,14 +496,15 @@ export default function Home() {
                                                     <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16l4.586-4.586a2 2 0 012.828 0L16 16m-2-2l1.586-1.586a2 2 0 012.828 0L20 14m-6-6h.01M6 20h12a2 2 0 002-2V6a2 2 0 00-2-2H6a2 2 0 00-2 2v12a2 2 0 002 2z" />
                                                 </svg>
                                             </div>
-                                            <span className="font-medium">DXF Preview</span>
+                                            <span className="font-medium">{line.fileName}</span>
                                             <span className="text-sm text-slate-400">
                                                 {dxfData.metrics.entityCount} entities
                                             </span>
                                         </div>
                                         <button
-                                            onClick={() => setDxfData(null)}
+                                            onClick={() => removeLine(activeKey)}
                                             className="text-slate-400 hover:text-white transition"
+                                            title="Remove from cart"
                                         >
                                             <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                                                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
@@ -177,19 +512,185 @@ export default function Home() {
                                         </button>
                                     </div>
                                     <div className="w-full h-[500px] bg-slate-900 border-b border-slate-700/50 relative">
-                                        <DXFViewer dxfData={dxfData} />
+                                        <DXFViewer
+                                            dxfData={dxfData}
+                                            highlights={highlights}
+                                            overlayPaths={showKerfPath ? kerfOffset?.contours.map(c => c.points) : null}
+                                        />
+                                    </div>
+                                    {kerfOffset && (
+                                        <div className="px-4 py-3 text-sm flex flex-wrap items-center justify-between gap-2">
+                                            <label className="flex items-center gap-2">
+                                                <input
+                                                    type="checkbox"
+                                                    checked={showKerfPath}
+                                                    onChange={(e) => setShowKerfPath(e.target.checked)}
+                                                />
+                                                Show cut path with {formatNumber(kerf, 'mm')} kerf
+                                            </label>
+                                            <span className={kerfOffset.collapsed.length ? 'text-amber-400' : 'text-slate-400'}>
+                                                {kerfOffset.collapsed.length
+                                                    ? `${kerfOffset.collapsed.length} hole${kerfOffset.collapsed.length === 1 ? '' : 's'} too small for the kerf`
+                                                    : `Compensated cut length ${formatNumber(kerfOffset.length, 'mm')}`}
+                                            </span>
+                                        </div>
+                                    )}
+                                </div>
+                            )}
+
+                            {/* Drawing Units */}
+                            {dxfData && (
+                                <div className={`glass-card p-4 ${unitsConfirmed ? '' : 'border-amber-500/50'}`}>
+                                    <div className="flex flex-wrap items-center justify-between gap-4">
+                                        <div>
+                                            <div className="font-medium">Drawing units</div>
+                                            <div className="text-sm text-slate-400">
+                                                {dxfData.units.source === 'header' && `Detected from file: ${dxfData.units.detected}`}
+                                                {dxfData.units.source === 'override' && 'Set by you'}
+                                                {dxfData.units.source === 'default' && 'Not specified in file'}
+                                            </div>
+                                        </div>
+                                        <div className="flex items-center gap-2">
+                                            <select
+                                                value={dxfData.units.unit}
+                                                onChange={(e) => handleUnitChange(e.target.value)}
+                                                className="select w-48"
+                                            >
+                                                {DRAWING_UNITS.map((u) => (
+                                                    <option key={u.value} value={u.value}>{u.label}</option>
+                                                ))}
+                                            </select>
+                                            {!unitsConfirmed && (
+                                                <button onClick={() => updateActive({ unitsConfirmed: true })} className="btn btn-primary py-2 px-4">
+                                                    Confirm
+                                                </button>
+                                            )}
+                                        </div>
+                                    </div>
+                                    {!unitsConfirmed && (
+                                        <div className="text-amber-400 text-sm mt-3">
+                                            ⚠️ This file doesn't say which units it was drawn in. Please confirm the unit before we price it.
+                                        </div>
+                                    )}
+                                </div>
+                            )}
+
+                            {/* Cleanup */}
+                            {dxfData?.cleanup && dxfData.cleanup.lengthBefore - dxfData.cleanup.lengthAfter > 0.005 && (
+                                <div className="glass-card p-4">
+                                    <div className="font-medium mb-1">Drawing cleaned up</div>
+                                    <div className="text-sm text-slate-400 mb-3">
+                                        {[
+                                            dxfData.cleanup.duplicatesRemoved > 0 && `${dxfData.cleanup.duplicatesRemoved} duplicate entities removed`,
+                                            dxfData.cleanup.overlapsMerged > 0 && `${dxfData.cleanup.overlapsMerged} overlapping lines merged`,
+                                            dxfData.cleanup.endpointsSnapped > 0 && `${dxfData.cleanup.endpointsSnapped} endpoints joined`,
+                                        ].filter(Boolean).join(', ')}
+                                        . You are only charged for cutting each line once.
+                                    </div>
+                                    <div className="flex items-center gap-3 text-sm">
+                                        <span className="text-slate-400">Cut length</span>
+                                        <span className="line-through text-slate-500">{formatNumber(dxfData.cleanup.lengthBefore, 'mm')}</span>
+                                        <span>→</span>
+                                        <span className="font-semibold">{formatNumber(dxfData.cleanup.lengthAfter, 'mm')}</span>
+                                        <span className="text-green-400">
+                                            (−{formatNumber(dxfData.cleanup.lengthBefore - dxfData.cleanup.lengthAfter, 'mm')})
+                                        </span>
+                                    </div>
+                                </div>
+                            )}
+
+                            {/* Geometry Check */}
+                            {validation?.issues.length > 0 && (
+                                <div className={`glass-card p-4 ${validation.blocking ? 'border-red-500/50' : 'border-amber-500/50'}`}>
+                                    <div className="flex items-center justify-between mb-1">
+                                        <div className="font-medium">Geometry check</div>
+                                        <div className="text-sm">
+                                            {validation.errorCount > 0 && (
+                                                <span className="text-red-400 mr-3">{validation.errorCount} errors</span>
+                                            )}
+                                            {validation.warningCount > 0 && (
+                                                <span className="text-amber-400">{validation.warningCount} warnings</span>
+                                            )}
+                                        </div>
+                                    </div>
+                                    <div className="text-sm text-slate-400 mb-3">
+                                        {validation.blocking
+                                            ? 'Please fix the errors in your drawing before ordering. Click an issue to highlight it.'
+                                            : 'These may cause problems on the machine. Click an issue to highlight it.'}
+                                    </div>
+                                    <ul className="space-y-1 max-h-60 overflow-y-auto">
+                                        {validation.issues.map((issue) => (
+                                            <li key={issue.id}>
+                                                <button
+                                                    onClick={() => setSelectedIssue(selectedIssue === issue.id ? null : issue.id)}
+                                                    className={`w-full text-left text-sm px-3 py-2 rounded-lg transition ${selectedIssue === issue.id ? 'bg-slate-700/70' : 'hover:bg-slate-800/70'}`}
+                                                >
+                                                    <span className={issue.severity === 'error' ? 'text-red-400' : 'text-amber-400'}>
+                                                        {issue.severity === 'error' ? '✖' : '⚠️'}
+                                                    </span>{' '}
+                                                    {issue.message}
+                                                </button>
+                                            </li>
+                                        ))}
+                                    </ul>
+                                </div>
+                            )}
+
+                            {/* Layers */}
+                            {dxfData?.layers.length > 1 && (
+                                <div className="glass-card p-4">
+                                    <div className="font-medium mb-1">Layers</div>
+                                    <div className="text-sm text-slate-400 mb-3">
+                                        Choose what happens to each layer. Text is always engraved.
+                                    </div>
+                                    <div className="space-y-2">
+                                        {dxfData.layers.map((layer) => (
+                                            <div key={layer.name} className="flex items-center justify-between gap-4">
+                                                <div className="min-w-0">
+                                                    <div className="font-mono text-sm truncate">{layer.name}</div>
+                                                    <div className="text-xs text-slate-500">
+                                                        {layer.entityCount} entities · {formatNumber(layer.length, 'mm')}
+                                                    </div>
+                                                </div>
+                                                <select
+                                                    value={layer.operation}
+                                                    onChange={(e) => handleLayerChange(layer.name, e.target.value)}
+                                                    className="select w-40"
+                                                >
+                                                    {Object.values(LAYER_OPERATIONS).map((op) => (
+                                                        <option key={op} value={op}>{LAYER_OPERATION_LABELS[op]}</option>
+                                                    ))}
+                                                </select>
+                                            </div>
+                                        ))}
                                     </div>
                                 </div>
                             )}
 
+                            {/* Skipped Entities */}
+                            {dxfData?.metrics.unsupportedCount > 0 && (
+                                <div className="p-4 rounded-xl bg-amber-500/10 border border-amber-500/30 text-amber-400 text-sm">
+                                    {dxfData.metrics.unsupportedCount} entities were skipped and are not included in the price:{' '}
+                                    {Object.entries(dxfData.metrics.unsupported)
+                                        .map(([type, count]) => `${type} ×${count}`)
+                                        .join(', ')}
+                                </div>
+                            )}
+
                             {/* Metrics */}
                             {dxfData && (
-                                <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                                <div className="grid grid-cols-2 md:grid-cols-3 gap-4">
                                     {[
                                         { label: 'Width', value: formatNumber(dxfData.metrics.width, 'mm') },
                                         { label: 'Height', value: formatNumber(dxfData.metrics.height, 'mm') },
                                         { label: 'Cut Length', value: formatNumber(dxfData.metrics.totalLength, 'mm') },
+                                        { label: 'Rapid Travel', value: formatNumber(dxfData.metrics.travelDistance, 'mm') },
                                         { label: 'Bounding Area', value: formatNumber(dxfData.metrics.area, 'mm²', 0) },
+                                        { label: 'Net Part Area', value: formatNumber(dxfData.metrics.netArea, 'mm²', 0) },
+                                        { label: 'Contours', value: `${dxfData.metrics.contourCount} (${dxfData.metrics.holeCount} holes)` },
+                                        ...(dxfData.metrics.engraveLength > 0
+                                            ? [{ label: 'Engrave Length', value: formatNumber(dxfData.metrics.engraveLength, 'mm') }]
+                                            : []),
                                     ].map((metric) => (
                                         <div key={metric.label} className="glass-card p-4">
                                             <div className="text-sm text-slate-400 mb-1">{metric.label}</div>
@@ -198,56 +699,99 @@ export default function Home() {
                                     ))}
                                 </div>
                             )}
+
+                            {/* Sheet Usage */}
+                            {nesting && (
+                                <div className="glass-card p-4">
+                                    <div className="flex items-center justify-between mb-3">
+                                        <div className="font-medium">Sheet usage for {quantity} parts</div>
+                                        <div className="text-sm text-slate-400">
+                                            {nesting.sheetCount} sheets · {(nesting.utilization * 100).toFixed(0)}% utilization
+                                        </div>
+                                    </div>
+                                    {nesting.unplaced.length > 0 && (
+                                        <div className="text-amber-400 text-sm mb-3">
+                                            ⚠️ {nesting.unplaced.reduce((sum, u) => sum + u.count, 0)} parts don't fit on any stock sheet.
+                                        </div>
+                                    )}
+                                    <NestingPreview nesting={nesting} outlines={{ [nesting.part.id]: nesting.part.outline }} />
+                                </div>
+                            )}
                         </div>
 
                         {/* Right Column: Quote Panel */}
                         <div className="space-y-6">
                             <div className="glass-card p-6">
-                                <h2 className="text-lg font-semibold mb-6">Get Your Quote</h2>
+                                <h2 className="text-lg font-semibold mb-6 truncate">{line ? line.fileName : 'Get Your Quote'}</h2>
 
-                                <div className="space-y-5">
-                                    <div>
-                                        <label className="label">Material</label>
-                                        <select
-                                            value={selectedMaterial}
-                                            onChange={(e) => {
-                                                setSelectedMaterial(e.target.value);
-                                                const mat = config.materials.find(m => m.id.toString() === e.target.value);
-                                                if (mat?.pricingEntries.length > 0) {
-                                                    setSelectedThickness(mat.pricingEntries[0].thickness.toString());
-                                                }
-                                            }}
-                                            className="select"
-                                        >
-                                            {config.materials.map((m) => (
-                                                <option key={m.id} value={m.id}>{m.name}</option>
-                                            ))}
-                                        </select>
-                                    </div>
+                                {line && (
+                                    <div className="space-y-5">
+                                        <div>
+                                            <label className="label">Material</label>
+                                            <select
+                                                value={selectedMaterial}
+                                                onChange={(e) => {
+                                                    const mat = config.materials.find(m => m.id.toString() === e.target.value);
+                                                    updateActive({
+                                                        materialId: e.target.value,
+                                                        machineId: null,
+                                                        ...(mat?.pricingEntries.length > 0 && {
+                                                            selectedThickness: mat.pricingEntries[0].thickness.toString(),
+                                                        }),
+                                                    });
+                                                }}
+                                                className="select"
+                                            >
+                                                {config.materials.map((m) => (
+                                                    <option key={m.id} value={m.id}>{m.name}</option>
+                                                ))}
+                                            </select>
+                                        </div>
 
-                                    <div>
-                                        <label className="label">Thickness</label>
-                                        <select
-                                            value={selectedThickness}
-                                            onChange={(e) => setSelectedThickness(e.target.value)}
-                                            className="select"
-                                        >
-                                            {thicknesses.map((p) => (
-                                                <option key={p.thickness} value={p.thickness}>{p.thickness} mm</option>
-                                            ))}
-                                        </select>
+                                        <div>
+                                            <label className="label">Thickness</label>
+                                            <select
+                                                value={selectedThickness}
+                                                onChange={(e) => updateActive({ selectedThickness: e.target.value })}
+                                                className="select"
+                                            >
+                                                {thicknesses.map((p) => (
+                                                    <option key={p.thickness} value={p.thickness}>{p.thickness} mm</option>
+                                                ))}
+                                                {currentMaterial?.allowInterpolation && thicknesses.length > 1 && (
+                                                    <option value={CUSTOM_THICKNESS}>Custom thickness…</option>
+                                                )}
+                                            </select>
+                                            {selectedThickness === CUSTOM_THICKNESS && (
+                                                <div className="mt-2">
+                                                    <input
+                                                        type="number"
+                                                        step="0.1"
+                                                        min={thicknesses[0].thickness}
+                                                        max={thicknesses[thicknesses.length - 1].thickness}
+                                                        value={line.customThickness}
+                                                        onChange={(e) => updateActive({ customThickness: e.target.value })}
+                                                        className="input"
+                                                        placeholder="Thickness in mm"
+                                                    />
+                                                    <span className="text-xs text-slate-500 mt-1 block">
+                                                        Between {thicknesses[0].thickness} and {thicknesses[thicknesses.length - 1].thickness} mm
+                                                    </span>
+                                                </div>
+                                            )}
+                                        </div>
                                     </div>
-                                </div>
+                                )}
 
                                 {/* Price Display */}
-                                {priceBreakdown && dxfData ? (
+                                {priceBreakdown && dxfData && unitsConfirmed && fitsStock ? (
                                     <div className="mt-8">
                                         {/* Quantity Selector */}
                                         <div className="mb-6">
                                             <label className="label">Quantity</label>
                                             <div className="flex items-center gap-3">
                                                 <button
-                                                    onClick={() => setQuantity(Math.max(1, quantity - 1))}
+                                                    onClick={() => updateActive({ quantity: Math.max(1, quantity - 1) })}
                                                     className="w-10 h-10 rounded-lg bg-slate-800 border border-slate-700 hover:bg-slate-700 flex items-center justify-center text-lg font-medium transition"
                                                 >
                                                     -
@@ -256,7 +800,8 @@ export default function Home() {
                                                     {quantity}
                                                 </div>
                                                 <button
-                                                    onClick={() => setQuantity(quantity + 1)}
+                                                    onClick={() => updateActive({ quantity: quantity + 1 })}
+                                                    disabled={quantity >= MAX_QUANTITY}
                                                     className="w-10 h-10 rounded-lg bg-slate-800 border border-slate-700 hover:bg-slate-700 flex items-center justify-center text-lg font-medium transition"
                                                 >
                                                     +
@@ -264,43 +809,234 @@ export default function Home() {
                                             </div>
                                         </div>
 
+                                        {/* Machine Options */}
+                                        {machineQuotes?.length > 0 && (
+                                            <div className="mb-6">
+                                                <label className="label">Machine</label>
+                                                <div className="space-y-2">
+                                                    {machineQuotes.map((q) => (
+                                                        <button
+                                                            key={q.machine.id}
+                                                            onClick={() => updateActive({ machineId: q.machine.id })}
+                                                            className={`w-full text-left p-3 rounded-lg border transition ${q.breakdown === priceBreakdown
+                                                                ? 'border-indigo-500 bg-indigo-500/10'
+                                                                : 'border-slate-700 hover:bg-slate-800/50'
+                                                                }`}
+                                                        >
+                                                            <div className="flex justify-between items-center">
+                                                                <span className="font-medium">
+                                                                    {q.machine.name}
+                                                                    <span className="text-xs text-slate-500 ml-2">{MACHINE_TYPE_LABELS[q.machine.type] || q.machine.type}</span>
+                                                                </span>
+                                                                <span>{formatCurrency(q.breakdown.finalPrice, q.breakdown.currency)}</span>
+                                                            </div>
+                                                            <div className="flex justify-between items-center text-xs text-slate-400 mt-1">
+                                                                <span>{formatNumber(q.timeMinutes * quantity, 'min', 1)} machine time</span>
+                                                                <span className="space-x-1">
+                                                                    {q.cheapest && <span className="px-2 py-0.5 rounded bg-green-500/20 text-green-400">Cheapest</span>}
+                                                                    {q.fastest && <span className="px-2 py-0.5 rounded bg-sky-500/20 text-sky-400">Fastest</span>}
+                                                                </span>
+                                                            </div>
+                                                        </button>
+                                                    ))}
+                                                </div>
+                                            </div>
+                                        )}
+
                                         <div className="text-center py-6 border-t border-slate-700/50">
-                                            <div className="text-sm text-slate-400 mb-2">Total Price</div>
-                                            <div className="text-5xl font-bold gradient-text">
-                                                {formatCurrency(priceBreakdown.finalPrice * quantity, priceBreakdown.currency)}
+                                            {priceBreakdown.estimated && (
+                                                <div className="inline-block mb-3 px-3 py-1 rounded-full text-xs bg-amber-500/20 text-amber-400 border border-amber-500/30">
+                                                    Estimated, pending review
+                                                </div>
+                                            )}
+                                            <div className="text-sm text-slate-400 mb-2">Line Total</div>
+                                            <div className={`text-5xl font-bold gradient-text transition ${pricing ? 'opacity-50' : ''}`}>
+                                                {formatCurrency(priceBreakdown.partsTotal, priceBreakdown.currency)}
+                                            </div>
+                                            <div className="text-sm text-slate-400 mt-2">
+                                                {formatCurrency(priceBreakdown.unitPrice, priceBreakdown.currency)} per part
+                                                {priceBreakdown.discountPercent > 0 && (
+                                                    <span className="text-green-400"> · {priceBreakdown.discountPercent}% volume discount</span>
+                                                )}
                                             </div>
                                         </div>
 
-                                        <div className="mt-4">
-                                            <button className="btn btn-primary w-full py-4 text-lg shadow-lg shadow-indigo-500/20">
-                                                Order Now
-                                            </button>
+                                        {/* Quantity Breaks */}
+                                        {priceBreakdown.priceBreaks.length > 1 && (
+                                            <div className="space-y-1 text-sm py-4 border-t border-slate-700/50">
+                                                <div className="text-slate-500 text-xs uppercase tracking-wide mb-1">Unit price by quantity</div>
+                                                {priceBreakdown.priceBreaks.map((b, index) => {
+                                                    const next = priceBreakdown.priceBreaks[index + 1];
+                                                    const active = quantity >= b.minQty && (!next || quantity < next.minQty);
+                                                    return (
+                                                        <button
+                                                            key={b.minQty}
+                                                            onClick={() => updateActive({ quantity: b.minQty })}
+                                                            className={`w-full flex justify-between px-2 py-1 rounded ${active ? 'bg-indigo-500/20 text-indigo-300' : 'hover:bg-slate-800/50'}`}
+                                                        >
+                                                            <span className="text-slate-400">
+                                                                {next ? `${b.minQty}–${next.minQty - 1}` : `${b.minQty}+`}
+                                                                {b.discount > 0 && <span className="text-green-400 ml-2">−{b.discount}%</span>}
+                                                            </span>
+                                                            <span>{formatCurrency(b.unitPrice, priceBreakdown.currency)}</span>
+                                                        </button>
+                                                    );
+                                                })}
+                                            </div>
+                                        )}
+
+                                        {/* Per-part Breakdown */}
+                                        <div className="space-y-2 text-sm py-4 border-t border-slate-700/50">
+                                            <div className="text-slate-500 text-xs uppercase tracking-wide">Per part</div>
+                                            {[
+                                                { label: 'Material', value: priceBreakdown.areaCost },
+                                                {
+                                                    label: priceBreakdown.details.derated && priceBreakdown.details.cutTimeMinutes > priceBreakdown.details.nominalCutTimeMinutes + 1e-9
+                                                        ? 'Cutting (slowed for small features and corners)'
+                                                        : 'Cutting',
+                                                    value: priceBreakdown.timeCost,
+                                                },
+                                                ...(priceBreakdown.travelCost > 0
+                                                    ? [{ label: 'Travel between cuts', value: priceBreakdown.travelCost }]
+                                                    : []),
+                                                { label: `Piercing (${priceBreakdown.details.pierceCount})`, value: priceBreakdown.pierceCost },
+                                                ...(priceBreakdown.engraveCost > 0
+                                                    ? [{ label: 'Engraving', value: priceBreakdown.engraveCost }]
+                                                    : []),
+                                                { label: `Markup (${priceBreakdown.markupPercent}%)`, value: priceBreakdown.markupAmount },
+                                                ...(priceBreakdown.discountAmount > 0
+                                                    ? [{ label: `Volume discount (${priceBreakdown.discountPercent}%)`, value: -priceBreakdown.discountAmount }]
+                                                    : []),
+                                            ].map((line) => (
+                                                <div key={line.label} className="flex justify-between">
+                                                    <span className="text-slate-400">{line.label}</span>
+                                                    <span>{formatCurrency(line.value, priceBreakdown.currency)}</span>
+                                                </div>
+                                            ))}
+                                        </div>
+
+                                        {/* Weight and Shipping */}
+                                        {priceBreakdown.partWeight > 0 && (
+                                            <div className="space-y-2 text-sm py-4 border-t border-slate-700/50">
+                                                <div className="flex justify-between">
+                                                    <span className="text-slate-400">Part weight</span>
+                                                    <span>{formatNumber(priceBreakdown.partWeight, 'kg', 3)}</span>
+                                                </div>
+                                                <div className="flex justify-between">
+                                                    <span className="text-slate-400">Weight of {quantity} parts</span>
+                                                    <span>{formatNumber(priceBreakdown.totalWeight, 'kg')}</span>
+                                                </div>
+                                            </div>
+                                        )}
+
+                                        <div>
+                                            {validation?.blocking && (
+                                                <div className="text-red-400 text-xs text-center mt-2">
+                                                    Fix the geometry errors in this drawing to order
+                                                </div>
+                                            )}
+                                            {priceBreakdown.estimated && (
+                                                <div className="text-amber-400 text-xs text-center mt-2">
+                                                    Priced between our {priceBreakdown.details.interpolatedFrom.join(' and ')} mm rates.
+                                                    We'll confirm the price before cutting.
+                                                </div>
+                                            )}
                                         </div>
                                     </div>
                                 ) : (
                                     <div className="mt-8 text-center py-8 border-t border-slate-700/50">
                                         <div className="text-slate-400">
-                                            {dxfData ? 'Select material and thickness' : 'Upload a DXF file to get a quote'}
+                                            {!dxfData
+                                                ? 'Upload DXF files to get a quote'
+                                                : !unitsConfirmed
+                                                    ? 'Confirm the drawing units to see your price'
+                                                    : pricing
+                                                        ? 'Calculating your price...'
+                                                        : pricingError
+                                                            ? pricingError
+                                                            : !fitsStock
+                                                                ? 'This part is larger than any sheet we stock in this material and thickness'
+                                                                : machineQuotes?.length === 0
+                                                                    ? 'None of our machines can cut this part in this material and thickness'
+                                                                    : 'Select material and thickness'}
                                         </div>
                                     </div>
                                 )}
                             </div>
 
+                            {/* Order Summary */}
+                            {lines.length > 0 && (
+                                <div className="glass-card p-6">
+                                    <h2 className="text-lg font-semibold mb-4">Order Summary</h2>
+                                    <div className="space-y-2 text-sm">
+                                        {lines.map((l) => (
+                                            <div key={l.key} className="flex justify-between gap-3">
+                                                <span className="text-slate-400 truncate">{l.fileName} ×{l.quantity}</span>
+                                                <span>{orderableBreakdown(l) ? formatCurrency(orderableBreakdown(l).partsTotal, orderTotal.currency) : '—'}</span>
+                                            </div>
+                                        ))}
+                                        {orderTotal.setupCharge > 0 && (
+                                            <div className="flex justify-between pt-2 border-t border-slate-700/50">
+                                                <span className="text-slate-400">Setup (once per order)</span>
+                                                <span>{formatCurrency(orderTotal.setupCharge, orderTotal.currency)}</span>
+                                            </div>
+                                        )}
+                                        {orderTotal.minChargeApplied && (
+                                            <div className="text-amber-400 text-xs">
+                                                Minimum order charge of {formatCurrency(orderTotal.minCharge, orderTotal.currency)} applied
+                                            </div>
+                                        )}
+                                    </div>
+
+                                    <div className="text-center py-6 mt-4 border-t border-slate-700/50">
+                                        {orderTotal.estimated && (
+                                            <div className="inline-block mb-3 px-3 py-1 rounded-full text-xs bg-amber-500/20 text-amber-400 border border-amber-500/30">
+                                                Estimated, pending review
+                                            </div>
+                                        )}
+                                        <div className="text-sm text-slate-400 mb-2">Order Total</div>
+                                        <div className={`text-4xl font-bold gradient-text transition ${linesNeedingAttention.length ? 'opacity-50' : ''}`}>
+                                            {formatCurrency(orderTotal.finalPrice, orderTotal.currency)}
+                                        </div>
+                                        {orderTotal.shippingEstimate > 0 && (
+                                            <div className="text-sm text-slate-400 mt-2">
+                                                + {formatCurrency(orderTotal.shippingEstimate, orderTotal.currency)} estimated shipping ({formatNumber(orderTotal.totalWeight, 'kg')})
+                                            </div>
+                                        )}
+                                    </div>
+
+                                    <button
+                                        onClick={handleOrder}
+                                        disabled={linesNeedingAttention.length > 0 || savingQuote}
+                                        className="btn btn-primary w-full py-4 text-lg shadow-lg shadow-indigo-500/20"
+                                    >
+                                        {savingQuote ? 'Saving quote...' : 'Order Now'}
+                                    </button>
+                                    {linesNeedingAttention.length > 0 && (
+                                        <div className="text-amber-400 text-xs text-center mt-2">
+                                            {linesNeedingAttention.length === 1
+                                                ? `${linesNeedingAttention[0].fileName} needs attention before ordering`
+                                                : `${linesNeedingAttention.length} parts need attention before ordering`}
+                                        </div>
+                                    )}
+                                </div>
+                            )}
+
                             {/* Info Card */}
                             <div className="glass-card p-6">
                                 <h3 className="font-medium mb-3">How it works</h3>
                                 <ol className="space-y-3 text-sm text-slate-400">
                                     <li className="flex gap-3">
                                         <span className="w-6 h-6 rounded-full bg-indigo-500/20 text-indigo-400 flex items-center justify-center flex-shrink-0">1</span>
-                                        Upload your DXF file
+                                        Upload a DXF file for each part
                                     </li>
                                     <li className="flex gap-3">
                                         <span className="w-6 h-6 rounded-full bg-indigo-500/20 text-indigo-400 flex items-center justify-center flex-shrink-0">2</span>
-                                        Select material and thickness
+                                        Select material, thickness and quantity for each
                                     </li>
                                     <li className="flex gap-3">
                                         <span className="w-6 h-6 rounded-full bg-indigo-500/20 text-indigo-400 flex items-center justify-center flex-shrink-0">3</span>
-                                        Get instant pricing
+                                        Get instant pricing for the whole job
                                     </li>
                                 </ol>
                             </div>
@@ -0,0 +1,380 @@
+import { useState, useEffect, useMemo } from 'react';
+import { useParams, useLocation, Link } from 'react-router-dom';
+import { parseDxf } from '@shared/dxf';
+import { formatCurrency, formatNumber } from '@shared/pricing';
+import { ORDER_STATUSES, ORDER_STATUS_LABELS } from '@shared/orders';
+import DXFViewer from '../components/DXFViewer';
+import OrderStatusBadge from '../components/OrderStatusBadge';
+import { useCustomer } from '../contexts/useCustomer';
+
+const EMPTY_ORDER_FORM = {
+    contactName: '',
+    email: '',
+    phone: '',
+    company: '',
+    addressLine1: '',
+    addressLine2: '',
+    city: '',
+    region: '',
+    postalCode: '',
+    country: '',
+    notes: '',
+};
+
+// The order form filled in from the customer's account
+function orderFormFor(customer) {
+    if (!customer) return EMPTY_ORDER_FORM;
+    const form = { ...EMPTY_ORDER_FORM, contactName: customer.name, email: customer.email };
+    for (const field of ['phone', 'company', 'addressLine1', 'addressLine2', 'city', 'region', 'postalCode', 'country']) {
+        form[field] = customer[field] || '';
+    }
+    return form;
+}
+
+/**
+ * A saved quote, re-opened from its link at the price it was given
+ */
+export default function Quote() {
+    const { id } = useParams();
+    const location = useLocation();
+    const { customer, isSignedIn, customerFetch } = useCustomer();
+    const [quote, setQuote] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+    const [copied, setCopied] = useState(false);
+    const [activeLine, setActiveLine] = useState(0);
+
+    // Order form, opened straight away when arriving from "Order Now"
+    const [showOrderForm, setShowOrderForm] = useState(false);
+    const [orderForm, setOrderForm] = useState(() => orderFormFor(customer));
+    const [placingOrder, setPlacingOrder] = useState(false);
+    const [orderError, setOrderError] = useState('');
+
+    useEffect(() => {
+        const fetchQuote = async () => {
+            try {
+                const response = await fetch(`/api/quotes/${id}`);
+                const data = await response.json();
+                if (!response.ok) throw new Error(data.error || 'Failed to load quote');
+                setQuote(data);
+                setShowOrderForm(!!location.state?.order && !data.order && !data.expired);
+            } catch (err) {
+                setError(err.message);
+            } finally {
+                setLoading(false);
+            }
+        };
+        fetchQuote();
+    }, [id, location.state]);
+
+    const line = quote?.lines[activeLine];
+
+    // Read the selected part's file exactly as it was when quoted
+    const dxfData = useMemo(() => {
+        if (!line) return null;
+        try {
+            return parseDxf(line.dxfContent, line.parseOptions || {});
+        } catch {
+            return null;
+        }
+    }, [line]);
+
+    const copyLink = async () => {
+        try {
+            await navigator.clipboard.writeText(window.location.href);
+            setCopied(true);
+            setTimeout(() => setCopied(false), 2000);
+        } catch (err) {
+            console.error('Failed to copy link:', err);
+        }
+    };
+
+    const handleOrder = async (e) => {
+        e.preventDefault();
+        setPlacingOrder(true);
+        setOrderError('');
+        try {
+            const response = await customerFetch('/api/orders', {
+                method: 'POST',
+                body: JSON.stringify({ ...orderForm, quoteId: quote.id }),
+            });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error || 'Failed to place order');
+            setQuote({ ...quote, order: { ...data, updatedAt: data.createdAt } });
+            setShowOrderForm(false);
+        } catch (err) {
+            setOrderError(err.message);
+        } finally {
+            setPlacingOrder(false);
+        }
+    };
+
+    const orderField = (field, label, { type = 'text', required = false, placeholder = '' } = {}) => (
+        <div>
+            <label className="label">{label}</label>
+            <input
+                type={type}
+                value={orderForm[field]}
+                onChange={(e) => setOrderForm({ ...orderForm, [field]: e.target.value })}
+                className="input"
+                placeholder={placeholder}
+                required={required}
+            />
+        </div>
+    );
+
+    const breakdown = quote?.breakdown;
+    const order = quote?.order;
+
+    return (
+        <div className="min-h-screen">
+            {/* Header */}
+            <header className="border-b border-slate-700/50 bg-slate-900/50 backdrop-blur-xl sticky top-0 z-40">
+                <div className="max-w-7xl mx-auto px-6 py-4 flex justify-between items-center">
+                    <Link to="/" className="text-2xl font-bold gradient-text">DXF Quote Tool</Link>
+                    <div className="flex items-center gap-6">
+                        <Link to="/account" className="text-slate-400 hover:text-white text-sm transition">
+                            {isSignedIn ? 'My Account' : 'Sign In'}
+                        </Link>
+                        <Link to="/" className="text-slate-400 hover:text-white text-sm transition">
+                            New Quote →
+                        </Link>
+                    </div>
+                </div>
+            </header>
+
+            <main className="max-w-7xl mx-auto px-6 py-8">
+                {loading ? (
+                    <div className="flex items-center justify-center h-[60vh]">
+                        <div className="loader" />
+                    </div>
+                ) : error ? (
+                    <div className="glass-card p-8 text-center">
+                        <div className="text-red-400 mb-4">{error}</div>
+                        <Link to="/" className="btn btn-primary">Start a New Quote</Link>
+                    </div>
+                ) : (
+                    <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+                        {/* Parts */}
+                        <div className="lg:col-span-2 space-y-6">
+                            <div className="glass-card overflow-hidden">
+                                <div className="px-4 py-3 border-b border-slate-700/50 flex items-center justify-between">
+                                    <span className="font-medium">{line.fileName}</span>
+                                    <span className="text-sm text-slate-400">
+                                        {formatNumber(line.metrics.width, 'mm', 1)} × {formatNumber(line.metrics.height, 'mm', 1)}
+                                    </span>
+                                </div>
+                                <div className="w-full h-[500px] bg-slate-900 relative">
+                                    {dxfData ? (
+                                        <DXFViewer dxfData={dxfData} />
+                                    ) : (
+                                        <div className="flex items-center justify-center h-full text-slate-400">
+                                            The drawing could not be displayed
+                                        </div>
+                                    )}
+                                </div>
+                            </div>
+
+                            <div className="glass-card overflow-hidden">
+                                <table className="data-table">
+                                    <thead>
+                                        <tr>
+                                            <th>Part</th>
+                                            <th>Material</th>
+                                            <th>Qty</th>
+                                            <th>Unit Price</th>
+                                            <th className="text-right">Total</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {quote.lines.map((l, index) => (
+                                            <tr
+                                                key={l.id}
+                                                onClick={() => setActiveLine(index)}
+                                                className={`cursor-pointer ${index === activeLine ? 'bg-indigo-500/10' : ''}`}
+                                            >
+                                                <td className="font-medium">
+                                                    {l.fileName}
+                                                    {l.breakdown.details.machine && (
+                                                        <div className="text-xs text-slate-500">{l.breakdown.details.machine.name}</div>
+                                                    )}
+                                                </td>
+                                                <td>{l.materialName} · {formatNumber(l.thickness, 'mm')}</td>
+                                                <td>{l.quantity}</td>
+                                                <td>
+                                                    {formatCurrency(l.breakdown.unitPrice, quote.currency)}
+                                                    {l.breakdown.discountPercent > 0 && (
+                                                        <div className="text-xs text-green-400">{l.breakdown.discountPercent}% volume discount</div>
+                                                    )}
+                                                </td>
+                                                <td className="text-right">{formatCurrency(l.lineTotal, quote.currency)}</td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        </div>
+
+                        {/* Locked Price */}
+                        <div className="glass-card p-6 h-fit">
+                            <div className="flex justify-between items-start mb-6">
+                                <div>
+                                    <div className="text-sm text-slate-400">Quote</div>
+                                    <div className="text-xl font-semibold">{quote.number}</div>
+                                </div>
+                                <button onClick={copyLink} className="btn btn-secondary py-2 px-3 text-sm">
+                                    {copied ? 'Copied!' : 'Copy Link'}
+                                </button>
+                            </div>
+
+                            {quote.expired ? (
+                                <div className="p-3 mb-6 rounded-lg bg-red-500/10 border border-red-500/30 text-red-400 text-sm">
+                                    This quote expired on {new Date(quote.expiresAt).toLocaleDateString()}.
+                                    Upload the drawings again for a current price.
+                                </div>
+                            ) : (
+                                <div className="text-sm text-slate-400 mb-6">
+                                    Price held until {new Date(quote.expiresAt).toLocaleDateString()}
+                                </div>
+                            )}
+
+                            <div className="text-center py-6 border-t border-slate-700/50">
+                                {breakdown.estimated && (
+                                    <div className="inline-block mb-3 px-3 py-1 rounded-full text-xs bg-amber-500/20 text-amber-400 border border-amber-500/30">
+                                        Estimated, pending review
+                                    </div>
+                                )}
+                                <div className="text-sm text-slate-400 mb-2">Total Price</div>
+                                <div className={`text-5xl font-bold ${quote.expired ? 'text-slate-500 line-through' : 'gradient-text'}`}>
+                                    {formatCurrency(quote.finalPrice, quote.currency)}
+                                </div>
+                                <div className="text-sm text-slate-400 mt-2">
+                                    {breakdown.lineCount} {breakdown.lineCount === 1 ? 'part' : 'parts'} · {breakdown.quantity} pieces
+                                </div>
+                            </div>
+
+                            <div className="space-y-2 text-sm py-4 border-t border-slate-700/50">
+                                <div className="flex justify-between">
+                                    <span className="text-slate-400">Parts</span>
+                                    <span>{formatCurrency(breakdown.partsTotal, quote.currency)}</span>
+                                </div>
+                                {breakdown.setupCharge > 0 && (
+                                    <div className="flex justify-between">
+                                        <span className="text-slate-400">Setup (once per order)</span>
+                                        <span>{formatCurrency(breakdown.setupCharge, quote.currency)}</span>
+                                    </div>
+                                )}
+                                {breakdown.minChargeApplied && (
+                                    <div className="text-amber-400 text-xs">
+                                        Minimum order charge of {formatCurrency(breakdown.minCharge, quote.currency)} applied
+                                    </div>
+                                )}
+                                {breakdown.shippingEstimate > 0 && (
+                                    <div className="flex justify-between pt-2 border-t border-slate-700/50">
+                                        <span className="text-slate-400">Estimated shipping ({formatNumber(breakdown.totalWeight, 'kg')})</span>
+                                        <span>{formatCurrency(breakdown.shippingEstimate, quote.currency)}</span>
+                                    </div>
+                                )}
+                            </div>
+
+                            {order ? (
+                                <div className="py-4 border-t border-slate-700/50">
+                                    <div className="flex justify-between items-center mb-4">
+                                        <div>
+                                            <div className="text-sm text-slate-400">Order</div>
+                                            <div className="font-semibold">{order.number}</div>
+                                        </div>
+                                        <OrderStatusBadge status={order.status} />
+                                    </div>
+                                    <div className="flex gap-1">
+                                        {ORDER_STATUSES.map((status, i) => (
+                                            <div
+                                                key={status}
+                                                title={ORDER_STATUS_LABELS[status]}
+                                                className={`h-1.5 flex-1 rounded ${i <= ORDER_STATUSES.indexOf(order.status) ? 'bg-indigo-500' : 'bg-slate-700'}`}
+                                            />
+                                        ))}
+                                    </div>
+                                    <div className="text-xs text-slate-500 mt-3">
+                                        Ordered {new Date(order.createdAt).toLocaleString()}
+                                        {order.updatedAt !== order.createdAt && ` · Updated ${new Date(order.updatedAt).toLocaleString()}`}
+                                    </div>
+                                </div>
+                            ) : !quote.expired && (
+                                <div className="py-4 border-t border-slate-700/50">
+                                    <button onClick={() => setShowOrderForm(true)} className="btn btn-primary w-full py-3">
+                                        Place Order
+                                    </button>
+                                </div>
+                            )}
+
+                            <div className="text-xs text-slate-500 pt-4 border-t border-slate-700/50">
+                                Quoted {new Date(quote.createdAt).toLocaleString()}
+                            </div>
+                        </div>
+                    </div>
+                )}
+            </main>
+
+            {/* Order Form */}
+            {showOrderForm && (
+                <div className="modal-overlay" onClick={() => setShowOrderForm(false)}>
+                    <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+                        <h2 className="text-xl font-bold mb-2">Place Order</h2>
+                        <p className="text-sm text-slate-400 mb-6">
+                            {quote.number} · {formatCurrency(quote.finalPrice, quote.currency)}
+                        </p>
+
+                        <form onSubmit={handleOrder} className="space-y-4">
+                            {orderError && (
+                                <div className="p-3 rounded-lg bg-red-500/10 border border-red-500/30 text-red-400 text-sm">
+                                    {orderError}
+                                </div>
+                            )}
+
+                            <div className="grid grid-cols-2 gap-4">
+                                {orderField('contactName', 'Name', { required: true })}
+                                {orderField('company', 'Company')}
+                            </div>
+                            <div className="grid grid-cols-2 gap-4">
+                                {orderField('email', 'Email', { type: 'email', required: true })}
+                                {orderField('phone', 'Phone', { type: 'tel' })}
+                            </div>
+
+                            {orderField('addressLine1', 'Shipping Address', { required: true, placeholder: 'Street address' })}
+                            {orderField('addressLine2', 'Address Line 2', { placeholder: 'Apartment, suite, unit' })}
+                            <div className="grid grid-cols-2 gap-4">
+                                {orderField('city', 'City', { required: true })}
+                                {orderField('region', 'State / Province')}
+                            </div>
+                            <div className="grid grid-cols-2 gap-4">
+                                {orderField('postalCode', 'Postal Code', { required: true })}
+                                {orderField('country', 'Country', { required: true })}
+                            </div>
+
+                            <div>
+                                <label className="label">Notes</label>
+                                <textarea
+                                    value={orderForm.notes}
+                                    onChange={(e) => setOrderForm({ ...orderForm, notes: e.target.value })}
+                                    className="input"
+                                    rows={3}
+                                    placeholder="Anything we should know about this order"
+                                />
+                            </div>
+
+                            <div className="flex justify-end gap-3 pt-4">
+                                <button type="button" onClick={() => setShowOrderForm(false)} className="btn btn-secondary">
+                                    Cancel
+                                </button>
+                                <button type="submit" disabled={placingOrder} className="btn btn-primary">
+                                    {placingOrder ? 'Placing order...' : 'Place Order'}
+                                </button>
+                            </div>
+                        </form>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
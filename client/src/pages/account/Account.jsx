@@ -0,0 +1,329 @@
+import { useState, useEffect } from 'react';
+import { useNavigate, Link } from 'react-router-dom';
+import { useCustomer } from '../../contexts/useCustomer';
+import { formatCurrency, formatNumber } from '@shared/pricing';
+import OrderStatusBadge from '../../components/OrderStatusBadge';
+
+const PROFILE_FIELDS = ['name', 'company', 'phone', 'addressLine1', 'addressLine2', 'city', 'region', 'postalCode', 'country'];
+
+// The account's details as form values
+function profileForm(customer) {
+    return Object.fromEntries(PROFILE_FIELDS.map(field => [field, customer?.[field] || '']));
+}
+
+// "part.dxf + 2 more"
+function partsSummary(lines) {
+    return `${lines[0]?.fileName || ''}${lines.length > 1 ? ` + ${lines.length - 1} more` : ''}`;
+}
+
+/**
+ * My Account: the customer's orders, past quotes, parts they can order
+ * again, and the company details the order form is filled in with
+ */
+export default function Account() {
+    const { customer, isSignedIn, logout, saveCustomer, customerFetch } = useCustomer();
+    const navigate = useNavigate();
+    const [orders, setOrders] = useState([]);
+    const [quotes, setQuotes] = useState([]);
+    const [parts, setParts] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+
+    const [profile, setProfile] = useState(() => profileForm(customer));
+    const [savingProfile, setSavingProfile] = useState(false);
+    const [profileMessage, setProfileMessage] = useState('');
+    const [reordering, setReordering] = useState(null);
+
+    useEffect(() => {
+        if (!isSignedIn) {
+            navigate('/account/login');
+        }
+    }, [isSignedIn, navigate]);
+
+    useEffect(() => {
+        if (isSignedIn) fetchAccount();
+    }, []);
+
+    const fetchAccount = async () => {
+        try {
+            const [accountRes, ordersRes, quotesRes, partsRes] = await Promise.all([
+                customerFetch('/api/account'),
+                customerFetch('/api/account/orders'),
+                customerFetch('/api/account/quotes'),
+                customerFetch('/api/account/parts'),
+            ]);
+            const account = await accountRes.json();
+            if (!accountRes.ok) throw new Error(account.error || 'Failed to load account');
+            saveCustomer(account);
+            setProfile(profileForm(account));
+            setOrders(await ordersRes.json());
+            setQuotes(await quotesRes.json());
+            setParts(await partsRes.json());
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleSaveProfile = async (e) => {
+        e.preventDefault();
+        setSavingProfile(true);
+        setProfileMessage('');
+        try {
+            const response = await customerFetch('/api/account', {
+                method: 'PUT',
+                body: JSON.stringify(profile),
+            });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error || 'Failed to save details');
+            saveCustomer(data);
+            setProfileMessage('Saved');
+        } catch (err) {
+            setProfileMessage(err.message);
+        } finally {
+            setSavingProfile(false);
+        }
+    };
+
+    // A new quote for the part at today's prices, opened ready to order
+    const handleReorder = async (part) => {
+        setReordering(part.id);
+        setError('');
+        try {
+            const response = await customerFetch(`/api/account/parts/${part.id}/reorder`, { method: 'POST' });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error || 'Failed to re-order part');
+            navigate(`/quote/${data.id}`, { state: { order: true } });
+        } catch (err) {
+            setError(err.message);
+            setReordering(null);
+        }
+    };
+
+    const handleLogout = () => {
+        logout();
+        navigate('/');
+    };
+
+    const profileField = (field, label, { required = false, placeholder = '' } = {}) => (
+        <div>
+            <label className="label">{label}</label>
+            <input
+                type="text"
+                value={profile[field]}
+                onChange={(e) => setProfile({ ...profile, [field]: e.target.value })}
+                className="input"
+                placeholder={placeholder}
+                required={required}
+            />
+        </div>
+    );
+
+    if (!isSignedIn) {
+        return null;
+    }
+
+    return (
+        <div className="min-h-screen">
+            {/* Header */}
+            <header className="border-b border-slate-700/50 bg-slate-900/50 backdrop-blur-xl sticky top-0 z-40">
+                <div className="max-w-7xl mx-auto px-6 py-4 flex justify-between items-center">
+                    <Link to="/" className="text-2xl font-bold gradient-text">DXF Quote Tool</Link>
+                    <div className="flex items-center gap-6">
+                        <button onClick={handleLogout} className="text-slate-400 hover:text-white text-sm transition">
+                            Sign Out
+                        </button>
+                        <Link to="/" className="text-slate-400 hover:text-white text-sm transition">
+                            New Quote →
+                        </Link>
+                    </div>
+                </div>
+            </header>
+
+            <main className="max-w-7xl mx-auto px-6 py-8">
+                <div className="mb-8">
+                    <h1 className="text-3xl font-bold mb-2">My Account</h1>
+                    <p className="text-slate-400">{customer?.name} · {customer?.email}</p>
+                </div>
+
+                {error && (
+                    <div className="p-4 mb-6 rounded-xl bg-red-500/10 border border-red-500/30 text-red-400">
+                        {error}
+                    </div>
+                )}
+
+                {loading ? (
+                    <div className="flex items-center justify-center h-64">
+                        <div className="loader" />
+                    </div>
+                ) : (
+                    <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+                        <div className="lg:col-span-2 space-y-6">
+                            {/* Orders */}
+                            <div className="glass-card overflow-hidden">
+                                <div className="px-4 py-3 border-b border-slate-700/50 font-medium">Orders</div>
+                                {orders.length === 0 ? (
+                                    <p className="p-4 text-sm text-slate-400">No orders yet.</p>
+                                ) : (
+                                    <table className="data-table">
+                                        <thead>
+                                            <tr>
+                                                <th>Order</th>
+                                                <th>Parts</th>
+                                                <th>Total</th>
+                                                <th>Status</th>
+                                                <th>Placed</th>
+                                            </tr>
+                                        </thead>
+                                        <tbody>
+                                            {orders.map((order) => (
+                                                <tr
+                                                    key={order.id}
+                                                    onClick={() => navigate(`/quote/${order.quote.id}`)}
+                                                    className="cursor-pointer"
+                                                >
+                                                    <td className="font-medium">
+                                                        {order.number}
+                                                        <div className="text-xs text-slate-500">{order.quote.number}</div>
+                                                    </td>
+                                                    <td>{partsSummary(order.quote.lines)}</td>
+                                                    <td>{formatCurrency(order.quote.finalPrice, order.quote.currency)}</td>
+                                                    <td><OrderStatusBadge status={order.status} /></td>
+                                                    <td className="text-sm text-slate-400">{new Date(order.createdAt).toLocaleDateString()}</td>
+                                                </tr>
+                                            ))}
+                                        </tbody>
+                                    </table>
+                                )}
+                            </div>
+
+                            {/* Quotes */}
+                            <div className="glass-card overflow-hidden">
+                                <div className="px-4 py-3 border-b border-slate-700/50 font-medium">Quotes</div>
+                                {quotes.length === 0 ? (
+                                    <p className="p-4 text-sm text-slate-400">
+                                        Quotes you save while signed in show up here.
+                                    </p>
+                                ) : (
+                                    <table className="data-table">
+                                        <thead>
+                                            <tr>
+                                                <th>Quote</th>
+                                                <th>Parts</th>
+                                                <th>Total</th>
+                                                <th>Status</th>
+                                                <th>Created</th>
+                                            </tr>
+                                        </thead>
+                                        <tbody>
+                                            {quotes.map((quote) => (
+                                                <tr
+                                                    key={quote.id}
+                                                    onClick={() => navigate(`/quote/${quote.id}`)}
+                                                    className="cursor-pointer"
+                                                >
+                                                    <td className="font-medium">{quote.number}</td>
+                                                    <td>{partsSummary(quote.lines)}</td>
+                                                    <td>{formatCurrency(quote.finalPrice, quote.currency)}</td>
+                                                    <td className="text-sm">
+                                                        {quote.order ? (
+                                                            <span className="text-green-400">Ordered · {quote.order.number}</span>
+                                                        ) : quote.expired ? (
+                                                            <span className="text-slate-500">Expired</span>
+                                                        ) : (
+                                                            <span className="text-slate-300">
+                                                                Valid until {new Date(quote.expiresAt).toLocaleDateString()}
+                                                            </span>
+                                                        )}
+                                                    </td>
+                                                    <td className="text-sm text-slate-400">{new Date(quote.createdAt).toLocaleDateString()}</td>
+                                                </tr>
+                                            ))}
+                                        </tbody>
+                                    </table>
+                                )}
+                            </div>
+
+                            {/* Saved parts */}
+                            <div className="glass-card overflow-hidden">
+                                <div className="px-4 py-3 border-b border-slate-700/50">
+                                    <span className="font-medium">Saved Parts</span>
+                                    <span className="text-sm text-slate-400 ml-2">Re-order at today's price, in the same material and quantity</span>
+                                </div>
+                                {parts.length === 0 ? (
+                                    <p className="p-4 text-sm text-slate-400">No parts yet.</p>
+                                ) : (
+                                    <table className="data-table">
+                                        <thead>
+                                            <tr>
+                                                <th>Part</th>
+                                                <th>Size</th>
+                                                <th>Material</th>
+                                                <th>Qty</th>
+                                                <th>Last Quoted</th>
+                                                <th />
+                                            </tr>
+                                        </thead>
+                                        <tbody>
+                                            {parts.map((part) => (
+                                                <tr key={part.id}>
+                                                    <td className="font-medium">{part.fileName}</td>
+                                                    <td className="whitespace-nowrap">
+                                                        {formatNumber(part.metrics.width, '', 1)} × {formatNumber(part.metrics.height, 'mm', 1)}
+                                                    </td>
+                                                    <td>{part.materialName} · {formatNumber(part.thickness, 'mm')}</td>
+                                                    <td>{part.quantity}</td>
+                                                    <td className="text-sm text-slate-400">
+                                                        {part.quote.number}
+                                                        <div className="text-xs">{new Date(part.quote.createdAt).toLocaleDateString()}</div>
+                                                    </td>
+                                                    <td className="text-right">
+                                                        <button
+                                                            onClick={() => handleReorder(part)}
+                                                            disabled={reordering !== null}
+                                                            className="btn btn-secondary py-1 px-3 text-sm"
+                                                        >
+                                                            {reordering === part.id ? 'Quoting...' : 'Re-order'}
+                                                        </button>
+                                                    </td>
+                                                </tr>
+                                            ))}
+                                        </tbody>
+                                    </table>
+                                )}
+                            </div>
+                        </div>
+
+                        {/* Company details */}
+                        <form onSubmit={handleSaveProfile} className="glass-card p-6 space-y-4 h-fit">
+                            <div>
+                                <h3 className="font-semibold">Company Details</h3>
+                                <p className="text-sm text-slate-400">Filled into the order form when you order</p>
+                            </div>
+                            {profileField('name', 'Name', { required: true })}
+                            {profileField('company', 'Company')}
+                            {profileField('phone', 'Phone')}
+                            {profileField('addressLine1', 'Shipping Address', { placeholder: 'Street address' })}
+                            {profileField('addressLine2', 'Address Line 2', { placeholder: 'Apartment, suite, unit' })}
+                            <div className="grid grid-cols-2 gap-4">
+                                {profileField('city', 'City')}
+                                {profileField('region', 'State / Province')}
+                            </div>
+                            <div className="grid grid-cols-2 gap-4">
+                                {profileField('postalCode', 'Postal Code')}
+                                {profileField('country', 'Country')}
+                            </div>
+                            <div className="flex items-center justify-between">
+                                <span className="text-sm text-slate-400">{profileMessage}</span>
+                                <button type="submit" disabled={savingProfile} className="btn btn-primary">
+                                    {savingProfile ? 'Saving...' : 'Save Details'}
+                                </button>
+                            </div>
+                        </form>
+                    </div>
+                )}
+            </main>
+        </div>
+    );
+}
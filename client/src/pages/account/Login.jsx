@@ -0,0 +1,110 @@
+import { useState } from 'react';
+import { useNavigate, Link } from 'react-router-dom';
+import { useCustomer } from '../../contexts/useCustomer';
+
+const EMPTY_FORM = { name: '', company: '', email: '', password: '' };
+
+/**
+ * Sign in, or create an account, to keep quotes and orders in one place
+ */
+export default function CustomerLogin() {
+    const [creating, setCreating] = useState(false);
+    const [form, setForm] = useState(EMPTY_FORM);
+    const [error, setError] = useState('');
+    const { login, register, loading } = useCustomer();
+    const navigate = useNavigate();
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+
+        const result = creating ? await register(form) : await login(form.email, form.password);
+        if (result.success) {
+            navigate('/account');
+        } else {
+            setError(result.error);
+        }
+    };
+
+    const field = (name, label, { type = 'text', required = false, placeholder = '' } = {}) => (
+        <div>
+            <label className="label">{label}</label>
+            <input
+                type={type}
+                value={form[name]}
+                onChange={(e) => setForm({ ...form, [name]: e.target.value })}
+                className="input"
+                placeholder={placeholder}
+                required={required}
+            />
+        </div>
+    );
+
+    return (
+        <div className="min-h-screen flex items-center justify-center p-4">
+            {/* Background effects */}
+            <div className="fixed inset-0 overflow-hidden pointer-events-none">
+                <div className="absolute top-1/4 left-1/4 w-96 h-96 bg-indigo-500/20 rounded-full blur-3xl" />
+                <div className="absolute bottom-1/4 right-1/4 w-96 h-96 bg-purple-500/20 rounded-full blur-3xl" />
+            </div>
+
+            <div className="glass-card p-8 w-full max-w-md relative z-10">
+                <div className="text-center mb-8">
+                    <div className="inline-flex items-center justify-center w-16 h-16 rounded-2xl bg-gradient-to-br from-indigo-500 to-purple-600 mb-4">
+                        <svg className="w-8 h-8 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M16 7a4 4 0 11-8 0 4 4 0 018 0zM12 14a7 7 0 00-7 7h14a7 7 0 00-7-7z" />
+                        </svg>
+                    </div>
+                    <h1 className="text-2xl font-bold gradient-text">{creating ? 'Create Account' : 'Sign In'}</h1>
+                    <p className="text-slate-400 mt-2">Keep your quotes, orders and parts in one place</p>
+                </div>
+
+                <form onSubmit={handleSubmit} className="space-y-5">
+                    {error && (
+                        <div className="p-3 rounded-lg bg-red-500/10 border border-red-500/30 text-red-400 text-sm">
+                            {error}
+                        </div>
+                    )}
+
+                    {creating && (
+                        <>
+                            {field('name', 'Name', { required: true })}
+                            {field('company', 'Company')}
+                        </>
+                    )}
+                    {field('email', 'Email', { type: 'email', required: true, placeholder: 'you@company.com' })}
+                    {field('password', 'Password', {
+                        type: 'password',
+                        required: true,
+                        placeholder: creating ? 'At least 8 characters' : 'Enter password',
+                    })}
+
+                    <button
+                        type="submit"
+                        disabled={loading}
+                        className="btn btn-primary w-full justify-center"
+                    >
+                        {loading ? <div className="loader w-5 h-5" /> : creating ? 'Create Account' : 'Sign In'}
+                    </button>
+                </form>
+
+                <p className="text-center text-slate-400 text-sm mt-6">
+                    {creating ? 'Already have an account? ' : 'New here? '}
+                    <button
+                        type="button"
+                        onClick={() => {
+                            setCreating(!creating);
+                            setError('');
+                        }}
+                        className="text-indigo-400 hover:text-indigo-300"
+                    >
+                        {creating ? 'Sign in' : 'Create an account'}
+                    </button>
+                </p>
+                <p className="text-center text-slate-500 text-sm mt-2">
+                    <Link to="/" className="text-indigo-400 hover:text-indigo-300">← Back to Quote Tool</Link>
+                </p>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,428 @@
+import { useState, useEffect } from 'react';
+import { useAuth } from '../../contexts/AuthContext';
+import { MACHINE_TYPES, MACHINE_TYPE_LABELS } from '@shared/machines';
+
+const EMPTY_FORM = {
+    name: '',
+    type: MACHINE_TYPES.LASER,
+    hourlyRate: '',
+    maxSheetWidth: '',
+    maxSheetHeight: '',
+    kerf: '',
+    rapidSpeed: '',
+    active: true,
+    capabilities: [],
+};
+
+export default function Machines() {
+    const { authFetch } = useAuth();
+    const [machines, setMachines] = useState([]);
+    const [materials, setMaterials] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [showModal, setShowModal] = useState(false);
+    const [editingMachine, setEditingMachine] = useState(null);
+    const [formData, setFormData] = useState(EMPTY_FORM);
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        fetchData();
+    }, []);
+
+    const fetchData = async () => {
+        try {
+            const [machinesRes, materialsRes] = await Promise.all([
+                authFetch('/api/admin/machines'),
+                authFetch('/api/admin/materials'),
+            ]);
+            setMachines(await machinesRes.json());
+            setMaterials(await materialsRes.json());
+        } catch (error) {
+            console.error('Failed to fetch data:', error);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const openModal = (machine = null) => {
+        setEditingMachine(machine);
+        setFormData(machine
+            ? {
+                name: machine.name,
+                type: machine.type,
+                hourlyRate: machine.hourlyRate.toString(),
+                maxSheetWidth: machine.maxSheetWidth ? machine.maxSheetWidth.toString() : '',
+                maxSheetHeight: machine.maxSheetHeight ? machine.maxSheetHeight.toString() : '',
+                kerf: machine.kerf ? machine.kerf.toString() : '',
+                rapidSpeed: machine.rapidSpeed ? machine.rapidSpeed.toString() : '',
+                active: machine.active,
+                capabilities: machine.capabilities.map(c => ({
+                    materialId: c.materialId.toString(),
+                    minThickness: c.minThickness.toString(),
+                    maxThickness: c.maxThickness.toString(),
+                    speedTable: c.speedTable,
+                    kerf: c.kerf ? c.kerf.toString() : '',
+                })),
+            }
+            : EMPTY_FORM);
+        setError('');
+        setShowModal(true);
+    };
+
+    const closeModal = () => {
+        setShowModal(false);
+        setEditingMachine(null);
+        setFormData(EMPTY_FORM);
+        setError('');
+    };
+
+    const updateCapability = (index, changes) => {
+        const capabilities = formData.capabilities.map((c, i) => (i === index ? { ...c, ...changes } : c));
+        setFormData({ ...formData, capabilities });
+    };
+
+    const addCapability = () => {
+        setFormData({
+            ...formData,
+            capabilities: [
+                ...formData.capabilities,
+                { materialId: materials[0]?.id?.toString() || '', minThickness: '', maxThickness: '', speedTable: '', kerf: '' },
+            ],
+        });
+    };
+
+    const removeCapability = (index) => {
+        setFormData({ ...formData, capabilities: formData.capabilities.filter((_, i) => i !== index) });
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        setError('');
+
+        try {
+            if (!(parseFloat(formData.hourlyRate) > 0)) throw new Error('Invalid hourly rate.');
+            for (const c of formData.capabilities) {
+                const min = parseFloat(c.minThickness) || 0;
+                const max = parseFloat(c.maxThickness);
+                if (!(max > 0) || max < min) throw new Error('Each material needs a thickness range (max ≥ min).');
+                const pairs = c.speedTable.split(',').map(pair => pair.split(':').map(v => parseFloat(v)));
+                if (!pairs.every(([thickness, speed]) => thickness > 0 && speed > 0)) {
+                    throw new Error('Speed tables are thickness:speed pairs, e.g. "1:9000, 3:4200".');
+                }
+            }
+
+            const url = editingMachine
+                ? `/api/admin/machines/${editingMachine.id}`
+                : '/api/admin/machines';
+
+            const response = await authFetch(url, {
+                method: editingMachine ? 'PUT' : 'POST',
+                body: JSON.stringify(formData),
+            });
+
+            if (!response.ok) {
+                const data = await response.json();
+                throw new Error(data.error || 'Failed to save');
+            }
+
+            await fetchData();
+            closeModal();
+        } catch (error) {
+            setError(error.message);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleDelete = async (id) => {
+        if (!confirm('Are you sure you want to delete this machine?')) return;
+
+        try {
+            await authFetch(`/api/admin/machines/${id}`, { method: 'DELETE' });
+            await fetchData();
+        } catch (error) {
+            console.error('Failed to delete:', error);
+        }
+    };
+
+    if (loading) {
+        return (
+            <div className="flex items-center justify-center h-64">
+                <div className="loader" />
+            </div>
+        );
+    }
+
+    return (
+        <div>
+            <div className="flex justify-between items-center mb-8">
+                <div>
+                    <h1 className="text-3xl font-bold mb-2">Machines</h1>
+                    <p className="text-slate-400">Machines, their rates and what they can cut</p>
+                </div>
+                <button onClick={() => openModal()} className="btn btn-primary">
+                    <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
+                    </svg>
+                    Add Machine
+                </button>
+            </div>
+
+            <div className="glass-card overflow-hidden">
+                <table className="data-table">
+                    <thead>
+                        <tr>
+                            <th>Name</th>
+                            <th>Rate ($/hr)</th>
+                            <th>Max Sheet (mm)</th>
+                            <th>Kerf (mm)</th>
+                            <th>Materials</th>
+                            <th className="text-right">Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {machines.length === 0 ? (
+                            <tr>
+                                <td colSpan={6} className="text-center py-12 text-slate-400">
+                                    No machines found. Without machines, quotes use the cut speed and rate from Pricing.
+                                </td>
+                            </tr>
+                        ) : (
+                            machines.map((machine) => (
+                                <tr key={machine.id} className={machine.active ? '' : 'opacity-50'}>
+                                    <td className="font-medium">
+                                        {machine.name}
+                                        <div className="text-xs text-slate-500">
+                                            {MACHINE_TYPE_LABELS[machine.type] || machine.type}
+                                            {!machine.active && ' · inactive'}
+                                        </div>
+                                    </td>
+                                    <td>${machine.hourlyRate.toFixed(2)}</td>
+                                    <td>{machine.maxSheetWidth} × {machine.maxSheetHeight}</td>
+                                    <td>{machine.kerf || '—'}</td>
+                                    <td className="text-sm">
+                                        {machine.capabilities.map(c => (
+                                            <div key={c.id}>
+                                                {c.material?.name} <span className="text-slate-500">{c.minThickness}–{c.maxThickness} mm</span>
+                                            </div>
+                                        ))}
+                                    </td>
+                                    <td className="text-right">
+                                        <button onClick={() => openModal(machine)} className="btn btn-secondary mr-2 py-2 px-3">
+                                            Edit
+                                        </button>
+                                        <button onClick={() => handleDelete(machine.id)} className="btn btn-danger py-2 px-3">
+                                            Delete
+                                        </button>
+                                    </td>
+                                </tr>
+                            ))
+                        )}
+                    </tbody>
+                </table>
+            </div>
+
+            {/* Modal */}
+            {showModal && (
+                <div className="modal-overlay" onClick={closeModal}>
+                    <div className="modal-content !max-w-2xl" onClick={(e) => e.stopPropagation()}>
+                        <h2 className="text-xl font-bold mb-6">
+                            {editingMachine ? 'Edit Machine' : 'Add Machine'}
+                        </h2>
+
+                        <form onSubmit={handleSubmit} className="space-y-4">
+                            {error && (
+                                <div className="p-3 rounded-lg bg-red-500/10 border border-red-500/30 text-red-400 text-sm">
+                                    {error}
+                                </div>
+                            )}
+
+                            <div className="grid grid-cols-2 gap-4">
+                                <div>
+                                    <label className="label">Name</label>
+                                    <input
+                                        type="text"
+                                        value={formData.name}
+                                        onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+                                        className="input"
+                                        placeholder="e.g., Fiber Laser 3kW"
+                                        required
+                                    />
+                                </div>
+                                <div>
+                                    <label className="label">Type</label>
+                                    <select
+                                        value={formData.type}
+                                        onChange={(e) => setFormData({ ...formData, type: e.target.value })}
+                                        className="select"
+                                    >
+                                        {Object.entries(MACHINE_TYPE_LABELS).map(([value, label]) => (
+                                            <option key={value} value={value}>{label}</option>
+                                        ))}
+                                    </select>
+                                </div>
+                            </div>
+
+                            <div className="grid grid-cols-4 gap-4">
+                                <div>
+                                    <label className="label">Rate ($/hr)</label>
+                                    <input
+                                        type="number"
+                                        step="1"
+                                        min="0"
+                                        value={formData.hourlyRate}
+                                        onChange={(e) => setFormData({ ...formData, hourlyRate: e.target.value })}
+                                        className="input"
+                                        placeholder="e.g., 90"
+                                        required
+                                    />
+                                </div>
+                                <div>
+                                    <label className="label">Max Width</label>
+                                    <input
+                                        type="number"
+                                        step="1"
+                                        min="0"
+                                        value={formData.maxSheetWidth}
+                                        onChange={(e) => setFormData({ ...formData, maxSheetWidth: e.target.value })}
+                                        className="input"
+                                        placeholder="mm"
+                                    />
+                                </div>
+                                <div>
+                                    <label className="label">Max Height</label>
+                                    <input
+                                        type="number"
+                                        step="1"
+                                        min="0"
+                                        value={formData.maxSheetHeight}
+                                        onChange={(e) => setFormData({ ...formData, maxSheetHeight: e.target.value })}
+                                        className="input"
+                                        placeholder="mm"
+                                    />
+                                </div>
+                                <div>
+                                    <label className="label">Kerf (mm)</label>
+                                    <input
+                                        type="number"
+                                        step="0.01"
+                                        min="0"
+                                        value={formData.kerf}
+                                        onChange={(e) => setFormData({ ...formData, kerf: e.target.value })}
+                                        className="input"
+                                        placeholder="e.g., 0.15"
+                                    />
+                                </div>
+                            </div>
+
+                            <div>
+                                <label className="label">Rapid Speed (mm/min) - Optional</label>
+                                <input
+                                    type="number"
+                                    step="100"
+                                    min="0"
+                                    value={formData.rapidSpeed}
+                                    onChange={(e) => setFormData({ ...formData, rapidSpeed: e.target.value })}
+                                    className="input"
+                                    placeholder="Global rapid speed"
+                                />
+                                <span className="text-xs text-slate-500 mt-1 block">How fast the head moves between contours with the beam off</span>
+                            </div>
+
+                            <div>
+                                <label className="label">Materials</label>
+                                <div className="space-y-2">
+                                    {formData.capabilities.map((c, index) => (
+                                        <div key={index} className="flex gap-2">
+                                            <select
+                                                value={c.materialId}
+                                                onChange={(e) => updateCapability(index, { materialId: e.target.value })}
+                                                className="select w-40"
+                                            >
+                                                {materials.map((m) => (
+                                                    <option key={m.id} value={m.id}>{m.name}</option>
+                                                ))}
+                                            </select>
+                                            <input
+                                                type="number"
+                                                step="0.1"
+                                                min="0"
+                                                value={c.minThickness}
+                                                onChange={(e) => updateCapability(index, { minThickness: e.target.value })}
+                                                className="input w-20"
+                                                placeholder="Min"
+                                                title="Minimum thickness (mm)"
+                                            />
+                                            <input
+                                                type="number"
+                                                step="0.1"
+                                                min="0"
+                                                value={c.maxThickness}
+                                                onChange={(e) => updateCapability(index, { maxThickness: e.target.value })}
+                                                className="input w-20"
+                                                placeholder="Max"
+                                                title="Maximum thickness (mm)"
+                                            />
+                                            <input
+                                                type="text"
+                                                value={c.speedTable}
+                                                onChange={(e) => updateCapability(index, { speedTable: e.target.value })}
+                                                className="input flex-1"
+                                                placeholder="e.g., 1:9000, 3:4200"
+                                                title="Thickness (mm) : cut speed (mm/min)"
+                                            />
+                                            <input
+                                                type="number"
+                                                step="0.01"
+                                                min="0"
+                                                value={c.kerf}
+                                                onChange={(e) => updateCapability(index, { kerf: e.target.value })}
+                                                className="input w-20"
+                                                placeholder="Kerf"
+                                                title="Kerf for this material (mm), defaults to the machine's"
+                                            />
+                                            <button
+                                                type="button"
+                                                onClick={() => removeCapability(index)}
+                                                className="btn btn-danger px-3"
+                                                title="Remove material"
+                                            >
+                                                ×
+                                            </button>
+                                        </div>
+                                    ))}
+                                </div>
+                                <button type="button" onClick={addCapability} className="btn btn-secondary mt-2" disabled={materials.length === 0}>
+                                    Add Material
+                                </button>
+                                <span className="text-xs text-slate-500 mt-1 block">
+                                    Thickness range in mm, and cut speeds as thickness:mm/min pairs. Speeds between the
+                                    listed thicknesses are interpolated. Kerf is optional and overrides the machine's.
+                                </span>
+                            </div>
+
+                            <label className="flex items-center gap-2 text-sm">
+                                <input
+                                    type="checkbox"
+                                    checked={formData.active}
+                                    onChange={(e) => setFormData({ ...formData, active: e.target.checked })}
+                                />
+                                Active (offered on quotes)
+                            </label>
+
+                            <div className="flex justify-end gap-3 pt-4">
+                                <button type="button" onClick={closeModal} className="btn btn-secondary">
+                                    Cancel
+                                </button>
+                                <button type="submit" disabled={saving} className="btn btn-primary">
+                                    {saving ? 'Saving...' : 'Save'}
+                                </button>
+                            </div>
+                        </form>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
@@ -1,5 +1,16 @@
 import { useState, useEffect } from 'react';
 import { useAuth } from '../../contexts/AuthContext';
+import { AREA_MODES } from '@shared/pricing';
+
+const AREA_MODE_LABELS = {
+    [AREA_MODES.BBOX]: 'Bounding box',
+    [AREA_MODES.NET]: 'Net part area',
+    [AREA_MODES.HULL]: 'Convex hull',
+    [AREA_MODES.SHEETS]: 'Sheets consumed (nested)',
+    [AREA_MODES.UTILIZED]: 'Net area + scrap factor',
+};
+
+const EMPTY_FORM = { name: '', defaultDensity: '', pricePerKg: '', areaMode: AREA_MODES.BBOX, quantityBreaks: '', allowInterpolation: false };
 
 export default function Materials() {
     const { authFetch } = useAuth();
@@ -7,7 +18,7 @@ export default function Materials() {
     const [loading, setLoading] = useState(true);
     const [showModal, setShowModal] = useState(false);
     const [editingMaterial, setEditingMaterial] = useState(null);
-    const [formData, setFormData] = useState({ name: '', defaultDensity: '' });
+    const [formData, setFormData] = useState(EMPTY_FORM);
     const [saving, setSaving] = useState(false);
     const [error, setError] = useState('');
 
@@ -29,7 +40,16 @@ export default function Materials() {
 
     const openModal = (material = null) => {
         setEditingMaterial(material);
-        setFormData(material ? { name: material.name, defaultDensity: material.defaultDensity || '' } : { name: '', defaultDensity: '' });
+        setFormData(material
+            ? {
+                name: material.name,
+                defaultDensity: material.defaultDensity || '',
+                pricePerKg: material.pricePerKg || '',
+                areaMode: material.areaMode || AREA_MODES.BBOX,
+                quantityBreaks: material.quantityBreaks || '',
+                allowInterpolation: !!material.allowInterpolation,
+            }
+            : EMPTY_FORM);
         setError('');
         setShowModal(true);
     };
@@ -37,7 +57,7 @@ export default function Materials() {
     const closeModal = () => {
         setShowModal(false);
         setEditingMaterial(null);
-        setFormData({ name: '', defaultDensity: '' });
+        setFormData(EMPTY_FORM);
         setError('');
     };
 
@@ -56,6 +76,10 @@ export default function Materials() {
                 body: JSON.stringify({
                     name: formData.name,
                     defaultDensity: formData.defaultDensity ? parseFloat(formData.defaultDensity) : null,
+                    pricePerKg: formData.pricePerKg ? parseFloat(formData.pricePerKg) : null,
+                    areaMode: formData.areaMode,
+                    quantityBreaks: formData.quantityBreaks,
+                    allowInterpolation: formData.allowInterpolation,
                 }),
             });
 
@@ -115,6 +139,8 @@ export default function Materials() {
                         <tr>
                             <th>Name</th>
                             <th>Density (g/cm³)</th>
+                            <th>Billed Area</th>
+                            <th>Quantity Breaks</th>
                             <th>Pricing Entries</th>
                             <th className="text-right">Actions</th>
                         </tr>
@@ -122,7 +148,7 @@ export default function Materials() {
                     <tbody>
                         {materials.length === 0 ? (
                             <tr>
-                                <td colSpan={4} className="text-center py-12 text-slate-400">
+                                <td colSpan={6} className="text-center py-12 text-slate-400">
                                     No materials found. Add your first material to get started.
                                 </td>
                             </tr>
@@ -131,10 +157,20 @@ export default function Materials() {
                                 <tr key={material.id}>
                                     <td className="font-medium">{material.name}</td>
                                     <td>{material.defaultDensity || '—'}</td>
+                                    <td>
+                                        {AREA_MODE_LABELS[material.areaMode] || AREA_MODE_LABELS[AREA_MODES.BBOX]}
+                                        {material.pricePerKg > 0 && (
+                                            <span className="text-xs text-slate-500 ml-1">(${material.pricePerKg}/kg)</span>
+                                        )}
+                                    </td>
+                                    <td className="text-sm">{material.quantityBreaks || <span className="text-slate-500">Global</span>}</td>
                                     <td>
                                         <span className="px-2 py-1 bg-slate-700 rounded-lg text-sm">
                                             {material.pricingEntries?.length || 0} entries
                                         </span>
+                                        {material.allowInterpolation && (
+                                            <span className="text-xs text-slate-500 ml-2">+ interpolated</span>
+                                        )}
                                     </td>
                                     <td className="text-right">
                                         <button onClick={() => openModal(material)} className="btn btn-secondary mr-2 py-2 px-3">
@@ -188,6 +224,69 @@ export default function Materials() {
                                     className="input"
                                     placeholder="e.g., 7.85"
                                 />
+                                <span className="text-xs text-slate-500 mt-1 block">Used for part and shipping weight</span>
+                            </div>
+
+                            <div>
+                                <label className="label">Price per kg ($) - Optional</label>
+                                <input
+                                    type="number"
+                                    step="0.01"
+                                    min="0"
+                                    value={formData.pricePerKg}
+                                    onChange={(e) => setFormData({ ...formData, pricePerKg: e.target.value })}
+                                    className="input"
+                                    placeholder="e.g., 1.20"
+                                />
+                                <span className="text-xs text-slate-500 mt-1 block">
+                                    Bills the weight of the billed area instead of the pricing table's cost per area. Needs a density.
+                                </span>
+                            </div>
+
+                            <div>
+                                <label className="label">Bill Material By</label>
+                                <select
+                                    value={formData.areaMode}
+                                    onChange={(e) => setFormData({ ...formData, areaMode: e.target.value })}
+                                    className="select"
+                                >
+                                    {Object.entries(AREA_MODE_LABELS).map(([value, label]) => (
+                                        <option key={value} value={value}>{label}</option>
+                                    ))}
+                                </select>
+                                <span className="text-xs text-slate-500 mt-1 block">
+                                    Net part area subtracts holes; convex hull wraps the part like a rubber band.
+                                    Sheets consumed nests the whole quantity onto stock sheets and shares their area across parts.
+                                </span>
+                            </div>
+
+                            <div>
+                                <label className="label">Quantity Breaks - Optional</label>
+                                <input
+                                    type="text"
+                                    value={formData.quantityBreaks}
+                                    onChange={(e) => setFormData({ ...formData, quantityBreaks: e.target.value })}
+                                    className="input"
+                                    placeholder="e.g., 10:5, 50:10"
+                                />
+                                <span className="text-xs text-slate-500 mt-1 block">
+                                    Minimum quantity : discount %. Leave empty to use the global breaks from Settings.
+                                </span>
+                            </div>
+
+                            <div>
+                                <label className="flex items-center gap-2 text-sm">
+                                    <input
+                                        type="checkbox"
+                                        checked={formData.allowInterpolation}
+                                        onChange={(e) => setFormData({ ...formData, allowInterpolation: e.target.checked })}
+                                    />
+                                    Allow custom thicknesses
+                                </label>
+                                <span className="text-xs text-slate-500 mt-1 block">
+                                    Thicknesses between two pricing entries are priced by interpolating between them and
+                                    quoted as estimated, pending review.
+                                </span>
                             </div>
 
                             <div className="flex justify-end gap-3 pt-4">
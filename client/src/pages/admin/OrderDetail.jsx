@@ -0,0 +1,343 @@
+import { useState, useEffect, useMemo } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { useAuth } from '../../contexts/AuthContext';
+import { parseDxf } from '@shared/dxf';
+import { formatCurrency, formatNumber } from '@shared/pricing';
+import { ORDER_STATUSES, ORDER_STATUS_LABELS, nextStatus } from '@shared/orders';
+import DXFViewer from '../../components/DXFViewer';
+import OrderStatusBadge from '../../components/OrderStatusBadge';
+
+export default function OrderDetail() {
+    const { id } = useParams();
+    const { authFetch } = useAuth();
+    const [order, setOrder] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+    const [status, setStatus] = useState('');
+    const [note, setNote] = useState('');
+    const [saving, setSaving] = useState(false);
+    const [activeLine, setActiveLine] = useState(0);
+
+    useEffect(() => {
+        fetchOrder();
+    }, [id]);
+
+    const fetchOrder = async () => {
+        try {
+            const response = await authFetch(`/api/admin/orders/${id}`);
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error || 'Failed to load order');
+            setOrder(data);
+            setStatus(nextStatus(data.status) || data.status);
+        } catch (error) {
+            setError(error.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const line = order?.quote.lines[activeLine];
+
+    // The selected part's drawing as it was quoted
+    const dxfData = useMemo(() => {
+        if (!line) return null;
+        try {
+            return parseDxf(line.dxfContent, line.parseOptions || {});
+        } catch {
+            return null;
+        }
+    }, [line]);
+
+    const handleStatusChange = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        setError('');
+        try {
+            const response = await authFetch(`/api/admin/orders/${id}/status`, {
+                method: 'PUT',
+                body: JSON.stringify({ status, note }),
+            });
+            if (!response.ok) {
+                const data = await response.json();
+                throw new Error(data.error || 'Failed to update status');
+            }
+            setNote('');
+            await fetchOrder();
+        } catch (error) {
+            setError(error.message);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const downloadDxf = () => {
+        const blob = new Blob([line.dxfContent], { type: 'application/dxf' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = line.fileName;
+        link.click();
+        URL.revokeObjectURL(url);
+    };
+
+    if (loading) {
+        return (
+            <div className="flex items-center justify-center h-64">
+                <div className="loader" />
+            </div>
+        );
+    }
+
+    if (!order) {
+        return (
+            <div className="glass-card p-8 text-center">
+                <div className="text-red-400 mb-4">{error}</div>
+                <Link to="/admin/orders" className="btn btn-primary">Back to Orders</Link>
+            </div>
+        );
+    }
+
+    const { quote } = order;
+    const total = quote.breakdown;
+    const breakdown = line.breakdown;
+
+    return (
+        <div>
+            <div className="flex justify-between items-center mb-8">
+                <div>
+                    <Link to="/admin/orders" className="text-sm text-slate-400 hover:text-white transition">
+                        ← Orders
+                    </Link>
+                    <h1 className="text-3xl font-bold mt-2 flex items-center gap-3">
+                        {order.number}
+                        <OrderStatusBadge status={order.status} />
+                    </h1>
+                    <p className="text-slate-400">
+                        From quote <Link to={`/quote/${quote.id}`} className="text-indigo-400 hover:text-indigo-300">{quote.number}</Link>
+                        {' · '}placed {new Date(order.createdAt).toLocaleString()}
+                    </p>
+                </div>
+            </div>
+
+            <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+                <div className="lg:col-span-2 space-y-6">
+                    {/* Parts */}
+                    <div className="glass-card overflow-hidden">
+                        <table className="data-table">
+                            <thead>
+                                <tr>
+                                    <th>Part</th>
+                                    <th>Material</th>
+                                    <th>Qty</th>
+                                    <th>Unit Price</th>
+                                    <th className="text-right">Line Total</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {quote.lines.map((l, index) => (
+                                    <tr
+                                        key={l.id}
+                                        onClick={() => setActiveLine(index)}
+                                        className={`cursor-pointer ${index === activeLine ? 'bg-indigo-500/10' : ''}`}
+                                    >
+                                        <td className="font-medium">{l.fileName}</td>
+                                        <td>{l.materialName} · {formatNumber(l.thickness, 'mm')}</td>
+                                        <td>{l.quantity}</td>
+                                        <td>{formatCurrency(l.breakdown.unitPrice, quote.currency)}</td>
+                                        <td className="text-right">{formatCurrency(l.lineTotal, quote.currency)}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+
+                    {/* Drawing */}
+                    <div className="glass-card overflow-hidden">
+                        <div className="px-4 py-3 border-b border-slate-700/50 flex items-center justify-between">
+                            <span className="font-medium">{line.fileName}</span>
+                            <div className="flex items-center gap-4">
+                                <span className="text-sm text-slate-400">
+                                    {formatNumber(line.metrics.width, 'mm', 1)} × {formatNumber(line.metrics.height, 'mm', 1)}
+                                </span>
+                                <button onClick={downloadDxf} className="btn btn-secondary py-1 px-3 text-sm">
+                                    Download DXF
+                                </button>
+                            </div>
+                        </div>
+                        <div className="w-full h-[420px] bg-slate-900 relative">
+                            {dxfData ? (
+                                <DXFViewer dxfData={dxfData} />
+                            ) : (
+                                <div className="flex items-center justify-center h-full text-slate-400">
+                                    The drawing could not be displayed
+                                </div>
+                            )}
+                        </div>
+                    </div>
+
+                    {/* Price */}
+                    <div className="glass-card p-6">
+                        <h3 className="font-semibold mb-4">{line.fileName}</h3>
+                        <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm mb-4">
+                            <div>
+                                <div className="text-slate-400">Material</div>
+                                <div>{line.materialName}</div>
+                            </div>
+                            <div>
+                                <div className="text-slate-400">Thickness</div>
+                                <div>{formatNumber(line.thickness, 'mm')}</div>
+                            </div>
+                            <div>
+                                <div className="text-slate-400">Quantity</div>
+                                <div>{line.quantity}</div>
+                            </div>
+                            <div>
+                                <div className="text-slate-400">Machine</div>
+                                <div>{breakdown.details.machine?.name || '—'}</div>
+                            </div>
+                        </div>
+                        <div className="space-y-2 text-sm pt-4 border-t border-slate-700/50">
+                            <div className="text-slate-500 text-xs uppercase tracking-wide">Per part</div>
+                            {[
+                                ['Material', breakdown.areaCost],
+                                [`Cutting (${formatNumber(breakdown.details.cutTimeMinutes, 'min', 2)})`, breakdown.timeCost],
+                                ['Travel', breakdown.travelCost],
+                                [`Piercing (${breakdown.details.pierceCount})`, breakdown.pierceCost],
+                                ['Engraving', breakdown.engraveCost],
+                                [`Markup (${breakdown.markupPercent}%)`, breakdown.markupAmount],
+                            ].filter(([, cost]) => cost > 0).map(([label, cost]) => (
+                                <div key={label} className="flex justify-between">
+                                    <span className="text-slate-400">{label}</span>
+                                    <span>{formatCurrency(cost, quote.currency)}</span>
+                                </div>
+                            ))}
+                            {breakdown.discountPercent > 0 && (
+                                <div className="flex justify-between text-green-400">
+                                    <span>Volume discount ({breakdown.discountPercent}%)</span>
+                                    <span>-{formatCurrency(breakdown.discountAmount, quote.currency)}</span>
+                                </div>
+                            )}
+                            <div className="flex justify-between pt-2 border-t border-slate-700/50">
+                                <span className="text-slate-400">{line.quantity} × {formatCurrency(breakdown.unitPrice, quote.currency)}</span>
+                                <span>{formatCurrency(breakdown.partsTotal, quote.currency)}</span>
+                            </div>
+                            {breakdown.estimated && (
+                                <div className="text-amber-400 text-xs">
+                                    Estimated between the {breakdown.details.interpolatedFrom.join(' and ')} mm rates, confirm before cutting
+                                </div>
+                            )}
+                        </div>
+                    </div>
+
+                    {/* Order Total */}
+                    <div className="glass-card p-6">
+                        <h3 className="font-semibold mb-4">Order Total</h3>
+                        <div className="space-y-2 text-sm">
+                            <div className="flex justify-between">
+                                <span className="text-slate-400">{total.lineCount} parts ({total.quantity} pieces)</span>
+                                <span>{formatCurrency(total.partsTotal, quote.currency)}</span>
+                            </div>
+                            {total.setupCharge > 0 && (
+                                <div className="flex justify-between">
+                                    <span className="text-slate-400">Setup</span>
+                                    <span>{formatCurrency(total.setupCharge, quote.currency)}</span>
+                                </div>
+                            )}
+                            {total.minChargeApplied && (
+                                <div className="text-amber-400 text-xs">
+                                    Minimum charge of {formatCurrency(total.minCharge, quote.currency)} applied
+                                </div>
+                            )}
+                            <div className="flex justify-between pt-2 border-t border-slate-700/50 font-semibold">
+                                <span>Total</span>
+                                <span>{formatCurrency(quote.finalPrice, quote.currency)}</span>
+                            </div>
+                            {total.shippingEstimate > 0 && (
+                                <div className="flex justify-between text-slate-400">
+                                    <span>Estimated shipping ({formatNumber(total.totalWeight, 'kg')})</span>
+                                    <span>{formatCurrency(total.shippingEstimate, quote.currency)}</span>
+                                </div>
+                            )}
+                        </div>
+                    </div>
+                </div>
+
+                <div className="space-y-6">
+                    {/* Status */}
+                    <div className="glass-card p-6">
+                        <h3 className="font-semibold mb-4">Status</h3>
+                        <form onSubmit={handleStatusChange} className="space-y-3">
+                            {error && (
+                                <div className="p-3 rounded-lg bg-red-500/10 border border-red-500/30 text-red-400 text-sm">
+                                    {error}
+                                </div>
+                            )}
+                            <select value={status} onChange={(e) => setStatus(e.target.value)} className="select">
+                                {ORDER_STATUSES.map((s) => (
+                                    <option key={s} value={s}>{ORDER_STATUS_LABELS[s]}</option>
+                                ))}
+                            </select>
+                            <input
+                                type="text"
+                                value={note}
+                                onChange={(e) => setNote(e.target.value)}
+                                className="input"
+                                placeholder="Note (optional), e.g. tracking number"
+                            />
+                            <button type="submit" disabled={saving || (status === order.status && !note.trim())} className="btn btn-primary w-full">
+                                {saving ? 'Saving...' : status === order.status ? 'Add Note' : `Move to ${ORDER_STATUS_LABELS[status]}`}
+                            </button>
+                        </form>
+
+                        <ol className="mt-6 space-y-4">
+                            {order.statusHistory.map((change) => (
+                                <li key={change.id} className="flex gap-3 text-sm">
+                                    <div className="w-2 h-2 rounded-full bg-indigo-500 mt-1.5 flex-shrink-0" />
+                                    <div>
+                                        <div className="font-medium">{ORDER_STATUS_LABELS[change.status] || change.status}</div>
+                                        <div className="text-xs text-slate-500">
+                                            {new Date(change.createdAt).toLocaleString()}
+                                            {change.changedBy && ` · ${change.changedBy}`}
+                                        </div>
+                                        {change.note && <div className="text-slate-400 mt-1">{change.note}</div>}
+                                    </div>
+                                </li>
+                            ))}
+                        </ol>
+                    </div>
+
+                    {/* Customer */}
+                    <div className="glass-card p-6 text-sm">
+                        <h3 className="font-semibold mb-4">Customer</h3>
+                        <div className="space-y-1">
+                            <div className="font-medium">{order.contactName}</div>
+                            {order.company && <div>{order.company}</div>}
+                            <a href={`mailto:${order.email}`} className="block text-indigo-400 hover:text-indigo-300">{order.email}</a>
+                            {order.phone && <div className="text-slate-400">{order.phone}</div>}
+                            <div className="text-xs text-slate-500 pt-1">
+                                {order.customer
+                                    ? `Account ${order.customer.email}, since ${new Date(order.customer.createdAt).toLocaleDateString()}`
+                                    : 'Guest order'}
+                            </div>
+                        </div>
+
+                        <h3 className="font-semibold mt-6 mb-2">Ship To</h3>
+                        <div className="text-slate-300 space-y-0.5">
+                            <div>{order.addressLine1}</div>
+                            {order.addressLine2 && <div>{order.addressLine2}</div>}
+                            <div>{[order.city, order.region, order.postalCode].filter(Boolean).join(', ')}</div>
+                            <div>{order.country}</div>
+                        </div>
+
+                        {order.notes && (
+                            <>
+                                <h3 className="font-semibold mt-6 mb-2">Notes</h3>
+                                <p className="text-slate-400 whitespace-pre-wrap">{order.notes}</p>
+                            </>
+                        )}
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,180 @@
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../../contexts/AuthContext';
+import { formatCurrency, formatNumber } from '@shared/pricing';
+import { ORDER_STATUSES, ORDER_STATUS_LABELS } from '@shared/orders';
+import OrderStatusBadge from '../../components/OrderStatusBadge';
+
+const EMPTY_FILTERS = { status: '', search: '', from: '', to: '' };
+
+export default function Orders() {
+    const { authFetch } = useAuth();
+    const navigate = useNavigate();
+    const [orders, setOrders] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [filters, setFilters] = useState(EMPTY_FILTERS);
+
+    useEffect(() => {
+        fetchOrders();
+    }, []);
+
+    const fetchOrders = async (current = EMPTY_FILTERS) => {
+        try {
+            const params = new URLSearchParams(Object.entries(current).filter(([, value]) => value));
+            const response = await authFetch(`/api/admin/orders?${params}`);
+            setOrders(await response.json());
+        } catch (error) {
+            console.error('Failed to fetch orders:', error);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    // Status and dates apply as soon as they're picked, search once submitted
+    const applyFilters = (changes) => {
+        const next = { ...filters, ...changes };
+        setFilters(next);
+        fetchOrders(next);
+    };
+
+    const handleSearch = (e) => {
+        e.preventDefault();
+        fetchOrders(filters);
+    };
+
+    // Orders per status in the list shown
+    const counts = orders.reduce((acc, order) => {
+        acc[order.status] = (acc[order.status] || 0) + 1;
+        return acc;
+    }, {});
+
+    if (loading) {
+        return (
+            <div className="flex items-center justify-center h-64">
+                <div className="loader" />
+            </div>
+        );
+    }
+
+    return (
+        <div>
+            <div className="mb-8">
+                <h1 className="text-3xl font-bold mb-2">Orders</h1>
+                <p className="text-slate-400">Orders placed from quotes, and where they are in production</p>
+            </div>
+
+            {/* Filters */}
+            <form onSubmit={handleSearch} className="glass-card p-4 mb-6 grid grid-cols-1 md:grid-cols-5 gap-4 items-end">
+                <div className="md:col-span-2">
+                    <label className="label">Search</label>
+                    <input
+                        type="text"
+                        value={filters.search}
+                        onChange={(e) => setFilters({ ...filters, search: e.target.value })}
+                        className="input"
+                        placeholder="Order or quote number, customer, email, file"
+                    />
+                </div>
+                <div>
+                    <label className="label">Status</label>
+                    <select
+                        value={filters.status}
+                        onChange={(e) => applyFilters({ status: e.target.value })}
+                        className="select"
+                    >
+                        <option value="">All statuses</option>
+                        {ORDER_STATUSES.map((status) => (
+                            <option key={status} value={status}>{ORDER_STATUS_LABELS[status]}</option>
+                        ))}
+                    </select>
+                </div>
+                <div>
+                    <label className="label">From</label>
+                    <input
+                        type="date"
+                        value={filters.from}
+                        onChange={(e) => applyFilters({ from: e.target.value })}
+                        className="input"
+                    />
+                </div>
+                <div>
+                    <label className="label">To</label>
+                    <input
+                        type="date"
+                        value={filters.to}
+                        onChange={(e) => applyFilters({ to: e.target.value })}
+                        className="input"
+                    />
+                </div>
+                <div className="md:col-span-5 flex justify-between items-center">
+                    <div className="flex flex-wrap gap-2 text-xs text-slate-400">
+                        {ORDER_STATUSES.filter(status => counts[status]).map((status) => (
+                            <span key={status}>{ORDER_STATUS_LABELS[status]}: {counts[status]}</span>
+                        ))}
+                    </div>
+                    <div className="flex gap-3">
+                        <button type="button" onClick={() => applyFilters(EMPTY_FILTERS)} className="btn btn-secondary py-2 px-3">
+                            Clear
+                        </button>
+                        <button type="submit" className="btn btn-primary py-2 px-3">
+                            Search
+                        </button>
+                    </div>
+                </div>
+            </form>
+
+            {orders.length === 0 ? (
+                <div className="glass-card p-8 text-center">
+                    <p className="text-slate-400">No orders found.</p>
+                </div>
+            ) : (
+                <div className="glass-card overflow-hidden">
+                    <table className="data-table">
+                        <thead>
+                            <tr>
+                                <th>Order</th>
+                                <th>Customer</th>
+                                <th>Parts</th>
+                                <th>Qty</th>
+                                <th>Total</th>
+                                <th>Status</th>
+                                <th>Placed</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {orders.map((order) => (
+                                <tr
+                                    key={order.id}
+                                    onClick={() => navigate(`/admin/orders/${order.id}`)}
+                                    className="cursor-pointer"
+                                >
+                                    <td className="font-medium">
+                                        {order.number}
+                                        <div className="text-xs text-slate-500">{order.quote.number}</div>
+                                    </td>
+                                    <td>
+                                        {order.contactName}
+                                        <div className="text-xs text-slate-500">{order.company || order.email}</div>
+                                    </td>
+                                    <td>
+                                        {order.quote.lines[0]?.fileName}
+                                        {order.quote.lines.length > 1 && (
+                                            <span className="text-slate-400"> + {order.quote.lines.length - 1} more</span>
+                                        )}
+                                        <div className="text-xs text-slate-500">
+                                            {[...new Set(order.quote.lines.map(l => `${l.materialName} ${formatNumber(l.thickness, 'mm')}`))].join(', ')}
+                                        </div>
+                                    </td>
+                                    <td>{order.quote.lines.reduce((sum, l) => sum + l.quantity, 0)}</td>
+                                    <td>{formatCurrency(order.quote.finalPrice, order.quote.currency)}</td>
+                                    <td><OrderStatusBadge status={order.status} /></td>
+                                    <td className="text-sm text-slate-400">{new Date(order.createdAt).toLocaleDateString()}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+}
@@ -1,6 +1,6 @@
 import { useState, useEffect } from 'react';
 import { useAuth } from '../../contexts/AuthContext';
-import { UNITS, toCanonical, fromCanonical, formatInput } from '../../lib/units';
+import { UNITS, toCanonical, fromCanonical, formatInput } from '@shared/units';
 
 export default function Pricing() {
     const { authFetch } = useAuth();
@@ -20,6 +20,12 @@ export default function Pricing() {
         costPerTime: '',
         cutSpeed: '',
         speedUnit: UNITS.SPEED.MM_MIN,
+        pierceTime: '',
+        pierceCost: '',
+        engraveSpeed: '',
+        engraveRate: '',
+        sizeDerating: '',
+        cornerDerating: '',
     });
 
     const [saving, setSaving] = useState(false);
@@ -66,6 +72,15 @@ export default function Pricing() {
 
                 cutSpeed: entry.speedDisplay || formatInput(fromCanonical(entry.cutSpeed, sUnit)),
                 speedUnit: sUnit,
+
+                pierceTime: (entry.pierceTime ?? 0).toString(),
+                pierceCost: (entry.pierceCost ?? 0).toString(),
+
+                engraveSpeed: entry.engraveSpeed ? formatInput(fromCanonical(entry.engraveSpeed, sUnit)) : '',
+                engraveRate: entry.engraveRate ? entry.engraveRate.toString() : '',
+
+                sizeDerating: entry.sizeDerating || '',
+                cornerDerating: entry.cornerDerating || '',
             });
         } else {
             setFormData({
@@ -77,6 +92,12 @@ export default function Pricing() {
                 costPerTime: '',
                 cutSpeed: '',
                 speedUnit: UNITS.SPEED.MM_MIN,
+                pierceTime: '',
+                pierceCost: '',
+                engraveSpeed: '',
+                engraveRate: '',
+                sizeDerating: '',
+                cornerDerating: '',
             });
         }
         setError('');
@@ -100,11 +121,26 @@ export default function Pricing() {
             const aVal = toCanonical(formData.costPerArea, formData.areaUnit);
             const sVal = toCanonical(formData.cutSpeed, formData.speedUnit);
             const timeVal = parseFloat(formData.costPerTime);
+            const pierceTimeVal = formData.pierceTime === '' ? 0 : parseFloat(formData.pierceTime);
+            const pierceCostVal = formData.pierceCost === '' ? 0 : parseFloat(formData.pierceCost);
+            const engraveSpeedVal = formData.engraveSpeed === '' ? 0 : toCanonical(formData.engraveSpeed, formData.speedUnit);
+            const engraveRateVal = formData.engraveRate === '' ? 0 : parseFloat(formData.engraveRate);
 
             if (!tVal || tVal <= 0) throw new Error("Invalid thickness. Use decimals (0.125) or fractions (1/8).");
             if (!aVal || aVal <= 0) throw new Error("Invalid cost per area.");
             if (!sVal || sVal <= 0) throw new Error("Invalid cut speed. Use decimals or fractions.");
             if (isNaN(timeVal) || timeVal <= 0) throw new Error("Invalid hourly rate.");
+            if (isNaN(pierceTimeVal) || pierceTimeVal < 0) throw new Error("Invalid pierce time.");
+            if (isNaN(pierceCostVal) || pierceCostVal < 0) throw new Error("Invalid pierce cost.");
+            if (formData.engraveSpeed !== '' && !(engraveSpeedVal > 0)) throw new Error("Invalid engrave speed. Use decimals or fractions.");
+            if (isNaN(engraveRateVal) || engraveRateVal < 0) throw new Error("Invalid engrave rate.");
+            for (const curve of [formData.sizeDerating, formData.cornerDerating]) {
+                if (!curve.trim()) continue;
+                const pairs = curve.split(',').map(pair => pair.split(':').map(v => parseFloat(v)));
+                if (!pairs.every(([at, percent]) => at >= 0 && percent > 0 && percent <= 100)) {
+                    throw new Error('Derating curves are value:percent pairs, e.g. "3:40, 10:75, 25:100".');
+                }
+            }
 
             // Convert inputs to Canonical Metric Values
             const payload = {
@@ -115,6 +151,12 @@ export default function Pricing() {
                 costPerArea: aVal,
                 cutSpeed: sVal,
                 costPerTime: timeVal,
+                pierceTime: pierceTimeVal,
+                pierceCost: pierceCostVal,
+                engraveSpeed: engraveSpeedVal,
+                engraveRate: engraveRateVal,
+                sizeDerating: formData.sizeDerating,
+                cornerDerating: formData.cornerDerating,
 
                 // Store User Preference
                 thicknessUnit: formData.thicknessUnit,
@@ -219,6 +261,8 @@ export default function Pricing() {
                                         <th>Cost/Area ($/mm²)</th>
                                         <th>Cost/Time ($/hr)</th>
                                         <th>Cut Speed (mm/min)</th>
+                                        <th>Pierce (s / $)</th>
+                                        <th>Engrave (mm/min)</th>
                                         <th className="text-right">Actions</th>
                                     </tr>
                                 </thead>
@@ -231,7 +275,15 @@ export default function Pricing() {
                                             </td>
                                             <td>${entry.costPerArea.toFixed(6)}</td>
                                             <td>${entry.costPerTime.toFixed(2)}</td>
-                                            <td>{entry.cutSpeed.toLocaleString()}</td>
+                                            <td>
+                                                {entry.cutSpeed.toLocaleString()}
+                                                {(entry.sizeDerating || entry.cornerDerating) && <span className="text-xs text-slate-500 ml-1">(derated)</span>}
+                                            </td>
+                                            <td>{entry.pierceTime ?? 0}s / ${(entry.pierceCost ?? 0).toFixed(2)}</td>
+                                            <td>
+                                                {entry.engraveSpeed ? entry.engraveSpeed.toLocaleString() : '—'}
+                                                {entry.engraveRate > 0 && <span className="text-xs text-slate-500 ml-1">(${entry.engraveRate.toFixed(2)}/hr)</span>}
+                                            </td>
                                             <td className="text-right">
                                                 <button onClick={() => openModal(entry)} className="btn btn-secondary mr-2 py-2 px-3">
                                                     Edit
@@ -360,8 +412,93 @@ export default function Pricing() {
                                 </div>
                             </div>
 
+                            <div className="grid grid-cols-2 gap-4">
+                                <div>
+                                    <label className="label">Pierce Time (seconds)</label>
+                                    <input
+                                        type="number"
+                                        step="0.1"
+                                        min="0"
+                                        value={formData.pierceTime}
+                                        onChange={(e) => setFormData({ ...formData, pierceTime: e.target.value })}
+                                        className="input"
+                                        placeholder="e.g., 0.5"
+                                    />
+                                    <span className="text-xs text-slate-500 mt-1 block">Billed at the hourly rate</span>
+                                </div>
+                                <div>
+                                    <label className="label">Cost per Pierce ($)</label>
+                                    <input
+                                        type="number"
+                                        step="0.01"
+                                        min="0"
+                                        value={formData.pierceCost}
+                                        onChange={(e) => setFormData({ ...formData, pierceCost: e.target.value })}
+                                        className="input"
+                                        placeholder="e.g., 0.03"
+                                    />
+                                    <span className="text-xs text-slate-500 mt-1 block">Nozzle and gas wear</span>
+                                </div>
+                            </div>
+
+                            <div className="grid grid-cols-2 gap-4">
+                                <div>
+                                    <label className="label">Engrave Speed ({formData.speedUnit === UNITS.SPEED.IN_MIN ? 'in/min' : 'mm/min'})</label>
+                                    <input
+                                        type="text"
+                                        value={formData.engraveSpeed}
+                                        onChange={(e) => setFormData({ ...formData, engraveSpeed: e.target.value })}
+                                        className="input"
+                                        placeholder="e.g., 6000"
+                                    />
+                                    <span className="text-xs text-slate-500 mt-1 block">Leave empty if engraving isn't offered</span>
+                                </div>
+                                <div>
+                                    <label className="label">Engrave Rate ($/hr)</label>
+                                    <input
+                                        type="number"
+                                        step="1"
+                                        min="0"
+                                        value={formData.engraveRate}
+                                        onChange={(e) => setFormData({ ...formData, engraveRate: e.target.value })}
+                                        className="input"
+                                        placeholder={formData.costPerTime || 'e.g., 40'}
+                                    />
+                                    <span className="text-xs text-slate-500 mt-1 block">Defaults to the machine hourly rate</span>
+                                </div>
+                            </div>
+
+                            <div className="grid grid-cols-2 gap-4">
+                                <div>
+                                    <label className="label">Feature Size Derating</label>
+                                    <input
+                                        type="text"
+                                        value={formData.sizeDerating}
+                                        onChange={(e) => setFormData({ ...formData, sizeDerating: e.target.value })}
+                                        className="input"
+                                        placeholder="e.g., 3:40, 10:75, 25:100"
+                                        title="Feature size (mm) : % of cut speed"
+                                    />
+                                    <span className="text-xs text-slate-500 mt-1 block">Size (mm) : % of cut speed. A hole's size is its diameter</span>
+                                </div>
+                                <div>
+                                    <label className="label">Corner Derating</label>
+                                    <input
+                                        type="text"
+                                        value={formData.cornerDerating}
+                                        onChange={(e) => setFormData({ ...formData, cornerDerating: e.target.value })}
+                                        className="input"
+                                        placeholder="e.g., 30:35, 90:60, 150:100"
+                                        title="Corner angle (degrees) : % of cut speed"
+                                    />
+                                    <span className="text-xs text-slate-500 mt-1 block">Corner angle (°) : % of cut speed near the corner</span>
+                                </div>
+                            </div>
+
                             <div className="p-3 bg-slate-800/50 rounded text-xs text-slate-400 border border-slate-700/50">
                                 ℹ️ All values are stored as Metric (mm) internally for calculation consistency.
+                                If the material is set up on any machines, their rates and speed tables are used
+                                instead of Cut Speed and Cost per Time.
                             </div>
 
                             <div className="flex justify-end gap-3 pt-4">
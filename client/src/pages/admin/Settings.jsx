@@ -1,9 +1,20 @@
 import { useState, useEffect } from 'react';
 import { useAuth } from '../../contexts/AuthContext';
+import { LAYER_OPERATIONS, LAYER_OPERATION_LABELS } from '@shared/dxf/layers';
+import { ISSUE_TYPES, ISSUE_LABELS, DEFAULT_BLOCKING_ISSUES } from '@shared/dxf/validation';
+
+function parseJsonList(value, fallback = []) {
+    try {
+        const list = JSON.parse(value);
+        return Array.isArray(list) ? list : fallback;
+    } catch {
+        return fallback;
+    }
+}
 
 export default function Settings() {
     const { authFetch } = useAuth();
-    const [settings, setSettings] = useState({ markup: '', minCharge: '', currency: 'USD' });
+    const [settings, setSettings] = useState({ markup: '', minCharge: '', setupCharge: '', quantityBreaks: '', shippingBase: '', shippingPerKg: '', rapidSpeed: '', quoteValidityDays: '', currency: 'USD', layerRules: [], engraveColors: '', kerfWidth: '', kerfCompensation: false, kerfTolerance: '', cleanupTolerance: '', sheetSizes: '', partSpacing: '', nestRotations: '', scrapFactor: '', blockingIssues: DEFAULT_BLOCKING_ISSUES });
     const [loading, setLoading] = useState(true);
     const [saving, setSaving] = useState(false);
     const [success, setSuccess] = useState(false);
@@ -19,7 +30,24 @@ export default function Settings() {
             setSettings({
                 markup: data.markup || '',
                 minCharge: data.minCharge || '',
+                setupCharge: data.setupCharge || '',
+                quantityBreaks: data.quantityBreaks || '',
+                shippingBase: data.shippingBase || '',
+                shippingPerKg: data.shippingPerKg || '',
+                rapidSpeed: data.rapidSpeed || '',
+                quoteValidityDays: data.quoteValidityDays || '',
                 currency: data.currency || 'USD',
+                layerRules: parseJsonList(data.layerRules),
+                engraveColors: data.engraveColors || '',
+                kerfWidth: data.kerfWidth || '',
+                kerfCompensation: data.kerfCompensation === 'true',
+                kerfTolerance: data.kerfTolerance || '',
+                cleanupTolerance: data.cleanupTolerance || '',
+                sheetSizes: data.sheetSizes || '',
+                partSpacing: data.partSpacing || '',
+                nestRotations: data.nestRotations || '',
+                scrapFactor: data.scrapFactor || '',
+                blockingIssues: parseJsonList(data.blockingIssues, DEFAULT_BLOCKING_ISSUES),
             });
         } catch (error) {
             console.error('Failed to fetch settings:', error);
@@ -36,7 +64,11 @@ export default function Settings() {
         try {
             const response = await authFetch('/api/admin/settings', {
                 method: 'PUT',
-                body: JSON.stringify(settings),
+                body: JSON.stringify({
+                    ...settings,
+                    layerRules: JSON.stringify(settings.layerRules.filter(rule => rule.pattern.trim())),
+                    blockingIssues: JSON.stringify(settings.blockingIssues),
+                }),
             });
 
             if (response.ok) {
@@ -50,6 +82,29 @@ export default function Settings() {
         }
     };
 
+    const updateLayerRule = (index, changes) => {
+        const layerRules = settings.layerRules.map((rule, i) => (i === index ? { ...rule, ...changes } : rule));
+        setSettings({ ...settings, layerRules });
+    };
+
+    const addLayerRule = () => {
+        setSettings({
+            ...settings,
+            layerRules: [...settings.layerRules, { pattern: '', operation: LAYER_OPERATIONS.IGNORE }],
+        });
+    };
+
+    const removeLayerRule = (index) => {
+        setSettings({ ...settings, layerRules: settings.layerRules.filter((_, i) => i !== index) });
+    };
+
+    const toggleBlockingIssue = (type) => {
+        const blockingIssues = settings.blockingIssues.includes(type)
+            ? settings.blockingIssues.filter(t => t !== type)
+            : [...settings.blockingIssues, type];
+        setSettings({ ...settings, blockingIssues });
+    };
+
     if (loading) {
         return (
             <div className="flex items-center justify-center h-64">
@@ -102,7 +157,67 @@ export default function Settings() {
                             placeholder="e.g., 25"
                         />
                         <p className="text-sm text-slate-500 mt-1">
-                            Quotes below this value will be raised to the minimum charge.
+                            Order lines below this value will be raised to the minimum charge.
+                        </p>
+                    </div>
+
+                    <div>
+                        <label className="label">Setup Charge ($)</label>
+                        <input
+                            type="number"
+                            step="0.01"
+                            min="0"
+                            value={settings.setupCharge}
+                            onChange={(e) => setSettings({ ...settings, setupCharge: e.target.value })}
+                            className="input"
+                            placeholder="e.g., 15"
+                        />
+                        <p className="text-sm text-slate-500 mt-1">
+                            One-time charge per order line for programming and machine setup.
+                        </p>
+                    </div>
+
+                    <div>
+                        <label className="label">Quantity Breaks</label>
+                        <input
+                            type="text"
+                            value={settings.quantityBreaks}
+                            onChange={(e) => setSettings({ ...settings, quantityBreaks: e.target.value })}
+                            className="input"
+                            placeholder="e.g., 10:5, 50:10, 100:15"
+                        />
+                        <p className="text-sm text-slate-500 mt-1">
+                            Minimum quantity : discount % off the unit price. Materials can override these.
+                        </p>
+                    </div>
+
+                    <div className="grid grid-cols-2 gap-4">
+                        <div>
+                            <label className="label">Shipping Base ($)</label>
+                            <input
+                                type="number"
+                                step="0.01"
+                                min="0"
+                                value={settings.shippingBase}
+                                onChange={(e) => setSettings({ ...settings, shippingBase: e.target.value })}
+                                className="input"
+                                placeholder="e.g., 12"
+                            />
+                        </div>
+                        <div>
+                            <label className="label">Shipping per kg ($)</label>
+                            <input
+                                type="number"
+                                step="0.01"
+                                min="0"
+                                value={settings.shippingPerKg}
+                                onChange={(e) => setSettings({ ...settings, shippingPerKg: e.target.value })}
+                                className="input"
+                                placeholder="e.g., 0.8"
+                            />
+                        </div>
+                        <p className="col-span-2 text-sm text-slate-500">
+                            Shipping estimate shown on quotes from the shipment weight. Leave the per kg rate empty to hide it.
                         </p>
                     </div>
 
@@ -121,6 +236,223 @@ export default function Settings() {
                         </select>
                     </div>
 
+                    <div>
+                        <label className="label">Default Layer Rules</label>
+                        <div className="space-y-2">
+                            {settings.layerRules.map((rule, index) => (
+                                <div key={index} className="flex gap-2">
+                                    <input
+                                        type="text"
+                                        value={rule.pattern}
+                                        onChange={(e) => updateLayerRule(index, { pattern: e.target.value })}
+                                        className="input flex-1"
+                                        placeholder="e.g., DIM*"
+                                    />
+                                    <select
+                                        value={rule.operation}
+                                        onChange={(e) => updateLayerRule(index, { operation: e.target.value })}
+                                        className="select w-40"
+                                    >
+                                        {Object.values(LAYER_OPERATIONS).map(op => (
+                                            <option key={op} value={op}>{LAYER_OPERATION_LABELS[op]}</option>
+                                        ))}
+                                    </select>
+                                    <button
+                                        type="button"
+                                        onClick={() => removeLayerRule(index)}
+                                        className="btn btn-danger px-3"
+                                        title="Remove rule"
+                                    >
+                                        ×
+                                    </button>
+                                </div>
+                            ))}
+                        </div>
+                        <button type="button" onClick={addLayerRule} className="btn btn-secondary mt-2">
+                            Add Rule
+                        </button>
+                        <p className="text-sm text-slate-500 mt-1">
+                            Layer names are matched in order, first match wins. Use * and ? as wildcards.
+                            Unmatched layers are cut; layers hidden in the drawing are ignored.
+                        </p>
+                    </div>
+
+                    <div>
+                        <label className="label">Engrave Colors</label>
+                        <input
+                            type="text"
+                            value={settings.engraveColors}
+                            onChange={(e) => setSettings({ ...settings, engraveColors: e.target.value })}
+                            className="input"
+                            placeholder="e.g., 3, 5"
+                        />
+                        <p className="text-sm text-slate-500 mt-1">
+                            AutoCAD color numbers (ACI) that mark engraving on cut layers. Text is always engraved.
+                        </p>
+                    </div>
+
+                    <div>
+                        <label className="label">Quote Validity (days)</label>
+                        <input
+                            type="number"
+                            step="1"
+                            min="1"
+                            value={settings.quoteValidityDays}
+                            onChange={(e) => setSettings({ ...settings, quoteValidityDays: e.target.value })}
+                            className="input"
+                            placeholder="e.g., 30"
+                        />
+                        <p className="text-sm text-slate-500 mt-1">
+                            Saved quotes keep their price for this long.
+                        </p>
+                    </div>
+
+                    <div>
+                        <label className="label">Rapid Speed (mm/min)</label>
+                        <input
+                            type="number"
+                            step="100"
+                            min="0"
+                            value={settings.rapidSpeed}
+                            onChange={(e) => setSettings({ ...settings, rapidSpeed: e.target.value })}
+                            className="input"
+                            placeholder="e.g., 20000"
+                        />
+                        <p className="text-sm text-slate-500 mt-1">
+                            Head speed between contours. Travel time is estimated from the cut order and billed at the machine rate.
+                        </p>
+                    </div>
+
+                    <div>
+                        <label className="label">Kerf Width (mm)</label>
+                        <input
+                            type="number"
+                            step="0.01"
+                            min="0"
+                            value={settings.kerfWidth}
+                            onChange={(e) => setSettings({ ...settings, kerfWidth: e.target.value })}
+                            className="input"
+                            placeholder="e.g., 0.2"
+                        />
+                        <p className="text-sm text-slate-500 mt-1">
+                            Holes and features narrower than this are flagged by the geometry check.
+                            Machines and their materials can set their own.
+                        </p>
+                        <label className="flex items-center gap-2 text-sm mt-3">
+                            <input
+                                type="checkbox"
+                                checked={settings.kerfCompensation}
+                                onChange={(e) => setSettings({ ...settings, kerfCompensation: e.target.checked })}
+                            />
+                            Price the kerf-compensated cut length
+                        </label>
+                        <p className="text-sm text-slate-500 mt-1">
+                            Outer contours are offset outward and holes inward by half the kerf, as the machine cuts them.
+                        </p>
+                    </div>
+
+                    <div>
+                        <label className="label">Minimum Feature After Kerf (mm)</label>
+                        <input
+                            type="number"
+                            step="0.01"
+                            min="0"
+                            value={settings.kerfTolerance}
+                            onChange={(e) => setSettings({ ...settings, kerfTolerance: e.target.value })}
+                            className="input"
+                            placeholder="e.g., 0.1"
+                        />
+                        <p className="text-sm text-slate-500 mt-1">
+                            Holes smaller than this once offset by the kerf are reported as collapsing, along with those the kerf closes up.
+                        </p>
+                    </div>
+
+                    <div>
+                        <label className="label">Cleanup Snap Tolerance (mm)</label>
+                        <input
+                            type="number"
+                            step="0.001"
+                            min="0"
+                            value={settings.cleanupTolerance}
+                            onChange={(e) => setSettings({ ...settings, cleanupTolerance: e.target.value })}
+                            className="input"
+                            placeholder="e.g., 0.01"
+                        />
+                        <p className="text-sm text-slate-500 mt-1">
+                            Line ends closer than this are joined, and duplicate or overlapping lines are merged before pricing.
+                        </p>
+                    </div>
+
+                    <div>
+                        <label className="label">Stock Sheet Sizes (mm)</label>
+                        <input
+                            type="text"
+                            value={settings.sheetSizes}
+                            onChange={(e) => setSettings({ ...settings, sheetSizes: e.target.value })}
+                            className="input"
+                            placeholder="e.g., 3000x1500, 2500x1250"
+                        />
+                        <p className="text-sm text-slate-500 mt-1">
+                            Sheets that orders are nested onto, for materials billed by sheets consumed.
+                        </p>
+                    </div>
+
+                    <div className="grid grid-cols-3 gap-4">
+                        <div>
+                            <label className="label">Part Spacing (mm)</label>
+                            <input
+                                type="number"
+                                step="0.1"
+                                min="0"
+                                value={settings.partSpacing}
+                                onChange={(e) => setSettings({ ...settings, partSpacing: e.target.value })}
+                                className="input"
+                                placeholder="e.g., 5"
+                            />
+                        </div>
+                        <div>
+                            <label className="label">Rotations (°)</label>
+                            <input
+                                type="text"
+                                value={settings.nestRotations}
+                                onChange={(e) => setSettings({ ...settings, nestRotations: e.target.value })}
+                                className="input"
+                                placeholder="e.g., 0, 90"
+                            />
+                        </div>
+                        <div>
+                            <label className="label">Scrap Factor (%)</label>
+                            <input
+                                type="number"
+                                step="1"
+                                min="0"
+                                value={settings.scrapFactor}
+                                onChange={(e) => setSettings({ ...settings, scrapFactor: e.target.value })}
+                                className="input"
+                                placeholder="e.g., 15"
+                            />
+                        </div>
+                    </div>
+
+                    <div>
+                        <label className="label">Geometry Issues That Block Orders</label>
+                        <div className="space-y-2">
+                            {Object.values(ISSUE_TYPES).map((type) => (
+                                <label key={type} className="flex items-center gap-2 text-sm">
+                                    <input
+                                        type="checkbox"
+                                        checked={settings.blockingIssues.includes(type)}
+                                        onChange={() => toggleBlockingIssue(type)}
+                                    />
+                                    {ISSUE_LABELS[type]}
+                                </label>
+                            ))}
+                        </div>
+                        <p className="text-sm text-slate-500 mt-1">
+                            Checked issues are shown as errors and stop the customer from ordering; the rest are warnings.
+                        </p>
+                    </div>
+
                     <div className="pt-4">
                         <button type="submit" disabled={saving} className="btn btn-primary">
                             {saving ? (
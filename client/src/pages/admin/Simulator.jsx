@@ -1,6 +1,8 @@
 import { useState, useEffect } from 'react';
 import { useAuth } from '../../contexts/AuthContext';
-import { calculatePrice, formatCurrency } from '../../lib/pricing';
+import { calculatePrice, formatCurrency } from '@shared/pricing';
+import { hasMachines, priceOnMachines, MACHINE_TYPE_LABELS } from '@shared/machines';
+import { CORNER_ZONE_LENGTH } from '@shared/dxf';
 
 export default function Simulator() {
     const { authFetch } = useAuth();
@@ -9,8 +11,10 @@ export default function Simulator() {
 
     const [selectedMaterial, setSelectedMaterial] = useState('');
     const [selectedThickness, setSelectedThickness] = useState('');
-    const [dimensions, setDimensions] = useState({ width: 100, height: 100, length: 500 });
+    const [dimensions, setDimensions] = useState({ width: 100, height: 100, length: 500, pierces: 1, engraveLength: 0, travelDistance: 0, quantity: 1, holes: 0, holeDiameter: 5, corners: 4, cornerAngle: 90 });
     const [priceBreakdown, setPriceBreakdown] = useState(null);
+    const [machineQuotes, setMachineQuotes] = useState(null);
+    const [nominalBreakdown, setNominalBreakdown] = useState(null);
 
     useEffect(() => {
         fetchConfig();
@@ -45,15 +49,57 @@ export default function Simulator() {
         const pricing = material.pricingEntries.find(p => p.thickness.toString() === selectedThickness);
         if (!pricing) return;
 
+        const width = parseFloat(dimensions.width) || 0;
+        const height = parseFloat(dimensions.height) || 0;
+        const totalLength = parseFloat(dimensions.length) || 0;
+
+        // Features for derating: the holes, and an outline with the sharp corners
+        const holeCount = parseInt(dimensions.holes) || 0;
+        const holeDiameter = parseFloat(dimensions.holeDiameter) || 0;
+        const holeLength = Math.PI * holeDiameter;
+        const cornerAngle = parseFloat(dimensions.cornerAngle) || 0;
+        const features = [
+            {
+                size: width + height > 0 ? (2 * width * height) / (width + height) : null,
+                length: Math.max(0, totalLength - holeCount * holeLength),
+                corners: Array.from({ length: parseInt(dimensions.corners) || 0 }, () => ({ angle: cornerAngle, zone: CORNER_ZONE_LENGTH })),
+            },
+            ...Array.from({ length: holeCount }, () => ({ size: holeDiameter, length: holeLength, corners: [] })),
+        ];
+
         const metrics = {
-            width: parseFloat(dimensions.width) || 0,
-            height: parseFloat(dimensions.height) || 0,
-            totalLength: parseFloat(dimensions.length) || 0,
+            width,
+            height,
+            totalLength,
             area: (parseFloat(dimensions.width) || 0) * (parseFloat(dimensions.height) || 0),
+            pierceCount: parseInt(dimensions.pierces) || 0,
+            engraveLength: parseFloat(dimensions.engraveLength) || 0,
+            travelDistance: parseFloat(dimensions.travelDistance) || 0,
+            features,
+        };
+
+        const options = {
+            areaMode: material.areaMode,
+            quantity: parseInt(dimensions.quantity) || 1,
+            quantityBreaks: material.quantityBreaks,
+            density: material.defaultDensity,
+            pricePerKg: material.pricePerKg,
         };
 
-        const breakdown = calculatePrice(metrics, pricing, config.settings);
-        setPriceBreakdown(breakdown);
+        // With machines set up, show every eligible machine and break down the cheapest
+        if (hasMachines(config.machines, material.id)) {
+            const quotes = priceOnMachines(config.machines, material.id, metrics, pricing, config.settings, options);
+            setMachineQuotes(quotes);
+            setPriceBreakdown(quotes[0]?.breakdown || null);
+            setNominalBreakdown(quotes[0]
+                ? calculatePrice(metrics, pricing, config.settings, { ...options, machine: quotes[0].machine, derate: false })
+                : null);
+            return;
+        }
+
+        setMachineQuotes(null);
+        setPriceBreakdown(calculatePrice(metrics, pricing, config.settings, options));
+        setNominalBreakdown(calculatePrice(metrics, pricing, config.settings, { ...options, derate: false }));
     };
 
     const currentMaterial = config.materials.find(m => m.id.toString() === selectedMaterial);
@@ -141,6 +187,98 @@ export default function Simulator() {
                                 />
                             </div>
                         </div>
+
+                        <div className="grid grid-cols-3 gap-4">
+                            <div>
+                                <label className="label">Pierces (contours)</label>
+                                <input
+                                    type="number"
+                                    min="0"
+                                    step="1"
+                                    value={dimensions.pierces}
+                                    onChange={(e) => setDimensions({ ...dimensions, pierces: e.target.value })}
+                                    className="input"
+                                />
+                            </div>
+                            <div>
+                                <label className="label">Engrave Length (mm)</label>
+                                <input
+                                    type="number"
+                                    min="0"
+                                    value={dimensions.engraveLength}
+                                    onChange={(e) => setDimensions({ ...dimensions, engraveLength: e.target.value })}
+                                    className="input"
+                                />
+                            </div>
+                            <div>
+                                <label className="label">Rapid Travel (mm)</label>
+                                <input
+                                    type="number"
+                                    min="0"
+                                    value={dimensions.travelDistance}
+                                    onChange={(e) => setDimensions({ ...dimensions, travelDistance: e.target.value })}
+                                    className="input"
+                                />
+                            </div>
+                            <div>
+                                <label className="label">Quantity</label>
+                                <input
+                                    type="number"
+                                    min="1"
+                                    step="1"
+                                    value={dimensions.quantity}
+                                    onChange={(e) => setDimensions({ ...dimensions, quantity: e.target.value })}
+                                    className="input"
+                                />
+                            </div>
+                        </div>
+
+                        <div className="grid grid-cols-2 gap-4">
+                            <div>
+                                <label className="label">Small Holes</label>
+                                <input
+                                    type="number"
+                                    min="0"
+                                    step="1"
+                                    value={dimensions.holes}
+                                    onChange={(e) => setDimensions({ ...dimensions, holes: e.target.value })}
+                                    className="input"
+                                />
+                                <span className="text-xs text-slate-500 mt-1 block">Included in the cut length</span>
+                            </div>
+                            <div>
+                                <label className="label">Hole Diameter (mm)</label>
+                                <input
+                                    type="number"
+                                    min="0"
+                                    value={dimensions.holeDiameter}
+                                    onChange={(e) => setDimensions({ ...dimensions, holeDiameter: e.target.value })}
+                                    className="input"
+                                />
+                            </div>
+                            <div>
+                                <label className="label">Sharp Corners</label>
+                                <input
+                                    type="number"
+                                    min="0"
+                                    step="1"
+                                    value={dimensions.corners}
+                                    onChange={(e) => setDimensions({ ...dimensions, corners: e.target.value })}
+                                    className="input"
+                                />
+                            </div>
+                            <div>
+                                <label className="label">Corner Angle (°)</label>
+                                <input
+                                    type="number"
+                                    min="0"
+                                    max="180"
+                                    value={dimensions.cornerAngle}
+                                    onChange={(e) => setDimensions({ ...dimensions, cornerAngle: e.target.value })}
+                                    className="input"
+                                />
+                            </div>
+                        </div>
                     </div>
                 </div>
 
@@ -163,9 +301,15 @@ export default function Simulator() {
 
                             <div className="space-y-3 text-sm">
                                 <div className="flex justify-between">
-                                    <span className="text-slate-400">Bounding Box Area</span>
+                                    <span className="text-slate-400">Billed Area ({priceBreakdown.details.areaMode})</span>
                                     <span>{priceBreakdown.details.area.toLocaleString()} mm²</span>
                                 </div>
+                                {priceBreakdown.details.pricePerKg > 0 && (
+                                    <div className="flex justify-between">
+                                        <span className="text-slate-400">Billed Weight</span>
+                                        <span>{priceBreakdown.details.billedWeight.toFixed(3)} kg × {formatCurrency(priceBreakdown.details.pricePerKg, priceBreakdown.currency)}/kg</span>
+                                    </div>
+                                )}
                                 <div className="flex justify-between">
                                     <span className="text-slate-400">Area Cost</span>
                                     <span>{formatCurrency(priceBreakdown.areaCost, priceBreakdown.currency)}</span>
@@ -174,10 +318,43 @@ export default function Simulator() {
                                     <span className="text-slate-400">Cut Time</span>
                                     <span>{priceBreakdown.details.cutTimeMinutes.toFixed(2)} min</span>
                                 </div>
+                                {nominalBreakdown && (
+                                    <div className="flex justify-between">
+                                        <span className="text-slate-400">Cut Time at Full Speed</span>
+                                        <span>
+                                            {nominalBreakdown.details.cutTimeMinutes.toFixed(2)} min
+                                            {!priceBreakdown.details.derated && <span className="text-xs text-slate-500 ml-1">(no derating curves)</span>}
+                                        </span>
+                                    </div>
+                                )}
                                 <div className="flex justify-between">
                                     <span className="text-slate-400">Time Cost</span>
                                     <span>{formatCurrency(priceBreakdown.timeCost, priceBreakdown.currency)}</span>
                                 </div>
+                                <div className="flex justify-between">
+                                    <span className="text-slate-400">Travel Time</span>
+                                    <span>{priceBreakdown.details.travelTimeMinutes.toFixed(2)} min</span>
+                                </div>
+                                <div className="flex justify-between">
+                                    <span className="text-slate-400">Travel Cost</span>
+                                    <span>{formatCurrency(priceBreakdown.travelCost, priceBreakdown.currency)}</span>
+                                </div>
+                                <div className="flex justify-between">
+                                    <span className="text-slate-400">Pierces</span>
+                                    <span>{priceBreakdown.details.pierceCount} ({(priceBreakdown.details.pierceTimeMinutes * 60).toFixed(1)} s)</span>
+                                </div>
+                                <div className="flex justify-between">
+                                    <span className="text-slate-400">Pierce Cost</span>
+                                    <span>{formatCurrency(priceBreakdown.pierceCost, priceBreakdown.currency)}</span>
+                                </div>
+                                <div className="flex justify-between">
+                                    <span className="text-slate-400">Engrave Time</span>
+                                    <span>{priceBreakdown.details.engraveTimeMinutes.toFixed(2)} min</span>
+                                </div>
+                                <div className="flex justify-between">
+                                    <span className="text-slate-400">Engrave Cost</span>
+                                    <span>{formatCurrency(priceBreakdown.engraveCost, priceBreakdown.currency)}</span>
+                                </div>
                                 <div className="flex justify-between pt-2 border-t border-slate-700/50">
                                     <span className="text-slate-400">Subtotal</span>
                                     <span>{formatCurrency(priceBreakdown.subtotal, priceBreakdown.currency)}</span>
@@ -186,19 +363,88 @@ export default function Simulator() {
                                     <span className="text-slate-400">Markup ({priceBreakdown.markupPercent}%)</span>
                                     <span>+{formatCurrency(priceBreakdown.markupAmount, priceBreakdown.currency)}</span>
                                 </div>
+                                <div className="flex justify-between">
+                                    <span className="text-slate-400">Volume Discount ({priceBreakdown.discountPercent}%)</span>
+                                    <span>−{formatCurrency(priceBreakdown.discountAmount, priceBreakdown.currency)}</span>
+                                </div>
                                 <div className="flex justify-between pt-2 border-t border-slate-700/50 font-semibold">
-                                    <span>Total</span>
-                                    <span>{formatCurrency(priceBreakdown.withMarkup, priceBreakdown.currency)}</span>
+                                    <span>Unit Price</span>
+                                    <span>{formatCurrency(priceBreakdown.unitPrice, priceBreakdown.currency)}</span>
+                                </div>
+                                <div className="flex justify-between">
+                                    <span className="text-slate-400">× {priceBreakdown.quantity} parts</span>
+                                    <span>{formatCurrency(priceBreakdown.partsTotal, priceBreakdown.currency)}</span>
+                                </div>
+                                <div className="flex justify-between">
+                                    <span className="text-slate-400">Setup Charge</span>
+                                    <span>+{formatCurrency(priceBreakdown.setupCharge, priceBreakdown.currency)}</span>
+                                </div>
+                                {nominalBreakdown && priceBreakdown.details.derated && (
+                                    <div className="flex justify-between">
+                                        <span className="text-slate-400">Without Derating</span>
+                                        <span>
+                                            {formatCurrency(nominalBreakdown.finalPrice, nominalBreakdown.currency)}
+                                            <span className="text-xs text-slate-500 ml-1">
+                                                (+{formatCurrency(priceBreakdown.finalPrice - nominalBreakdown.finalPrice, priceBreakdown.currency)} derated)
+                                            </span>
+                                        </span>
+                                    </div>
+                                )}
+                                <div className="flex justify-between pt-2 border-t border-slate-700/50">
+                                    <span className="text-slate-400">Weight (part / shipment)</span>
+                                    <span>{priceBreakdown.partWeight.toFixed(3)} / {priceBreakdown.totalWeight.toFixed(2)} kg</span>
+                                </div>
+                                <div className="flex justify-between">
+                                    <span className="text-slate-400">Shipping Estimate</span>
+                                    <span>{formatCurrency(priceBreakdown.shippingEstimate, priceBreakdown.currency)}</span>
                                 </div>
                             </div>
                         </div>
                     ) : (
                         <div className="text-center text-slate-400 py-8">
-                            Select material and enter dimensions to see pricing
+                            {machineQuotes?.length === 0
+                                ? 'No machine can cut this part in this material and thickness'
+                                : 'Select material and enter dimensions to see pricing'}
                         </div>
                     )}
                 </div>
             </div>
+
+            {/* Machine Comparison */}
+            {machineQuotes?.length > 0 && (
+                <div className="glass-card overflow-hidden mt-8">
+                    <div className="px-6 py-4 border-b border-slate-700/50">
+                        <h2 className="text-lg font-semibold">Machine Comparison</h2>
+                    </div>
+                    <table className="data-table">
+                        <thead>
+                            <tr>
+                                <th>Machine</th>
+                                <th>Cut Speed (mm/min)</th>
+                                <th>Time per Part</th>
+                                <th>Unit Price</th>
+                                <th className="text-right">Total</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {machineQuotes.map((q) => (
+                                <tr key={q.machine.id}>
+                                    <td className="font-medium">
+                                        {q.machine.name}
+                                        <span className="text-xs text-slate-500 ml-2">{MACHINE_TYPE_LABELS[q.machine.type] || q.machine.type}</span>
+                                        {q.cheapest && <span className="ml-2 px-2 py-0.5 rounded text-xs bg-green-500/20 text-green-400">Cheapest</span>}
+                                        {q.fastest && <span className="ml-2 px-2 py-0.5 rounded text-xs bg-sky-500/20 text-sky-400">Fastest</span>}
+                                    </td>
+                                    <td>{Math.round(q.machine.cutSpeed).toLocaleString()}</td>
+                                    <td>{q.timeMinutes.toFixed(2)} min</td>
+                                    <td>{formatCurrency(q.breakdown.unitPrice, q.breakdown.currency)}</td>
+                                    <td className="text-right">{formatCurrency(q.breakdown.finalPrice, q.breakdown.currency)}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
         </div>
     );
 }
@@ -0,0 +1,383 @@
+import { useState, useEffect } from 'react';
+import { useAuth } from '../../contexts/AuthContext';
+import { formatInput } from '@shared/units';
+
+const EMPTY_FORM = {
+    materialId: '',
+    thickness: '',
+    width: '',
+    height: '',
+    costPerSheet: '',
+    onHand: '',
+    isRemnant: false,
+    notes: '',
+};
+
+export default function StockSheets() {
+    const { authFetch } = useAuth();
+    const [sheets, setSheets] = useState([]);
+    const [materials, setMaterials] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [showModal, setShowModal] = useState(false);
+    const [editingSheet, setEditingSheet] = useState(null);
+    const [formData, setFormData] = useState(EMPTY_FORM);
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        fetchData();
+    }, []);
+
+    const fetchData = async () => {
+        try {
+            const [sheetsRes, materialsRes] = await Promise.all([
+                authFetch('/api/admin/stock-sheets'),
+                authFetch('/api/admin/materials'),
+            ]);
+            setSheets(await sheetsRes.json());
+            setMaterials(await materialsRes.json());
+        } catch (error) {
+            console.error('Failed to fetch data:', error);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    /**
+     * Open the modal to edit a sheet, add a new one, or record a remnant cut
+     * from `remnantOf` (same material and thickness, one on hand)
+     */
+    const openModal = (sheet = null, remnantOf = null) => {
+        setEditingSheet(sheet);
+        if (sheet) {
+            setFormData({
+                materialId: sheet.materialId.toString(),
+                thickness: formatInput(sheet.thickness),
+                width: formatInput(sheet.width),
+                height: formatInput(sheet.height),
+                costPerSheet: sheet.costPerSheet ? sheet.costPerSheet.toString() : '',
+                onHand: sheet.onHand.toString(),
+                isRemnant: sheet.isRemnant,
+                notes: sheet.notes || '',
+            });
+        } else if (remnantOf) {
+            setFormData({
+                ...EMPTY_FORM,
+                materialId: remnantOf.materialId.toString(),
+                thickness: formatInput(remnantOf.thickness),
+                onHand: '1',
+                isRemnant: true,
+            });
+        } else {
+            setFormData({ ...EMPTY_FORM, materialId: materials[0]?.id?.toString() || '' });
+        }
+        setError('');
+        setShowModal(true);
+    };
+
+    const closeModal = () => {
+        setShowModal(false);
+        setEditingSheet(null);
+        setError('');
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        setError('');
+
+        try {
+            const thickness = parseFloat(formData.thickness);
+            const width = parseFloat(formData.width);
+            const height = parseFloat(formData.height);
+            const costPerSheet = formData.costPerSheet === '' ? 0 : parseFloat(formData.costPerSheet);
+            const onHand = formData.onHand === '' ? 0 : parseInt(formData.onHand);
+
+            if (!(thickness > 0)) throw new Error('Invalid thickness.');
+            if (!(width > 0) || !(height > 0)) throw new Error('Invalid sheet size.');
+            if (isNaN(costPerSheet) || costPerSheet < 0) throw new Error('Invalid cost per sheet.');
+            if (isNaN(onHand) || onHand < 0) throw new Error('Invalid on-hand count.');
+
+            const url = editingSheet
+                ? `/api/admin/stock-sheets/${editingSheet.id}`
+                : '/api/admin/stock-sheets';
+
+            const response = await authFetch(url, {
+                method: editingSheet ? 'PUT' : 'POST',
+                body: JSON.stringify({
+                    materialId: formData.materialId,
+                    thickness,
+                    width,
+                    height,
+                    costPerSheet,
+                    onHand,
+                    isRemnant: formData.isRemnant,
+                    notes: formData.notes,
+                }),
+            });
+
+            if (!response.ok) {
+                const data = await response.json();
+                throw new Error(data.error || 'Failed to save');
+            }
+
+            await fetchData();
+            closeModal();
+        } catch (error) {
+            setError(error.message);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleDelete = async (id) => {
+        if (!confirm('Are you sure you want to delete this stock sheet?')) return;
+
+        try {
+            await authFetch(`/api/admin/stock-sheets/${id}`, { method: 'DELETE' });
+            await fetchData();
+        } catch (error) {
+            console.error('Failed to delete:', error);
+        }
+    };
+
+    // Group sheets by material
+    const groupedSheets = sheets.reduce((acc, sheet) => {
+        const materialName = sheet.material?.name || 'Unknown';
+        if (!acc[materialName]) acc[materialName] = [];
+        acc[materialName].push(sheet);
+        return acc;
+    }, {});
+
+    if (loading) {
+        return (
+            <div className="flex items-center justify-center h-64">
+                <div className="loader" />
+            </div>
+        );
+    }
+
+    return (
+        <div>
+            <div className="flex justify-between items-center mb-8">
+                <div>
+                    <h1 className="text-3xl font-bold mb-2">Stock Sheets</h1>
+                    <p className="text-slate-400">Sheet sizes and remnants available for nesting</p>
+                </div>
+                <button onClick={() => openModal()} className="btn btn-primary" disabled={materials.length === 0}>
+                    <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
+                    </svg>
+                    Add Sheet
+                </button>
+            </div>
+
+            {materials.length === 0 ? (
+                <div className="glass-card p-8 text-center">
+                    <p className="text-slate-400">Add materials first before setting up stock.</p>
+                    <a href="/admin/materials" className="btn btn-primary mt-4 inline-flex">
+                        Go to Materials
+                    </a>
+                </div>
+            ) : Object.keys(groupedSheets).length === 0 ? (
+                <div className="glass-card p-8 text-center">
+                    <p className="text-slate-400">No stock sheets found. Quotes use the default sheet sizes from Settings.</p>
+                </div>
+            ) : (
+                <div className="space-y-6">
+                    {Object.entries(groupedSheets).map(([materialName, entries]) => (
+                        <div key={materialName} className="glass-card overflow-hidden">
+                            <div className="px-6 py-4 border-b border-slate-700/50 flex items-center gap-3">
+                                <div className="w-3 h-3 rounded-full bg-gradient-to-r from-indigo-500 to-purple-500" />
+                                <h3 className="font-semibold text-lg">{materialName}</h3>
+                                <span className="text-sm text-slate-400">({entries.length} sheets)</span>
+                            </div>
+                            <table className="data-table">
+                                <thead>
+                                    <tr>
+                                        <th>Thickness</th>
+                                        <th>Size (mm)</th>
+                                        <th>Cost/Sheet</th>
+                                        <th>On Hand</th>
+                                        <th>Type</th>
+                                        <th className="text-right">Actions</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {entries.map((sheet) => (
+                                        <tr key={sheet.id}>
+                                            <td className="font-medium">{formatInput(sheet.thickness)} mm</td>
+                                            <td>
+                                                {formatInput(sheet.width)} × {formatInput(sheet.height)}
+                                                {sheet.notes && <div className="text-xs text-slate-500">{sheet.notes}</div>}
+                                            </td>
+                                            <td>{sheet.costPerSheet > 0 ? `$${sheet.costPerSheet.toFixed(2)}` : '—'}</td>
+                                            <td>{sheet.onHand}</td>
+                                            <td>
+                                                {sheet.isRemnant ? (
+                                                    <span className="px-2 py-1 rounded text-xs bg-amber-500/20 text-amber-400">Remnant</span>
+                                                ) : (
+                                                    <span className="px-2 py-1 rounded text-xs bg-slate-700 text-slate-300">Stock</span>
+                                                )}
+                                            </td>
+                                            <td className="text-right">
+                                                {!sheet.isRemnant && (
+                                                    <button onClick={() => openModal(null, sheet)} className="btn btn-secondary mr-2 py-2 px-3">
+                                                        Record Remnant
+                                                    </button>
+                                                )}
+                                                <button onClick={() => openModal(sheet)} className="btn btn-secondary mr-2 py-2 px-3">
+                                                    Edit
+                                                </button>
+                                                <button onClick={() => handleDelete(sheet.id)} className="btn btn-danger py-2 px-3">
+                                                    Delete
+                                                </button>
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            {/* Modal */}
+            {showModal && (
+                <div className="modal-overlay" onClick={closeModal}>
+                    <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+                        <h2 className="text-xl font-bold mb-6">
+                            {editingSheet ? 'Edit Stock Sheet' : formData.isRemnant ? 'Record Remnant' : 'Add Stock Sheet'}
+                        </h2>
+
+                        <form onSubmit={handleSubmit} className="space-y-4">
+                            {error && (
+                                <div className="p-3 rounded-lg bg-red-500/10 border border-red-500/30 text-red-400 text-sm">
+                                    {error}
+                                </div>
+                            )}
+
+                            <div className="grid grid-cols-2 gap-4">
+                                <div>
+                                    <label className="label">Material</label>
+                                    <select
+                                        value={formData.materialId}
+                                        onChange={(e) => setFormData({ ...formData, materialId: e.target.value })}
+                                        className="select"
+                                        required
+                                    >
+                                        {materials.map((m) => (
+                                            <option key={m.id} value={m.id}>{m.name}</option>
+                                        ))}
+                                    </select>
+                                </div>
+                                <div>
+                                    <label className="label">Thickness (mm)</label>
+                                    <input
+                                        type="number"
+                                        step="0.01"
+                                        min="0"
+                                        value={formData.thickness}
+                                        onChange={(e) => setFormData({ ...formData, thickness: e.target.value })}
+                                        className="input"
+                                        required
+                                    />
+                                </div>
+                            </div>
+
+                            <div className="grid grid-cols-2 gap-4">
+                                <div>
+                                    <label className="label">Width (mm)</label>
+                                    <input
+                                        type="number"
+                                        step="1"
+                                        min="0"
+                                        value={formData.width}
+                                        onChange={(e) => setFormData({ ...formData, width: e.target.value })}
+                                        className="input"
+                                        placeholder="e.g., 3000"
+                                        required
+                                    />
+                                </div>
+                                <div>
+                                    <label className="label">Height (mm)</label>
+                                    <input
+                                        type="number"
+                                        step="1"
+                                        min="0"
+                                        value={formData.height}
+                                        onChange={(e) => setFormData({ ...formData, height: e.target.value })}
+                                        className="input"
+                                        placeholder="e.g., 1500"
+                                        required
+                                    />
+                                </div>
+                            </div>
+
+                            <div className="grid grid-cols-2 gap-4">
+                                <div>
+                                    <label className="label">Cost per Sheet ($)</label>
+                                    <input
+                                        type="number"
+                                        step="0.01"
+                                        min="0"
+                                        value={formData.costPerSheet}
+                                        onChange={(e) => setFormData({ ...formData, costPerSheet: e.target.value })}
+                                        className="input"
+                                        placeholder="e.g., 180"
+                                    />
+                                    <span className="text-xs text-slate-500 mt-1 block">Leave empty to bill by area</span>
+                                </div>
+                                <div>
+                                    <label className="label">On Hand</label>
+                                    <input
+                                        type="number"
+                                        step="1"
+                                        min="0"
+                                        value={formData.onHand}
+                                        onChange={(e) => setFormData({ ...formData, onHand: e.target.value })}
+                                        className="input"
+                                        placeholder="0"
+                                    />
+                                </div>
+                            </div>
+
+                            <label className="flex items-center gap-2 text-sm">
+                                <input
+                                    type="checkbox"
+                                    checked={formData.isRemnant}
+                                    onChange={(e) => setFormData({ ...formData, isRemnant: e.target.checked })}
+                                />
+                                Remnant left over from a job
+                            </label>
+
+                            <div>
+                                <label className="label">Notes</label>
+                                <input
+                                    type="text"
+                                    value={formData.notes}
+                                    onChange={(e) => setFormData({ ...formData, notes: e.target.value })}
+                                    className="input"
+                                    placeholder="e.g., Rack B, offcut from job 1042"
+                                />
+                            </div>
+
+                            <div className="p-3 bg-slate-800/50 rounded text-xs text-slate-400 border border-slate-700/50">
+                                ℹ️ Remnants are nested before full sheets, up to the number on hand. Full sheets are assumed to be reorderable.
+                            </div>
+
+                            <div className="flex justify-end gap-3 pt-4">
+                                <button type="button" onClick={closeModal} className="btn btn-secondary">
+                                    Cancel
+                                </button>
+                                <button type="submit" disabled={saving} className="btn btn-primary">
+                                    {saving ? 'Saving...' : 'Save'}
+                                </button>
+                            </div>
+                        </form>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
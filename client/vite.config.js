@@ -1,11 +1,21 @@
+import { fileURLToPath } from 'node:url'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 import tailwindcss from '@tailwindcss/vite'
 
+// DXF parsing and pricing live outside the client, shared with the server
+const sharedDir = fileURLToPath(new URL('../shared', import.meta.url))
+
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react(), tailwindcss()],
+  resolve: {
+    alias: { '@shared': sharedDir },
+    // Resolve the shared code's dependencies from the client's node_modules
+    dedupe: ['dxf-parser'],
+  },
   server: {
+    fs: { allow: ['.', sharedDir] },
     proxy: {
       '/api': {
         target: 'http://localhost:3001',
@@ -20,7 +20,7 @@ async function main() {
 
     // Create materials
     const materials = [
-        { name: 'Steel', defaultDensity: 7.85 },
+        { name: 'Steel', defaultDensity: 7.85, allowInterpolation: true },
         { name: 'Aluminum', defaultDensity: 2.70 },
         { name: 'Stainless Steel', defaultDensity: 8.00 },
     ];
@@ -41,20 +41,23 @@ async function main() {
 
     const pricingData = [
         // Steel pricing
-        { materialId: steel.id, thickness: 1.0, costPerArea: 0.00005, costPerTime: 50, cutSpeed: 3000 },
-        { materialId: steel.id, thickness: 2.0, costPerArea: 0.00008, costPerTime: 50, cutSpeed: 2500 },
-        { materialId: steel.id, thickness: 3.0, costPerArea: 0.00012, costPerTime: 50, cutSpeed: 2000 },
+        { materialId: steel.id, thickness: 1.0, costPerArea: 0.00005, costPerTime: 50, cutSpeed: 3000, pierceTime: 0.5, pierceCost: 0.02, engraveSpeed: 6000, engraveRate: 0 },
+        { materialId: steel.id, thickness: 2.0, costPerArea: 0.00008, costPerTime: 50, cutSpeed: 2500, pierceTime: 1.0, pierceCost: 0.03, engraveSpeed: 6000, engraveRate: 0 },
+        { materialId: steel.id, thickness: 3.0, costPerArea: 0.00012, costPerTime: 50, cutSpeed: 2000, pierceTime: 1.5, pierceCost: 0.05, engraveSpeed: 6000, engraveRate: 0 },
         // Aluminum pricing
-        { materialId: aluminum.id, thickness: 1.0, costPerArea: 0.00007, costPerTime: 45, cutSpeed: 4000 },
-        { materialId: aluminum.id, thickness: 2.0, costPerArea: 0.00011, costPerTime: 45, cutSpeed: 3500 },
-        { materialId: aluminum.id, thickness: 3.0, costPerArea: 0.00016, costPerTime: 45, cutSpeed: 3000 },
+        { materialId: aluminum.id, thickness: 1.0, costPerArea: 0.00007, costPerTime: 45, cutSpeed: 4000, pierceTime: 0.4, pierceCost: 0.02, engraveSpeed: 8000, engraveRate: 0 },
+        { materialId: aluminum.id, thickness: 2.0, costPerArea: 0.00011, costPerTime: 45, cutSpeed: 3500, pierceTime: 0.8, pierceCost: 0.03, engraveSpeed: 8000, engraveRate: 0 },
+        { materialId: aluminum.id, thickness: 3.0, costPerArea: 0.00016, costPerTime: 45, cutSpeed: 3000, pierceTime: 1.2, pierceCost: 0.04, engraveSpeed: 8000, engraveRate: 0 },
         // Stainless pricing
-        { materialId: stainless.id, thickness: 1.0, costPerArea: 0.00010, costPerTime: 60, cutSpeed: 2500 },
-        { materialId: stainless.id, thickness: 2.0, costPerArea: 0.00015, costPerTime: 60, cutSpeed: 2000 },
-        { materialId: stainless.id, thickness: 3.0, costPerArea: 0.00022, costPerTime: 60, cutSpeed: 1500 },
+        { materialId: stainless.id, thickness: 1.0, costPerArea: 0.00010, costPerTime: 60, cutSpeed: 2500, pierceTime: 0.6, pierceCost: 0.03, engraveSpeed: 5000, engraveRate: 0 },
+        { materialId: stainless.id, thickness: 2.0, costPerArea: 0.00015, costPerTime: 60, cutSpeed: 2000, pierceTime: 1.2, pierceCost: 0.04, engraveSpeed: 5000, engraveRate: 0 },
+        { materialId: stainless.id, thickness: 3.0, costPerArea: 0.00022, costPerTime: 60, cutSpeed: 1500, pierceTime: 2.0, pierceCost: 0.06, engraveSpeed: 5000, engraveRate: 0 },
     ];
 
-    for (const entry of pricingData) {
+    // Typical laser slowdown for small holes and sharp corners
+    const derating = { sizeDerating: '2:30, 5:50, 10:75, 25:100', cornerDerating: '30:35, 90:60, 150:100' };
+
+    for (const entry of pricingData.map(e => ({ ...e, ...derating }))) {
         await prisma.pricingEntry.upsert({
             where: {
                 materialId_thickness: {
@@ -68,11 +71,94 @@ async function main() {
     }
     console.log('✓ Pricing entries created');
 
+    // Create stock sheets (only on a fresh database, they have no natural key)
+    if (await prisma.stockSheet.count() === 0) {
+        for (const material of [steel, aluminum, stainless]) {
+            for (const thickness of [1.0, 2.0, 3.0]) {
+                await prisma.stockSheet.create({
+                    data: { materialId: material.id, thickness, width: 3000, height: 1500, onHand: 10 },
+                });
+                await prisma.stockSheet.create({
+                    data: { materialId: material.id, thickness, width: 2500, height: 1250, onHand: 10 },
+                });
+            }
+        }
+        console.log('✓ Stock sheets created');
+    }
+
+    // Create machines
+    const machines = [
+        {
+            name: 'Fiber Laser 3kW',
+            type: 'laser',
+            hourlyRate: 90,
+            maxSheetWidth: 3000,
+            maxSheetHeight: 1500,
+            kerf: 0.15,
+            rapidSpeed: 60000,
+            capabilities: [
+                { materialId: steel.id, minThickness: 0.5, maxThickness: 12, speedTable: '1:9000, 2:6000, 3:4200, 6:2000, 12:800' },
+                { materialId: aluminum.id, minThickness: 0.5, maxThickness: 8, speedTable: '1:10000, 2:7000, 3:5000, 8:1200' },
+                { materialId: stainless.id, minThickness: 0.5, maxThickness: 8, speedTable: '1:8000, 2:5000, 3:3500, 8:900' },
+            ],
+        },
+        {
+            name: 'Waterjet',
+            type: 'waterjet',
+            hourlyRate: 70,
+            maxSheetWidth: 4000,
+            maxSheetHeight: 2000,
+            kerf: 0.9,
+            capabilities: [steel, aluminum, stainless].map(material => ({
+                materialId: material.id,
+                minThickness: 0.5,
+                maxThickness: 100,
+                speedTable: '1:1200, 3:700, 10:250, 50:50, 100:20',
+            })),
+        },
+    ];
+
+    for (const { capabilities, ...machine } of machines) {
+        await prisma.machine.upsert({
+            where: { name: machine.name },
+            update: {},
+            create: { ...machine, capabilities: { create: capabilities } },
+        });
+    }
+    console.log('✓ Machines created');
+
     // Create global settings
     const settings = [
         { key: 'markup', value: '15' },
         { key: 'minCharge', value: '25' },
+        { key: 'setupCharge', value: '15' },
+        { key: 'quantityBreaks', value: '10:5, 50:10, 100:15, 500:20' },
+        { key: 'shippingBase', value: '12' },
+        { key: 'shippingPerKg', value: '0.8' },
+        { key: 'rapidSpeed', value: '20000' },
         { key: 'currency', value: 'USD' },
+        { key: 'quoteValidityDays', value: '30' },
+        { key: 'engraveColors', value: '' },
+        { key: 'kerfWidth', value: '0.2' },
+        { key: 'kerfCompensation', value: 'false' },
+        { key: 'kerfTolerance', value: '0' },
+        { key: 'cleanupTolerance', value: '0.01' },
+        { key: 'sheetSizes', value: '3000x1500, 2500x1250' },
+        { key: 'partSpacing', value: '5' },
+        { key: 'nestRotations', value: '0, 90' },
+        { key: 'scrapFactor', value: '15' },
+        { key: 'blockingIssues', value: JSON.stringify(['OPEN_CONTOUR', 'SELF_INTERSECTION', 'SMALL_FEATURE']) },
+        {
+            key: 'layerRules',
+            value: JSON.stringify([
+                { pattern: 'DIM*', operation: 'ignore' },
+                { pattern: 'TITLE*', operation: 'ignore' },
+                { pattern: 'DEFPOINTS', operation: 'ignore' },
+                { pattern: 'ETCH*', operation: 'engrave' },
+                { pattern: 'ENGRAVE*', operation: 'engrave' },
+                { pattern: 'BEND*', operation: 'bend' },
+            ]),
+        },
     ];
 
     for (const setting of settings) {
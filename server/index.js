@@ -5,18 +5,27 @@ const cors = require('cors');
 const authRoutes = require('./routes/auth');
 const configRoutes = require('./routes/config');
 const adminRoutes = require('./routes/admin');
+const quoteRoutes = require('./routes/quotes');
+const calculateRoutes = require('./routes/calculate');
+const orderRoutes = require('./routes/orders');
+const accountRoutes = require('./routes/account');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+// Quotes carry the uploaded DXF file
+app.use(express.json({ limit: '20mb' }));
 
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/config', configRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/quotes', quoteRoutes);
+app.use('/api/quote', calculateRoutes);
+app.use('/api/orders', orderRoutes);
+app.use('/api/account', accountRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
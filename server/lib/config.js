@@ -0,0 +1,127 @@
+const prisma = require('./prisma');
+
+const NUMERIC_SETTINGS = [
+    'markup', 'minCharge', 'setupCharge', 'shippingBase', 'shippingPerKg',
+    'kerfWidth', 'kerfTolerance', 'cleanupTolerance', 'partSpacing', 'scrapFactor', 'rapidSpeed',
+    'quoteValidityDays',
+];
+
+/**
+ * Everything the quoting code needs, parsed into numbers and lists: the
+ * materials with their pricing entries and stock sheets, the active machines
+ * and the global settings. Served to the browser as /api/config and used by
+ * the server to price quotes itself.
+ */
+async function loadConfig() {
+    // Get all materials with their pricing entries
+    const materials = await prisma.material.findMany({
+        include: {
+            pricingEntries: {
+                orderBy: { thickness: 'asc' },
+            },
+            stockSheets: {
+                // Remnants that have all been used up can't be nested onto
+                where: { OR: [{ isRemnant: false }, { onHand: { gt: 0 } }] },
+                orderBy: [{ thickness: 'asc' }, { isRemnant: 'desc' }],
+            },
+        },
+        orderBy: { name: 'asc' },
+    });
+
+    // Materials without their own quantity breaks use the global ones
+    for (const material of materials) {
+        material.quantityBreaks = parseQuantityBreaks(material.quantityBreaks || '');
+        for (const entry of material.pricingEntries) {
+            entry.sizeDerating = parseDeratingCurve(entry.sizeDerating || '');
+            entry.cornerDerating = parseDeratingCurve(entry.cornerDerating || '');
+        }
+    }
+
+    // Active machines with what they can cut
+    const machines = await prisma.machine.findMany({
+        where: { active: true },
+        include: { capabilities: true },
+        orderBy: { name: 'asc' },
+    });
+    for (const machine of machines) {
+        for (const capability of machine.capabilities) {
+            capability.speedTable = parseSpeedTable(capability.speedTable);
+        }
+    }
+
+    // Get global settings as key-value object
+    const settingsArray = await prisma.globalSettings.findMany();
+    const settings = settingsArray.reduce((acc, item) => {
+        // Parse numeric values
+        if (NUMERIC_SETTINGS.includes(item.key)) {
+            acc[item.key] = parseFloat(item.value);
+        } else if (item.key === 'kerfCompensation') {
+            acc[item.key] = item.value === 'true';
+        } else if (item.key === 'layerRules') {
+            acc[item.key] = parseJsonSetting(item.value, []);
+        } else if (item.key === 'blockingIssues') {
+            acc[item.key] = parseJsonSetting(item.value, undefined);
+        } else if (item.key === 'engraveColors' || item.key === 'nestRotations') {
+            // Comma-separated numbers (AutoCAD color indices, rotation angles)
+            acc[item.key] = item.value.split(',').map(v => parseFloat(v)).filter(n => !isNaN(n));
+        } else if (item.key === 'sheetSizes') {
+            acc[item.key] = parseSheetSizes(item.value);
+        } else if (item.key === 'quantityBreaks') {
+            acc[item.key] = parseQuantityBreaks(item.value);
+        } else {
+            acc[item.key] = item.value;
+        }
+        return acc;
+    }, {});
+
+    return { materials, machines, settings };
+}
+
+// "3000x1500, 2500x1250" -> [{ width: 3000, height: 1500 }, ...] in mm
+function parseSheetSizes(value) {
+    return value
+        .split(',')
+        .map(size => size.toLowerCase().split('x').map(v => parseFloat(v)))
+        .filter(([width, height]) => width > 0 && height > 0)
+        .map(([width, height]) => ({ width, height }));
+}
+
+// "10:5, 50:10" -> [{ minQty: 10, discount: 5 }, ...] discount in %
+function parseQuantityBreaks(value) {
+    return value
+        .split(',')
+        .map(entry => entry.split(':').map(v => parseFloat(v)))
+        .filter(([minQty, discount]) => minQty > 0 && discount >= 0 && discount < 100)
+        .map(([minQty, discount]) => ({ minQty: Math.round(minQty), discount }))
+        .sort((a, b) => a.minQty - b.minQty);
+}
+
+// "1:9000, 3:4200" -> [{ thickness: 1, speed: 9000 }, ...] in mm and mm/min
+function parseSpeedTable(value) {
+    return value
+        .split(',')
+        .map(entry => entry.split(':').map(v => parseFloat(v)))
+        .filter(([thickness, speed]) => thickness > 0 && speed > 0)
+        .map(([thickness, speed]) => ({ thickness, speed }))
+        .sort((a, b) => a.thickness - b.thickness);
+}
+
+// "3:40, 10:75" -> [{ at: 3, percent: 40 }, ...] feature size (mm) or corner angle (degrees) and % of cut speed
+function parseDeratingCurve(value) {
+    return value
+        .split(',')
+        .map(entry => entry.split(':').map(v => parseFloat(v)))
+        .filter(([at, percent]) => at >= 0 && percent > 0 && percent <= 100)
+        .map(([at, percent]) => ({ at, percent }))
+        .sort((a, b) => a.at - b.at);
+}
+
+function parseJsonSetting(value, fallback) {
+    try {
+        return JSON.parse(value);
+    } catch {
+        return fallback;
+    }
+}
+
+module.exports = { loadConfig };
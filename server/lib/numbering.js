@@ -0,0 +1,32 @@
+const prisma = require('./prisma');
+
+/**
+ * Create a record with the next number of the year, e.g. "Q-2026-00042".
+ * Two records saved at once can pick the same number; the loser retries.
+ *
+ * @param {string} model - Prisma model with a unique `number`, e.g. 'quote'
+ * @param {string} letter - Number prefix, e.g. 'Q'
+ * @param {Object} data - Everything but the number
+ */
+async function createNumbered(model, letter, data, attempts = 5) {
+    const prefix = `${letter}-${new Date().getFullYear()}-`;
+    for (let attempt = 0; ; attempt++) {
+        const last = await prisma[model].findFirst({
+            where: { number: { startsWith: prefix } },
+            orderBy: { number: 'desc' },
+            select: { number: true },
+        });
+        const next = (last ? parseInt(last.number.slice(prefix.length)) : 0) + 1;
+        try {
+            return await prisma[model].create({
+                data: { ...data, number: `${prefix}${String(next).padStart(5, '0')}` },
+            });
+        } catch (error) {
+            // Only a clash on the number is worth another try; other unique fields are the caller's
+            const numberClash = error.code === 'P2002' && !!error.meta?.target?.includes('number');
+            if (!numberClash || attempt >= attempts) throw error;
+        }
+    }
+}
+
+module.exports = { createNumbered };
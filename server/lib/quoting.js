@@ -0,0 +1,169 @@
+const { loadConfig } = require('./config');
+const { loadShared } = require('./shared');
+const { createNumbered } = require('./numbering');
+
+const QUOTE_JSON_FIELDS = ['breakdown', 'pricing'];
+const LINE_JSON_FIELDS = ['parseOptions', 'metrics', 'breakdown', 'pricing'];
+const DEFAULT_VALIDITY_DAYS = 30;
+
+// Request errors carry the HTTP status to answer with
+function quoteError(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+/**
+ * Parse a DXF file and price it with the shop's current configuration.
+ * Only the customer's own choices (units and layer operations) are taken
+ * from the request; the shop's parse rules always come from the settings.
+ *
+ * @param {Object} request - { dxfContent, parseOptions, materialId, thickness, quantity, machineId }
+ * @param {Object} [preloaded] - loadConfig result, when pricing several parts at once
+ * @returns {Object} { parsed, parseOptions, config, quote, validation } parseOptions as used, quote from quotePart
+ * @throws {Error} with a `status` for requests that can't be parsed
+ */
+async function calculateQuote({ dxfContent, parseOptions = {}, materialId, thickness, quantity, machineId }, preloaded = null) {
+    if (!dxfContent || typeof dxfContent !== 'string') {
+        throw quoteError('A DXF file is required');
+    }
+    if (!(parseFloat(thickness) > 0)) {
+        throw quoteError('Thickness is required');
+    }
+
+    const [{ parseDxf, validateGeometry }, { quotePart }, { MAX_QUANTITY }] = await Promise.all([
+        loadShared('dxf/index.js'),
+        loadShared('quote.js'),
+        loadShared('pricing.js'),
+    ]);
+    // Left out, one part
+    const parts = quantity == null || quantity === '' ? 1 : Number(quantity);
+    if (!Number.isInteger(parts) || parts < 1 || parts > MAX_QUANTITY) {
+        throw quoteError(`Quantity must be a whole number from 1 to ${MAX_QUANTITY}`);
+    }
+    const config = preloaded || await loadConfig();
+    const { settings } = config;
+
+    const options = {
+        units: parseOptions.units,
+        layerOverrides: parseOptions.layerOverrides,
+        layerRules: settings.layerRules,
+        engraveColors: settings.engraveColors,
+        cleanupTolerance: settings.cleanupTolerance,
+    };
+
+    let parsed;
+    try {
+        parsed = parseDxf(dxfContent, options);
+    } catch (error) {
+        throw quoteError(`Could not read the DXF file: ${error.message}`);
+    }
+
+    const quote = quotePart(parsed, config, {
+        materialId,
+        thickness: parseFloat(thickness),
+        quantity: parts,
+        machineId: machineId ? parseInt(machineId) : null,
+    });
+    if (!quote.material) {
+        throw quoteError('Material not found');
+    }
+
+    const validation = validateGeometry(parsed, {
+        kerf: quote.kerf,
+        blockingIssues: settings.blockingIssues,
+    });
+
+    return { parsed, parseOptions: options, config, quote, validation };
+}
+
+/**
+ * Price every part again with the current configuration and save them as
+ * one numbered quote, valid for the shop's quote validity period.
+ *
+ * @param {Object[]} lines - calculateQuote requests, each with a fileName
+ * @param {number} [customerId] - Account to keep the quote on
+ * @returns {Object} The saved quote
+ * @throws {Error} with a `status` when a part can't be priced or ordered
+ */
+async function saveQuote(lines, customerId = null) {
+    // Every line is priced with the same configuration
+    const [config, { calculateOrderTotal }] = await Promise.all([loadConfig(), loadShared('pricing.js')]);
+    const { settings } = config;
+
+    const priced = [];
+    for (const line of lines) {
+        const fileName = line.fileName || 'part.dxf';
+        const { parsed, parseOptions, quote, validation } = await calculateQuote(line, config);
+        if (!quote.breakdown) {
+            throw quoteError(`${fileName} cannot be priced in the selected material and thickness`);
+        }
+        if (validation.blocking) {
+            throw quoteError(`${fileName} has geometry errors that must be fixed before ordering`);
+        }
+        priced.push({ line, fileName, parsed, parseOptions, quote });
+    }
+
+    const total = calculateOrderTotal(priced.map(p => p.quote.breakdown), settings);
+    const validityDays = settings.quoteValidityDays || DEFAULT_VALIDITY_DAYS;
+    const expiresAt = new Date(Date.now() + validityDays * 24 * 60 * 60 * 1000);
+
+    const data = {
+        breakdown: JSON.stringify(total),
+        pricing: JSON.stringify({ settings }),
+        finalPrice: total.finalPrice,
+        currency: total.currency,
+        expiresAt,
+        lines: {
+            create: priced.map(({ line, fileName, parsed, parseOptions, quote }, position) => ({
+                position,
+                fileName,
+                dxfContent: line.dxfContent,
+                parseOptions: JSON.stringify(parseOptions),
+                metrics: JSON.stringify(parsed.metrics),
+                materialId: quote.material.id,
+                materialName: quote.material.name,
+                thickness: parseFloat(line.thickness),
+                quantity: quote.breakdown.quantity,
+                breakdown: JSON.stringify(quote.breakdown),
+                pricing: JSON.stringify({
+                    request: {
+                        materialId: line.materialId,
+                        thickness: line.thickness,
+                        quantity: line.quantity,
+                        machineId: line.machineId,
+                    },
+                    pricingEntry: quote.pricingEntry,
+                    machine: quote.machine,
+                }),
+                lineTotal: quote.breakdown.partsTotal,
+            })),
+        },
+        customerId,
+    };
+    return createNumbered('quote', 'Q', data);
+}
+
+// Stored JSON strings back to objects
+function parseJsonFields(record, fields) {
+    const result = { ...record };
+    for (const field of fields) {
+        try {
+            result[field] = JSON.parse(record[field]);
+        } catch {
+            result[field] = null;
+        }
+    }
+    return result;
+}
+
+// A quote and its lines as sent to the browser, and whether the price still holds
+function serializeQuote(quote) {
+    return {
+        ...parseJsonFields(quote, QUOTE_JSON_FIELDS),
+        lines: (quote.lines || []).map(line => parseJsonFields(line, LINE_JSON_FIELDS)),
+        expired: quote.expiresAt < new Date(),
+    };
+}
+
+module.exports = { calculateQuote, saveQuote, serializeQuote };
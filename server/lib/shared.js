@@ -0,0 +1,21 @@
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+// The DXF parser, pricing engine and order lifecycle are ES modules shared with the client
+const SHARED_DIR = path.join(__dirname, '../../shared');
+const modules = new Map();
+
+/**
+ * Import a module from shared/, once
+ *
+ * @param {string} file - Path within shared/, e.g. 'quote.js'
+ * @returns {Promise<Object>} The module's exports
+ */
+function loadShared(file) {
+    if (!modules.has(file)) {
+        modules.set(file, import(pathToFileURL(path.join(SHARED_DIR, file)).href));
+    }
+    return modules.get(file);
+}
+
+module.exports = { loadShared };
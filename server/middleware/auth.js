@@ -1,6 +1,8 @@
 const jwt = require('jsonwebtoken');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'dxf-quote-secret-key';
+// Customer tokens are signed with their own secret so they never open the admin API
+const CUSTOMER_JWT_SECRET = process.env.CUSTOMER_JWT_SECRET || 'dxf-quote-customer-secret-key';
 
 function authenticateToken(req, res, next) {
     const authHeader = req.headers['authorization'];
@@ -19,4 +21,46 @@ function authenticateToken(req, res, next) {
     });
 }
 
-module.exports = { authenticateToken };
+function signCustomerToken(customer) {
+    return jwt.sign(
+        { id: customer.id, email: customer.email },
+        CUSTOMER_JWT_SECRET,
+        { expiresIn: '30d' }
+    );
+}
+
+function authenticateCustomer(req, res, next) {
+    const authHeader = req.headers['authorization'];
+    const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+
+    if (!token) {
+        return res.status(401).json({ error: 'Please sign in' });
+    }
+
+    jwt.verify(token, CUSTOMER_JWT_SECRET, (err, customer) => {
+        if (err) {
+            return res.status(403).json({ error: 'Invalid or expired token' });
+        }
+        req.customer = customer;
+        next();
+    });
+}
+
+// Public routes work signed out; a signed-in customer's quotes and orders are kept on their account
+function identifyCustomer(req, res, next) {
+    const authHeader = req.headers['authorization'];
+    const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+
+    if (!token) {
+        return next();
+    }
+
+    jwt.verify(token, CUSTOMER_JWT_SECRET, (err, customer) => {
+        if (!err) {
+            req.customer = customer;
+        }
+        next();
+    });
+}
+
+module.exports = { authenticateToken, signCustomerToken, authenticateCustomer, identifyCustomer };
@@ -0,0 +1,227 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const prisma = require('../lib/prisma');
+const { saveQuote, serializeQuote } = require('../lib/quoting');
+const { signCustomerToken, authenticateCustomer } = require('../middleware/auth');
+
+const router = express.Router();
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MIN_PASSWORD_LENGTH = 8;
+// Company details the customer keeps on their account
+const PROFILE_FIELDS = ['company', 'phone', 'addressLine1', 'addressLine2', 'city', 'region', 'postalCode', 'country'];
+
+// The account as sent to the browser, without the password hash
+function serializeCustomer(customer) {
+    const { passwordHash: _passwordHash, ...rest } = customer;
+    return rest;
+}
+
+// Lines without their files, for lists
+const LINE_SUMMARY = {
+    id: true,
+    fileName: true,
+    materialName: true,
+    thickness: true,
+    quantity: true,
+    lineTotal: true,
+};
+
+// POST /api/account/register
+router.post('/register', async (req, res) => {
+    try {
+        const email = String(req.body.email || '').trim().toLowerCase();
+        const name = String(req.body.name || '').trim();
+        const { password } = req.body;
+
+        if (!name) {
+            return res.status(400).json({ error: 'Name is required' });
+        }
+        if (!EMAIL_PATTERN.test(email)) {
+            return res.status(400).json({ error: 'Email address is not valid' });
+        }
+        if (!password || password.length < MIN_PASSWORD_LENGTH) {
+            return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+        }
+
+        const data = { email, name, passwordHash: await bcrypt.hash(password, 10) };
+        for (const field of PROFILE_FIELDS) {
+            data[field] = String(req.body[field] || '').trim() || null;
+        }
+
+        const customer = await prisma.customer.create({ data });
+        res.status(201).json({ token: signCustomerToken(customer), customer: serializeCustomer(customer) });
+    } catch (error) {
+        if (error.code === 'P2002') {
+            return res.status(400).json({ error: 'An account with this email already exists' });
+        }
+        console.error('Registration error:', error);
+        res.status(500).json({ error: 'Registration failed' });
+    }
+});
+
+// POST /api/account/login
+router.post('/login', async (req, res) => {
+    try {
+        const email = String(req.body.email || '').trim().toLowerCase();
+        const { password } = req.body;
+
+        if (!email || !password) {
+            return res.status(400).json({ error: 'Email and password are required' });
+        }
+
+        const customer = await prisma.customer.findUnique({ where: { email } });
+        if (!customer) {
+            return res.status(401).json({ error: 'Invalid credentials' });
+        }
+
+        const validPassword = await bcrypt.compare(password, customer.passwordHash);
+        if (!validPassword) {
+            return res.status(401).json({ error: 'Invalid credentials' });
+        }
+
+        res.json({ token: signCustomerToken(customer), customer: serializeCustomer(customer) });
+    } catch (error) {
+        console.error('Login error:', error);
+        res.status(500).json({ error: 'Login failed' });
+    }
+});
+
+// Everything below is the signed-in customer's own
+router.use(authenticateCustomer);
+
+// GET /api/account
+router.get('/', async (req, res) => {
+    try {
+        const customer = await prisma.customer.findUnique({ where: { id: req.customer.id } });
+        if (!customer) {
+            return res.status(404).json({ error: 'Account not found' });
+        }
+        res.json(serializeCustomer(customer));
+    } catch (error) {
+        console.error('Error fetching account:', error);
+        res.status(500).json({ error: 'Failed to fetch account' });
+    }
+});
+
+// PUT /api/account - Name and company details
+router.put('/', async (req, res) => {
+    try {
+        const name = String(req.body.name || '').trim();
+        if (!name) {
+            return res.status(400).json({ error: 'Name is required' });
+        }
+
+        const data = { name };
+        for (const field of PROFILE_FIELDS) {
+            data[field] = String(req.body[field] || '').trim() || null;
+        }
+
+        const customer = await prisma.customer.update({
+            where: { id: req.customer.id },
+            data,
+        });
+        res.json(serializeCustomer(customer));
+    } catch (error) {
+        if (error.code === 'P2025') {
+            return res.status(404).json({ error: 'Account not found' });
+        }
+        console.error('Error updating account:', error);
+        res.status(500).json({ error: 'Failed to update account' });
+    }
+});
+
+// GET /api/account/quotes
+router.get('/quotes', async (req, res) => {
+    try {
+        const quotes = await prisma.quote.findMany({
+            where: { customerId: req.customer.id },
+            include: {
+                lines: { select: LINE_SUMMARY, orderBy: { position: 'asc' } },
+                order: { select: { number: true, status: true } },
+            },
+            orderBy: { createdAt: 'desc' },
+        });
+        res.json(quotes.map(serializeQuote));
+    } catch (error) {
+        console.error('Error fetching quotes:', error);
+        res.status(500).json({ error: 'Failed to fetch quotes' });
+    }
+});
+
+// GET /api/account/orders
+router.get('/orders', async (req, res) => {
+    try {
+        const orders = await prisma.order.findMany({
+            where: { customerId: req.customer.id },
+            include: {
+                quote: {
+                    select: {
+                        id: true,
+                        number: true,
+                        finalPrice: true,
+                        currency: true,
+                        lines: { select: LINE_SUMMARY, orderBy: { position: 'asc' } },
+                    },
+                },
+            },
+            orderBy: { createdAt: 'desc' },
+        });
+        res.json(orders);
+    } catch (error) {
+        console.error('Error fetching orders:', error);
+        res.status(500).json({ error: 'Failed to fetch orders' });
+    }
+});
+
+// GET /api/account/parts - Every part the customer has had quoted, newest first
+router.get('/parts', async (req, res) => {
+    try {
+        const lines = await prisma.quoteLine.findMany({
+            where: { quote: { customerId: req.customer.id } },
+            select: {
+                ...LINE_SUMMARY,
+                metrics: true,
+                quote: { select: { id: true, number: true, createdAt: true, order: { select: { number: true } } } },
+            },
+            orderBy: { quote: { createdAt: 'desc' } },
+        });
+        res.json(lines.map(line => ({ ...line, metrics: JSON.parse(line.metrics) })));
+    } catch (error) {
+        console.error('Error fetching parts:', error);
+        res.status(500).json({ error: 'Failed to fetch parts' });
+    }
+});
+
+// POST /api/account/parts/:id/reorder - Quote a saved part again at today's prices,
+// in the same material, thickness and quantity, ready to order
+router.post('/parts/:id/reorder', async (req, res) => {
+    try {
+        const line = await prisma.quoteLine.findFirst({
+            where: { id: parseInt(req.params.id), quote: { customerId: req.customer.id } },
+        });
+        if (!line) {
+            return res.status(404).json({ error: 'Part not found' });
+        }
+
+        const { request } = JSON.parse(line.pricing);
+        const saved = await saveQuote([{
+            fileName: line.fileName,
+            dxfContent: line.dxfContent,
+            parseOptions: JSON.parse(line.parseOptions),
+            materialId: line.materialId,
+            thickness: line.thickness,
+            quantity: line.quantity,
+            machineId: request?.machineId,
+        }], req.customer.id);
+        res.status(201).json({ id: saved.id, number: saved.number, expiresAt: saved.expiresAt });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Error re-ordering part:', error);
+        res.status(500).json({ error: 'Failed to re-order part' });
+    }
+});
+
+module.exports = router;
@@ -1,6 +1,8 @@
 const express = require('express');
 const prisma = require('../lib/prisma');
 const { authenticateToken } = require('../middleware/auth');
+const { serializeQuote } = require('../lib/quoting');
+const { loadShared } = require('../lib/shared');
 
 const router = express.Router();
 
@@ -26,12 +28,19 @@ router.get('/materials', async (req, res) => {
 // POST /api/admin/materials
 router.post('/materials', async (req, res) => {
     try {
-        const { name, defaultDensity } = req.body;
+        const { name, defaultDensity, pricePerKg, areaMode, quantityBreaks, allowInterpolation } = req.body;
         if (!name) {
             return res.status(400).json({ error: 'Name is required' });
         }
         const material = await prisma.material.create({
-            data: { name, defaultDensity: defaultDensity || null },
+            data: {
+                name,
+                defaultDensity: defaultDensity || null,
+                pricePerKg: pricePerKg || null,
+                areaMode: areaMode || 'bbox',
+                quantityBreaks: quantityBreaks?.trim() || null,
+                allowInterpolation: !!allowInterpolation,
+            },
         });
         res.status(201).json(material);
     } catch (error) {
@@ -47,10 +56,17 @@ router.post('/materials', async (req, res) => {
 router.put('/materials/:id', async (req, res) => {
     try {
         const { id } = req.params;
-        const { name, defaultDensity } = req.body;
+        const { name, defaultDensity, pricePerKg, areaMode, quantityBreaks, allowInterpolation } = req.body;
         const material = await prisma.material.update({
             where: { id: parseInt(id) },
-            data: { name, defaultDensity: defaultDensity || null },
+            data: {
+                name,
+                defaultDensity: defaultDensity || null,
+                pricePerKg: pricePerKg || null,
+                areaMode: areaMode || 'bbox',
+                quantityBreaks: quantityBreaks?.trim() || null,
+                allowInterpolation: !!allowInterpolation,
+            },
         });
         res.json(material);
     } catch (error) {
@@ -98,7 +114,7 @@ router.get('/pricing', async (req, res) => {
 // POST /api/admin/pricing
 router.post('/pricing', async (req, res) => {
     try {
-        const { materialId, thickness, costPerArea, costPerTime, cutSpeed } = req.body;
+        const { materialId, thickness, costPerArea, costPerTime, cutSpeed, pierceTime, pierceCost, engraveSpeed, engraveRate, sizeDerating, cornerDerating } = req.body;
         if (!materialId || thickness === undefined) {
             return res.status(400).json({ error: 'Material ID and thickness are required' });
         }
@@ -109,6 +125,12 @@ router.post('/pricing', async (req, res) => {
                 costPerArea: parseFloat(costPerArea) || 0,
                 costPerTime: parseFloat(costPerTime) || 0,
                 cutSpeed: parseFloat(cutSpeed) || 1000,
+                pierceTime: parseFloat(pierceTime) || 0,
+                pierceCost: parseFloat(pierceCost) || 0,
+                engraveSpeed: parseFloat(engraveSpeed) || 0,
+                engraveRate: parseFloat(engraveRate) || 0,
+                sizeDerating: sizeDerating?.trim() || null,
+                cornerDerating: cornerDerating?.trim() || null,
             },
             include: { material: true },
         });
@@ -126,7 +148,7 @@ router.post('/pricing', async (req, res) => {
 router.put('/pricing/:id', async (req, res) => {
     try {
         const { id } = req.params;
-        const { materialId, thickness, costPerArea, costPerTime, cutSpeed } = req.body;
+        const { materialId, thickness, costPerArea, costPerTime, cutSpeed, pierceTime, pierceCost, engraveSpeed, engraveRate, sizeDerating, cornerDerating } = req.body;
         const entry = await prisma.pricingEntry.update({
             where: { id: parseInt(id) },
             data: {
@@ -135,6 +157,12 @@ router.put('/pricing/:id', async (req, res) => {
                 costPerArea: parseFloat(costPerArea),
                 costPerTime: parseFloat(costPerTime),
                 cutSpeed: parseFloat(cutSpeed),
+                pierceTime: parseFloat(pierceTime) || 0,
+                pierceCost: parseFloat(pierceCost) || 0,
+                engraveSpeed: parseFloat(engraveSpeed) || 0,
+                engraveRate: parseFloat(engraveRate) || 0,
+                sizeDerating: sizeDerating?.trim() || null,
+                cornerDerating: cornerDerating?.trim() || null,
             },
             include: { material: true },
         });
@@ -165,6 +193,315 @@ router.delete('/pricing/:id', async (req, res) => {
     }
 });
 
+// ================== STOCK SHEETS ==================
+
+// GET /api/admin/stock-sheets
+router.get('/stock-sheets', async (req, res) => {
+    try {
+        const sheets = await prisma.stockSheet.findMany({
+            include: { material: true },
+            orderBy: [{ materialId: 'asc' }, { thickness: 'asc' }, { isRemnant: 'asc' }, { width: 'desc' }],
+        });
+        res.json(sheets);
+    } catch (error) {
+        console.error('Error fetching stock sheets:', error);
+        res.status(500).json({ error: 'Failed to fetch stock sheets' });
+    }
+});
+
+// POST /api/admin/stock-sheets
+router.post('/stock-sheets', async (req, res) => {
+    try {
+        const { materialId, thickness, width, height, costPerSheet, onHand, isRemnant, notes } = req.body;
+        if (!materialId || !(parseFloat(thickness) > 0) || !(parseFloat(width) > 0) || !(parseFloat(height) > 0)) {
+            return res.status(400).json({ error: 'Material, thickness, width and height are required' });
+        }
+        const sheet = await prisma.stockSheet.create({
+            data: {
+                materialId: parseInt(materialId),
+                thickness: parseFloat(thickness),
+                width: parseFloat(width),
+                height: parseFloat(height),
+                costPerSheet: parseFloat(costPerSheet) || 0,
+                onHand: parseInt(onHand) || 0,
+                isRemnant: !!isRemnant,
+                notes: notes || null,
+            },
+            include: { material: true },
+        });
+        res.status(201).json(sheet);
+    } catch (error) {
+        console.error('Error creating stock sheet:', error);
+        res.status(500).json({ error: 'Failed to create stock sheet' });
+    }
+});
+
+// PUT /api/admin/stock-sheets/:id
+router.put('/stock-sheets/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { materialId, thickness, width, height, costPerSheet, onHand, isRemnant, notes } = req.body;
+        const sheet = await prisma.stockSheet.update({
+            where: { id: parseInt(id) },
+            data: {
+                materialId: parseInt(materialId),
+                thickness: parseFloat(thickness),
+                width: parseFloat(width),
+                height: parseFloat(height),
+                costPerSheet: parseFloat(costPerSheet) || 0,
+                onHand: parseInt(onHand) || 0,
+                isRemnant: !!isRemnant,
+                notes: notes || null,
+            },
+            include: { material: true },
+        });
+        res.json(sheet);
+    } catch (error) {
+        if (error.code === 'P2025') {
+            return res.status(404).json({ error: 'Stock sheet not found' });
+        }
+        console.error('Error updating stock sheet:', error);
+        res.status(500).json({ error: 'Failed to update stock sheet' });
+    }
+});
+
+// DELETE /api/admin/stock-sheets/:id
+router.delete('/stock-sheets/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+        await prisma.stockSheet.delete({
+            where: { id: parseInt(id) },
+        });
+        res.json({ message: 'Stock sheet deleted' });
+    } catch (error) {
+        if (error.code === 'P2025') {
+            return res.status(404).json({ error: 'Stock sheet not found' });
+        }
+        console.error('Error deleting stock sheet:', error);
+        res.status(500).json({ error: 'Failed to delete stock sheet' });
+    }
+});
+
+// ================== MACHINES ==================
+
+// GET /api/admin/machines
+router.get('/machines', async (req, res) => {
+    try {
+        const machines = await prisma.machine.findMany({
+            include: { capabilities: { include: { material: true } } },
+            orderBy: { name: 'asc' },
+        });
+        res.json(machines);
+    } catch (error) {
+        console.error('Error fetching machines:', error);
+        res.status(500).json({ error: 'Failed to fetch machines' });
+    }
+});
+
+// POST /api/admin/machines
+router.post('/machines', async (req, res) => {
+    try {
+        if (!req.body.name || !(parseFloat(req.body.hourlyRate) > 0)) {
+            return res.status(400).json({ error: 'Name and hourly rate are required' });
+        }
+        const machine = await prisma.machine.create({
+            data: {
+                ...machineData(req.body),
+                capabilities: { create: capabilityData(req.body.capabilities) },
+            },
+            include: { capabilities: { include: { material: true } } },
+        });
+        res.status(201).json(machine);
+    } catch (error) {
+        if (error.code === 'P2002') {
+            return res.status(400).json({ error: 'Machine name already exists, or a material is listed twice' });
+        }
+        console.error('Error creating machine:', error);
+        res.status(500).json({ error: 'Failed to create machine' });
+    }
+});
+
+// PUT /api/admin/machines/:id - capabilities are replaced as a whole
+router.put('/machines/:id', async (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        const [, machine] = await prisma.$transaction([
+            prisma.machineCapability.deleteMany({ where: { machineId: id } }),
+            prisma.machine.update({
+                where: { id },
+                data: {
+                    ...machineData(req.body),
+                    capabilities: { create: capabilityData(req.body.capabilities) },
+                },
+                include: { capabilities: { include: { material: true } } },
+            }),
+        ]);
+        res.json(machine);
+    } catch (error) {
+        if (error.code === 'P2025') {
+            return res.status(404).json({ error: 'Machine not found' });
+        }
+        if (error.code === 'P2002') {
+            return res.status(400).json({ error: 'Machine name already exists, or a material is listed twice' });
+        }
+        console.error('Error updating machine:', error);
+        res.status(500).json({ error: 'Failed to update machine' });
+    }
+});
+
+// DELETE /api/admin/machines/:id
+router.delete('/machines/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+        await prisma.machine.delete({
+            where: { id: parseInt(id) },
+        });
+        res.json({ message: 'Machine deleted' });
+    } catch (error) {
+        if (error.code === 'P2025') {
+            return res.status(404).json({ error: 'Machine not found' });
+        }
+        console.error('Error deleting machine:', error);
+        res.status(500).json({ error: 'Failed to delete machine' });
+    }
+});
+
+function machineData({ name, type, hourlyRate, maxSheetWidth, maxSheetHeight, kerf, rapidSpeed, active }) {
+    return {
+        name,
+        type: type || 'laser',
+        hourlyRate: parseFloat(hourlyRate) || 0,
+        maxSheetWidth: parseFloat(maxSheetWidth) || 0,
+        maxSheetHeight: parseFloat(maxSheetHeight) || 0,
+        kerf: parseFloat(kerf) || 0,
+        rapidSpeed: parseFloat(rapidSpeed) || 0,
+        active: active !== false,
+    };
+}
+
+function capabilityData(capabilities = []) {
+    return capabilities
+        .filter(c => c.materialId && parseFloat(c.maxThickness) > 0)
+        .map(c => ({
+            materialId: parseInt(c.materialId),
+            minThickness: parseFloat(c.minThickness) || 0,
+            maxThickness: parseFloat(c.maxThickness),
+            speedTable: c.speedTable || '',
+            kerf: parseFloat(c.kerf) || null,
+        }));
+}
+
+// ================== ORDERS ==================
+
+// Quote fields for the order list; the drawings themselves are only sent with one order
+const ORDER_LIST_QUOTE = {
+    select: {
+        id: true,
+        number: true,
+        finalPrice: true,
+        currency: true,
+        lines: {
+            select: { fileName: true, materialName: true, thickness: true, quantity: true },
+            orderBy: { position: 'asc' },
+        },
+    },
+};
+
+// GET /api/admin/orders?status=cutting&search=acme&from=2026-01-01&to=2026-01-31
+router.get('/orders', async (req, res) => {
+    try {
+        const { status, search, from, to } = req.query;
+        const where = {};
+        if (status) where.status = status;
+        if (search) {
+            where.OR = [
+                { number: { contains: search } },
+                { contactName: { contains: search } },
+                { company: { contains: search } },
+                { email: { contains: search } },
+                { quote: { number: { contains: search } } },
+                { quote: { lines: { some: { fileName: { contains: search } } } } },
+            ];
+        }
+        if (from || to) {
+            const fromDate = from ? new Date(from) : null;
+            const toDate = to ? new Date(to) : null;
+            if ((fromDate && isNaN(fromDate.getTime())) || (toDate && isNaN(toDate.getTime()))) {
+                return res.status(400).json({ error: 'Dates must be given as YYYY-MM-DD' });
+            }
+            where.createdAt = {};
+            if (fromDate) where.createdAt.gte = fromDate;
+            // Inclusive of the whole "to" day
+            if (toDate) where.createdAt.lt = new Date(toDate.getTime() + 24 * 60 * 60 * 1000);
+        }
+
+        const orders = await prisma.order.findMany({
+            where,
+            include: { quote: ORDER_LIST_QUOTE },
+            orderBy: { createdAt: 'desc' },
+        });
+        res.json(orders);
+    } catch (error) {
+        console.error('Error fetching orders:', error);
+        res.status(500).json({ error: 'Failed to fetch orders' });
+    }
+});
+
+// GET /api/admin/orders/:id - With the quote (drawings and prices) and status history
+router.get('/orders/:id', async (req, res) => {
+    try {
+        const order = await prisma.order.findUnique({
+            where: { id: parseInt(req.params.id) },
+            include: {
+                quote: { include: { lines: { orderBy: { position: 'asc' } } } },
+                customer: { select: { id: true, name: true, email: true, company: true, createdAt: true } },
+                statusHistory: { orderBy: { createdAt: 'asc' } },
+            },
+        });
+        if (!order) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+        res.json({ ...order, quote: serializeQuote(order.quote) });
+    } catch (error) {
+        console.error('Error fetching order:', error);
+        res.status(500).json({ error: 'Failed to fetch order' });
+    }
+});
+
+// PUT /api/admin/orders/:id/status - Move the order to another status, recorded in its history
+router.put('/orders/:id/status', async (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        const { status, note } = req.body;
+        const { ORDER_STATUSES } = await loadShared('orders.js');
+        if (!ORDER_STATUSES.includes(status)) {
+            return res.status(400).json({ error: 'Unknown order status' });
+        }
+
+        const [order] = await prisma.$transaction([
+            prisma.order.update({
+                where: { id },
+                data: { status },
+            }),
+            prisma.orderStatusChange.create({
+                data: {
+                    orderId: id,
+                    status,
+                    note: note?.trim() || null,
+                    changedBy: req.user.username,
+                },
+            }),
+        ]);
+        res.json(order);
+    } catch (error) {
+        if (error.code === 'P2025') {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+        console.error('Error updating order status:', error);
+        res.status(500).json({ error: 'Failed to update order status' });
+    }
+});
+
 // ================== SETTINGS ==================
 
 // GET /api/admin/settings
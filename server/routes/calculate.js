@@ -0,0 +1,27 @@
+const express = require('express');
+const { calculateQuote } = require('../lib/quoting');
+
+const router = express.Router();
+
+// POST /api/quote/calculate - Price an uploaded DXF; the price customers see comes from here
+router.post('/calculate', async (req, res) => {
+    try {
+        const { quote, validation } = await calculateQuote(req.body);
+        res.json({
+            breakdown: quote.breakdown,
+            machineQuotes: quote.machineQuotes,
+            machine: quote.machine,
+            fitsStock: quote.fitsStock,
+            kerf: quote.kerf,
+            validation,
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Error calculating quote:', error);
+        res.status(500).json({ error: 'Failed to calculate quote' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,70 @@
+const express = require('express');
+const prisma = require('../lib/prisma');
+const { createNumbered } = require('../lib/numbering');
+const { identifyCustomer } = require('../middleware/auth');
+
+const router = express.Router();
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const REQUIRED_FIELDS = {
+    contactName: 'Name',
+    email: 'Email',
+    addressLine1: 'Address',
+    city: 'City',
+    postalCode: 'Postal code',
+    country: 'Country',
+};
+const OPTIONAL_FIELDS = ['phone', 'company', 'addressLine2', 'region', 'notes'];
+
+// POST /api/orders - Order a saved quote at its locked price
+router.post('/', identifyCustomer, async (req, res) => {
+    try {
+        const { quoteId } = req.body;
+        const quote = quoteId ? await prisma.quote.findUnique({
+            where: { id: quoteId },
+            include: { order: { select: { id: true } } },
+        }) : null;
+        if (!quote) {
+            return res.status(404).json({ error: 'Quote not found' });
+        }
+        if (quote.order) {
+            return res.status(400).json({ error: 'This quote has already been ordered' });
+        }
+        if (quote.expiresAt < new Date()) {
+            return res.status(400).json({ error: 'This quote has expired. Upload the drawing again for a current price.' });
+        }
+
+        const contact = {};
+        for (const [field, label] of Object.entries(REQUIRED_FIELDS)) {
+            const value = String(req.body[field] || '').trim();
+            if (!value) {
+                return res.status(400).json({ error: `${label} is required` });
+            }
+            contact[field] = value;
+        }
+        if (!EMAIL_PATTERN.test(contact.email)) {
+            return res.status(400).json({ error: 'Email address is not valid' });
+        }
+        for (const field of OPTIONAL_FIELDS) {
+            contact[field] = String(req.body[field] || '').trim() || null;
+        }
+
+        const order = await createNumbered('order', 'O', {
+            ...contact,
+            quoteId: quote.id,
+            // A saved quote's order stays on its owner's account, whoever follows the link
+            customerId: quote.customerId ?? req.customer?.id ?? null,
+            statusHistory: { create: { status: 'received' } },
+        });
+        res.status(201).json({ number: order.number, status: order.status, createdAt: order.createdAt });
+    } catch (error) {
+        // Ordered by someone else in the meantime
+        if (error.code === 'P2002' && error.meta?.target?.includes('quoteId')) {
+            return res.status(400).json({ error: 'This quote has already been ordered' });
+        }
+        console.error('Error placing order:', error);
+        res.status(500).json({ error: 'Failed to place order' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,52 @@
+const express = require('express');
+const prisma = require('../lib/prisma');
+const { saveQuote, serializeQuote } = require('../lib/quoting');
+const { identifyCustomer } = require('../middleware/auth');
+
+const router = express.Router();
+
+const MAX_LINES = 50;
+
+// POST /api/quotes - Price every part on the server and save the cart as one quote with a number
+router.post('/', identifyCustomer, async (req, res) => {
+    try {
+        const { lines } = req.body;
+        if (!Array.isArray(lines) || lines.length === 0) {
+            return res.status(400).json({ error: 'Add at least one part to the quote' });
+        }
+        if (lines.length > MAX_LINES) {
+            return res.status(400).json({ error: `A quote can have at most ${MAX_LINES} parts` });
+        }
+
+        const saved = await saveQuote(lines, req.customer?.id);
+        res.status(201).json({ id: saved.id, number: saved.number, expiresAt: saved.expiresAt });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Error saving quote:', error);
+        res.status(500).json({ error: 'Failed to save quote' });
+    }
+});
+
+// GET /api/quotes/:id - Public, anyone with the link can re-open the quote and follow its order
+router.get('/:id', async (req, res) => {
+    try {
+        const quote = await prisma.quote.findUnique({
+            where: { id: req.params.id },
+            include: {
+                lines: { orderBy: { position: 'asc' } },
+                order: { select: { number: true, status: true, createdAt: true, updatedAt: true } },
+            },
+        });
+        if (!quote) {
+            return res.status(404).json({ error: 'Quote not found' });
+        }
+        res.json(serializeQuote(quote));
+    } catch (error) {
+        console.error('Error fetching quote:', error);
+        res.status(500).json({ error: 'Failed to fetch quote' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,237 @@
+/**
+ * Geometry cleanup
+ *
+ * Normalizes cut geometry before it is measured, so lines drawn twice (very
+ * common in Illustrator exports) are neither billed nor cut twice:
+ *
+ * 1. Endpoints of open entities closer than the tolerance are snapped together
+ * 2. Entities with identical points (in either direction) are removed
+ * 3. Collinear overlapping straight lines are merged into one line, and
+ *    trimmed where they run along a segment of a polyline
+ */
+
+import { lineThrough } from './lines.js';
+
+export const DEFAULT_CLEANUP_TOLERANCE = 0.01; // mm
+
+/**
+ * Clean up processed entities
+ *
+ * Entities that are kept are modified in place; merged lines are new
+ * entities that copy the layer, color and operation of the first line.
+ *
+ * @param {Array} entities - Processed cut entities
+ * @param {Object} [options] - { tolerance } snap and comparison tolerance in mm
+ * @returns {Object} { entities, report }
+ */
+export function cleanupEntities(entities, options = {}) {
+    const tolerance = Math.max(options.tolerance || DEFAULT_CLEANUP_TOLERANCE, 1e-6);
+    const lengthBefore = totalLength(entities);
+
+    const endpointsSnapped = snapEndpoints(entities, tolerance);
+    const deduplicated = removeDuplicates(entities, tolerance);
+    const merged = mergeOverlaps(deduplicated, tolerance);
+
+    return {
+        entities: merged.entities,
+        report: {
+            tolerance,
+            endpointsSnapped,
+            duplicatesRemoved: entities.length - deduplicated.length,
+            overlapsMerged: merged.count,
+            lengthBefore,
+            lengthAfter: totalLength(merged.entities),
+        },
+    };
+}
+
+/**
+ * Move each open entity endpoint onto the first endpoint seen within
+ * tolerance of it. Returns the number of endpoints moved.
+ */
+function snapEndpoints(entities, tolerance) {
+    const cellSize = Math.max(tolerance, 1e-9);
+    const grid = new Map();
+    let snapped = 0;
+
+    const findAnchor = (p) => {
+        const cx = Math.floor(p.x / cellSize);
+        const cy = Math.floor(p.y / cellSize);
+        for (let dx = -1; dx <= 1; dx++) {
+            for (let dy = -1; dy <= 1; dy++) {
+                for (const anchor of grid.get(`${cx + dx},${cy + dy}`) || []) {
+                    if (distance(anchor, p) <= tolerance) return anchor;
+                }
+            }
+        }
+        return null;
+    };
+    const addAnchor = (p) => {
+        const key = `${Math.floor(p.x / cellSize)},${Math.floor(p.y / cellSize)}`;
+        if (!grid.has(key)) grid.set(key, []);
+        grid.get(key).push(p);
+    };
+
+    for (const entity of entities) {
+        const points = entity.points || [];
+        if (points.length < 2 || entity.closed || entity.type === 'CIRCLE') continue;
+
+        for (const index of [0, points.length - 1]) {
+            const point = points[index];
+            const anchor = findAnchor(point);
+            if (!anchor) {
+                addAnchor(point);
+                continue;
+            }
+            if (anchor.x === point.x && anchor.y === point.y) continue;
+
+            // Re-measure the end segment that moved
+            const neighbour = points[index === 0 ? 1 : points.length - 2];
+            const moved = { x: anchor.x, y: anchor.y };
+            entity.length = (entity.length || 0) - distance(point, neighbour) + distance(moved, neighbour);
+            points[index] = moved;
+            snapped++;
+        }
+    }
+
+    return snapped;
+}
+
+/**
+ * Keep the first of each group of entities with the same points
+ */
+function removeDuplicates(entities, tolerance) {
+    const seen = new Set();
+    return entities.filter(entity => {
+        const points = entity.points || [];
+        if (points.length < 2) return true;
+
+        const forward = points.map(p => `${Math.round(p.x / tolerance)},${Math.round(p.y / tolerance)}`).join(';');
+        const backward = forward.split(';').reverse().join(';');
+        const key = forward < backward ? forward : backward;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+/**
+ * Merge straight two-point entities that lie on the same line and overlap.
+ * Lines are bucketed by direction and offset; in each bucket the union of
+ * the lines' intervals, minus the stretches already covered by polyline
+ * segments, replaces the original lines.
+ */
+function mergeOverlaps(entities, tolerance) {
+    const buckets = new Map();
+    const addToBucket = (entity, a, b, fixed) => {
+        const line = lineOf(a, b, tolerance);
+        if (!line) return;
+        if (!buckets.has(line.key)) buckets.set(line.key, { dir: line.dir, offset: line.offset, lines: [], fixed: [] });
+        const bucket = buckets.get(line.key);
+        const interval = { start: line.start, end: line.end, entity };
+        if (fixed) bucket.fixed.push(interval);
+        else bucket.lines.push(interval);
+    };
+
+    for (const entity of entities) {
+        const points = entity.points || [];
+        if (points.length === 2) {
+            addToBucket(entity, points[0], points[1], false);
+        } else {
+            for (let i = 1; i < points.length; i++) addToBucket(entity, points[i - 1], points[i], true);
+        }
+    }
+
+    const removed = new Set();
+    const added = [];
+    let count = 0;
+
+    for (const bucket of buckets.values()) {
+        if (bucket.lines.length === 0) continue;
+        if (bucket.lines.length === 1 && bucket.fixed.length === 0) continue;
+
+        const merged = subtractIntervals(unionIntervals(bucket.lines, tolerance), bucket.fixed, tolerance);
+        const mergedLength = merged.reduce((sum, i) => sum + (i.end - i.start), 0);
+        const originalLength = bucket.lines.reduce((sum, i) => sum + (i.end - i.start), 0);
+        if (originalLength - mergedLength <= tolerance) continue;
+
+        const template = bucket.lines[0].entity;
+        for (const line of bucket.lines) removed.add(line.entity);
+        count += Math.max(1, bucket.lines.length - merged.length);
+
+        for (const interval of merged) {
+            const start = pointOnLine(bucket, interval.start);
+            const end = pointOnLine(bucket, interval.end);
+            added.push({
+                type: 'LINE',
+                points: [start, end],
+                length: distance(start, end),
+                layer: template.layer,
+                colorIndex: template.colorIndex,
+                operation: template.operation,
+                merged: true,
+            });
+        }
+    }
+
+    return {
+        entities: entities.filter(e => !removed.has(e)).concat(added),
+        count,
+    };
+}
+
+/**
+ * Direction-independent description of the infinite line through a and b
+ */
+function lineOf(a, b, tolerance) {
+    if (distance(a, b) <= tolerance) return null;
+
+    const line = lineThrough(a, b);
+    return { ...line, key: `${line.bucket},${Math.round(line.offset / tolerance)}` };
+}
+
+function pointOnLine({ dir, offset }, t) {
+    return {
+        x: dir.x * t - dir.y * offset,
+        y: dir.y * t + dir.x * offset,
+    };
+}
+
+function unionIntervals(intervals, tolerance) {
+    const sorted = [...intervals].sort((a, b) => a.start - b.start);
+    const union = [];
+    for (const { start, end } of sorted) {
+        const last = union[union.length - 1];
+        // Lines that only touch end to end stay separate
+        if (last && start < last.end - tolerance) {
+            last.end = Math.max(last.end, end);
+        } else {
+            union.push({ start, end });
+        }
+    }
+    return union;
+}
+
+function subtractIntervals(intervals, cuts, tolerance) {
+    let result = intervals;
+    for (const cut of cuts) {
+        result = result.flatMap(({ start, end }) => {
+            if (cut.end <= start || cut.start >= end) return [{ start, end }];
+            const pieces = [];
+            if (cut.start - start > tolerance) pieces.push({ start, end: cut.start });
+            if (end - cut.end > tolerance) pieces.push({ start: cut.end, end });
+            return pieces;
+        });
+    }
+    return result;
+}
+
+function totalLength(entities) {
+    return entities.reduce((sum, e) => sum + (e.length || 0), 0);
+}
+
+function distance(p1, p2) {
+    const dx = p2.x - p1.x;
+    const dy = p2.y - p1.y;
+    return Math.sqrt(dx * dx + dy * dy);
+}
@@ -0,0 +1,239 @@
+/**
+ * Contour topology analysis
+ *
+ * Joins processed entities end to end into contours, classifies closed
+ * contours as outer boundaries or holes by how deeply they are nested, and
+ * derives the true net material area of the part.
+ */
+
+export const DEFAULT_JOIN_TOLERANCE = 0.05; // mm
+
+/**
+ * Build contours from processed entities
+ *
+ * Contours reference their entities by `entity.id` when set (the index in
+ * the full parse result), otherwise by position in `entities`.
+ *
+ * @param {Array} entities - Processed entities ({ id, points, length, closed })
+ * @param {Object} [options] - { tolerance } endpoint join tolerance in mm
+ * @returns {Object} { contours, netArea, outerArea, hullArea, holeCount, openCount }
+ */
+export function analyzeContours(entities, options = {}) {
+    const tolerance = options.tolerance ?? DEFAULT_JOIN_TOLERANCE;
+    const contours = [];
+    const openIndices = [];
+    const refOf = (index) => entities[index].id ?? index;
+
+    entities.forEach((entity, index) => {
+        const points = entity.points || [];
+        if (points.length < 2) return;
+
+        if (isClosedEntity(entity)) {
+            contours.push(createContour(points, [refOf(index)], entity.length || 0, true));
+        } else {
+            openIndices.push(index);
+        }
+    });
+
+    for (const chain of joinChains(entities, openIndices, tolerance)) {
+        const start = chain.points[0];
+        const end = chain.points[chain.points.length - 1];
+        const closed = chain.points.length > 2 && distance(start, end) <= tolerance;
+        contours.push(createContour(chain.points, chain.entities.map(refOf), chain.length, closed));
+    }
+
+    classifyContours(contours);
+
+    let netArea = 0;
+    let outerArea = 0;
+    for (const contour of contours) {
+        if (!contour.closed) continue;
+        if (contour.role === 'outer') {
+            netArea += contour.area;
+            if (contour.depth === 0) outerArea = Math.max(outerArea, contour.area);
+        } else {
+            netArea -= contour.area;
+        }
+    }
+
+    const allPoints = entities.flatMap(e => e.points || []);
+
+    return {
+        contours: contours.map((c, id) => ({ id, ...c })),
+        netArea: Math.max(0, netArea),
+        outerArea,
+        hullArea: Math.abs(signedArea(convexHull(allPoints))),
+        holeCount: contours.filter(c => c.role === 'hole').length,
+        openCount: contours.filter(c => !c.closed).length,
+    };
+}
+
+function isClosedEntity(entity) {
+    if (entity.type === 'CIRCLE') return true;
+    return !!entity.closed;
+}
+
+function createContour(points, entityIndices, length, closed) {
+    return {
+        points,
+        entities: entityIndices,
+        length,
+        closed,
+        area: closed ? Math.abs(signedArea(points)) : 0,
+        role: closed ? null : 'open',
+        depth: 0,
+    };
+}
+
+/**
+ * Greedily chain open entities whose endpoints meet within tolerance.
+ * Endpoints are bucketed on a grid of tolerance-sized cells so large
+ * drawings don't degrade to comparing every pair.
+ */
+function joinChains(entities, indices, tolerance) {
+    const cellSize = Math.max(tolerance, 1e-9);
+    const grid = new Map();
+    const used = new Set();
+
+    const cellKey = (p) => `${Math.floor(p.x / cellSize)},${Math.floor(p.y / cellSize)}`;
+    const addEndpoint = (p, index) => {
+        const key = cellKey(p);
+        if (!grid.has(key)) grid.set(key, []);
+        grid.get(key).push(index);
+    };
+
+    for (const index of indices) {
+        const points = entities[index].points;
+        addEndpoint(points[0], index);
+        addEndpoint(points[points.length - 1], index);
+    }
+
+    // Find an unused entity with an endpoint at p; returns its points oriented to start at p
+    const takeNeighbour = (p) => {
+        const cx = Math.floor(p.x / cellSize);
+        const cy = Math.floor(p.y / cellSize);
+        for (let dx = -1; dx <= 1; dx++) {
+            for (let dy = -1; dy <= 1; dy++) {
+                for (const index of grid.get(`${cx + dx},${cy + dy}`) || []) {
+                    if (used.has(index)) continue;
+                    const points = entities[index].points;
+                    if (distance(points[0], p) <= tolerance) {
+                        used.add(index);
+                        return { index, points };
+                    }
+                    if (distance(points[points.length - 1], p) <= tolerance) {
+                        used.add(index);
+                        return { index, points: [...points].reverse() };
+                    }
+                }
+            }
+        }
+        return null;
+    };
+
+    const chains = [];
+    for (const index of indices) {
+        if (used.has(index)) continue;
+        used.add(index);
+
+        let points = [...entities[index].points];
+        const chainEntities = [index];
+        let length = entities[index].length || 0;
+
+        // Grow forwards from the end, then backwards from the start
+        let next;
+        while ((next = takeNeighbour(points[points.length - 1]))) {
+            points = points.concat(next.points.slice(1));
+            chainEntities.push(next.index);
+            length += entities[next.index].length || 0;
+        }
+        while ((next = takeNeighbour(points[0]))) {
+            points = [...next.points].reverse().slice(0, -1).concat(points);
+            chainEntities.unshift(next.index);
+            length += entities[next.index].length || 0;
+        }
+
+        chains.push({ points, entities: chainEntities, length });
+    }
+
+    return chains;
+}
+
+/**
+ * Set nesting depth for closed contours. Even depth is material (outer
+ * boundary or an island inside a hole), odd depth is a hole.
+ */
+function classifyContours(contours) {
+    const closed = contours.filter(c => c.closed);
+
+    for (const contour of closed) {
+        const probe = contour.points[0];
+        contour.depth = closed.filter(other =>
+            other !== contour &&
+            other.area > contour.area &&
+            pointInPolygon(probe, other.points)
+        ).length;
+        contour.role = contour.depth % 2 === 0 ? 'outer' : 'hole';
+    }
+}
+
+/**
+ * Shoelace formula; positive for counter-clockwise polygons
+ */
+export function signedArea(points) {
+    let area = 0;
+    for (let i = 0; i < points.length; i++) {
+        const a = points[i];
+        const b = points[(i + 1) % points.length];
+        area += a.x * b.y - b.x * a.y;
+    }
+    return area / 2;
+}
+
+/**
+ * Ray casting point-in-polygon test
+ */
+export function pointInPolygon(point, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const a = polygon[i];
+        const b = polygon[j];
+        if ((a.y > point.y) !== (b.y > point.y) &&
+            point.x < ((b.x - a.x) * (point.y - a.y)) / (b.y - a.y) + a.x) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+/**
+ * Convex hull (Andrew's monotone chain), counter-clockwise
+ */
+export function convexHull(points) {
+    if (points.length < 3) return [...points];
+
+    const sorted = [...points].sort((a, b) => a.x - b.x || a.y - b.y);
+    const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+
+    const lower = [];
+    for (const p of sorted) {
+        while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], p) <= 0) lower.pop();
+        lower.push(p);
+    }
+    const upper = [];
+    for (let i = sorted.length - 1; i >= 0; i--) {
+        const p = sorted[i];
+        while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], p) <= 0) upper.pop();
+        upper.push(p);
+    }
+
+    lower.pop();
+    upper.pop();
+    return lower.concat(upper);
+}
+
+function distance(p1, p2) {
+    const dx = p2.x - p1.x;
+    const dy = p2.y - p1.y;
+    return Math.sqrt(dx * dx + dy * dy);
+}
@@ -0,0 +1,95 @@
+/**
+ * Contour features that slow the cutting head
+ *
+ * Machines can't hold full cut speed around small contours or through sharp
+ * corners. For each contour this records its size, and the corners where the
+ * head has to slow down, so pricing can derate the cut speed.
+ *
+ * All dimensions are in mm, angles in degrees.
+ */
+
+import { signedArea, DEFAULT_JOIN_TOLERANCE } from './contours.js';
+
+// Interior angle below which a vertex counts as a corner. Tessellated arcs
+// and circles turn a few degrees per vertex and are cut at full speed.
+export const CORNER_ANGLE_THRESHOLD = 160;
+
+// Distance the head slows down over at a corner, split either side of it
+export const CORNER_ZONE_LENGTH = 4;
+
+/**
+ * Measure the features of analyzed contours
+ *
+ * Size is the hydraulic diameter 4 * area / perimeter: the diameter of a
+ * circle, about twice the width of a long slot. Open paths have no size.
+ *
+ * @param {Array} contours - analyzeContours contours
+ * @returns {Array} [{ contourId, size, length, corners: [{ angle, zone }] }]
+ */
+export function measureFeatures(contours) {
+    return contours
+        .filter(c => c.points?.length > 1)
+        .map(contour => {
+            const length = contour.length || 0;
+            const area = contour.closed ? Math.abs(signedArea(contour.points)) : 0;
+            return {
+                contourId: contour.id,
+                size: contour.closed && length > 0 ? (4 * area) / length : null,
+                length,
+                corners: findCorners(contour.points, contour.closed),
+            };
+        });
+}
+
+/**
+ * Vertices where the path turns sharper than CORNER_ANGLE_THRESHOLD. The
+ * slow zone is capped at half of each neighbouring segment so corners on
+ * short edges don't overlap.
+ */
+function findCorners(points, closed) {
+    // Closed contours repeat their first point at the end, or end within the join tolerance of it
+    const vertices = closed && points.length > 2 && distance(points[0], points[points.length - 1]) <= DEFAULT_JOIN_TOLERANCE
+        ? points.slice(0, -1)
+        : points;
+    const count = vertices.length;
+    if (count < 3) return [];
+
+    const corners = [];
+    const first = closed ? 0 : 1;
+    const last = closed ? count : count - 1;
+    for (let i = first; i < last; i++) {
+        const prev = vertices[(i - 1 + count) % count];
+        const curr = vertices[i];
+        const next = vertices[(i + 1) % count];
+
+        const inLength = distance(prev, curr);
+        const outLength = distance(curr, next);
+        if (inLength === 0 || outLength === 0) continue;
+
+        const angle = interiorAngle(prev, curr, next);
+        if (angle >= CORNER_ANGLE_THRESHOLD) continue;
+
+        const halfZone = CORNER_ZONE_LENGTH / 2;
+        corners.push({ angle, zone: Math.min(halfZone, inLength / 2) + Math.min(halfZone, outLength / 2) });
+    }
+    return corners;
+}
+
+/**
+ * Angle at `curr` between the edges to `prev` and `next`: 180 is straight
+ * on, 90 a square corner, small angles a sharp point
+ */
+function interiorAngle(prev, curr, next) {
+    const ax = prev.x - curr.x;
+    const ay = prev.y - curr.y;
+    const bx = next.x - curr.x;
+    const by = next.y - curr.y;
+    const cos = (ax * bx + ay * by) / (Math.hypot(ax, ay) * Math.hypot(bx, by));
+    return (Math.acos(Math.max(-1, Math.min(1, cos))) * 180) / Math.PI;
+}
+
+function distance(p1, p2) {
+    const dx = p2.x - p1.x;
+    const dy = p2.y - p1.y;
+    return Math.sqrt(dx * dx + dy * dy);
+}
@@ -0,0 +1,388 @@
+/**
+ * Custom dxf-parser entity handlers
+ *
+ * dxf-parser drops some group codes we need for pricing. These handlers
+ * replace or add entity types via `parser.registerEntityHandler()` and follow
+ * the same scanner protocol as the built-in ones.
+ */
+
+/**
+ * Register all custom handlers on a DxfParser instance
+ */
+export function registerHandlers(parser) {
+    parser.registerEntityHandler(SplineHandler);
+    parser.registerEntityHandler(HatchHandler);
+    parser.registerEntityHandler(EllipseHandler);
+    parser.registerEntityHandler(CircleHandler);
+}
+
+/**
+ * SPLINE, including the per-control-point weights (group 41) that the
+ * built-in handler ignores
+ */
+class SplineHandler {
+    constructor() {
+        this.ForEntityName = 'SPLINE';
+    }
+
+    parseEntity(scanner, curr) {
+        const entity = { type: curr.value };
+        curr = scanner.next();
+        while (!scanner.isEOF() && curr.code !== 0) {
+            switch (curr.code) {
+                case 10:
+                    if (!entity.controlPoints) entity.controlPoints = [];
+                    entity.controlPoints.push(parsePoint(scanner));
+                    break;
+                case 11:
+                    if (!entity.fitPoints) entity.fitPoints = [];
+                    entity.fitPoints.push(parsePoint(scanner));
+                    break;
+                case 12:
+                    entity.startTangent = parsePoint(scanner);
+                    break;
+                case 13:
+                    entity.endTangent = parsePoint(scanner);
+                    break;
+                case 40:
+                    if (!entity.knotValues) entity.knotValues = [];
+                    entity.knotValues.push(curr.value);
+                    break;
+                case 41:
+                    if (!entity.weights) entity.weights = [];
+                    entity.weights.push(curr.value);
+                    break;
+                case 70:
+                    entity.closed = (curr.value & 1) !== 0;
+                    entity.periodic = (curr.value & 2) !== 0;
+                    entity.rational = (curr.value & 4) !== 0;
+                    entity.planar = (curr.value & 8) !== 0;
+                    break;
+                case 71:
+                    entity.degreeOfSplineCurve = curr.value;
+                    break;
+                case 72:
+                    entity.numberOfKnots = curr.value;
+                    break;
+                case 73:
+                    entity.numberOfControlPoints = curr.value;
+                    break;
+                case 74:
+                    entity.numberOfFitPoints = curr.value;
+                    break;
+                case 210:
+                    entity.normalVector = parsePoint(scanner);
+                    break;
+                default:
+                    parseCommonProperty(entity, curr);
+                    break;
+            }
+            curr = scanner.next();
+        }
+        return entity;
+    }
+}
+
+/**
+ * ELLIPSE, including the extrusion direction (groups 210/220/230) that the
+ * built-in handler ignores, named as dxf-parser names it on ARC
+ */
+class EllipseHandler {
+    constructor() {
+        this.ForEntityName = 'ELLIPSE';
+    }
+
+    parseEntity(scanner, curr) {
+        const entity = { type: curr.value };
+        curr = scanner.next();
+        while (!scanner.isEOF() && curr.code !== 0) {
+            switch (curr.code) {
+                case 10:
+                    entity.center = parsePoint(scanner);
+                    break;
+                case 11:
+                    entity.majorAxisEndPoint = parsePoint(scanner);
+                    break;
+                case 40:
+                    entity.axisRatio = curr.value;
+                    break;
+                case 41:
+                    entity.startAngle = curr.value;
+                    break;
+                case 42:
+                    entity.endAngle = curr.value;
+                    break;
+                case 210:
+                    entity.extrusionDirectionX = curr.value;
+                    break;
+                case 220:
+                    entity.extrusionDirectionY = curr.value;
+                    break;
+                case 230:
+                    entity.extrusionDirectionZ = curr.value;
+                    break;
+                default:
+                    parseCommonProperty(entity, curr);
+                    break;
+            }
+            curr = scanner.next();
+        }
+        return entity;
+    }
+}
+
+/**
+ * CIRCLE, including the extrusion direction the built-in handler ignores
+ */
+class CircleHandler {
+    constructor() {
+        this.ForEntityName = 'CIRCLE';
+    }
+
+    parseEntity(scanner, curr) {
+        const entity = { type: curr.value };
+        curr = scanner.next();
+        while (!scanner.isEOF() && curr.code !== 0) {
+            switch (curr.code) {
+                case 10:
+                    entity.center = parsePoint(scanner);
+                    break;
+                case 40:
+                    entity.radius = curr.value;
+                    break;
+                case 210:
+                    entity.extrusionDirectionX = curr.value;
+                    break;
+                case 220:
+                    entity.extrusionDirectionY = curr.value;
+                    break;
+                case 230:
+                    entity.extrusionDirectionZ = curr.value;
+                    break;
+                default:
+                    parseCommonProperty(entity, curr);
+                    break;
+            }
+            curr = scanner.next();
+        }
+        return entity;
+    }
+}
+
+/**
+ * HATCH, which dxf-parser skips entirely. Only the boundary paths are kept;
+ * pattern definitions and seed points are read past.
+ */
+class HatchHandler {
+    constructor() {
+        this.ForEntityName = 'HATCH';
+    }
+
+    parseEntity(scanner, curr) {
+        const entity = { type: curr.value, boundaryPaths: [] };
+        curr = scanner.next();
+        while (!scanner.isEOF() && curr.code !== 0) {
+            switch (curr.code) {
+                case 2:
+                    entity.patternName = curr.value;
+                    break;
+                case 70:
+                    entity.solidFill = curr.value === 1;
+                    break;
+                case 91:
+                    try {
+                        for (let i = 0; i < curr.value; i++) {
+                            entity.boundaryPaths.push(parseBoundaryPath(scanner));
+                        }
+                    } catch (error) {
+                        // Drop this hatch but keep parsing the rest of the file
+                        entity.boundaryPaths = [];
+                        entity.error = error.message;
+                        return skipToNextEntity(scanner, entity);
+                    }
+                    break;
+                default:
+                    parseCommonProperty(entity, curr);
+                    break;
+            }
+            curr = scanner.next();
+        }
+        return entity;
+    }
+}
+
+/**
+ * Read one hatch boundary path. Polyline paths carry vertices (with optional
+ * bulges); all other paths are a list of line/arc/ellipse/spline edges.
+ */
+function parseBoundaryPath(scanner) {
+    const flags = expectGroup(scanner, 92).value;
+    const path = { flags, polyline: (flags & 2) !== 0, edges: [], vertices: [], closed: true };
+
+    if (path.polyline) {
+        const hasBulge = expectGroup(scanner, 72).value !== 0;
+        path.closed = expectGroup(scanner, 73).value !== 0;
+        const count = expectGroup(scanner, 93).value;
+        for (let i = 0; i < count; i++) {
+            const vertex = { x: expectGroup(scanner, 10).value, y: expectGroup(scanner, 20).value };
+            if (hasBulge) {
+                const bulge = expectGroup(scanner, 42).value;
+                if (bulge) vertex.bulge = bulge;
+            }
+            path.vertices.push(vertex);
+        }
+    } else {
+        const count = expectGroup(scanner, 93).value;
+        for (let i = 0; i < count; i++) {
+            path.edges.push(parseBoundaryEdge(scanner));
+        }
+    }
+
+    // Handles of the entities this boundary was built from, if associative
+    const sourceCount = expectGroup(scanner, 97).value;
+    path.sourceHandles = [];
+    for (let i = 0; i < sourceCount; i++) {
+        path.sourceHandles.push(expectGroup(scanner, 330).value);
+    }
+
+    return path;
+}
+
+function parseBoundaryEdge(scanner) {
+    const edgeType = expectGroup(scanner, 72).value;
+    const readPoint = (code) => ({ x: expectGroup(scanner, code).value, y: expectGroup(scanner, code + 10).value });
+
+    switch (edgeType) {
+        case 1:
+            return { type: 'line', start: readPoint(10), end: readPoint(11) };
+        case 2:
+            return {
+                type: 'arc',
+                center: readPoint(10),
+                radius: expectGroup(scanner, 40).value,
+                startAngle: expectGroup(scanner, 50).value,
+                endAngle: expectGroup(scanner, 51).value,
+                counterClockwise: expectGroup(scanner, 73).value !== 0,
+            };
+        case 3:
+            return {
+                type: 'ellipse',
+                center: readPoint(10),
+                majorAxisEndPoint: readPoint(11),
+                axisRatio: expectGroup(scanner, 40).value,
+                startAngle: expectGroup(scanner, 50).value,
+                endAngle: expectGroup(scanner, 51).value,
+                counterClockwise: expectGroup(scanner, 73).value !== 0,
+            };
+        case 4:
+            return parseSplineEdge(scanner, readPoint);
+        default:
+            throw new Error(`Unknown hatch boundary edge type ${edgeType}`);
+    }
+}
+
+function parseSplineEdge(scanner, readPoint) {
+    const edge = {
+        type: 'spline',
+        degreeOfSplineCurve: expectGroup(scanner, 94).value,
+    };
+    const rational = expectGroup(scanner, 73).value !== 0;
+    expectGroup(scanner, 74); // periodic
+    const knotCount = expectGroup(scanner, 95).value;
+    const controlCount = expectGroup(scanner, 96).value;
+
+    edge.knotValues = [];
+    for (let i = 0; i < knotCount; i++) edge.knotValues.push(expectGroup(scanner, 40).value);
+
+    edge.controlPoints = [];
+    edge.weights = [];
+    for (let i = 0; i < controlCount; i++) {
+        edge.controlPoints.push(readPoint(10));
+        if (rational) edge.weights.push(expectGroup(scanner, 42).value);
+    }
+
+    // Fit data (R2010+) also starts with a 97 group, which the path uses for its
+    // source boundary count. It is fit data only if fit points or a second 97 follow.
+    const next = scanner.next();
+    const after = next.code === 97 ? scanner.next() : null;
+    if (after) scanner.rewind();
+    if (next.code === 97 && after && (after.code === 11 || after.code === 97)) {
+        edge.fitPoints = [];
+        for (let i = 0; i < next.value; i++) edge.fitPoints.push(readPoint(11));
+        const tangent = scanner.next();
+        if (tangent.code === 12) {
+            scanner.next(); // 22
+            expectGroup(scanner, 13);
+            expectGroup(scanner, 23);
+        } else {
+            scanner.rewind();
+        }
+    } else {
+        scanner.rewind();
+    }
+
+    return edge;
+}
+
+function skipToNextEntity(scanner, entity) {
+    let curr = scanner.lastReadGroup;
+    while (!scanner.isEOF() && curr.code !== 0) {
+        curr = scanner.next();
+    }
+    return entity;
+}
+
+function expectGroup(scanner, code) {
+    const curr = scanner.next();
+    if (curr.code !== code) {
+        throw new Error(`Malformed HATCH: expected group ${code} but got ${curr.code}.`);
+    }
+    return curr;
+}
+
+/**
+ * Read a 2D/3D point whose x group was just returned by the scanner.
+ * Leaves the scanner on the last coordinate group, like dxf-parser does.
+ */
+function parsePoint(scanner) {
+    scanner.rewind();
+    let curr = scanner.next();
+    const point = { x: curr.value };
+    const code = curr.code;
+
+    curr = scanner.next();
+    if (curr.code !== code + 10) {
+        throw new Error(`Expected code for point value to be ${code + 10} but got ${curr.code}.`);
+    }
+    point.y = curr.value;
+
+    curr = scanner.next();
+    if (curr.code !== code + 20) {
+        scanner.rewind();
+        return point;
+    }
+    point.z = curr.value;
+    return point;
+}
+
+/**
+ * The subset of common entity properties we rely on downstream
+ */
+function parseCommonProperty(entity, curr) {
+    switch (curr.code) {
+        case 5:
+            entity.handle = curr.value;
+            break;
+        case 8:
+            entity.layer = curr.value;
+            break;
+        case 62:
+            entity.colorIndex = curr.value;
+            break;
+        case 420:
+            entity.color = curr.value;
+            break;
+        default:
+            break;
+    }
+}
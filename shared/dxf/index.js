@@ -0,0 +1,10 @@
+export { parseDxf } from './parser.js';
+export { readDxfZip } from './zip.js';
+export { analyzeContours } from './contours.js';
+export { tessellateSpline, DEFAULT_CHORD_TOLERANCE } from './nurbs.js';
+export { LAYER_OPERATIONS, LAYER_OPERATION_LABELS, resolveLayerOperation } from './layers.js';
+export { cleanupEntities, DEFAULT_CLEANUP_TOLERANCE } from './cleanup.js';
+export { planCutOrder } from './toolpath.js';
+export { offsetContours } from './offset.js';
+export { measureFeatures, CORNER_ANGLE_THRESHOLD, CORNER_ZONE_LENGTH } from './features.js';
+export { validateGeometry, ISSUE_TYPES, ISSUE_LABELS, DEFAULT_BLOCKING_ISSUES } from './validation.js';
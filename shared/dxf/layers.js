@@ -0,0 +1,58 @@
+/**
+ * Layer operations
+ *
+ * Each DXF layer is mapped to what the shop does with it. Admins configure
+ * default name rules (GlobalSettings `layerRules`), customers can override
+ * individual layers on the quote page.
+ */
+
+export const LAYER_OPERATIONS = {
+    CUT: 'cut',
+    ENGRAVE: 'engrave',
+    BEND: 'bend',
+    IGNORE: 'ignore',
+};
+
+export const LAYER_OPERATION_LABELS = {
+    [LAYER_OPERATIONS.CUT]: 'Cut',
+    [LAYER_OPERATIONS.ENGRAVE]: 'Engrave',
+    [LAYER_OPERATIONS.BEND]: 'Bend line',
+    [LAYER_OPERATIONS.IGNORE]: 'Ignore',
+};
+
+/**
+ * Match a layer name against a rule pattern. `*` matches any run of
+ * characters and `?` a single one; matching is case-insensitive.
+ */
+export function matchLayerPattern(layerName, pattern) {
+    const source = String(pattern)
+        .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+        .replace(/\*/g, '.*')
+        .replace(/\?/g, '.');
+    return new RegExp(`^${source}$`, 'i').test(layerName);
+}
+
+/**
+ * Decide the operation for a layer
+ *
+ * @param {string} layerName - DXF layer name
+ * @param {Object} [options] - { rules, overrides, hidden }
+ *   rules: [{ pattern, operation }] checked in order, first match wins
+ *   overrides: { [layerName]: operation } set by the customer
+ *   hidden: true if the layer is off or frozen in the drawing
+ * @returns {string} One of LAYER_OPERATIONS
+ */
+export function resolveLayerOperation(layerName, options = {}) {
+    const { rules = [], overrides = {}, hidden = false } = options;
+
+    if (overrides[layerName]) return overrides[layerName];
+
+    for (const rule of rules) {
+        if (rule?.pattern && matchLayerPattern(layerName, rule.pattern)) {
+            return rule.operation;
+        }
+    }
+
+    // Layers switched off in the drawing are usually construction geometry
+    return hidden ? LAYER_OPERATIONS.IGNORE : LAYER_OPERATIONS.CUT;
+}
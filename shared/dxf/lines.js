@@ -0,0 +1,51 @@
+/**
+ * Infinite lines through straight segments, for finding segments that lie
+ * on the same line
+ *
+ * A line's direction is its angle in [0, π), so a segment and its reverse
+ * give the same line. Angles are bucketed ANGLE_BUCKET wide, and the
+ * buckets wrap around at π: a line just short of π is the same as one just
+ * above 0, so it is measured with its direction flipped and lands in the
+ * first bucket.
+ */
+
+export const ANGLE_BUCKET_COUNT = Math.round(Math.PI / 1e-4);
+export const ANGLE_BUCKET = Math.PI / ANGLE_BUCKET_COUNT; // radians, about 1e-4
+
+/**
+ * The line through a and b
+ *
+ * @returns {Object} { bucket, dir, offset, start, end } angle bucket, unit direction, signed distance
+ *   from the origin, and the span of a-b along the direction
+ */
+export function lineThrough(a, b) {
+    let angle = Math.atan2(b.y - a.y, b.x - a.x);
+    if (angle < 0) angle += Math.PI;
+    if (angle >= Math.PI - ANGLE_BUCKET / 2) angle -= Math.PI;
+
+    const dir = { x: Math.cos(angle), y: Math.sin(angle) };
+    const t0 = dir.x * a.x + dir.y * a.y;
+    const t1 = dir.x * b.x + dir.y * b.y;
+
+    return {
+        // Never -0, so keys built from it match
+        bucket: Math.round(angle / ANGLE_BUCKET) || 0,
+        dir,
+        offset: -dir.y * a.x + dir.x * a.y,
+        start: Math.min(t0, t1),
+        end: Math.max(t0, t1),
+    };
+}
+
+/**
+ * The angle bucket `step` buckets away. Lines found there across the wrap
+ * at π point the other way: `flipped` means their offset and span change sign.
+ *
+ * @returns {Object} { bucket, flipped }
+ */
+export function neighbourBucket(bucket, step) {
+    const next = bucket + step;
+    if (next < 0) return { bucket: next + ANGLE_BUCKET_COUNT, flipped: true };
+    if (next >= ANGLE_BUCKET_COUNT) return { bucket: next - ANGLE_BUCKET_COUNT, flipped: true };
+    return { bucket: next, flipped: false };
+}
@@ -0,0 +1,337 @@
+/**
+ * B-spline / NURBS evaluation for DXF SPLINE entities
+ *
+ * Shared by the parser (cut length, bounds) and the viewer (preview) so
+ * both come from the same tessellation.
+ */
+
+export const DEFAULT_CHORD_TOLERANCE = 0.01; // mm
+
+const MAX_SUBDIVISION_DEPTH = 12;
+
+/**
+ * Tessellate a raw SPLINE entity into points on the curve
+ *
+ * Uses control points, knots and weights when present. Splines that only
+ * carry fit points are interpolated through those points instead, see createFitCurve.
+ *
+ * @param {Object} entity - Raw dxf-parser SPLINE entity
+ * @param {Object} [options] - { chordTolerance } max distance from curve to chord, in drawing units
+ * @returns {Array} Points { x, y } along the curve
+ */
+export function tessellateSpline(entity, options = {}) {
+    const tolerance = options.chordTolerance ?? DEFAULT_CHORD_TOLERANCE;
+    const controlPoints = entity.controlPoints || [];
+    const fitPoints = entity.fitPoints || [];
+
+    if (controlPoints.length >= 2) {
+        const curve = createNurbs(entity);
+        return tessellate(curve, tolerance);
+    }
+    if (fitPoints.length >= 2) {
+        return tessellate(createFitCurve(entity), tolerance);
+    }
+    return [];
+}
+
+/**
+ * Build an evaluable NURBS curve from a SPLINE entity
+ */
+function createNurbs(entity) {
+    const points = entity.controlPoints.map(p => ({ x: p.x || 0, y: p.y || 0 }));
+    const n = points.length - 1;
+    const degree = Math.min(entity.degreeOfSplineCurve || 3, n);
+
+    let knots = entity.knotValues || [];
+    if (knots.length !== n + degree + 2) {
+        knots = clampedUniformKnots(n, degree);
+    }
+
+    const weights = points.map((_, i) => {
+        const w = entity.weights?.[i];
+        return w > 0 ? w : 1;
+    });
+
+    const start = knots[degree];
+    const end = knots[n + 1];
+
+    // Distinct knots inside the domain; each span is tessellated separately
+    const breaks = [start];
+    for (let i = degree + 1; i <= n; i++) {
+        if (knots[i] > breaks[breaks.length - 1] && knots[i] < end) breaks.push(knots[i]);
+    }
+    breaks.push(end);
+
+    return {
+        breaks,
+        evaluate: (u) => evaluateNurbs(points, weights, knots, degree, u),
+    };
+}
+
+function clampedUniformKnots(n, degree) {
+    const knots = [];
+    const spans = n - degree + 1;
+    for (let i = 0; i <= n + degree + 1; i++) {
+        if (i <= degree) knots.push(0);
+        else if (i > n) knots.push(1);
+        else knots.push((i - degree) / spans);
+    }
+    return knots;
+}
+
+/**
+ * Evaluate a rational B-spline at u (de Boor in homogeneous coordinates)
+ */
+function evaluateNurbs(points, weights, knots, degree, u) {
+    const n = points.length - 1;
+    const span = findSpan(n, degree, u, knots);
+
+    const d = [];
+    for (let j = 0; j <= degree; j++) {
+        const i = span - degree + j;
+        const w = weights[i];
+        d.push({ x: points[i].x * w, y: points[i].y * w, w });
+    }
+
+    for (let r = 1; r <= degree; r++) {
+        for (let j = degree; j >= r; j--) {
+            const i = span - degree + j;
+            const denom = knots[i + degree - r + 1] - knots[i];
+            const alpha = denom === 0 ? 0 : (u - knots[i]) / denom;
+            d[j] = {
+                x: (1 - alpha) * d[j - 1].x + alpha * d[j].x,
+                y: (1 - alpha) * d[j - 1].y + alpha * d[j].y,
+                w: (1 - alpha) * d[j - 1].w + alpha * d[j].w,
+            };
+        }
+    }
+
+    const p = d[degree];
+    return { x: p.x / p.w, y: p.y / p.w };
+}
+
+function findSpan(n, degree, u, knots) {
+    if (u >= knots[n + 1]) {
+        // Last non-degenerate span, so the curve ends on its last control point
+        let span = n;
+        while (span > degree && knots[span] >= knots[n + 1]) span--;
+        return span;
+    }
+    let low = degree;
+    let high = n + 1;
+    let mid = Math.floor((low + high) / 2);
+    while (u < knots[mid] || u >= knots[mid + 1]) {
+        if (u < knots[mid]) high = mid;
+        else low = mid;
+        mid = Math.floor((low + high) / 2);
+    }
+    return mid;
+}
+
+/**
+ * Cubic B-spline through fit points, used when a SPLINE has no control
+ * points: global interpolation at chord-length parameters, as CAD fits
+ * them. The ends follow the SPLINE's start and end tangents, scaled to the
+ * total chord length, or else those of the parabola through the three end
+ * points. A closed spline meets itself with the tangent across the seam.
+ */
+function createFitCurve(entity) {
+    const points = [];
+    for (const p of entity.fitPoints) {
+        const point = { x: p.x || 0, y: p.y || 0 };
+        if (!points.length || distance(points[points.length - 1], point) > 1e-9) points.push(point);
+    }
+    const closed = !!entity.closed && points.length > 2;
+    if (closed && distance(points[0], points[points.length - 1]) > 1e-9) points.push({ ...points[0] });
+
+    const n = points.length - 1;
+    if (n < 1) return { breaks: [0, 0], evaluate: () => points[0] };
+
+    // Chord-length parameters from 0 to 1
+    const chords = points.slice(1).map((p, i) => distance(points[i], p));
+    const total = chords.reduce((sum, c) => sum + c, 0);
+    const params = [0];
+    chords.forEach((c, i) => params.push(i === n - 1 ? 1 : params[i] + c / total));
+
+    let startDerivative, endDerivative;
+    if (closed) {
+        const seam = { x: points[1].x - points[n - 1].x, y: points[1].y - points[n - 1].y };
+        const span = params[1] + 1 - params[n - 1];
+        startDerivative = endDerivative = { x: seam.x / span, y: seam.y / span };
+    } else {
+        startDerivative = tangentDerivative(entity.startTangent, total) ||
+            parabolaDerivative(points, params, 0, Math.min(2, n));
+        endDerivative = tangentDerivative(entity.endTangent, total) ||
+            parabolaDerivative(points, params, Math.max(0, n - 2), n, 1);
+    }
+
+    const degree = 3;
+    const knots = [0, 0, 0, 0, ...params.slice(1, n), 1, 1, 1, 1];
+
+    // The two end points and the control points that set the end derivatives
+    const control = new Array(n + 3);
+    control[0] = points[0];
+    control[1] = {
+        x: points[0].x + (params[1] / 3) * startDerivative.x,
+        y: points[0].y + (params[1] / 3) * startDerivative.y,
+    };
+    control[n + 1] = {
+        x: points[n].x - ((1 - params[n - 1]) / 3) * endDerivative.x,
+        y: points[n].y - ((1 - params[n - 1]) / 3) * endDerivative.y,
+    };
+    control[n + 2] = points[n];
+
+    // Through each inner fit point: only three basis functions are non-zero
+    // at a knot, so control points 2..n solve a tridiagonal system
+    const rows = [];
+    for (let k = 1; k < n; k++) {
+        const [below, diagonal, above] = basisFunctions(k + degree, params[k], degree, knots);
+        const rhs = { ...points[k] };
+        if (k === 1) {
+            rhs.x -= below * control[1].x;
+            rhs.y -= below * control[1].y;
+        }
+        if (k === n - 1) {
+            rhs.x -= above * control[n + 1].x;
+            rhs.y -= above * control[n + 1].y;
+        }
+        rows.push({ below, diagonal, above, rhs });
+    }
+    solveTridiagonal(rows).forEach((point, i) => {
+        control[i + 2] = point;
+    });
+
+    const weights = control.map(() => 1);
+    return {
+        breaks: params,
+        evaluate: (u) => evaluateNurbs(control, weights, knots, degree, u),
+    };
+}
+
+// Derivative along a unit-length parameter for a SPLINE's end tangent, or null without one
+function tangentDerivative(tangent, total) {
+    const length = tangent ? Math.hypot(tangent.x || 0, tangent.y || 0) : 0;
+    if (!(length > 1e-12)) return null;
+    return { x: (tangent.x * total) / length, y: (tangent.y * total) / length };
+}
+
+/**
+ * Derivative of the parabola through the points from index `first` to
+ * `last` (three, or two for a line) at the first point, or at the last when
+ * `atEnd` is set
+ */
+function parabolaDerivative(points, params, first, last, atEnd = 0) {
+    const indices = [];
+    for (let i = first; i <= last; i++) indices.push(i);
+    const at = params[atEnd ? last : first];
+
+    const derivative = { x: 0, y: 0 };
+    for (const i of indices) {
+        const others = indices.filter(j => j !== i);
+        let denominator = 1;
+        for (const j of others) denominator *= params[i] - params[j];
+        // d/du of the product of (u - u_j) over the others, at `at`
+        let numerator = 0;
+        for (const j of others) {
+            numerator += others.filter(m => m !== j).reduce((product, m) => product * (at - params[m]), 1);
+        }
+        derivative.x += (points[i].x * numerator) / denominator;
+        derivative.y += (points[i].y * numerator) / denominator;
+    }
+    return derivative;
+}
+
+/**
+ * The non-zero B-spline basis functions at u in the given knot span
+ * (Piegl & Tiller A2.2)
+ */
+function basisFunctions(span, u, degree, knots) {
+    const values = [1];
+    const left = [];
+    const right = [];
+    for (let j = 1; j <= degree; j++) {
+        left[j] = u - knots[span + 1 - j];
+        right[j] = knots[span + j] - u;
+        let saved = 0;
+        for (let r = 0; r < j; r++) {
+            const term = values[r] / (right[r + 1] + left[j - r]);
+            values[r] = saved + right[r + 1] * term;
+            saved = left[j - r] * term;
+        }
+        values[j] = saved;
+    }
+    return values;
+}
+
+// Thomas algorithm over rows { below, diagonal, above, rhs: { x, y } }
+function solveTridiagonal(rows) {
+    const count = rows.length;
+    const upper = [];
+    const solved = [];
+    for (let i = 0; i < count; i++) {
+        const { below, diagonal, above, rhs } = rows[i];
+        const previous = i > 0 ? { upper: upper[i - 1], value: solved[i - 1] } : { upper: 0, value: { x: 0, y: 0 } };
+        const pivot = diagonal - (i > 0 ? below * previous.upper : 0);
+        upper.push(above / pivot);
+        solved.push({
+            x: (rhs.x - (i > 0 ? below * previous.value.x : 0)) / pivot,
+            y: (rhs.y - (i > 0 ? below * previous.value.y : 0)) / pivot,
+        });
+    }
+    for (let i = count - 2; i >= 0; i--) {
+        solved[i] = {
+            x: solved[i].x - upper[i] * solved[i + 1].x,
+            y: solved[i].y - upper[i] * solved[i + 1].y,
+        };
+    }
+    return solved;
+}
+
+function distance(a, b) {
+    return Math.hypot(b.x - a.x, b.y - a.y);
+}
+
+/**
+ * Adaptive subdivision until every chord is within tolerance of the curve
+ */
+function tessellate(curve, tolerance) {
+    const points = [curve.evaluate(curve.breaks[0])];
+
+    const subdivide = (u0, p0, u1, p1, depth) => {
+        const um = (u0 + u1) / 2;
+        const pm = curve.evaluate(um);
+
+        // Check the quarter points too so S-bends inside a span aren't missed
+        const deviation = Math.max(
+            distanceToSegment(pm, p0, p1),
+            distanceToSegment(curve.evaluate((u0 + um) / 2), p0, p1),
+            distanceToSegment(curve.evaluate((um + u1) / 2), p0, p1),
+        );
+
+        if (depth >= MAX_SUBDIVISION_DEPTH || (depth > 0 && deviation <= tolerance)) {
+            points.push(p1);
+            return;
+        }
+        subdivide(u0, p0, um, pm, depth + 1);
+        subdivide(um, pm, u1, p1, depth + 1);
+    };
+
+    for (let i = 1; i < curve.breaks.length; i++) {
+        const u0 = curve.breaks[i - 1];
+        const u1 = curve.breaks[i];
+        subdivide(u0, points[points.length - 1], u1, curve.evaluate(u1), 0);
+    }
+
+    return points;
+}
+
+function distanceToSegment(p, a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSq = dx * dx + dy * dy;
+    let t = lengthSq === 0 ? 0 : ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSq;
+    t = Math.max(0, Math.min(1, t));
+    const cx = a.x + t * dx - p.x;
+    const cy = a.y + t * dy - p.y;
+    return Math.sqrt(cx * cx + cy * cy);
+}
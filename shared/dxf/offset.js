@@ -0,0 +1,147 @@
+/**
+ * Kerf compensation
+ *
+ * The beam removes half the kerf either side of its path, so to leave the
+ * drawn part the machine cuts along a path offset into the scrap: outer
+ * boundaries (and islands) move outward, holes inward, each by half the
+ * kerf. Holes and slots narrower than the kerf collapse and can't be cut
+ * to size. Open paths are cut on the line.
+ *
+ * All dimensions are in mm.
+ */
+
+import { signedArea, DEFAULT_JOIN_TOLERANCE } from './contours.js';
+
+// Outside corners sharper than this many offsets are bevelled, not mitred
+const MITER_LIMIT = 2;
+
+/**
+ * Offset analyzed contours by half the kerf
+ *
+ * @param {Array} contours - analyzeContours contours
+ * @param {number} kerf - Kerf width (mm)
+ * @param {Object} [options] - { tolerance } holes whose size (4 * area / perimeter, as in ./features) is below
+ *   this after offsetting also count as collapsed (mm)
+ * @returns {Object} { contours: [{ contourId, role, points, length, collapsed }], length, collapsed: [{ contourId, role, size }] }
+ */
+export function offsetContours(contours, kerf, options = {}) {
+    const tolerance = options.tolerance || 0;
+    const distance = (kerf || 0) / 2;
+
+    const result = contours
+        .filter(c => c.points?.length > 1)
+        .map(contour => {
+            if (!contour.closed || !(distance > 0)) {
+                return { contourId: contour.id, role: contour.role, points: contour.points, length: contour.length || 0, collapsed: false };
+            }
+
+            const grow = contour.role === 'outer';
+            const vertices = closedVertices(contour.points);
+            const { points, reversedFraction } = offsetPolygon(vertices, grow ? distance : -distance);
+            const area = Math.abs(signedArea(points));
+            const length = pathLength(points);
+            // An inward offset past the middle of the feature turns it inside
+            // out: a slot flips its winding, a small circle reverses every edge
+            const flipped = Math.sign(signedArea(points)) !== Math.sign(signedArea(vertices));
+            const collapsed = !grow &&
+                (flipped || reversedFraction > 0.5 || length === 0 || (4 * area) / length < tolerance);
+
+            return {
+                contourId: contour.id,
+                role: contour.role,
+                points: collapsed ? [] : points,
+                length: collapsed ? 0 : length,
+                collapsed,
+            };
+        });
+
+    return {
+        contours: result,
+        length: result.reduce((sum, c) => sum + c.length, 0),
+        collapsed: result
+            .filter(c => c.collapsed)
+            .map(c => {
+                const original = contours.find(o => o.id === c.contourId);
+                return { contourId: c.contourId, role: c.role, size: (4 * original.area) / (original.length || 1) };
+            }),
+    };
+}
+
+/**
+ * Offset a closed polygon along its outward normals (negative = inward),
+ * mitring corners up to MITER_LIMIT
+ *
+ * @returns {Object} { points, reversedFraction } the ring closed on its first
+ *   point, and the share of the perimeter whose edges now run backwards
+ */
+function offsetPolygon(vertices, offset) {
+    const count = vertices.length;
+    if (count < 3) return { points: [], reversedFraction: 0 };
+
+    // Outward normals need to know which way the polygon winds
+    const winding = signedArea(vertices) >= 0 ? 1 : -1;
+    const normals = vertices.map((p, i) => {
+        const next = vertices[(i + 1) % count];
+        const dx = next.x - p.x;
+        const dy = next.y - p.y;
+        const length = Math.hypot(dx, dy) || 1;
+        return { x: (winding * dy) / length, y: (-winding * dx) / length };
+    });
+
+    // Each vertex ends the offset incoming edge and starts the outgoing one,
+    // at the same point unless the corner is bevelled
+    const corners = vertices.map((p, i) => {
+        const n1 = normals[(i - 1 + count) % count];
+        const n2 = normals[i];
+        const denominator = 1 + n1.x * n2.x + n1.y * n2.y;
+        const miterScale = denominator > 1e-9 ? 1 / denominator : Infinity;
+        const miter = { x: (n1.x + n2.x) * miterScale, y: (n1.y + n2.y) * miterScale };
+
+        if (Math.hypot(miter.x, miter.y) <= MITER_LIMIT) {
+            const point = { x: p.x + miter.x * offset, y: p.y + miter.y * offset };
+            return { end: point, start: point };
+        }
+        return {
+            end: { x: p.x + n1.x * offset, y: p.y + n1.y * offset },
+            start: { x: p.x + n2.x * offset, y: p.y + n2.y * offset },
+        };
+    });
+
+    const points = [];
+    let perimeter = 0;
+    let reversed = 0;
+    for (let i = 0; i < count; i++) {
+        const corner = corners[i];
+        points.push(corner.end);
+        if (corner.start !== corner.end) points.push(corner.start);
+
+        const next = (i + 1) % count;
+        const edgeX = vertices[next].x - vertices[i].x;
+        const edgeY = vertices[next].y - vertices[i].y;
+        const offsetX = corners[next].end.x - corner.start.x;
+        const offsetY = corners[next].end.y - corner.start.y;
+        const edgeLength = Math.hypot(edgeX, edgeY);
+        perimeter += edgeLength;
+        if (edgeX * offsetX + edgeY * offsetY < 0) reversed += edgeLength;
+    }
+    points.push(points[0]);
+
+    return { points, reversedFraction: perimeter > 0 ? reversed / perimeter : 0 };
+}
+
+// Closed contours repeat their first point at the end, or end within the join tolerance of it
+function closedVertices(points) {
+    const first = points[0];
+    const last = points[points.length - 1];
+    return points.length > 2 && Math.hypot(last.x - first.x, last.y - first.y) <= DEFAULT_JOIN_TOLERANCE
+        ? points.slice(0, -1)
+        : points;
+}
+
+function pathLength(points) {
+    let length = 0;
+    for (let i = 1; i < points.length; i++) {
+        length += Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y);
+    }
+    return length;
+}
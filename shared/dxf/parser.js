@@ -0,0 +1,692 @@
+import DxfParser from 'dxf-parser';
+import { UNITS, toCanonical, unitFromInsunits } from '../units.js';
+import { analyzeContours } from './contours.js';
+import { registerHandlers } from './handlers.js';
+import { tessellateSpline, DEFAULT_CHORD_TOLERANCE } from './nurbs.js';
+import { IDENTITY, multiply, translate, rotate, scale, transformEntity } from './transform.js';
+import { LAYER_OPERATIONS, resolveLayerOperation } from './layers.js';
+import { processText, processMText } from './text.js';
+import { cleanupEntities } from './cleanup.js';
+import { planCutOrder } from './toolpath.js';
+import { measureFeatures } from './features.js';
+
+// Guards against blocks that (directly or indirectly) insert themselves
+const MAX_BLOCK_DEPTH = 16;
+
+// Sub-entities that their owner's handler reads
+const OWNED_ENTITIES = new Set(['VERTEX', 'SEQEND']);
+
+/**
+ * Parse a DXF file and extract entities with metrics
+ *
+ * All metrics are returned in canonical millimetres. The drawing unit comes
+ * from the $INSUNITS header unless `options.units` overrides it; unitless
+ * drawings are read as millimetres and flagged as ambiguous.
+ *
+ * Entities are also joined into contours (see ./contours) so pricing can use
+ * the net part area instead of the bounding box.
+ *
+ * INSERTs are expanded into their block's entities. Entity types we can't
+ * measure are skipped and tallied in `metrics.unsupported`. Entities and
+ * INSERTs drawn with extrusion (0,0,-1) are mirrored in X.
+ *
+ * Every entity is tagged with its layer's operation (see ./layers). On cut
+ * layers, TEXT/MTEXT and entities drawn in one of `options.engraveColors`
+ * are engraved instead. Metrics and contours only cover cut geometry, apart
+ * from `engraveLength`; `layers` summarises each layer.
+ *
+ * Cut geometry is cleaned up (see ./cleanup) before it is measured unless
+ * `options.cleanup` is false; `cleanup` reports what changed.
+ *
+ * The contours are put in cut order (see ./toolpath) to estimate the rapid
+ * travel between them, `metrics.travelDistance`. `metrics.features` lists
+ * the size and sharp corners of each contour (see ./features) for pricing
+ * to derate the cut speed.
+ *
+ * @param {string} dxfContent - Raw DXF file content as string
+ * @param {Object} [options] - Parse options
+ * @param {string} [options.units] - Drawing unit override
+ * @param {Array} [options.layerRules] - Admin layer name rules [{ pattern, operation }]
+ * @param {Object} [options.layerOverrides] - Customer choices { [layerName]: operation }
+ * @param {number[]} [options.engraveColors] - AutoCAD color indices that mark engraving
+ * @param {boolean} [options.cleanup] - Merge duplicate and overlapping geometry (default true)
+ * @param {number} [options.cleanupTolerance] - Endpoint snap tolerance for cleanup (mm)
+ * @param {number} [options.joinTolerance] - Contour join tolerance (mm)
+ * @param {number} [options.chordTolerance] - Curve tessellation tolerance (mm)
+ * @returns {Object} Parsed data with entities, contours, toolpath, layers, cleanup, metrics and units
+ */
+export function parseDxf(dxfContent, options = {}) {
+    const parser = new DxfParser();
+    registerHandlers(parser);
+    let dxf;
+
+    try {
+        dxf = parser.parseSync(dxfContent);
+    } catch (error) {
+        throw new Error(`Failed to parse DXF: ${error.message}`);
+    }
+
+    if (!dxf || !dxf.entities) {
+        throw new Error('No entities found in DXF file');
+    }
+
+    const units = resolveUnits(dxf.header, options.units);
+    const unhandled = findUnhandledEntities(dxfContent, parser);
+    const context = {
+        // Curves are tessellated in drawing units, before scaling to mm
+        chordTolerance: (options.chordTolerance ?? DEFAULT_CHORD_TOLERANCE) / units.scale,
+        blocks: dxf.blocks || {},
+        unhandledInBlocks: unhandled.blocks,
+        unsupported: unhandled.entities,
+    };
+    const toMillimetres = units.scale === 1 ? IDENTITY : scale(units.scale);
+    const collectedEntities = collectEntities(dxf.entities, toMillimetres, context, 0, null);
+
+    // Tag entities with their color and operation
+    const layerTable = dxf.tables?.layer?.layers || {};
+    const operations = {};
+    collectedEntities.forEach((entity) => {
+        const info = layerTable[entity.layer];
+        // Unset colors are BYLAYER
+        if (entity.colorIndex === undefined) entity.colorIndex = info?.colorIndex;
+        if (!(entity.layer in operations)) {
+            operations[entity.layer] = resolveLayerOperation(entity.layer, {
+                rules: options.layerRules,
+                overrides: options.layerOverrides,
+                hidden: !!info && (info.visible === false || !!info.frozen),
+            });
+        }
+        entity.operation = classifyEntity(entity, operations[entity.layer], options.engraveColors);
+    });
+
+    let cutEntities = collectedEntities.filter(e => e.operation === LAYER_OPERATIONS.CUT);
+    let cleanup = null;
+    if (options.cleanup !== false) {
+        const cleaned = cleanupEntities(cutEntities, { tolerance: options.cleanupTolerance });
+        cutEntities = cleaned.entities;
+        cleanup = cleaned.report;
+    }
+
+    // Stable ids (for references) are positions in the final entity list
+    const processedEntities = collectedEntities
+        .filter(e => e.operation !== LAYER_OPERATIONS.CUT)
+        .concat(cutEntities);
+    processedEntities.forEach((entity, id) => {
+        entity.id = id;
+    });
+    const engraveEntities = processedEntities.filter(e => e.operation === LAYER_OPERATIONS.ENGRAVE);
+
+    let totalLength = 0;
+    let minX = Infinity, minY = Infinity;
+    let maxX = -Infinity, maxY = -Infinity;
+
+    for (const processed of cutEntities) {
+        totalLength += processed.length || 0;
+
+        // Update bounds
+        for (const point of processed.points || []) {
+            minX = Math.min(minX, point.x);
+            minY = Math.min(minY, point.y);
+            maxX = Math.max(maxX, point.x);
+            maxY = Math.max(maxY, point.y);
+        }
+    }
+    const pointCount = cutEntities.filter(e => e.type === 'POINT').length;
+    const unsupportedCount = Object.values(context.unsupported).reduce((sum, n) => sum + n, 0);
+
+    // Handle case of no valid entities
+    if (minX === Infinity) {
+        minX = minY = maxX = maxY = 0;
+    }
+
+    const width = maxX - minX;
+    const height = maxY - minY;
+
+    const topology = analyzeContours(cutEntities, { tolerance: options.joinTolerance });
+    const toolpath = planCutOrder(topology.contours);
+    const features = measureFeatures(topology.contours);
+
+    return {
+        entities: processedEntities,
+        contours: topology.contours,
+        toolpath,
+        layers: summarizeLayers(processedEntities, operations),
+        cleanup,
+        metrics: {
+            width,
+            height,
+            totalLength,
+            area: width * height,
+            netArea: topology.netArea,
+            outerArea: topology.outerArea,
+            hullArea: topology.hullArea,
+            bounds: { minX, minY, maxX, maxY },
+            entityCount: cutEntities.length,
+            engraveLength: engraveEntities.reduce((sum, e) => sum + (e.length || 0), 0),
+            engraveEntityCount: engraveEntities.length,
+            contourCount: topology.contours.length,
+            holeCount: topology.holeCount,
+            openContourCount: topology.openCount,
+            // Every contour, open or closed, starts with one pierce; POINTs mark drilled pierces
+            pierceCount: topology.contours.length + pointCount,
+            travelDistance: toolpath.travelDistance,
+            features,
+            unsupported: context.unsupported,
+            unsupportedCount,
+        },
+        units,
+        raw: dxf,
+    };
+}
+
+/**
+ * Work out which unit the drawing is in and the factor to reach mm
+ */
+function resolveUnits(header, override) {
+    const detected = unitFromInsunits(header?.$INSUNITS);
+
+    let unit = detected || UNITS.LENGTH.MM;
+    let source = detected ? 'header' : 'default';
+    if (override) {
+        unit = override;
+        source = 'override';
+    }
+
+    return {
+        unit,
+        detected,
+        source,
+        // Unitless files can't be trusted until the customer confirms
+        ambiguous: !detected,
+        scale: toCanonical(1, unit),
+    };
+}
+
+/**
+ * Operation for a single entity. Text and engrave-colored geometry on a cut
+ * layer is engraved; other layer operations apply to everything on the layer.
+ */
+function classifyEntity(entity, layerOperation, engraveColors = []) {
+    if (layerOperation !== LAYER_OPERATIONS.CUT) return layerOperation;
+    if (entity.type === 'TEXT' || entity.type === 'MTEXT') return LAYER_OPERATIONS.ENGRAVE;
+    if (engraveColors.includes(entity.colorIndex)) return LAYER_OPERATIONS.ENGRAVE;
+    return LAYER_OPERATIONS.CUT;
+}
+
+/**
+ * Per-layer totals across all entities, whatever their operation
+ */
+function summarizeLayers(entities, operations) {
+    const layers = {};
+    for (const entity of entities) {
+        if (!layers[entity.layer]) {
+            layers[entity.layer] = { name: entity.layer, operation: operations[entity.layer], entityCount: 0, length: 0 };
+        }
+        layers[entity.layer].entityCount++;
+        layers[entity.layer].length += entity.length || 0;
+    }
+    return Object.values(layers).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Process a list of raw entities, expanding INSERTs, and place the results
+ * with the given transform
+ *
+ * Entities on layer "0" inside a block take the layer of the INSERT that
+ * placed them, and BYBLOCK (0) colors its color, as in AutoCAD. BYLAYER
+ * colors are left unset here and resolved from the layer table.
+ */
+function collectEntities(entities, matrix, context, depth, parent) {
+    const collected = [];
+
+    for (const entity of entities || []) {
+        const ownLayer = entity.layer || '0';
+        const layer = ownLayer === '0' && parent ? parent.layer : ownLayer;
+        const colorIndex = entity.colorIndex === 0
+            ? parent?.colorIndex
+            : entity.colorIndex === 256 ? undefined : entity.colorIndex;
+
+        // Seen from below, the entity's x axis points the other way
+        const placement = drawnFromBelow(entity) ? multiply(matrix, scale(-1, 1)) : matrix;
+
+        if (entity.type === 'INSERT') {
+            collected.push(...expandInsert(entity, placement, context, depth, { layer, colorIndex }));
+            continue;
+        }
+
+        const processed = processEntity(entity, context);
+        if (!processed) continue;
+
+        for (const item of [].concat(processed)) {
+            item.layer = layer;
+            item.colorIndex = colorIndex;
+            collected.push(transformEntity(item, placement));
+        }
+    }
+
+    return collected;
+}
+
+/**
+ * Whether the entity's extrusion direction is (0,0,-1). dxf-parser keeps it
+ * as a point on INSERT and POLYLINE and as separate values elsewhere; 3D
+ * polylines are already in world coordinates.
+ */
+function drawnFromBelow(entity) {
+    if (entity.is3dPolyline || entity.is3dPolygonMesh) return false;
+    return (entity.extrusionDirectionZ ?? entity.extrusionDirection?.z) < 0;
+}
+
+/**
+ * Expand an INSERT into its block's entities, honouring the insertion scale,
+ * rotation and rectangular array (rows/columns)
+ */
+function expandInsert(insert, matrix, context, depth, parent) {
+    const block = context.blocks[insert.name];
+    if (!block || depth >= MAX_BLOCK_DEPTH) {
+        countUnsupported(context, 'INSERT');
+        return [];
+    }
+
+    const base = block.position || { x: 0, y: 0 };
+    const position = insert.position || { x: 0, y: 0 };
+    const placement = multiply(
+        translate(position.x, position.y),
+        rotate((insert.rotation || 0) * (Math.PI / 180))
+    );
+    const blockToInsert = multiply(
+        scale(insert.xScale ?? 1, insert.yScale ?? 1),
+        translate(-base.x, -base.y)
+    );
+
+    const columns = Math.max(1, insert.columnCount || 1);
+    const rows = Math.max(1, insert.rowCount || 1);
+    const expanded = [];
+
+    for (let row = 0; row < rows; row++) {
+        for (let column = 0; column < columns; column++) {
+            const cell = translate(column * (insert.columnSpacing || 0), row * (insert.rowSpacing || 0));
+            const cellMatrix = multiply(matrix, placement, cell, blockToInsert);
+            expanded.push(...collectEntities(block.entities, cellMatrix, context, depth + 1, parent));
+            for (const [type, count] of Object.entries(context.unhandledInBlocks[insert.name] || {})) {
+                countUnsupported(context, type, count);
+            }
+        }
+    }
+
+    return expanded;
+}
+
+function countUnsupported(context, type, count = 1) {
+    context.unsupported[type] = (context.unsupported[type] || 0) + count;
+}
+
+/**
+ * Tally the entity types dxf-parser has no handler for, which it drops
+ * without a trace, from the raw ENTITIES section and from each block
+ *
+ * @returns {Object} { entities: { [type]: n }, blocks: { [blockName]: { [type]: n } } }
+ */
+function findUnhandledEntities(dxfContent, parser) {
+    const lines = dxfContent.split(/\r\n|\r|\n/);
+    const unhandled = { entities: {}, blocks: {} };
+    let section = null;
+    let tally = null;
+    // The name group (2) that follows a SECTION or BLOCK
+    let awaiting = null;
+
+    for (let i = 0; i + 1 < lines.length; i += 2) {
+        const code = parseInt(lines[i], 10);
+        const value = lines[i + 1].trim();
+
+        if (code === 2 && awaiting === 'section') {
+            section = value;
+            tally = section === 'ENTITIES' ? unhandled.entities : null;
+            awaiting = null;
+        } else if (code === 2 && awaiting === 'block') {
+            tally = unhandled.blocks[value] = unhandled.blocks[value] || {};
+            awaiting = null;
+        } else if (code === 0) {
+            awaiting = null;
+            if (value === 'SECTION' || value === 'ENDSEC') {
+                section = null;
+                tally = null;
+                awaiting = value === 'SECTION' ? 'section' : null;
+            } else if (section === 'BLOCKS' && (value === 'BLOCK' || value === 'ENDBLK')) {
+                tally = null;
+                awaiting = value === 'BLOCK' ? 'block' : null;
+            } else if (tally && !parser._entityHandlers[value] && !OWNED_ENTITIES.has(value)) {
+                tally[value] = (tally[value] || 0) + 1;
+            }
+        }
+    }
+
+    return unhandled;
+}
+
+/**
+ * Process individual DXF entity
+ *
+ * @returns {Object|Array|null} Processed entity (or several, for HATCH)
+ */
+function processEntity(entity, context) {
+    switch (entity.type) {
+        case 'LINE':
+            return processLine(entity);
+        case 'CIRCLE':
+            return processCircle(entity);
+        case 'ARC':
+            return processArc(entity);
+        case 'POLYLINE':
+        case 'LWPOLYLINE':
+            return processPolyline(entity);
+        case 'SPLINE':
+            return processSpline(entity, context);
+        case 'ELLIPSE':
+            return processEllipse(entity);
+        case 'HATCH':
+            return processHatch(entity, context);
+        case 'POINT':
+            return processPoint(entity);
+        case 'TEXT':
+            return processText(entity);
+        case 'MTEXT':
+            return processMText(entity);
+        default:
+            countUnsupported(context, entity.type);
+            return null;
+    }
+}
+
+function processLine(entity) {
+    const start = entity.vertices?.[0] || entity.startPoint || { x: 0, y: 0 };
+    const end = entity.vertices?.[1] || entity.endPoint || { x: 0, y: 0 };
+    const length = distance(start, end);
+
+    return {
+        type: 'LINE',
+        points: [start, end],
+        length,
+    };
+}
+
+function processCircle(entity) {
+    const center = entity.center || { x: 0, y: 0 };
+    const radius = entity.radius || 0;
+    const circumference = 2 * Math.PI * radius;
+
+    // Generate points for visualization
+    const points = [];
+    const segments = 64;
+    for (let i = 0; i <= segments; i++) {
+        const angle = (i / segments) * 2 * Math.PI;
+        points.push({
+            x: center.x + radius * Math.cos(angle),
+            y: center.y + radius * Math.sin(angle),
+        });
+    }
+
+    return {
+        type: 'CIRCLE',
+        center,
+        radius,
+        points,
+        length: circumference,
+    };
+}
+
+function processArc(entity) {
+    const center = entity.center || { x: 0, y: 0 };
+    const radius = entity.radius || 0;
+    // dxf-parser already converts ARC angles to radians
+    const startAngle = entity.startAngle || 0;
+    const endAngle = entity.endAngle ?? 2 * Math.PI;
+
+    let angleDiff = endAngle - startAngle;
+    if (angleDiff < 0) angleDiff += 2 * Math.PI;
+
+    const arcLength = radius * angleDiff;
+
+    // Generate points for visualization
+    const points = [];
+    const segments = Math.max(16, Math.ceil(angleDiff / (Math.PI / 32)));
+    for (let i = 0; i <= segments; i++) {
+        const angle = startAngle + (i / segments) * angleDiff;
+        points.push({
+            x: center.x + radius * Math.cos(angle),
+            y: center.y + radius * Math.sin(angle),
+        });
+    }
+
+    return {
+        type: 'ARC',
+        center,
+        radius,
+        startAngle: entity.startAngle,
+        endAngle: entity.endAngle,
+        points,
+        length: arcLength,
+    };
+}
+
+function processPolyline(entity) {
+    const vertices = entity.vertices || [];
+    if (vertices.length < 2) return null;
+
+    const closed = !!entity.shape;
+    const toPoint = v => ({ x: v.x || 0, y: v.y || 0 });
+    const points = [toPoint(vertices[0])];
+    let length = 0;
+
+    // A closed polyline has an extra segment from the last vertex back to the first
+    const segmentCount = closed ? vertices.length : vertices.length - 1;
+    for (let i = 0; i < segmentCount; i++) {
+        const start = toPoint(vertices[i]);
+        const end = toPoint(vertices[(i + 1) % vertices.length]);
+        const bulge = vertices[i].bulge || 0;
+
+        if (bulge !== 0) {
+            const arc = bulgeArc(start, end, bulge);
+            points.push(...arc.points);
+            length += arc.length;
+        } else {
+            points.push(end);
+            length += distance(start, end);
+        }
+    }
+
+    return {
+        type: 'POLYLINE',
+        points,
+        length,
+        closed,
+    };
+}
+
+/**
+ * Expand a bulged polyline segment into arc points
+ *
+ * Bulge is tan(θ/4) of the included angle θ; positive bulges run
+ * counter-clockwise from start to end.
+ *
+ * @returns {Object} { points, length } - points exclude start and include end
+ */
+function bulgeArc(start, end, bulge) {
+    const chord = distance(start, end);
+    if (chord === 0) return { points: [end], length: 0 };
+
+    const theta = 4 * Math.atan(bulge);
+    const radius = chord / (2 * Math.sin(Math.abs(theta) / 2));
+
+    // Centre sits on the chord's perpendicular bisector, to the left for positive bulges
+    const offset = (chord / 2) * (1 - bulge * bulge) / (2 * bulge);
+    const center = {
+        x: (start.x + end.x) / 2 - ((end.y - start.y) / chord) * offset,
+        y: (start.y + end.y) / 2 + ((end.x - start.x) / chord) * offset,
+    };
+
+    const startAngle = Math.atan2(start.y - center.y, start.x - center.x);
+    const segments = Math.max(4, Math.ceil(Math.abs(theta) / (Math.PI / 32)));
+    const points = [];
+    for (let i = 1; i < segments; i++) {
+        const angle = startAngle + (i / segments) * theta;
+        points.push({
+            x: center.x + radius * Math.cos(angle),
+            y: center.y + radius * Math.sin(angle),
+        });
+    }
+    points.push(end);
+
+    return { points, length: radius * Math.abs(theta) };
+}
+
+function processSpline(entity, context) {
+    // Evaluate the actual NURBS curve, not its control polygon
+    const points = tessellateSpline(entity, { chordTolerance: context.chordTolerance });
+    if (points.length < 2) return null;
+
+    let length = 0;
+    for (let i = 1; i < points.length; i++) {
+        length += distance(points[i - 1], points[i]);
+    }
+
+    return {
+        type: 'SPLINE',
+        points,
+        length,
+        closed: !!entity.closed,
+    };
+}
+
+function processEllipse(entity) {
+    const center = entity.center || { x: 0, y: 0 };
+    const points = ellipsePoints(
+        center,
+        entity.majorAxisEndPoint || { x: 1, y: 0 },
+        entity.axisRatio || 1,
+        entity.startAngle ?? 0,
+        entity.endAngle ?? 2 * Math.PI,
+        true
+    );
+
+    return {
+        type: 'ELLIPSE',
+        center,
+        points,
+        length: polylineLength(points),
+        closed: distance(points[0], points[points.length - 1]) < 1e-9,
+    };
+}
+
+/**
+ * Points along an elliptical arc. Angles are the ellipse's parametric angles
+ * in radians; the major axis end point is relative to the centre.
+ */
+function ellipsePoints(center, majorAxis, ratio, startAngle, endAngle, counterClockwise) {
+    let sweep = endAngle - startAngle;
+    if (sweep <= 0) sweep += 2 * Math.PI;
+
+    const minorAxis = { x: -majorAxis.y * ratio, y: majorAxis.x * ratio };
+    const direction = counterClockwise ? 1 : -1;
+    const segments = Math.max(16, Math.ceil(sweep / (Math.PI / 64)));
+
+    const points = [];
+    for (let i = 0; i <= segments; i++) {
+        const t = direction * (startAngle + (i / segments) * sweep);
+        points.push({
+            x: center.x + majorAxis.x * Math.cos(t) + minorAxis.x * Math.sin(t),
+            y: center.y + majorAxis.y * Math.cos(t) + minorAxis.y * Math.sin(t),
+        });
+    }
+    return points;
+}
+
+/**
+ * Turn each hatch boundary path into a closed outline. Associative paths are
+ * skipped because their source entities are already in the drawing.
+ */
+function processHatch(entity, context) {
+    const outlines = [];
+
+    for (const path of entity.boundaryPaths || []) {
+        if (path.sourceHandles?.length) continue;
+
+        if (path.polyline) {
+            const outline = processPolyline({ vertices: path.vertices, shape: path.closed });
+            if (outline) outlines.push({ ...outline, type: 'HATCH' });
+            continue;
+        }
+
+        const points = [];
+        for (const edge of path.edges) {
+            const edgePoints = hatchEdgePoints(edge, context);
+            points.push(...(points.length ? edgePoints.slice(1) : edgePoints));
+        }
+        if (points.length < 2) continue;
+
+        outlines.push({
+            type: 'HATCH',
+            points,
+            length: polylineLength(points),
+            closed: true,
+        });
+    }
+
+    return outlines;
+}
+
+function hatchEdgePoints(edge, context) {
+    const toRadians = Math.PI / 180;
+
+    switch (edge.type) {
+        case 'line':
+            return [edge.start, edge.end];
+        case 'arc':
+            // Clockwise edges store their angles mirrored, hence the negated sweep
+            return ellipsePoints(
+                edge.center,
+                { x: edge.radius, y: 0 },
+                1,
+                edge.startAngle * toRadians,
+                edge.endAngle * toRadians,
+                edge.counterClockwise
+            );
+        case 'ellipse':
+            return ellipsePoints(
+                edge.center,
+                edge.majorAxisEndPoint,
+                edge.axisRatio,
+                edge.startAngle * toRadians,
+                edge.endAngle * toRadians,
+                edge.counterClockwise
+            );
+        case 'spline':
+            return tessellateSpline(edge, { chordTolerance: context.chordTolerance });
+        default:
+            return [];
+    }
+}
+
+function processPoint(entity) {
+    const position = entity.position || { x: 0, y: 0 };
+
+    return {
+        type: 'POINT',
+        points: [{ x: position.x, y: position.y }],
+        length: 0,
+    };
+}
+
+function polylineLength(points) {
+    let length = 0;
+    for (let i = 1; i < points.length; i++) {
+        length += distance(points[i - 1], points[i]);
+    }
+    return length;
+}
+
+function distance(p1, p2) {
+    const dx = p2.x - p1.x;
+    const dy = p2.y - p1.y;
+    return Math.sqrt(dx * dx + dy * dy);
+}
@@ -0,0 +1,105 @@
+/**
+ * TEXT / MTEXT measurement for engraving
+ *
+ * We don't have the drawing's fonts, so engraved text is measured from a
+ * single-stroke font model: each visible character is about
+ * TEXT_STROKE_PER_CHAR text heights of stroke, and TEXT_WIDTH_PER_CHAR
+ * heights wide. The preview draws the text's bounding box.
+ */
+
+export const TEXT_STROKE_PER_CHAR = 3;
+export const TEXT_WIDTH_PER_CHAR = 0.6;
+const MTEXT_LINE_SPACING = 5 / 3; // AutoCAD default line spacing factor
+
+/**
+ * Process a TEXT entity into an estimated engrave path
+ */
+export function processText(entity) {
+    const text = entity.text || '';
+    const height = entity.textHeight || 0;
+    const origin = entity.startPoint;
+    if (!origin || !height || !text.trim()) return null;
+
+    const width = text.length * height * TEXT_WIDTH_PER_CHAR * (entity.xScale || 1);
+    const rotation = ((entity.rotation || 0) * Math.PI) / 180;
+
+    return {
+        type: 'TEXT',
+        text,
+        points: textBox(origin, 0, 0, width, height, rotation),
+        length: strokeLength(text, height),
+        estimated: true,
+    };
+}
+
+/**
+ * Process an MTEXT entity into an estimated engrave path
+ */
+export function processMText(entity) {
+    const text = stripMTextFormatting(entity.text || '');
+    const height = entity.height || 0;
+    const origin = entity.position;
+    if (!origin || !height || !text.trim()) return null;
+
+    const lines = text.split('\n');
+    const longest = Math.max(...lines.map(line => line.length));
+    const width = longest * height * TEXT_WIDTH_PER_CHAR;
+    const boxHeight = height + (lines.length - 1) * height * MTEXT_LINE_SPACING;
+
+    // Rotation comes from the direction vector when present, else code 50 (radians)
+    const rotation = entity.directionVector
+        ? Math.atan2(entity.directionVector.y, entity.directionVector.x)
+        : entity.rotation || 0;
+
+    // Attachment point 1-9: top/middle/bottom rows of left/center/right
+    const attachment = (entity.attachmentPoint || 1) - 1;
+    const offsetX = -(attachment % 3) * (width / 2);
+    const offsetY = -boxHeight + Math.floor(attachment / 3) * (boxHeight / 2);
+
+    return {
+        type: 'MTEXT',
+        text,
+        points: textBox(origin, offsetX, offsetY, width, boxHeight, rotation),
+        length: strokeLength(text, height),
+        estimated: true,
+    };
+}
+
+/**
+ * Reduce MTEXT inline formatting to plain text with newlines
+ */
+export function stripMTextFormatting(text) {
+    return text
+        .replace(/\\P/g, '\n')
+        .replace(/\\[ACcFfHQTW][^;]*;/g, '')
+        .replace(/\\S([^;]*);/g, (_, stack) => stack.replace(/[#^/]/, ' '))
+        .replace(/\\[LlOoKk]/g, '')
+        .replace(/\\~/g, ' ')
+        .replace(/\\(.)/g, '$1')
+        .replace(/[{}]/g, '');
+}
+
+function strokeLength(text, height) {
+    const visible = text.replace(/\s/g, '').length;
+    return visible * height * TEXT_STROKE_PER_CHAR;
+}
+
+/**
+ * Closed outline of a text box whose bottom-left corner is (offsetX, offsetY)
+ * from the origin, before rotating about the origin
+ */
+function textBox(origin, offsetX, offsetY, width, height, rotation) {
+    const cos = Math.cos(rotation);
+    const sin = Math.sin(rotation);
+    const corners = [
+        [offsetX, offsetY],
+        [offsetX + width, offsetY],
+        [offsetX + width, offsetY + height],
+        [offsetX, offsetY + height],
+        [offsetX, offsetY],
+    ];
+    return corners.map(([x, y]) => ({
+        x: origin.x + x * cos - y * sin,
+        y: origin.y + x * sin + y * cos,
+    }));
+}
@@ -0,0 +1,163 @@
+/**
+ * Cut order estimation
+ *
+ * Orders contours the way a CAM post would, to estimate how far the head
+ * travels between them with the beam off:
+ *
+ * 1. Contours are cut innermost first (open paths, then holes, then the
+ *    outer boundary), so nothing drops out of the sheet before it is cut
+ * 2. Within each depth, a nearest-neighbour tour is improved with 2-opt
+ * 3. Closed contours are pierced at the vertex nearest to where the head is
+ *
+ * Distances are in mm.
+ */
+
+const MAX_TWO_OPT_NODES = 1500;
+const MAX_TWO_OPT_PASSES = 20;
+
+/**
+ * Plan the cut order for analyzed contours
+ *
+ * @param {Array} contours - analyzeContours contours
+ * @param {Object} [options] - { start } head position before the first pierce (defaults to the lowest, leftmost point)
+ * @returns {Object} { order: [{ contourId, entry, exit }], travelDistance }
+ */
+export function planCutOrder(contours, options = {}) {
+    const nodes = contours
+        .filter(c => c.points?.length > 0)
+        .map(c => ({
+            contour: c,
+            start: c.points[0],
+            end: c.closed ? c.points[0] : c.points[c.points.length - 1],
+            // Open paths go first, then deepest to outermost
+            rank: c.closed ? c.depth : Infinity,
+        }));
+    if (nodes.length === 0) return { order: [], travelDistance: 0 };
+
+    let position = options.start || lowestLeftmost(nodes);
+    const ranks = [...new Set(nodes.map(n => n.rank))].sort((a, b) => b - a);
+
+    const order = [];
+    let travelDistance = 0;
+
+    for (const rank of ranks) {
+        const group = nearestNeighbourTour(nodes.filter(n => n.rank === rank), position);
+        if (group.length <= MAX_TWO_OPT_NODES) twoOpt(group, position);
+
+        for (const node of group) {
+            // Pierce closed contours at the vertex nearest the head
+            const entry = node.contour.closed ? nearestVertex(node.contour.points, position) : node.start;
+            const exit = node.contour.closed ? entry : node.end;
+            travelDistance += distance(position, entry);
+            order.push({ contourId: node.contour.id, entry, exit });
+            position = exit;
+        }
+    }
+
+    return { order, travelDistance };
+}
+
+/**
+ * Greedy tour from `position`; open paths may be cut from either end
+ */
+function nearestNeighbourTour(nodes, position) {
+    const remaining = new Set(nodes);
+    const tour = [];
+    let current = position;
+
+    while (remaining.size > 0) {
+        let best = null;
+        let bestDistance = Infinity;
+        let reverse = false;
+        for (const node of remaining) {
+            const toStart = distance(current, node.start);
+            if (toStart < bestDistance) {
+                best = node;
+                bestDistance = toStart;
+                reverse = false;
+            }
+            if (!node.contour.closed) {
+                const toEnd = distance(current, node.end);
+                if (toEnd < bestDistance) {
+                    best = node;
+                    bestDistance = toEnd;
+                    reverse = true;
+                }
+            }
+        }
+        if (reverse) [best.start, best.end] = [best.end, best.start];
+        remaining.delete(best);
+        tour.push(best);
+        current = best.end;
+    }
+
+    return tour;
+}
+
+/**
+ * Improve the tour in place by reversing stretches that shorten it.
+ * Reversing a stretch also reverses the direction of each node in it.
+ */
+function twoOpt(tour, position) {
+    const exitOf = (i) => (i < 0 ? position : tour[i].end);
+
+    for (let pass = 0; pass < MAX_TWO_OPT_PASSES; pass++) {
+        let improved = false;
+        for (let i = 0; i < tour.length - 1; i++) {
+            for (let j = i + 1; j < tour.length; j++) {
+                const before = exitOf(i - 1);
+                const after = tour[j + 1];
+                const current = distance(before, tour[i].start) + (after ? distance(tour[j].end, after.start) : 0);
+                const swapped = distance(before, tour[j].end) + (after ? distance(tour[i].start, after.start) : 0);
+                if (swapped < current - 1e-9) {
+                    reverseStretch(tour, i, j);
+                    improved = true;
+                }
+            }
+        }
+        if (!improved) break;
+    }
+}
+
+function reverseStretch(tour, i, j) {
+    for (let k = i; k <= j; k++) {
+        const node = tour[k];
+        [node.start, node.end] = [node.end, node.start];
+    }
+    while (i < j) {
+        [tour[i], tour[j]] = [tour[j], tour[i]];
+        i++;
+        j--;
+    }
+}
+
+function nearestVertex(points, position) {
+    let best = points[0];
+    let bestDistance = Infinity;
+    for (const p of points) {
+        const d = distance(p, position);
+        if (d < bestDistance) {
+            best = p;
+            bestDistance = d;
+        }
+    }
+    return best;
+}
+
+function lowestLeftmost(nodes) {
+    let minX = Infinity;
+    let minY = Infinity;
+    for (const node of nodes) {
+        for (const p of node.contour.points) {
+            minX = Math.min(minX, p.x);
+            minY = Math.min(minY, p.y);
+        }
+    }
+    return { x: minX, y: minY };
+}
+
+function distance(p1, p2) {
+    const dx = p2.x - p1.x;
+    const dy = p2.y - p1.y;
+    return Math.sqrt(dx * dx + dy * dy);
+}
@@ -0,0 +1,72 @@
+/**
+ * 2D affine transforms for placing block contents and scaling to mm
+ *
+ * A matrix { a, b, c, d, e, f } maps (x, y) to
+ * (a * x + c * y + e, b * x + d * y + f).
+ */
+
+export const IDENTITY = { a: 1, b: 0, c: 0, d: 1, e: 0, f: 0 };
+
+export function translate(x, y) {
+    return { a: 1, b: 0, c: 0, d: 1, e: x, f: y };
+}
+
+export function rotate(radians) {
+    const cos = Math.cos(radians);
+    const sin = Math.sin(radians);
+    return { a: cos, b: sin, c: -sin, d: cos, e: 0, f: 0 };
+}
+
+export function scale(sx, sy = sx) {
+    return { a: sx, b: 0, c: 0, d: sy, e: 0, f: 0 };
+}
+
+/**
+ * Compose transforms; the last one is applied to points first
+ */
+export function multiply(...matrices) {
+    return matrices.reduce((m, n) => ({
+        a: m.a * n.a + m.c * n.b,
+        b: m.b * n.a + m.d * n.b,
+        c: m.a * n.c + m.c * n.d,
+        d: m.b * n.c + m.d * n.d,
+        e: m.a * n.e + m.c * n.f + m.e,
+        f: m.b * n.e + m.d * n.f + m.f,
+    }), IDENTITY);
+}
+
+export function applyToPoint(m, p) {
+    return {
+        x: m.a * p.x + m.c * p.y + m.e,
+        y: m.b * p.x + m.d * p.y + m.f,
+    };
+}
+
+/**
+ * Transform a processed entity in place. Lengths and radii scale directly
+ * under uniform scaling; otherwise the length is re-measured from the points.
+ */
+export function transformEntity(entity, m) {
+    if (m === IDENTITY) return entity;
+
+    entity.points = (entity.points || []).map(p => applyToPoint(m, p));
+    if (entity.center) entity.center = applyToPoint(m, entity.center);
+
+    const sx = Math.hypot(m.a, m.b);
+    const sy = Math.hypot(m.c, m.d);
+    const uniform = Math.abs(sx - sy) < 1e-9 && Math.abs(m.a * m.c + m.b * m.d) < 1e-9;
+
+    if (uniform) {
+        entity.length = (entity.length || 0) * sx;
+        if (entity.radius) entity.radius *= sx;
+    } else {
+        let length = 0;
+        for (let i = 1; i < entity.points.length; i++) {
+            length += Math.hypot(entity.points[i].x - entity.points[i - 1].x, entity.points[i].y - entity.points[i - 1].y);
+        }
+        entity.length = length;
+        delete entity.radius;
+    }
+
+    return entity;
+}
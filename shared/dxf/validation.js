@@ -0,0 +1,382 @@
+/**
+ * Geometry validation
+ *
+ * A pass over a `parseDxf` result that finds geometry which prices fine but
+ * fails on the machine. Every issue references the offending entity ids so
+ * the viewer can highlight them. Which issue types block an order is an
+ * admin setting (GlobalSettings `blockingIssues`); blocking issues are
+ * reported as errors, the rest as warnings.
+ */
+
+import { LAYER_OPERATIONS } from './layers.js';
+import { convexHull } from './contours.js';
+import { lineThrough, neighbourBucket } from './lines.js';
+
+export const ISSUE_TYPES = {
+    OPEN_CONTOUR: 'OPEN_CONTOUR',
+    SELF_INTERSECTION: 'SELF_INTERSECTION',
+    SMALL_FEATURE: 'SMALL_FEATURE',
+    DUPLICATE: 'DUPLICATE',
+    OVERLAP: 'OVERLAP',
+    ZERO_LENGTH: 'ZERO_LENGTH',
+};
+
+export const ISSUE_LABELS = {
+    [ISSUE_TYPES.OPEN_CONTOUR]: 'Open contours',
+    [ISSUE_TYPES.SELF_INTERSECTION]: 'Self-intersecting contours',
+    [ISSUE_TYPES.SMALL_FEATURE]: 'Features smaller than the kerf',
+    [ISSUE_TYPES.DUPLICATE]: 'Duplicate entities',
+    [ISSUE_TYPES.OVERLAP]: 'Overlapping lines',
+    [ISSUE_TYPES.ZERO_LENGTH]: 'Zero-length segments',
+};
+
+export const DEFAULT_BLOCKING_ISSUES = [
+    ISSUE_TYPES.OPEN_CONTOUR,
+    ISSUE_TYPES.SELF_INTERSECTION,
+    ISSUE_TYPES.SMALL_FEATURE,
+];
+
+export const DEFAULT_VALIDATION_TOLERANCE = 0.001; // mm
+
+/**
+ * Validate parsed geometry
+ *
+ * @param {Object} parsed - Result of parseDxf
+ * @param {Object} [options] - Validation options
+ * @param {number} [options.kerf] - Kerf width in mm; 0 skips the small feature check
+ * @param {number} [options.tolerance] - Distance below which points coincide (mm)
+ * @param {string[]} [options.blockingIssues] - Issue types that block an order
+ * @returns {Object} { issues, errorCount, warningCount, blocking }
+ */
+export function validateGeometry(parsed, options = {}) {
+    const tolerance = options.tolerance ?? DEFAULT_VALIDATION_TOLERANCE;
+    const kerf = options.kerf || 0;
+    const blockingIssues = options.blockingIssues || DEFAULT_BLOCKING_ISSUES;
+
+    const entities = (parsed?.entities || []).filter(e =>
+        e.operation === LAYER_OPERATIONS.CUT && e.type !== 'POINT'
+    );
+    const contours = parsed?.contours || [];
+
+    const found = [
+        ...findOpenContours(contours, tolerance),
+        ...findSelfIntersections(contours, tolerance),
+        ...findSmallFeatures(contours, kerf),
+        ...findZeroLength(entities, tolerance),
+        ...findDuplicatesAndOverlaps(entities, tolerance),
+    ];
+
+    const issues = found.map((issue, id) => ({
+        id,
+        ...issue,
+        severity: blockingIssues.includes(issue.type) ? 'error' : 'warning',
+    }));
+    const errorCount = issues.filter(i => i.severity === 'error').length;
+
+    return {
+        issues,
+        errorCount,
+        warningCount: issues.length - errorCount,
+        blocking: errorCount > 0,
+    };
+}
+
+function findOpenContours(contours, tolerance) {
+    // Degenerate contours are reported as zero-length instead
+    return contours
+        .filter(c => !c.closed && c.length > tolerance)
+        .map(contour => {
+            const start = contour.points[0];
+            const end = contour.points[contour.points.length - 1];
+            return {
+                type: ISSUE_TYPES.OPEN_CONTOUR,
+                message: `Open contour: ends are ${formatMm(distance(start, end))} apart`,
+                entities: contour.entities,
+                location: end,
+            };
+        });
+}
+
+function findSelfIntersections(contours, tolerance) {
+    const issues = [];
+
+    for (const contour of contours) {
+        const points = contour.points;
+        const segments = [];
+        for (let i = 1; i < points.length; i++) {
+            segments.push({ a: points[i - 1], b: points[i], index: i - 1 });
+        }
+        const count = segments.length;
+
+        // Neighbouring segments share an endpoint, and so do the first and last of a closed contour
+        const adjacent = (i, j) => Math.abs(i - j) <= 1 || (contour.closed && Math.abs(i - j) === count - 1);
+
+        const crossings = [];
+        forEachCandidatePair(segments, (s, t) => {
+            if (adjacent(s.index, t.index)) return;
+            const point = segmentCrossing(s.a, s.b, t.a, t.b, tolerance);
+            if (point) crossings.push(point);
+        });
+
+        if (crossings.length > 0) {
+            issues.push({
+                type: ISSUE_TYPES.SELF_INTERSECTION,
+                message: `Contour crosses itself ${crossings.length === 1 ? 'once' : `${crossings.length} times`}`,
+                entities: contour.entities,
+                location: crossings[0],
+            });
+        }
+    }
+
+    return issues;
+}
+
+// A feature is as small as its convex hull is narrow, at any angle; a slot
+// that bends is measured across the bend
+function findSmallFeatures(contours, kerf) {
+    if (!(kerf > 0)) return [];
+
+    return contours
+        .filter(c => c.closed)
+        .map(contour => ({ contour, width: narrowestWidth(contour.points) }))
+        .filter(({ width }) => width < kerf)
+        .map(({ contour, width }) => {
+            const bounds = boundsOf(contour.points);
+            return {
+                type: ISSUE_TYPES.SMALL_FEATURE,
+                message: `${contour.role === 'hole' ? 'Hole' : 'Feature'} ${formatMm(width)} across is smaller than the ${formatMm(kerf)} kerf`,
+                entities: contour.entities,
+                location: { x: bounds.minX + bounds.width / 2, y: bounds.minY + bounds.height / 2 },
+            };
+        });
+}
+
+/**
+ * Narrowest width of the points' convex hull (rotating calipers): the
+ * smallest distance from a hull edge to the hull point farthest from it
+ */
+function narrowestWidth(points) {
+    const hull = convexHull(points);
+    const count = hull.length;
+    if (count < 3) return 0;
+
+    let narrowest = Infinity;
+    let far = 1;
+    for (let i = 0; i < count; i++) {
+        const a = hull[i];
+        const b = hull[(i + 1) % count];
+        const length = distance(a, b);
+        const height = p => Math.abs((b.x - a.x) * (p.y - a.y) - (b.y - a.y) * (p.x - a.x)) / length;
+        while (height(hull[(far + 1) % count]) > height(hull[far])) far = (far + 1) % count;
+        narrowest = Math.min(narrowest, height(hull[far]));
+    }
+    return narrowest;
+}
+
+function findZeroLength(entities, tolerance) {
+    const issues = [];
+
+    for (const entity of entities) {
+        const points = entity.points || [];
+        if ((entity.length || 0) <= tolerance) {
+            issues.push({
+                type: ISSUE_TYPES.ZERO_LENGTH,
+                message: `Zero-length ${entity.type}`,
+                entities: [entity.id],
+                location: points[0],
+            });
+            continue;
+        }
+
+        let degenerate = 0;
+        for (let i = 1; i < points.length; i++) {
+            if (distance(points[i - 1], points[i]) <= tolerance) degenerate++;
+        }
+        if (degenerate > 0) {
+            issues.push({
+                type: ISSUE_TYPES.ZERO_LENGTH,
+                message: `${entity.type} has ${degenerate} zero-length segment${degenerate === 1 ? '' : 's'}`,
+                entities: [entity.id],
+                location: points[0],
+            });
+        }
+    }
+
+    return issues;
+}
+
+/**
+ * Duplicates are entities with the same points (in either direction).
+ * Overlaps are collinear straight segments of different entities that share
+ * more than `tolerance` of their length; segments are bucketed by direction (see ./lines)
+ * and offset from the origin so only lines on the same infinite line meet.
+ */
+function findDuplicatesAndOverlaps(entities, tolerance) {
+    const issues = [];
+
+    const groups = new Map();
+    for (const entity of entities) {
+        const points = entity.points || [];
+        if (points.length < 2) continue;
+        const forward = points.map(p => `${Math.round(p.x / tolerance)},${Math.round(p.y / tolerance)}`).join(';');
+        const backward = forward.split(';').reverse().join(';');
+        const key = forward < backward ? forward : backward;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(entity);
+    }
+
+    const duplicatePairs = new Set();
+    for (const group of groups.values()) {
+        if (group.length < 2) continue;
+        const ids = group.map(e => e.id);
+        for (const a of ids) {
+            for (const b of ids) duplicatePairs.add(`${a}:${b}`);
+        }
+        issues.push({
+            type: ISSUE_TYPES.DUPLICATE,
+            message: `${group.length} identical ${group[0].type} entities on top of each other`,
+            entities: ids,
+            location: group[0].points[0],
+        });
+    }
+
+    const buckets = new Map();
+    const bucketKey = (angle, offset) => `${angle},${offset}`;
+    const overlapPairs = new Map();
+
+    for (const entity of entities) {
+        const points = entity.points || [];
+        for (let i = 1; i < points.length; i++) {
+            const a = points[i - 1];
+            const b = points[i];
+            const length = distance(a, b);
+            if (length <= tolerance) continue;
+
+            const { bucket, dir, offset, start, end } = lineThrough(a, b);
+            const segment = { id: entity.id, dir, start, end, offset };
+
+            const oi = Math.round(offset / tolerance);
+            for (let da = -1; da <= 1; da++) {
+                // Across the wrap at 180 degrees the other lines point the other way
+                const { bucket: near, flipped } = da === 0 ? { bucket, flipped: false } : neighbourBucket(bucket, da);
+                const sign = flipped ? -1 : 1;
+                for (let doff = -1; doff <= 1; doff++) {
+                    for (const other of buckets.get(bucketKey(near, sign * oi + doff)) || []) {
+                        if (other.id === segment.id || duplicatePairs.has(`${other.id}:${segment.id}`)) continue;
+                        const otherStart = flipped ? -other.end : other.start;
+                        const otherEnd = flipped ? -other.start : other.end;
+                        const shared = Math.min(segment.end, otherEnd) - Math.max(segment.start, otherStart);
+                        if (shared <= tolerance) continue;
+
+                        const pair = other.id < segment.id ? `${other.id}:${segment.id}` : `${segment.id}:${other.id}`;
+                        const mid = (Math.max(segment.start, otherStart) + Math.min(segment.end, otherEnd)) / 2;
+                        const previous = overlapPairs.get(pair);
+                        overlapPairs.set(pair, {
+                            ids: [other.id, segment.id],
+                            shared: (previous?.shared || 0) + shared,
+                            location: previous?.location || {
+                                x: dir.x * mid - dir.y * offset,
+                                y: dir.y * mid + dir.x * offset,
+                            },
+                        });
+                    }
+                }
+            }
+
+            const key = bucketKey(bucket, oi);
+            if (!buckets.has(key)) buckets.set(key, []);
+            buckets.get(key).push(segment);
+        }
+    }
+
+    for (const overlap of overlapPairs.values()) {
+        issues.push({
+            type: ISSUE_TYPES.OVERLAP,
+            message: `Lines overlap for ${formatMm(overlap.shared)}; the shared part would be cut twice`,
+            entities: overlap.ids,
+            location: overlap.location,
+        });
+    }
+
+    return issues;
+}
+
+/**
+ * Call fn for every pair of segments whose bounding boxes share a grid cell.
+ * Small sets are compared directly.
+ */
+function forEachCandidatePair(segments, fn) {
+    if (segments.length < 64) {
+        for (let i = 0; i < segments.length; i++) {
+            for (let j = i + 1; j < segments.length; j++) fn(segments[i], segments[j]);
+        }
+        return;
+    }
+
+    const bounds = boundsOf(segments.flatMap(s => [s.a, s.b]));
+    const cellSize = Math.max(bounds.width, bounds.height, 1e-9) / Math.ceil(Math.sqrt(segments.length));
+    const grid = new Map();
+    const seen = new Set();
+
+    segments.forEach((segment, i) => {
+        const x0 = Math.floor((Math.min(segment.a.x, segment.b.x) - bounds.minX) / cellSize);
+        const x1 = Math.floor((Math.max(segment.a.x, segment.b.x) - bounds.minX) / cellSize);
+        const y0 = Math.floor((Math.min(segment.a.y, segment.b.y) - bounds.minY) / cellSize);
+        const y1 = Math.floor((Math.max(segment.a.y, segment.b.y) - bounds.minY) / cellSize);
+
+        for (let x = x0; x <= x1; x++) {
+            for (let y = y0; y <= y1; y++) {
+                const key = `${x},${y}`;
+                if (!grid.has(key)) grid.set(key, []);
+                for (const j of grid.get(key)) {
+                    const pair = `${j}:${i}`;
+                    if (seen.has(pair)) continue;
+                    seen.add(pair);
+                    fn(segments[j], segment);
+                }
+                grid.get(key).push(i);
+            }
+        }
+    });
+}
+
+/**
+ * Point where segments ab and cd properly cross, or null. Touching at an
+ * endpoint (within tolerance) is not a crossing.
+ */
+function segmentCrossing(a, b, c, d, tolerance) {
+    const r = { x: b.x - a.x, y: b.y - a.y };
+    const s = { x: d.x - c.x, y: d.y - c.y };
+    const denominator = r.x * s.y - r.y * s.x;
+    if (Math.abs(denominator) < 1e-12) return null;
+
+    const t = ((c.x - a.x) * s.y - (c.y - a.y) * s.x) / denominator;
+    const u = ((c.x - a.x) * r.y - (c.y - a.y) * r.x) / denominator;
+    const tMargin = tolerance / Math.hypot(r.x, r.y);
+    const uMargin = tolerance / Math.hypot(s.x, s.y);
+    if (t <= tMargin || t >= 1 - tMargin || u <= uMargin || u >= 1 - uMargin) return null;
+
+    return { x: a.x + t * r.x, y: a.y + t * r.y };
+}
+
+function boundsOf(points) {
+    let minX = Infinity, minY = Infinity;
+    let maxX = -Infinity, maxY = -Infinity;
+    for (const p of points) {
+        minX = Math.min(minX, p.x);
+        minY = Math.min(minY, p.y);
+        maxX = Math.max(maxX, p.x);
+        maxY = Math.max(maxY, p.y);
+    }
+    return { minX, minY, maxX, maxY, width: maxX - minX, height: maxY - minY };
+}
+
+function formatMm(value) {
+    return `${value.toFixed(value < 1 ? 3 : 2)} mm`;
+}
+
+function distance(p1, p2) {
+    const dx = p2.x - p1.x;
+    const dy = p2.y - p1.y;
+    return Math.sqrt(dx * dx + dy * dy);
+}
@@ -0,0 +1,110 @@
+/**
+ * ZIP archive reading
+ *
+ * Just enough of the format to pull the DXF files out of an archive: entries
+ * are listed from the central directory and may be stored or deflated.
+ * Inflating uses the platform's DecompressionStream, available in browsers
+ * and Node 18+. ZIP64 and encrypted archives are not supported.
+ */
+
+const END_OF_DIRECTORY_SIGNATURE = 0x06054b50;
+const DIRECTORY_ENTRY_SIGNATURE = 0x02014b50;
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const END_OF_DIRECTORY_SIZE = 22;
+const MAX_COMMENT_SIZE = 0xffff;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+const FLAG_ENCRYPTED = 0x1;
+
+/**
+ * List the archive's entries from its central directory
+ *
+ * @param {DataView} view - The whole archive
+ * @returns {Object[]} [{ name, method, encrypted, compressedSize, offset }]
+ */
+function readDirectory(view) {
+    const lowest = Math.max(0, view.byteLength - END_OF_DIRECTORY_SIZE - MAX_COMMENT_SIZE);
+    let end = -1;
+    for (let i = view.byteLength - END_OF_DIRECTORY_SIZE; i >= lowest; i--) {
+        if (view.getUint32(i, true) === END_OF_DIRECTORY_SIGNATURE) {
+            end = i;
+            break;
+        }
+    }
+    if (end < 0) throw new Error('Not a ZIP file');
+
+    const count = view.getUint16(end + 10, true);
+    let offset = view.getUint32(end + 16, true);
+    if (offset === 0xffffffff) throw new Error('ZIP64 archives are not supported');
+
+    const decoder = new TextDecoder();
+    const entries = [];
+    for (let i = 0; i < count; i++) {
+        if (view.getUint32(offset, true) !== DIRECTORY_ENTRY_SIGNATURE) {
+            throw new Error('The ZIP file is damaged');
+        }
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+        entries.push({
+            name: decoder.decode(new Uint8Array(view.buffer, view.byteOffset + offset + 46, nameLength)),
+            method: view.getUint16(offset + 10, true),
+            encrypted: (view.getUint16(offset + 8, true) & FLAG_ENCRYPTED) !== 0,
+            compressedSize: view.getUint32(offset + 20, true),
+            offset: view.getUint32(offset + 42, true),
+        });
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+    return entries;
+}
+
+// An entry's bytes, inflated if need be
+async function readEntry(view, entry) {
+    if (view.getUint32(entry.offset, true) !== LOCAL_HEADER_SIGNATURE) {
+        throw new Error('The ZIP file is damaged');
+    }
+    const nameLength = view.getUint16(entry.offset + 26, true);
+    const extraLength = view.getUint16(entry.offset + 28, true);
+    const start = view.byteOffset + entry.offset + 30 + nameLength + extraLength;
+    const data = new Uint8Array(view.buffer, start, entry.compressedSize);
+
+    if (entry.method === METHOD_STORED) return data;
+    if (entry.method !== METHOD_DEFLATE) {
+        throw new Error(`Unsupported compression method (${entry.method})`);
+    }
+    const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Read the DXF files in a ZIP archive. Folders are flattened; other files,
+ * and the metadata macOS adds to archives, are ignored.
+ *
+ * @param {Blob|ArrayBuffer} archive - The uploaded .zip
+ * @returns {Promise<Object[]>} [{ name, content, error }] the file's text, or why it couldn't be read
+ * @throws {Error} when the archive itself can't be read
+ */
+export async function readDxfZip(archive) {
+    const buffer = archive instanceof ArrayBuffer ? archive : await archive.arrayBuffer();
+    const view = new DataView(buffer);
+    const decoder = new TextDecoder();
+
+    const files = [];
+    for (const entry of readDirectory(view)) {
+        const name = entry.name.split('/').pop();
+        if (!name.toLowerCase().endsWith('.dxf') || name.startsWith('._') || entry.name.startsWith('__MACOSX/')) {
+            continue;
+        }
+        if (entry.encrypted) {
+            files.push({ name, content: null, error: 'The file is password protected' });
+            continue;
+        }
+        try {
+            files.push({ name, content: decoder.decode(await readEntry(view, entry)), error: null });
+        } catch (error) {
+            files.push({ name, content: null, error: error.message });
+        }
+    }
+    return files;
+}
@@ -0,0 +1,140 @@
+/**
+ * Cutting machines
+ *
+ * When a material has machines, their hourly rate and speed tables replace
+ * the single cut speed and hourly rate on its pricing entries, and the same
+ * part is priced on every machine that can cut it.
+ *
+ * All dimensions are in mm, speeds in mm/min.
+ */
+
+import { calculatePrice } from './pricing.js';
+import { offsetContours } from './dxf/offset.js';
+
+export const MACHINE_TYPES = {
+    LASER: 'laser',
+    PLASMA: 'plasma',
+    WATERJET: 'waterjet',
+};
+
+export const MACHINE_TYPE_LABELS = {
+    [MACHINE_TYPES.LASER]: 'Laser',
+    [MACHINE_TYPES.PLASMA]: 'Plasma',
+    [MACHINE_TYPES.WATERJET]: 'Waterjet',
+};
+
+/**
+ * Cut speed at a thickness, linear between the table's points and held at
+ * the nearest point outside them
+ *
+ * @param {Array} speedTable - [{ thickness, speed }] sorted by thickness
+ * @param {number} thickness - mm
+ * @returns {number} mm/min, 0 for an empty table
+ */
+export function getMachineSpeed(speedTable, thickness) {
+    if (!speedTable?.length) return 0;
+    if (thickness <= speedTable[0].thickness) return speedTable[0].speed;
+
+    for (let i = 1; i < speedTable.length; i++) {
+        const a = speedTable[i - 1];
+        const b = speedTable[i];
+        if (thickness <= b.thickness) {
+            return a.speed + ((b.speed - a.speed) * (thickness - a.thickness)) / (b.thickness - a.thickness);
+        }
+    }
+    return speedTable[speedTable.length - 1].speed;
+}
+
+/**
+ * Kerf a machine cuts the material with: its capability's for the material,
+ * else the machine's, else the global kerf width. Without a machine, the
+ * global kerf width.
+ *
+ * @param {Object} [machine] - Eligible machine (with `capability`)
+ * @param {Object} settings - Global settings
+ * @returns {number} mm
+ */
+export function getKerf(machine, settings) {
+    return machine?.capability?.kerf || machine?.kerf || settings?.kerfWidth || 0;
+}
+
+/**
+ * Cut lengths to price: the kerf-compensated path length, in total and per
+ * contour, when the shop prices it and the contours are known, else
+ * undefined for the drawn lengths
+ *
+ * @param {Array} [contours] - parseDxf contours
+ * @param {number} kerf - mm
+ * @param {Object} settings - Global settings { kerfCompensation, kerfTolerance }
+ * @returns {Object|undefined} calculatePrice options { cutLength, contourLengths: { [contourId]: mm } }
+ */
+export function getCompensatedCut(contours, kerf, settings) {
+    if (!settings?.kerfCompensation || !contours || !(kerf > 0)) return undefined;
+    const offset = offsetContours(contours, kerf, { tolerance: settings.kerfTolerance });
+    return {
+        cutLength: offset.length,
+        contourLengths: Object.fromEntries(offset.contours.map(c => [c.contourId, c.length])),
+    };
+}
+
+/**
+ * Whether any machine is set up for the material. Materials without
+ * machines are priced from their pricing entries alone.
+ */
+export function hasMachines(machines, materialId) {
+    return (machines || []).some(m => m.capabilities.some(c => c.materialId === materialId));
+}
+
+/**
+ * Machines that can cut the part: one with a capability for the material
+ * that covers the thickness, and a bed the part fits on
+ *
+ * @returns {Array} [{ ...machine, capability, cutSpeed }]
+ */
+export function getEligibleMachines(machines, materialId, thickness, metrics) {
+    const eligible = [];
+    for (const machine of machines || []) {
+        const capability = machine.capabilities.find(c => c.materialId === materialId);
+        if (!capability) continue;
+        if (thickness < capability.minThickness || thickness > capability.maxThickness) continue;
+        if (metrics && !fitsOnBed(metrics, machine)) continue;
+
+        const cutSpeed = getMachineSpeed(capability.speedTable, thickness);
+        if (cutSpeed > 0) eligible.push({ ...machine, capability, cutSpeed });
+    }
+    return eligible;
+}
+
+/**
+ * Price the part on every eligible machine
+ *
+ * @param {Array} machines - Machines from /api/config
+ * @param {number} materialId
+ * @param {Object} metrics - DXF metrics
+ * @param {Object} pricingEntry - Pricing entry for the thickness (material cost, pierce and engrave settings)
+ * @param {Object} settings - Global settings
+ * @param {Object} [options] - calculatePrice options, and the part's `contours` to price each machine's
+ *   kerf-compensated cut length
+ * @returns {Array} [{ machine, breakdown, timeMinutes }] cheapest first, with `cheapest` and `fastest` flags
+ */
+export function priceOnMachines(machines, materialId, metrics, pricingEntry, settings, options = {}) {
+    const { contours, ...priceOptions } = options;
+    const quotes = getEligibleMachines(machines, materialId, pricingEntry.thickness, metrics).map(machine => {
+        const compensated = getCompensatedCut(contours, getKerf(machine, settings), settings);
+        const breakdown = calculatePrice(metrics, pricingEntry, settings, { ...priceOptions, ...compensated, machine });
+        const { cutTimeMinutes, travelTimeMinutes, pierceTimeMinutes, engraveTimeMinutes } = breakdown.details;
+        return { machine, breakdown, timeMinutes: cutTimeMinutes + travelTimeMinutes + pierceTimeMinutes + engraveTimeMinutes };
+    });
+    if (quotes.length === 0) return quotes;
+
+    quotes.sort((a, b) => a.breakdown.finalPrice - b.breakdown.finalPrice);
+    const fastest = quotes.reduce((best, q) => (q.timeMinutes < best.timeMinutes ? q : best), quotes[0]);
+    return quotes.map((q, index) => ({ ...q, cheapest: index === 0, fastest: q === fastest }));
+}
+
+function fitsOnBed({ width, height }, machine) {
+    const { maxSheetWidth, maxSheetHeight } = machine;
+    if (!maxSheetWidth || !maxSheetHeight) return true;
+    return (width <= maxSheetWidth && height <= maxSheetHeight) ||
+        (height <= maxSheetWidth && width <= maxSheetHeight);
+}
@@ -0,0 +1,319 @@
+/**
+ * Sheet nesting
+ *
+ * Packs part instances onto stock sheets to find how much material an
+ * order really consumes. Parts are packed by the bounding box of their
+ * outline at each allowed rotation (MaxRects, best short side fit), which is
+ * what most shops quote from; true-shape nesting can only do better.
+ *
+ * All dimensions are in mm.
+ */
+
+import { convexHull, signedArea } from './dxf/contours.js';
+
+export const DEFAULT_ROTATIONS = [0, 90];
+
+/**
+ * Build a nesting part from a parseDxf result
+ *
+ * @param {Object} parsed - parseDxf result
+ * @param {number} quantity - Number of copies
+ * @param {string|number} [id] - Part id carried into placements
+ * @returns {Object} { id, outline, area, quantity }
+ */
+export function partFromParsed(parsed, quantity, id = 'part') {
+    const outer = parsed.contours.filter(c => c.closed && c.depth === 0);
+    const points = (outer.length ? outer : parsed.contours).flatMap(c => c.points);
+    return {
+        id,
+        outline: convexHull(points),
+        area: parsed.metrics.netArea || parsed.metrics.area,
+        quantity,
+    };
+}
+
+/**
+ * Nesting sheets from StockSheet records. Remnants come first and only as
+ * many as are on hand; sheets we buy are not limited by stock.
+ */
+export function sheetsFromStock(stockSheets) {
+    return stockSheets.map(sheet => ({
+        id: sheet.id,
+        width: sheet.width,
+        height: sheet.height,
+        cost: sheet.costPerSheet || 0,
+        available: sheet.isRemnant ? sheet.onHand : Infinity,
+        priority: sheet.isRemnant ? 0 : 1,
+        isRemnant: sheet.isRemnant,
+    }));
+}
+
+/**
+ * Whether a part fits on at least one of the sheets at some allowed rotation
+ *
+ * @param {Object} part - { outline }
+ * @param {Array} sheets - [{ width, height }]
+ * @param {Object} [options] - { spacing, margin, rotations } as for nestParts
+ */
+export function fitsOnAnySheet(part, sheets, options = {}) {
+    const margin = options.margin ?? (options.spacing || 0);
+    const rotations = options.rotations?.length ? options.rotations : DEFAULT_ROTATIONS;
+    const shapes = rotations.map(rotation => rotatedShape(part.outline, rotation));
+    return sheets.some(sheet => shapes.some(shape =>
+        shape.width <= sheet.width - 2 * margin + 1e-9 && shape.height <= sheet.height - 2 * margin + 1e-9
+    ));
+}
+
+/**
+ * Nest parts onto sheets
+ *
+ * Sheets with a lower `priority` (remnants) are filled before any sheet of
+ * the next priority is started. Copies of a part are packed together, and a
+ * layout that would come out the same again is reused (sharing its
+ * placements) for the sheets after it, so large orders stay quick.
+ *
+ * @param {Array} parts - [{ id, outline: [{x,y}], area, quantity }]
+ * @param {Array} sheets - Available sizes [{ id, width, height, cost, available, priority }]; `available` defaults to unlimited
+ * @param {Object} [options] - { spacing, margin, rotations } part gap, sheet edge margin (mm) and allowed rotations (degrees)
+ * @returns {Object} { sheets, sheetCount, sheetArea, sheetCost, partArea, utilization, placedCount, unplaced }
+ */
+export function nestParts(parts, sheets, options = {}) {
+    const spacing = options.spacing || 0;
+    const margin = options.margin ?? spacing;
+    const rotations = options.rotations?.length ? options.rotations : DEFAULT_ROTATIONS;
+
+    // The copies of each part still to place, largest part first
+    let pending = parts
+        .map(part => ({
+            part,
+            shapes: rotations.map(rotation => rotatedShape(part.outline, rotation)),
+            area: part.area ?? Math.abs(signedArea(part.outline)),
+            count: Math.max(0, part.quantity || 0),
+        }))
+        .filter(run => run.count > 0)
+        .sort((a, b) => b.area - a.area);
+    const total = pending.reduce((sum, run) => sum + run.count, 0);
+
+    const stock = sheets.map(sheet => ({ ...sheet, remaining: sheet.available ?? Infinity }));
+    const priorities = [...new Set(stock.map(sheet => sheet.priority || 0))].sort((a, b) => a - b);
+    const layouts = [];
+
+    while (pending.length > 0) {
+        // Try each sheet size still in stock and keep the best-used one,
+        // starting with the lowest priority that can take any part
+        let choice = null;
+        for (const priority of priorities) {
+            choice = bestSheet(stock.filter(s => (s.priority || 0) === priority), pending, spacing, margin);
+            if (choice) break;
+        }
+        if (!choice) break;
+
+        const { best } = choice;
+        const count = Math.min(repeatCount(choice, pending), best.sheet.remaining);
+        best.sheet.remaining -= count;
+        const layout = {
+            sheet: {
+                id: best.sheet.id,
+                width: best.sheet.width,
+                height: best.sheet.height,
+                cost: best.sheet.cost || 0,
+                isRemnant: !!best.sheet.isRemnant,
+            },
+            placements: best.layout.placements,
+            partArea: best.layout.partArea,
+            utilization: best.score,
+        };
+        for (let i = 0; i < count; i++) layouts.push(i === 0 ? layout : { ...layout });
+
+        pending = pending
+            .map((run, i) => ({ ...run, count: run.count - count * best.layout.placed[i] }))
+            .filter(run => run.count > 0);
+    }
+
+    const sheetArea = layouts.reduce((sum, l) => sum + l.sheet.width * l.sheet.height, 0);
+    const sheetCost = layouts.reduce((sum, l) => sum + l.sheet.cost, 0);
+    const partArea = layouts.reduce((sum, l) => sum + l.partArea, 0);
+
+    const unplaced = {};
+    for (const run of pending) {
+        unplaced[run.part.id] = (unplaced[run.part.id] || 0) + run.count;
+    }
+
+    return {
+        sheets: layouts,
+        sheetCount: layouts.length,
+        sheetArea,
+        sheetCost,
+        partArea,
+        utilization: sheetArea > 0 ? partArea / sheetArea : 0,
+        placedCount: total - pending.reduce((sum, run) => sum + run.count, 0),
+        unplaced: Object.entries(unplaced).map(([partId, count]) => ({ partId, count })),
+    };
+}
+
+/**
+ * Pack the pending parts onto each candidate sheet and return the one with
+ * the best utilization (smaller sheet on a tie), or null if none takes a
+ * part, along with every candidate's packing
+ */
+function bestSheet(candidates, pending, spacing, margin) {
+    let best = null;
+    const tried = [];
+    for (const sheet of candidates) {
+        if (sheet.remaining <= 0) continue;
+        const layout = packSheet(sheet, pending, spacing, margin);
+        tried.push(layout);
+        if (layout.placements.length === 0) continue;
+        const score = layout.partArea / (sheet.width * sheet.height);
+        if (!best || score > best.score + 1e-9 ||
+            (Math.abs(score - best.score) <= 1e-9 && sheet.width * sheet.height < best.sheet.width * best.sheet.height)) {
+            best = { sheet, layout, score };
+        }
+    }
+    return best && { best, tried };
+}
+
+/**
+ * How many sheets in a row the best layout can be cut on without packing
+ * again. Each candidate packs the same way for as long as every part it
+ * stopped short on still has a copy left over once the best layout's
+ * sheets are cut.
+ */
+function repeatCount({ best, tried }, pending) {
+    let count = Infinity;
+    pending.forEach((run, i) => {
+        const used = best.layout.placed[i];
+        if (used === 0) return;
+        for (const layout of tried) {
+            count = Math.min(count, Math.floor((run.count - layout.placed[i] - 1) / used) + 1);
+        }
+    });
+    return Math.max(1, count);
+}
+
+/**
+ * Outline rotated about the origin, with the offset that moves its
+ * bounding box to (0, 0)
+ */
+function rotatedShape(outline, rotation) {
+    const radians = (rotation * Math.PI) / 180;
+    const cos = Math.cos(radians);
+    const sin = Math.sin(radians);
+
+    let minX = Infinity, minY = Infinity;
+    let maxX = -Infinity, maxY = -Infinity;
+    for (const p of outline) {
+        const x = p.x * cos - p.y * sin;
+        const y = p.x * sin + p.y * cos;
+        minX = Math.min(minX, x);
+        minY = Math.min(minY, y);
+        maxX = Math.max(maxX, x);
+        maxY = Math.max(maxY, y);
+    }
+    if (minX === Infinity) minX = minY = maxX = maxY = 0;
+
+    return { rotation, width: maxX - minX, height: maxY - minY, offset: { x: -minX, y: -minY } };
+}
+
+/**
+ * Fill one sheet with as many copies of each pending part as fit, in order.
+ * Free space only shrinks, so once a copy doesn't fit, neither will the rest.
+ *
+ * @returns {Object} { placements, partArea, placed } placed: copies of each pending part
+ */
+function packSheet(sheet, pending, spacing, margin) {
+    // Each part reserves `spacing` on its right and top, so the usable area grows by the same
+    const usable = {
+        x: margin,
+        y: margin,
+        width: sheet.width - 2 * margin + spacing,
+        height: sheet.height - 2 * margin + spacing,
+    };
+    const free = usable.width > 0 && usable.height > 0 ? [usable] : [];
+    const placements = [];
+    const placed = [];
+    let partArea = 0;
+
+    for (const run of pending) {
+        let copies = 0;
+        while (copies < run.count) {
+            const fit = findPosition(free, run.shapes, spacing);
+            if (!fit) break;
+
+            const { rect, shape } = fit;
+            placements.push({
+                partId: run.part.id,
+                x: rect.x,
+                y: rect.y,
+                width: shape.width,
+                height: shape.height,
+                rotation: shape.rotation,
+                offset: shape.offset,
+            });
+            partArea += run.area;
+            copies++;
+            splitFreeRects(free, { x: rect.x, y: rect.y, width: shape.width + spacing, height: shape.height + spacing });
+        }
+        placed.push(copies);
+    }
+
+    return { placements, partArea, placed };
+}
+
+function findPosition(free, shapes, spacing) {
+    let best = null;
+    for (const rect of free) {
+        for (const shape of shapes) {
+            const width = shape.width + spacing;
+            const height = shape.height + spacing;
+            if (width > rect.width + 1e-9 || height > rect.height + 1e-9) continue;
+
+            const shortSide = Math.min(rect.width - width, rect.height - height);
+            const longSide = Math.max(rect.width - width, rect.height - height);
+            if (!best || shortSide < best.shortSide || (shortSide === best.shortSide && longSide < best.longSide)) {
+                best = { rect, shape, shortSide, longSide };
+            }
+        }
+    }
+    return best;
+}
+
+/**
+ * Carve a placed rectangle out of the free list (MaxRects), then drop free
+ * rectangles contained in others
+ */
+function splitFreeRects(free, used) {
+    const next = [];
+    for (const rect of free) {
+        if (used.x >= rect.x + rect.width || used.x + used.width <= rect.x ||
+            used.y >= rect.y + rect.height || used.y + used.height <= rect.y) {
+            next.push(rect);
+            continue;
+        }
+        if (used.x > rect.x) {
+            next.push({ x: rect.x, y: rect.y, width: used.x - rect.x, height: rect.height });
+        }
+        if (used.x + used.width < rect.x + rect.width) {
+            next.push({ x: used.x + used.width, y: rect.y, width: rect.x + rect.width - used.x - used.width, height: rect.height });
+        }
+        if (used.y > rect.y) {
+            next.push({ x: rect.x, y: rect.y, width: rect.width, height: used.y - rect.y });
+        }
+        if (used.y + used.height < rect.y + rect.height) {
+            next.push({ x: rect.x, y: used.y + used.height, width: rect.width, height: rect.y + rect.height - used.y - used.height });
+        }
+    }
+
+    const pruned = next.filter((rect, i) => !next.some((other, j) =>
+        i !== j && contains(other, rect) && (!contains(rect, other) || j < i)
+    ));
+
+    free.length = 0;
+    free.push(...pruned);
+}
+
+function contains(outer, inner) {
+    return inner.x >= outer.x && inner.y >= outer.y &&
+        inner.x + inner.width <= outer.x + outer.width &&
+        inner.y + inner.height <= outer.y + outer.height;
+}
@@ -0,0 +1,29 @@
+/**
+ * Order lifecycle
+ *
+ * An order moves through production in this order. Each change is recorded
+ * with the time it was made, so the history doubles as the order's timeline.
+ */
+
+export const ORDER_STATUSES = ['received', 'reviewed', 'nesting', 'cutting', 'finishing', 'shipped', 'closed'];
+
+export const ORDER_STATUS_LABELS = {
+    received: 'Received',
+    reviewed: 'Reviewed',
+    nesting: 'Nesting',
+    cutting: 'Cutting',
+    finishing: 'Finishing',
+    shipped: 'Shipped',
+    closed: 'Closed',
+};
+
+/**
+ * The status that follows `status`, or null once the order is closed
+ *
+ * @param {string} status
+ * @returns {string|null}
+ */
+export function nextStatus(status) {
+    const index = ORDER_STATUSES.indexOf(status);
+    return index >= 0 && index < ORDER_STATUSES.length - 1 ? ORDER_STATUSES[index + 1] : null;
+}
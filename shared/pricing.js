@@ -0,0 +1,473 @@
+/**
+ * How material area is billed, chosen per material
+ */
+export const AREA_MODES = {
+    BBOX: 'bbox',   // Bounding box width * height
+    NET: 'net',     // Outer contour minus holes
+    HULL: 'hull',   // Convex hull of the part
+    SHEETS: 'sheets',       // Share of the stock sheets the nested order consumes
+    UTILIZED: 'utilized',   // Net part area plus a scrap factor
+};
+
+// Most parts a quote line can be for
+export const MAX_QUANTITY = 10000;
+
+/**
+ * Pick the area to bill for a given mode. Falls back to the bounding box
+ * when the drawing has no closed contours to measure, or when sheet billing
+ * has no nesting result.
+ *
+ * @param {Object} metrics - DXF metrics
+ * @param {string} [mode] - One of AREA_MODES
+ * @param {Object} [context] - { nesting, scrapFactor } nestParts result and scrap % for the nested modes
+ */
+export function getBillingArea(metrics, mode = AREA_MODES.BBOX, context = {}) {
+    const { width, height, area, netArea, hullArea } = metrics;
+    const bboxArea = area || (width * height);
+    const { nesting, scrapFactor = 0 } = context;
+
+    switch (mode) {
+        case AREA_MODES.NET:
+            return netArea > 0 ? netArea : bboxArea;
+        case AREA_MODES.HULL:
+            return hullArea > 0 ? hullArea : bboxArea;
+        case AREA_MODES.SHEETS:
+            return nesting?.placedCount > 0 ? nesting.sheetArea / nesting.placedCount : bboxArea;
+        case AREA_MODES.UTILIZED:
+            return (netArea > 0 ? netArea : bboxArea) * (1 + scrapFactor / 100);
+        default:
+            return bboxArea;
+    }
+}
+
+// Pricing entry fields interpolated between thicknesses. For the engrave
+// fields 0 means "not set", so they are only interpolated when both are set.
+const INTERPOLATED_FIELDS = ['costPerArea', 'costPerTime', 'cutSpeed', 'pierceTime', 'pierceCost'];
+const OPTIONAL_INTERPOLATED_FIELDS = ['engraveSpeed', 'engraveRate'];
+
+/**
+ * Pricing entry for a thickness: the material's exact entry or, if the
+ * material allows it, one interpolated linearly between the nearest thinner
+ * and thicker entries. Interpolated entries are flagged `interpolated`; there
+ * is no extrapolation outside the table.
+ *
+ * @param {Object} material - Material with pricingEntries and allowInterpolation
+ * @param {number} thickness - mm
+ * @returns {Object|null} Pricing entry, or null if the thickness can't be priced
+ */
+export function findPricingEntry(material, thickness) {
+    const entries = material?.pricingEntries || [];
+    const exact = entries.find(e => Math.abs(e.thickness - thickness) < 1e-6);
+    if (exact) return exact;
+    if (!material?.allowInterpolation || !(thickness > 0)) return null;
+
+    let below = null;
+    let above = null;
+    for (const entry of entries) {
+        if (entry.thickness < thickness && (!below || entry.thickness > below.thickness)) below = entry;
+        if (entry.thickness > thickness && (!above || entry.thickness < above.thickness)) above = entry;
+    }
+    if (!below || !above) return null;
+
+    const t = (thickness - below.thickness) / (above.thickness - below.thickness);
+    const lerp = (field) => (below[field] || 0) + ((above[field] || 0) - (below[field] || 0)) * t;
+    const entry = {
+        ...below,
+        id: null,
+        thickness,
+        interpolated: true,
+        interpolatedFrom: [below.thickness, above.thickness],
+    };
+    for (const field of INTERPOLATED_FIELDS) entry[field] = lerp(field);
+    for (const field of OPTIONAL_INTERPOLATED_FIELDS) entry[field] = below[field] && above[field] ? lerp(field) : 0;
+    return entry;
+}
+
+/**
+ * Weight in kg of an area of plate
+ *
+ * @param {number} area - mm²
+ * @param {number} thickness - mm
+ * @param {number} density - g/cm³
+ */
+export function getWeight(area, thickness, density) {
+    // mm³ -> cm³ is / 1000, g -> kg is / 1000
+    return (area * thickness * (density || 0)) / 1e6;
+}
+
+/**
+ * Weight in kg of one part: net area (bounding box if there are no closed
+ * contours) times thickness and density
+ */
+export function getPartWeight(metrics, thickness, density) {
+    const area = metrics.netArea > 0 ? metrics.netArea : (metrics.area || metrics.width * metrics.height);
+    return getWeight(area, thickness, density);
+}
+
+/**
+ * Discount % for a quantity: the largest break whose minimum quantity is reached
+ *
+ * @param {Array} breaks - [{ minQty, discount }] discount in %
+ * @param {number} quantity
+ */
+export function getQuantityDiscount(breaks = [], quantity = 1) {
+    let discount = 0;
+    let reached = 0;
+    for (const b of breaks) {
+        if (quantity >= b.minQty && b.minQty >= reached) {
+            discount = b.discount;
+            reached = b.minQty;
+        }
+    }
+    return discount;
+}
+
+/**
+ * Speed factor from a derating curve at a feature size or corner angle,
+ * linear between the curve's points and held at the nearest point outside them
+ *
+ * @param {Array} curve - [{ at, percent }] sorted by `at`, percent of full cut speed
+ * @param {number} value - Feature size (mm) or corner angle (degrees)
+ * @returns {number} 0-1, 1 for an empty curve
+ */
+export function getDeratingFactor(curve, value) {
+    if (!curve?.length || value == null) return 1;
+    if (value <= curve[0].at) return curve[0].percent / 100;
+
+    for (let i = 1; i < curve.length; i++) {
+        const a = curve[i - 1];
+        const b = curve[i];
+        if (value <= b.at) {
+            return (a.percent + ((b.percent - a.percent) * (value - a.at)) / (b.at - a.at)) / 100;
+        }
+    }
+    return curve[curve.length - 1].percent / 100;
+}
+
+/**
+ * Cut time in minutes with the speed derated per contour: the whole contour
+ * by its size, and the slow zone around each corner further by its angle
+ *
+ * @param {number} totalLength - Cut length (mm)
+ * @param {Array} features - metrics.features [{ size, length, corners: [{ angle, zone }] }]
+ * @param {number} cutSpeed - Full cut speed (mm/min)
+ * @param {Object} curves - { sizeDerating, cornerDerating } from the pricing entry
+ */
+export function getDeratedCutTime(totalLength, features, cutSpeed, { sizeDerating, cornerDerating }) {
+    if (!(cutSpeed > 0)) return 0;
+
+    let minutes = totalLength / cutSpeed;
+    for (const feature of features || []) {
+        const sizeFactor = getDeratingFactor(sizeDerating, feature.size);
+        const speed = cutSpeed * sizeFactor;
+        if (!(speed > 0)) continue;
+        minutes += feature.length / speed - feature.length / cutSpeed;
+
+        for (const corner of feature.corners || []) {
+            const cornerFactor = getDeratingFactor(cornerDerating, corner.angle);
+            if (cornerFactor > 0) minutes += corner.zone / (speed * cornerFactor) - corner.zone / speed;
+        }
+    }
+    return minutes;
+}
+
+/**
+ * Features at the length their contour is cut at. A hole that the kerf
+ * closes up isn't cut, so neither are its corners.
+ */
+function cutFeatures(features, contourLengths) {
+    if (!contourLengths) return features;
+    return features.map((feature) => {
+        const length = contourLengths[feature.contourId] ?? feature.length;
+        return length > 0 ? { ...feature, length } : { ...feature, length: 0, corners: [] };
+    });
+}
+
+/**
+ * Calculate price based on DXF metrics and pricing configuration
+ *
+ * Cost components and markup are per part. The quantity discount applies to
+ * the unit price; the setup charge and the minimum charge apply once to the
+ * whole line, so `finalPrice` is the total for `quantity` parts.
+ *
+ * @param {Object} metrics - DXF metrics { width, height, totalLength, area, netArea, hullArea, pierceCount, engraveLength, travelDistance, features }
+ * @param {Object} pricingEntry - Pricing config { costPerArea, costPerTime, cutSpeed, pierceTime, pierceCost, engraveSpeed, engraveRate, sizeDerating, cornerDerating }
+ * @param {Object} settings - Global settings { markup, minCharge, setupCharge, quantityBreaks, shippingBase, shippingPerKg, rapidSpeed, currency }
+ * @param {Object} [options] - { areaMode, nesting, scrapFactor, quantity, quantityBreaks, density, pricePerKg, machine, derate, cutLength, contourLengths } billing area
+ *   mode of the material, the order's nestParts result (for sheet billing), scrap % (for utilized area billing), number
+ *   of parts, the material's own quantity breaks (instead of the global ones), its density (g/cm³), to bill
+ *   material by weight instead of area its price per kg, and the machine to cut on ({ id, name, hourlyRate,
+ *   cutSpeed, rapidSpeed }, replaces the entry's cut speed and hourly rate, and the global rapid speed if set).
+ *   The cut speed is derated for small features and sharp corners by the entry's curves unless `derate` is false.
+ *   `cutLength` replaces the drawn cut length, e.g. with the kerf-compensated path length, and
+ *   `contourLengths` ({ [contourId]: mm }) the length of each derated feature.
+ * @returns {Object} Price breakdown
+ */
+export function calculatePrice(metrics, pricingEntry, settings, options = {}) {
+    if (!metrics || !pricingEntry || !settings) {
+        return createEmptyBreakdown(settings?.currency || 'USD');
+    }
+
+    const { pierceCount = 0, engraveLength = 0, travelDistance = 0 } = metrics;
+    const totalLength = options.cutLength ?? metrics.totalLength;
+    const { costPerArea, pierceTime = 0, pierceCost: costPerPierce = 0 } = pricingEntry;
+    const { machine } = options;
+    const costPerTime = machine ? machine.hourlyRate : pricingEntry.costPerTime;
+    const cutSpeed = machine ? machine.cutSpeed : pricingEntry.cutSpeed;
+    const rapidSpeed = machine?.rapidSpeed || settings.rapidSpeed || 0;
+    const { engraveSpeed = 0, engraveRate = 0 } = pricingEntry;
+    const { markup = 0, minCharge = 0, currency = 'USD' } = settings;
+    const setupCharge = settings.setupCharge || 0;
+    const areaMode = options.areaMode || AREA_MODES.BBOX;
+    const quantity = Math.max(1, options.quantity || 1);
+    const quantityBreaks = options.quantityBreaks?.length ? options.quantityBreaks : (settings.quantityBreaks || []);
+
+    const thickness = pricingEntry.thickness || 0;
+    const density = options.density || 0;
+    const pricePerKg = density > 0 ? options.pricePerKg || 0 : 0;
+
+    // Calculate area cost (billed area * cost per mm², or the weight of the
+    // billed area * price per kg). Sheets with a stock price are billed at
+    // that price, shared across the nested parts.
+    const effectiveArea = getBillingArea(metrics, areaMode, options);
+    const billedWeight = getWeight(effectiveArea, thickness, density);
+    const { nesting } = options;
+    const sheetPriced = areaMode === AREA_MODES.SHEETS && nesting?.placedCount > 0 && nesting.sheetCost > 0;
+    const areaCost = sheetPriced
+        ? nesting.sheetCost / nesting.placedCount
+        : pricePerKg > 0 ? billedWeight * pricePerKg : effectiveArea * costPerArea;
+
+    // Part and shipment weight, and the shipping estimate from it
+    const partWeight = getPartWeight(metrics, thickness, density);
+    const totalWeight = partWeight * quantity;
+    const shippingEstimate = totalWeight > 0 && settings.shippingPerKg > 0
+        ? (settings.shippingBase || 0) + totalWeight * settings.shippingPerKg
+        : 0;
+
+    // Calculate time cost (total cut length / speed * hourly rate), slower
+    // around small features and sharp corners
+    const nominalCutTimeMinutes = cutSpeed > 0 ? totalLength / cutSpeed : 0;
+    const { sizeDerating, cornerDerating } = pricingEntry;
+    const derated = options.derate !== false && metrics.features?.length > 0 &&
+        (sizeDerating?.length > 0 || cornerDerating?.length > 0);
+    const cutTimeMinutes = derated
+        ? getDeratedCutTime(totalLength, cutFeatures(metrics.features, options.contourLengths), cutSpeed, { sizeDerating, cornerDerating })
+        : nominalCutTimeMinutes;
+    const cutTimeHours = cutTimeMinutes / 60;
+    const timeCost = cutTimeHours * costPerTime;
+
+    // Calculate travel cost (rapid moves between contours / rapid speed * hourly rate)
+    const travelTimeMinutes = rapidSpeed > 0 ? travelDistance / rapidSpeed : 0;
+    const travelCost = (travelTimeMinutes / 60) * costPerTime;
+
+    // Calculate pierce cost (machine time per pierce + consumables per pierce)
+    const pierceTimeMinutes = (pierceCount * pierceTime) / 60;
+    const pierceCost = (pierceTimeMinutes / 60) * costPerTime + pierceCount * costPerPierce;
+
+    // Calculate engrave cost (engrave length / engrave speed * engrave rate, or the machine rate)
+    const engraveTimeMinutes = engraveSpeed > 0 ? engraveLength / engraveSpeed : 0;
+    const engraveHourlyRate = engraveRate || costPerTime;
+    const engraveCost = (engraveTimeMinutes / 60) * engraveHourlyRate;
+
+    // Subtotal before markup
+    const subtotal = areaCost + timeCost + travelCost + pierceCost + engraveCost;
+
+    // Apply markup percentage
+    const markupAmount = subtotal * (markup / 100);
+    const withMarkup = subtotal + markupAmount;
+
+    // Apply the quantity discount to the unit price
+    const discountPercent = getQuantityDiscount(quantityBreaks, quantity);
+    const discountAmount = withMarkup * (discountPercent / 100);
+    const unitPrice = withMarkup - discountAmount;
+
+    // Setup and minimum charge apply once per line
+    const partsTotal = unitPrice * quantity;
+    const lineTotal = partsTotal + setupCharge;
+    const finalPrice = Math.max(lineTotal, minCharge);
+
+    return {
+        areaCost,
+        timeCost,
+        travelCost,
+        pierceCost,
+        engraveCost,
+        subtotal,
+        markupPercent: markup,
+        markupAmount,
+        withMarkup,
+        discountPercent,
+        discountAmount,
+        unitPrice,
+        quantity,
+        partsTotal,
+        setupCharge,
+        finalPrice,
+        minChargeApplied: lineTotal < minCharge,
+        minCharge,
+        partWeight,
+        totalWeight,
+        shippingEstimate,
+        // Interpolated thickness: the price needs a review before the order is accepted
+        estimated: !!pricingEntry.interpolated,
+        // Unit price at each break, for showing the savings
+        priceBreaks: [{ minQty: 1, discount: 0 }, ...quantityBreaks]
+            .filter((b, i, all) => all.findIndex(o => o.minQty === b.minQty) === i)
+            .sort((a, b) => a.minQty - b.minQty)
+            .map(({ minQty }) => {
+                const discount = getQuantityDiscount(quantityBreaks, minQty);
+                return { minQty, discount, unitPrice: withMarkup * (1 - discount / 100) };
+            }),
+        currency,
+        // Details for display
+        details: {
+            area: effectiveArea,
+            areaMode,
+            sheetCount: options.nesting?.sheetCount ?? null,
+            utilization: options.nesting?.utilization ?? null,
+            sheetCost: sheetPriced ? nesting.sheetCost : null,
+            machine: machine ? { id: machine.id, name: machine.name, type: machine.type } : null,
+            thickness,
+            interpolatedFrom: pricingEntry.interpolatedFrom || null,
+            density,
+            billedWeight,
+            pricePerKg: sheetPriced ? 0 : pricePerKg,
+            cutLength: totalLength,
+            kerfCompensated: options.cutLength != null,
+            cutTimeMinutes,
+            nominalCutTimeMinutes,
+            derated,
+            cutSpeed,
+            travelDistance,
+            travelTimeMinutes,
+            rapidSpeed,
+            costPerArea,
+            costPerTime,
+            pierceCount,
+            pierceTimeMinutes,
+            costPerPierce,
+            engraveLength,
+            engraveTimeMinutes,
+            engraveSpeed,
+            engraveRate: engraveHourlyRate,
+        }
+    };
+}
+
+/**
+ * Total for an order of several lines. Each line is billed its parts total;
+ * the setup charge, minimum charge and shipping apply once to the whole order
+ * rather than to each line.
+ *
+ * @param {Object[]} lines - calculatePrice breakdowns, one per line
+ * @param {Object} settings - Global settings
+ * @returns {Object} { lineCount, quantity, partsTotal, setupCharge, finalPrice, minChargeApplied, minCharge, totalWeight, shippingEstimate, estimated, currency }
+ */
+export function calculateOrderTotal(lines, settings) {
+    const { minCharge = 0, currency = 'USD' } = settings;
+    const setupCharge = lines.length > 0 ? settings.setupCharge || 0 : 0;
+    const partsTotal = lines.reduce((sum, line) => sum + line.partsTotal, 0);
+    const orderTotal = partsTotal + setupCharge;
+
+    const totalWeight = lines.reduce((sum, line) => sum + line.totalWeight, 0);
+    const shippingEstimate = totalWeight > 0 && settings.shippingPerKg > 0
+        ? (settings.shippingBase || 0) + totalWeight * settings.shippingPerKg
+        : 0;
+
+    return {
+        lineCount: lines.length,
+        quantity: lines.reduce((sum, line) => sum + line.quantity, 0),
+        partsTotal,
+        setupCharge,
+        finalPrice: lines.length > 0 ? Math.max(orderTotal, minCharge) : 0,
+        minChargeApplied: lines.length > 0 && orderTotal < minCharge,
+        minCharge,
+        totalWeight,
+        shippingEstimate,
+        estimated: lines.some(line => line.estimated),
+        currency,
+    };
+}
+
+/**
+ * Create empty price breakdown
+ */
+function createEmptyBreakdown(currency = 'USD') {
+    return {
+        areaCost: 0,
+        timeCost: 0,
+        travelCost: 0,
+        pierceCost: 0,
+        engraveCost: 0,
+        subtotal: 0,
+        markupPercent: 0,
+        markupAmount: 0,
+        withMarkup: 0,
+        discountPercent: 0,
+        discountAmount: 0,
+        unitPrice: 0,
+        quantity: 1,
+        partsTotal: 0,
+        setupCharge: 0,
+        finalPrice: 0,
+        minChargeApplied: false,
+        minCharge: 0,
+        partWeight: 0,
+        totalWeight: 0,
+        shippingEstimate: 0,
+        estimated: false,
+        priceBreaks: [],
+        currency,
+        details: {
+            area: 0,
+            areaMode: AREA_MODES.BBOX,
+            sheetCount: null,
+            utilization: null,
+            sheetCost: null,
+            machine: null,
+            thickness: 0,
+            interpolatedFrom: null,
+            density: 0,
+            billedWeight: 0,
+            pricePerKg: 0,
+            cutLength: 0,
+            kerfCompensated: false,
+            cutTimeMinutes: 0,
+            nominalCutTimeMinutes: 0,
+            derated: false,
+            cutSpeed: 0,
+            travelDistance: 0,
+            travelTimeMinutes: 0,
+            rapidSpeed: 0,
+            costPerArea: 0,
+            costPerTime: 0,
+            pierceCount: 0,
+            pierceTimeMinutes: 0,
+            costPerPierce: 0,
+            engraveLength: 0,
+            engraveTimeMinutes: 0,
+            engraveSpeed: 0,
+            engraveRate: 0,
+        }
+    };
+}
+
+/**
+ * Format currency value
+ */
+export function formatCurrency(value, currency = 'USD') {
+    return new Intl.NumberFormat('en-US', {
+        style: 'currency',
+        currency,
+        minimumFractionDigits: 2,
+        maximumFractionDigits: 2,
+    }).format(value);
+}
+
+/**
+ * Format number with units
+ */
+export function formatNumber(value, unit = '', decimals = 2) {
+    if (typeof value !== 'number' || isNaN(value)) return '—';
+    return `${value.toFixed(decimals)}${unit ? ' ' + unit : ''}`;
+}
@@ -0,0 +1,112 @@
+/**
+ * Quoting a part
+ *
+ * Everything between a parsed drawing and its price: the pricing entry for
+ * the thickness, the sheets it is nested on, and pricing on each machine
+ * that can cut it. The server runs this to give the authoritative price;
+ * the browser uses the same code for its previews.
+ */
+
+import { calculatePrice, findPricingEntry, AREA_MODES } from './pricing.js';
+import { nestParts, partFromParsed, sheetsFromStock, fitsOnAnySheet } from './nesting.js';
+import { hasMachines, priceOnMachines, getKerf, getCompensatedCut } from './machines.js';
+
+/**
+ * Sheets the part can be cut from: stock sheets for the material and
+ * thickness, else the default sheet sizes
+ *
+ * @param {Object} material - Material from /api/config (with stockSheets)
+ * @param {number} thickness - mm
+ * @param {Object} settings - Global settings
+ */
+export function getSheets(material, thickness, settings) {
+    const stock = (material?.stockSheets || []).filter(s => Math.abs(s.thickness - thickness) < 1e-6);
+    return stock.length ? sheetsFromStock(stock) : (settings.sheetSizes || []);
+}
+
+/**
+ * Nest the whole quantity onto the sheets, for materials billed by sheets consumed
+ *
+ * @returns {Object|null} nestParts result with the nested `part`, or null if the material isn't billed by sheets
+ */
+export function nestForQuote(parsed, material, sheets, quantity, settings) {
+    if (material?.areaMode !== AREA_MODES.SHEETS || !sheets.length) return null;
+
+    const part = partFromParsed(parsed, quantity);
+    return {
+        part,
+        ...nestParts([part], sheets, {
+            spacing: settings.partSpacing,
+            rotations: settings.nestRotations,
+        }),
+    };
+}
+
+/**
+ * Price a parsed part
+ *
+ * @param {Object} parsed - parseDxf result
+ * @param {Object} config - /api/config { materials, machines, settings }
+ * @param {Object} request - { materialId, thickness, quantity, machineId } machineId picks a machine other than the cheapest
+ * @returns {Object} { material, pricingEntry, fitsStock, nesting, machineQuotes, machine, breakdown, kerf }
+ *   `breakdown` is null when the part can't be priced: no pricing for the thickness, larger than every sheet, or no
+ *   machine can cut it. `machineQuotes` is null for materials priced without machines.
+ */
+export function quotePart(parsed, config, { materialId, thickness, quantity = 1, machineId = null }) {
+    const { settings } = config;
+    const material = config.materials.find(m => m.id === Number(materialId)) || null;
+    const pricingEntry = material ? findPricingEntry(material, thickness) : null;
+    const result = {
+        material,
+        pricingEntry,
+        fitsStock: true,
+        nesting: null,
+        machineQuotes: null,
+        machine: null,
+        breakdown: null,
+        kerf: getKerf(null, settings),
+    };
+    if (!pricingEntry) return result;
+
+    // Parts larger than every available sheet can't be quoted
+    const sheets = getSheets(material, thickness, settings);
+    if (sheets.length) {
+        result.fitsStock = fitsOnAnySheet(partFromParsed(parsed, 1), sheets, {
+            spacing: settings.partSpacing,
+            rotations: settings.nestRotations,
+        });
+        if (!result.fitsStock) return result;
+    }
+    result.nesting = nestForQuote(parsed, material, sheets, quantity, settings);
+
+    const options = {
+        areaMode: material.areaMode,
+        nesting: result.nesting,
+        scrapFactor: settings.scrapFactor,
+        quantity,
+        quantityBreaks: material.quantityBreaks,
+        density: material.defaultDensity,
+        pricePerKg: material.pricePerKg,
+    };
+
+    // Price on each machine that can cut the part, defaulting to the cheapest
+    if (hasMachines(config.machines, material.id)) {
+        result.machineQuotes = priceOnMachines(config.machines, material.id, parsed.metrics, pricingEntry, settings, {
+            ...options,
+            contours: parsed.contours,
+        });
+        const chosen = result.machineQuotes.find(q => q.machine.id === machineId) || result.machineQuotes[0];
+        if (chosen) {
+            result.machine = chosen.machine;
+            result.breakdown = chosen.breakdown;
+            result.kerf = getKerf(chosen.machine, settings);
+        }
+        return result;
+    }
+
+    result.breakdown = calculatePrice(parsed.metrics, pricingEntry, settings, {
+        ...options,
+        ...getCompensatedCut(parsed.contours, result.kerf, settings),
+    });
+    return result;
+}
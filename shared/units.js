@@ -8,7 +8,10 @@
 export const UNITS = {
     LENGTH: {
         MM: 'mm',
-        IN: 'in'
+        IN: 'in',
+        CM: 'cm',
+        M: 'm',
+        FT: 'ft'
     },
     AREA: {
         MM2: 'mm2',
@@ -23,12 +26,49 @@ export const UNITS = {
 const CONVERSION_FACTORS = {
     // Length: in -> mm
     LENGTH: 25.4,
+    // Other drawing lengths -> mm
+    LENGTH_CM: 10,
+    LENGTH_M: 1000,
+    LENGTH_FT: 304.8,
     // Area: in² -> mm² (25.4 * 25.4)
     AREA: 645.16,
     // Speed: in/min -> mm/min
     SPEED: 25.4,
 };
 
+/**
+ * DXF $INSUNITS header codes we can convert, mapped to our length units.
+ * 0 means "unitless" and anything not listed here is treated the same way.
+ */
+const INSUNITS_CODES = {
+    1: UNITS.LENGTH.IN,
+    2: UNITS.LENGTH.FT,
+    4: UNITS.LENGTH.MM,
+    5: UNITS.LENGTH.CM,
+    6: UNITS.LENGTH.M,
+};
+
+/**
+ * Length units a customer can pick for a drawing, in display order.
+ */
+export const DRAWING_UNITS = [
+    { value: UNITS.LENGTH.MM, label: 'Millimetres (mm)' },
+    { value: UNITS.LENGTH.IN, label: 'Inches (in)' },
+    { value: UNITS.LENGTH.CM, label: 'Centimetres (cm)' },
+    { value: UNITS.LENGTH.M, label: 'Metres (m)' },
+    { value: UNITS.LENGTH.FT, label: 'Feet (ft)' },
+];
+
+/**
+ * Map a DXF $INSUNITS code to a length unit.
+ *
+ * @param {number} code - Value of the $INSUNITS header variable
+ * @returns {string|null} Length unit, or null if unitless/unsupported
+ */
+export function unitFromInsunits(code) {
+    return INSUNITS_CODES[code] || null;
+}
+
 /**
  * Parse a number that might be a fraction, decimal, or mixed number.
  * Supports:
@@ -91,6 +131,12 @@ export function toCanonical(value, unit) {
             return num * CONVERSION_FACTORS.LENGTH; // in -> mm
         case UNITS.LENGTH.MM:
             return num;
+        case UNITS.LENGTH.CM:
+            return num * CONVERSION_FACTORS.LENGTH_CM;
+        case UNITS.LENGTH.M:
+            return num * CONVERSION_FACTORS.LENGTH_M;
+        case UNITS.LENGTH.FT:
+            return num * CONVERSION_FACTORS.LENGTH_FT;
 
         case UNITS.AREA.IN2:
             return num / CONVERSION_FACTORS.AREA; // $/in² -> $/mm²
@@ -123,6 +169,12 @@ export function fromCanonical(canonicalValue, targetUnit) {
             return canonicalValue / CONVERSION_FACTORS.LENGTH; // mm -> in
         case UNITS.LENGTH.MM:
             return canonicalValue;
+        case UNITS.LENGTH.CM:
+            return canonicalValue / CONVERSION_FACTORS.LENGTH_CM;
+        case UNITS.LENGTH.M:
+            return canonicalValue / CONVERSION_FACTORS.LENGTH_M;
+        case UNITS.LENGTH.FT:
+            return canonicalValue / CONVERSION_FACTORS.LENGTH_FT;
 
         case UNITS.AREA.IN2:
             return canonicalValue * CONVERSION_FACTORS.AREA; // $/mm² -> $/in²
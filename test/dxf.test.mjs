@@ -0,0 +1,299 @@
+/**
+ * Reading drawings: curves checked against the shapes they describe, and
+ * what can't be read
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseDxf } from '../shared/dxf/parser.js';
+import { cleanupEntities } from '../shared/dxf/cleanup.js';
+import { validateGeometry, ISSUE_TYPES } from '../shared/dxf/validation.js';
+import { LAYER_OPERATIONS } from '../shared/dxf/layers.js';
+import { planCutOrder } from '../shared/dxf/toolpath.js';
+import { readFixture } from './fixtures/shop.mjs';
+
+const RADIUS = 50;
+
+function assertClose(actual, expected, message) {
+    assert.ok(Math.abs(actual - expected) < 1e-6, `${message}: ${actual} is not ${expected}`);
+}
+
+test('a spline through fit points on a semicircle follows the circle', () => {
+    // Fit points every 15 degrees, tangents straight up at the start and down at the end
+    const { entities, metrics } = parseDxf(readFixture('fit-spline.dxf'));
+    const [spline] = entities;
+    assert.equal(spline.type, 'SPLINE');
+
+    // Without the end tangents the ends stray 0.006 mm
+    const halfCircle = Math.PI * RADIUS;
+    assert.ok(Math.abs(metrics.totalLength - halfCircle) / halfCircle < 0.0001, `length ${metrics.totalLength}`);
+    for (const point of spline.points) {
+        assert.ok(Math.abs(Math.hypot(point.x, point.y) - RADIUS) < 0.003, `(${point.x}, ${point.y}) is off the circle`);
+    }
+
+    // Through the first and last fit points
+    const first = spline.points[0];
+    const last = spline.points[spline.points.length - 1];
+    assert.ok(Math.hypot(first.x - RADIUS, first.y) < 1e-9);
+    assert.ok(Math.hypot(last.x + RADIUS, last.y) < 1e-9);
+});
+
+test('a spline through three fit points on a parabola is that parabola', () => {
+    // (0,25), (50,0), (100,25) on y = (x - 50)^2 / 100, equal chords apart: the
+    // cubic through them at chord-length parameters reproduces the parabola
+    const { entities, metrics } = parseDxf(readFixture('fit-parabola.dxf'));
+    const [spline] = entities;
+
+    assert.ok(spline.points.length > 10);
+    for (const point of spline.points) {
+        assert.ok(Math.abs(point.y - (point.x - 50) ** 2 / 100) < 1e-9, `(${point.x}, ${point.y}) is off the parabola`);
+    }
+    // Arc length of the parabola: 50 * (sqrt(2) + asinh(1))
+    const arcLength = 50 * (Math.SQRT2 + Math.asinh(1));
+    assert.ok(Math.abs(metrics.totalLength - arcLength) / arcLength < 0.0001, `length ${metrics.totalLength}`);
+});
+
+test('entity types without a reader are still counted as unsupported', () => {
+    // An MLINE and two LEADERs, and a REGION in a block inserted twice
+    const { metrics } = parseDxf(readFixture('mirrored.dxf'));
+    assert.deepEqual(metrics.unsupported, { MLINE: 1, LEADER: 2, REGION: 2 });
+    assert.equal(metrics.unsupportedCount, 5);
+});
+
+test('arcs and ellipses drawn from below are mirrored', () => {
+    // Extrusion (0,0,-1): a quarter arc about (10,0) and an ellipse about (30,0)
+    const { entities } = parseDxf(readFixture('mirrored.dxf'));
+    const arc = entities.find(e => e.type === 'ARC');
+    const ellipse = entities.find(e => e.type === 'ELLIPSE');
+
+    assert.deepEqual(arc.center, { x: -10, y: 0 });
+    const start = arc.points[0];
+    const end = arc.points[arc.points.length - 1];
+    assert.ok(Math.hypot(start.x + 15, start.y) < 1e-9);
+    assert.ok(Math.hypot(end.x + 10, end.y - 5) < 1e-9);
+    assert.ok(Math.abs(arc.length - Math.PI * 5 / 2) < 1e-9);
+
+    assert.deepEqual(ellipse.center, { x: -30, y: 0 });
+    assert.ok(ellipse.points.every(p => p.x <= -20 + 1e-9 && p.x >= -40 - 1e-9));
+});
+
+test('everything drawn from below lands on the same side', () => {
+    // Extrusion (0,0,-1) on an arc and a circle about (10,0), a POLYLINE, an
+    // LWPOLYLINE, and an INSERT at (30,0) of a block with circles at (5,0),
+    // itself drawn from below, and (8,0); one circle at (50,0) from above
+    const { entities } = parseDxf(readFixture('mixed-extrusion.dxf'));
+    const centers = entities.filter(e => e.center).map(e => [e.type, e.center.x, e.center.y]);
+    assert.deepEqual(centers, [
+        ['ARC', -10, 0],
+        ['CIRCLE', -10, 0],
+        ['CIRCLE', 50, 0],
+        ['CIRCLE', -25, 0],
+        ['CIRCLE', -38, 0],
+    ]);
+
+    const polylines = entities.filter(e => e.type === 'POLYLINE').map(e => e.points.map(p => [p.x, p.y]));
+    assert.deepEqual(polylines, [
+        [[-60, 0], [-70, 5]],
+        [[-80, 0], [-90, 5]],
+    ]);
+});
+
+const line = (a, b) => ({ type: 'LINE', points: [a, b], length: Math.hypot(b.x - a.x, b.y - a.y), layer: '0' });
+
+test('a reversed line just short of horizontal is merged with the horizontal line it overlaps', () => {
+    // The second line runs right to left, rising 0.0005 over 100 mm: an angle just below 180 degrees
+    const { entities, report } = cleanupEntities([
+        line({ x: 0, y: 0 }, { x: 100, y: 0 }),
+        line({ x: 150, y: 0 }, { x: 50, y: 0.0005 }),
+    ]);
+
+    assert.equal(entities.length, 1);
+    assert.equal(report.overlapsMerged, 1);
+    assert.ok(Math.abs(report.lengthAfter - 150) < 0.01, `length ${report.lengthAfter}`);
+});
+
+test('a line drawn twice is kept once, whichever way it runs', () => {
+    const { entities, report } = cleanupEntities([
+        line({ x: 0, y: 0 }, { x: 40, y: 30 }),
+        line({ x: 40, y: 30 }, { x: 0, y: 0 }),
+        line({ x: 0.004, y: 0 }, { x: 40, y: 30.004 }),
+    ]);
+
+    assert.equal(entities.length, 1);
+    assert.equal(report.duplicatesRemoved, 2);
+    assert.ok(Math.abs(report.lengthBefore - 150) < 0.01, `length ${report.lengthBefore}`);
+    assert.ok(Math.abs(report.lengthAfter - 50) < 0.01, `length ${report.lengthAfter}`);
+});
+
+test('overlapping lines are merged and lines that only touch are not', () => {
+    const { entities, report } = cleanupEntities([
+        line({ x: 0, y: 10 }, { x: 60, y: 10 }),
+        line({ x: 40, y: 10 }, { x: 100, y: 10 }),
+        line({ x: 100, y: 10 }, { x: 150, y: 10 }),
+        line({ x: 0, y: 0 }, { x: 50, y: 0 }),
+        line({ x: 50, y: 0 }, { x: 100, y: 0 }),
+    ]);
+
+    assert.equal(report.overlapsMerged, 1);
+    const spans = entities.map(e => [e.points[0].x, e.points[1].x, e.points[0].y].map(v => Math.round(v * 1000) / 1000));
+    assert.deepEqual(spans.sort((a, b) => a[2] - b[2] || a[0] - b[0]), [
+        [0, 50, 0],
+        [50, 100, 0],
+        [0, 100, 10],
+        [100, 150, 10],
+    ]);
+    assert.ok(Math.abs(report.lengthAfter - 250) < 1e-9, `length ${report.lengthAfter}`);
+});
+
+test('a line along a polyline edge is trimmed to the part the polyline does not cut', () => {
+    const outline = {
+        type: 'POLYLINE',
+        points: [{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 100, y: 50 }],
+        length: 150,
+        layer: '0',
+    };
+    const { entities, report } = cleanupEntities([outline, line({ x: 80, y: 0 }, { x: 130, y: 0 })]);
+
+    assert.equal(report.overlapsMerged, 1);
+    assert.ok(entities.includes(outline));
+    const [rest] = entities.filter(e => e.merged);
+    assert.ok(Math.abs(rest.length - 30) < 1e-9, `length ${rest.length}`);
+    assert.ok(Math.abs(Math.min(rest.points[0].x, rest.points[1].x) - 100) < 1e-9);
+});
+
+test('a reversed line just short of horizontal is reported as overlapping the horizontal line', () => {
+    const entities = [
+        line({ x: 0, y: 0 }, { x: 100, y: 0 }),
+        line({ x: 150, y: 0 }, { x: 50, y: 0.0005 }),
+    ].map((entity, id) => ({ ...entity, id, operation: LAYER_OPERATIONS.CUT }));
+    const { issues } = validateGeometry({ entities, contours: [] });
+
+    const overlaps = issues.filter(i => i.type === ISSUE_TYPES.OVERLAP);
+    assert.equal(overlaps.length, 1);
+    assert.deepEqual([...overlaps[0].entities].sort(), [0, 1]);
+    assert.match(overlaps[0].message, /50\.0/);
+});
+
+test('a thin diagonal slot is smaller than the kerf', () => {
+    // 20 mm long and 0.1 mm wide at 45 degrees: its bounding box is over 14 mm square
+    const along = { x: Math.SQRT1_2, y: Math.SQRT1_2 };
+    const across = { x: -Math.SQRT1_2 * 0.1, y: Math.SQRT1_2 * 0.1 };
+    const points = [
+        { x: 0, y: 0 },
+        { x: 20 * along.x, y: 20 * along.y },
+        { x: 20 * along.x + across.x, y: 20 * along.y + across.y },
+        { x: across.x, y: across.y },
+        { x: 0, y: 0 },
+    ];
+    const slot = { id: 0, closed: true, role: 'hole', points, length: 40.2, entities: [0] };
+
+    const { issues } = validateGeometry({ entities: [], contours: [slot] }, { kerf: 0.2 });
+    const small = issues.filter(i => i.type === ISSUE_TYPES.SMALL_FEATURE);
+    assert.equal(small.length, 1);
+    assert.match(small[0].message, /^Hole 0\.1/);
+
+    assert.equal(validateGeometry({ entities: [], contours: [slot] }, { kerf: 0.05 }).issues.length, 0);
+});
+
+test('open, crossing, repeated and zero-length geometry is reported with the entities at fault', () => {
+    const corners = [{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 10, y: 10 }, { x: 0, y: 10 }];
+    const contours = [
+        { id: 0, closed: false, role: 'open', points: corners, length: 30, entities: [0] },
+        // A bow tie: the second and fourth edges cross at (5, 5)
+        { id: 1, closed: true, role: 'outer', points: [...corners.slice(0, 2), corners[3], corners[2], corners[0]].map(p => ({ x: p.x + 20, y: p.y })), length: 48.3, entities: [1] },
+    ];
+    const entities = [
+        line({ x: 50, y: 0 }, { x: 60, y: 0 }),
+        line({ x: 60, y: 0 }, { x: 50, y: 0 }),
+        line({ x: 70, y: 0 }, { x: 70, y: 0.0001 }),
+        { type: 'POLYLINE', points: [{ x: 80, y: 0 }, { x: 90, y: 0 }, { x: 90, y: 0 }, { x: 90, y: 10 }], length: 20, layer: '0' },
+    ].map((entity, i) => ({ ...entity, id: i + 2, operation: LAYER_OPERATIONS.CUT }));
+
+    const report = validateGeometry({ entities, contours });
+    const found = report.issues.map(i => [i.type, i.severity, [...i.entities].sort()]);
+    assert.deepEqual(found, [
+        [ISSUE_TYPES.OPEN_CONTOUR, 'error', [0]],
+        [ISSUE_TYPES.SELF_INTERSECTION, 'error', [1]],
+        [ISSUE_TYPES.ZERO_LENGTH, 'warning', [4]],
+        [ISSUE_TYPES.ZERO_LENGTH, 'warning', [5]],
+        [ISSUE_TYPES.DUPLICATE, 'warning', [2, 3]],
+    ]);
+    assert.equal(report.errorCount, 2);
+    assert.equal(report.warningCount, 3);
+    assert.equal(report.blocking, true);
+
+    const crossing = report.issues[1].location;
+    assert.ok(Math.hypot(crossing.x - 25, crossing.y - 5) < 1e-9);
+    assert.match(report.issues[0].message, /10\.0/);
+    assert.match(report.issues[3].message, /1 zero-length segment$/);
+});
+
+test('which issues block an order is up to the shop', () => {
+    const entities = [
+        line({ x: 0, y: 0 }, { x: 10, y: 0 }),
+        line({ x: 0, y: 0 }, { x: 10, y: 0 }),
+        { ...line({ x: 0, y: 5 }, { x: 10, y: 5 }), operation: LAYER_OPERATIONS.ENGRAVE },
+        { ...line({ x: 0, y: 5 }, { x: 10, y: 5 }), operation: LAYER_OPERATIONS.ENGRAVE },
+    ].map((entity, id) => ({ operation: LAYER_OPERATIONS.CUT, ...entity, id }));
+
+    // Engraved lines are not cut, so they are not checked
+    const lenient = validateGeometry({ entities, contours: [] });
+    assert.deepEqual(lenient.issues.map(i => [i.type, i.severity]), [[ISSUE_TYPES.DUPLICATE, 'warning']]);
+    assert.equal(lenient.blocking, false);
+
+    const strict = validateGeometry({ entities, contours: [] }, { blockingIssues: [ISSUE_TYPES.DUPLICATE] });
+    assert.equal(strict.issues[0].severity, 'error');
+    assert.equal(strict.blocking, true);
+});
+
+test('a hole the kerf closes up is too small to cut', () => {
+    // plate.dxf has an r0.3 hole; nothing else is wrong with it
+    const parsed = parseDxf(readFixture('plate.dxf'));
+    assert.equal(validateGeometry(parsed, { kerf: 0.2 }).issues.length, 0);
+
+    const { issues } = validateGeometry(parsed, { kerf: 0.8 });
+    assert.deepEqual(issues.map(i => i.type), [ISSUE_TYPES.SMALL_FEATURE]);
+    assert.match(issues[0].message, /^Hole 0\.\d+ mm across is smaller than the 0\.800 mm kerf$/);
+});
+
+const square = (x, y, size, corner = 0) => {
+    const points = [{ x, y }, { x: x + size, y }, { x: x + size, y: y + size }, { x, y: y + size }];
+    return [...points.slice(corner), ...points.slice(0, corner + 1)];
+};
+
+test('open paths are cut first, then holes nearest first, then the outline', () => {
+    const contours = [
+        { id: 'outline', closed: true, depth: 0, points: square(0, 0, 100) },
+        { id: 'left hole', closed: true, depth: 1, points: square(10, 10, 10, 2) },
+        { id: 'right hole', closed: true, depth: 1, points: square(80, 10, 10, 3) },
+        { id: 'score line', closed: false, depth: 0, points: [{ x: 60, y: 40 }, { x: 40, y: 40 }] },
+    ];
+    const { order, travelDistance } = planCutOrder(contours, { start: { x: 0, y: 0 } });
+
+    assert.deepEqual(order.map(o => o.contourId), ['score line', 'right hole', 'left hole', 'outline']);
+    // The score line is cut from its nearer end, and each closed contour is
+    // pierced at the corner nearest the head
+    assert.deepEqual(order.map(o => [o.entry.x, o.entry.y]), [[40, 40], [80, 20], [20, 20], [0, 0]]);
+    assert.deepEqual(order[0].exit, { x: 60, y: 40 });
+    assertClose(travelDistance, Math.hypot(40, 40) + Math.hypot(20, 20) + 60 + Math.hypot(20, 20), 'travel');
+});
+
+test('a hole in a hole is cut before the hole around it', () => {
+    const contours = [
+        { id: 'outline', closed: true, depth: 0, points: square(0, 0, 100) },
+        { id: 'ring', closed: true, depth: 1, points: square(20, 20, 60) },
+        { id: 'island', closed: true, depth: 2, points: square(30, 30, 40) },
+        { id: 'hole in the island', closed: true, depth: 3, points: square(45, 45, 10) },
+    ];
+    const { order } = planCutOrder(contours);
+    assert.deepEqual(order.map(o => o.contourId), ['hole in the island', 'island', 'ring', 'outline']);
+});
+
+test('a drawn plate is cut holes first and pierced once per contour', () => {
+    const { contours, toolpath, metrics } = parseDxf(readFixture('plate.dxf'));
+    const outline = contours.find(c => c.closed && c.depth === 0);
+
+    assert.equal(toolpath.order.length, metrics.pierceCount);
+    assert.equal(toolpath.order[toolpath.order.length - 1].contourId, outline.id);
+    assert.equal(metrics.travelDistance, toolpath.travelDistance);
+});
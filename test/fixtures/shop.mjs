@@ -0,0 +1,83 @@
+/**
+ * A shop as the database holds it, after prisma/seed.js: rows as Prisma
+ * returns them, before loadConfig parses the curves, tables and settings
+ */
+
+import { readFileSync } from 'node:fs';
+
+const derating = { sizeDerating: '2:30, 5:50, 10:75, 25:100', cornerDerating: '30:35, 90:60, 150:100' };
+
+function entry(id, materialId, thickness, costPerArea, costPerTime, cutSpeed, pierceTime, pierceCost) {
+    return {
+        id, materialId, thickness, costPerArea, costPerTime, cutSpeed, pierceTime, pierceCost,
+        thicknessUnit: 'mm', thicknessDisplay: null, areaUnit: 'mm2', costPerAreaDisplay: null,
+        speedUnit: 'mm_min', speedDisplay: null, engraveSpeed: 6000, engraveRate: 0, ...derating,
+    };
+}
+
+function sheet(id, materialId, thickness, width, height, costPerSheet = 0) {
+    return { id, materialId, thickness, width, height, costPerSheet, onHand: 10, isRemnant: false, notes: null };
+}
+
+export const MATERIALS = [
+    {
+        id: 1, name: 'Aluminum', defaultDensity: 2.7, pricePerKg: null, areaMode: 'sheets',
+        quantityBreaks: null, allowInterpolation: false,
+        pricingEntries: [entry(4, 1, 2, 0.00011, 45, 3500, 0.8, 0.03)],
+        stockSheets: [sheet(2, 1, 2, 1250, 625, 40)],
+    },
+    {
+        id: 2, name: 'Stainless Steel', defaultDensity: 8, pricePerKg: null, areaMode: 'bbox',
+        quantityBreaks: '5:8', allowInterpolation: false,
+        pricingEntries: [entry(7, 2, 1, 0.0001, 60, 2500, 0.6, 0.03), entry(8, 2, 2, 0.00015, 60, 2000, 1.2, 0.04)],
+        stockSheets: [],
+    },
+    {
+        id: 3, name: 'Steel', defaultDensity: 7.85, pricePerKg: null, areaMode: 'net',
+        quantityBreaks: null, allowInterpolation: true,
+        pricingEntries: [entry(1, 3, 1, 0.00005, 50, 3000, 0.5, 0.02), entry(3, 3, 3, 0.00012, 50, 2000, 1.5, 0.05)],
+        stockSheets: [sheet(1, 3, 1, 3000, 1500)],
+    },
+];
+
+// Stainless is cut on machines; the others are priced from their pricing entries
+export const MACHINES = [
+    {
+        id: 1, name: 'Fiber Laser 3kW', type: 'laser', hourlyRate: 90, maxSheetWidth: 3000, maxSheetHeight: 1500,
+        kerf: 0.15, rapidSpeed: 60000, active: true,
+        capabilities: [{ id: 1, machineId: 1, materialId: 2, minThickness: 0.5, maxThickness: 8, speedTable: '1:8000, 2:5000, 3:3500, 8:900', kerf: null }],
+    },
+    {
+        id: 2, name: 'Waterjet', type: 'waterjet', hourlyRate: 70, maxSheetWidth: 4000, maxSheetHeight: 2000,
+        kerf: 0.9, rapidSpeed: 0, active: true,
+        capabilities: [{ id: 2, machineId: 2, materialId: 2, minThickness: 0.5, maxThickness: 100, speedTable: '1:1200, 3:700, 10:250', kerf: null }],
+    },
+];
+
+export const SETTINGS = Object.entries({
+    markup: '15',
+    minCharge: '25',
+    setupCharge: '15',
+    quantityBreaks: '10:5, 50:10',
+    shippingBase: '12',
+    shippingPerKg: '0.8',
+    rapidSpeed: '20000',
+    currency: 'USD',
+    quoteValidityDays: '30',
+    engraveColors: '',
+    kerfWidth: '0.2',
+    kerfCompensation: 'true',
+    kerfTolerance: '0',
+    cleanupTolerance: '0.01',
+    sheetSizes: '3000x1500, 2500x1250',
+    partSpacing: '5',
+    nestRotations: '0, 90',
+    scrapFactor: '15',
+    blockingIssues: JSON.stringify(['OPEN_CONTOUR', 'SELF_INTERSECTION']),
+    layerRules: JSON.stringify([{ pattern: 'DIM*', operation: 'ignore' }]),
+}).map(([key, value], index) => ({ id: index + 1, key, value }));
+
+// A drawing from test/fixtures
+export function readFixture(name) {
+    return readFileSync(new URL(name, import.meta.url), 'utf8');
+}
@@ -0,0 +1,55 @@
+/**
+ * Numbering records: clashes on the number are retried, other unique
+ * fields are left to the caller
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+
+// An order table; each create first fails with the next queued unique clash, if any
+let saved = [];
+let clashes = [];
+let attempts = 0;
+const order = {
+    findFirst: async () => (saved.length ? { number: saved[saved.length - 1].number } : null),
+    create: async ({ data }) => {
+        attempts++;
+        if (clashes.length) {
+            throw Object.assign(new Error('Unique constraint failed'), { code: 'P2002', meta: { target: [clashes.shift()] } });
+        }
+        saved.push(data);
+        return data;
+    },
+};
+
+const prismaPath = require.resolve('../server/lib/prisma.js');
+require.cache[prismaPath] = { id: prismaPath, filename: prismaPath, loaded: true, exports: { order } };
+const { createNumbered } = require('../server/lib/numbering.js');
+
+const year = new Date().getFullYear();
+
+beforeEach(() => {
+    saved = [];
+    clashes = [];
+    attempts = 0;
+});
+
+test('records are numbered in sequence', async () => {
+    assert.equal((await createNumbered('order', 'O', { quoteId: 'a' })).number, `O-${year}-00001`);
+    assert.equal((await createNumbered('order', 'O', { quoteId: 'b' })).number, `O-${year}-00002`);
+});
+
+test('a number taken in the meantime is retried', async () => {
+    clashes = ['number', 'number'];
+    assert.equal((await createNumbered('order', 'O', { quoteId: 'a' })).number, `O-${year}-00001`);
+    assert.equal(attempts, 3);
+});
+
+test('other unique clashes are not retried', async () => {
+    clashes = ['quoteId'];
+    await assert.rejects(createNumbered('order', 'O', { quoteId: 'a' }), { code: 'P2002' });
+    assert.equal(attempts, 1);
+});
@@ -0,0 +1,251 @@
+/**
+ * Reading the fixture drawings and pricing them with the shared code the
+ * browser and the server both use
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseDxf } from '../shared/dxf/parser.js';
+import { calculatePrice, calculateOrderTotal, getDeratingFactor, getDeratedCutTime, getQuantityDiscount } from '../shared/pricing.js';
+import { getCompensatedCut } from '../shared/machines.js';
+import { offsetContours } from '../shared/dxf/offset.js';
+import { nestParts } from '../shared/nesting.js';
+import { readFixture } from './fixtures/shop.mjs';
+
+// Plain rates, so the expected prices can be worked out by hand
+const ENTRY = { thickness: 1, costPerArea: 0.0001, costPerTime: 60, cutSpeed: 1000, pierceTime: 0, pierceCost: 0.1 };
+const SETTINGS = { markup: 0, minCharge: 0, setupCharge: 0, rapidSpeed: 0, currency: 'USD' };
+
+function assertClose(actual, expected, message) {
+    assert.ok(Math.abs(actual - expected) < 1e-6, `${message}: ${actual} is not ${expected}`);
+}
+
+test('plate is measured from its outline, holes and slots', () => {
+    const { metrics, units } = parseDxf(readFixture('plate.dxf'));
+    assert.equal(units.unit, 'mm');
+    assert.equal(metrics.width, 100);
+    assert.equal(metrics.height, 60);
+    // 100 x 60 outline, r0.3 and r5 holes, 1 x 40 and 10 x 40 slots
+    assertClose(metrics.totalLength, 320 + 2 * Math.PI * 0.3 + 2 * Math.PI * 5 + 82 + 100, 'cut length');
+    assert.equal(metrics.pierceCount, 5);
+});
+
+test('inch drawings are scaled to mm', () => {
+    const { metrics, units } = parseDxf(readFixture('ring-inch.dxf'));
+    assert.equal(units.unit, 'in');
+    assert.equal(units.ambiguous, false);
+    assertClose(metrics.width, 4 * 25.4, 'width');
+    assertClose(metrics.totalLength, (16 + 2 * Math.PI) * 25.4, 'cut length');
+});
+
+test('drawings without units need the customer to confirm them', () => {
+    const { units } = parseDxf(readFixture('ring-no-units.dxf'));
+    assert.equal(units.ambiguous, true);
+});
+
+test('price is material, cut time and pierces', () => {
+    const { metrics } = parseDxf(readFixture('plate.dxf'));
+    const breakdown = calculatePrice(metrics, ENTRY, SETTINGS);
+
+    assertClose(breakdown.areaCost, 6000 * 0.0001, 'area cost');
+    assertClose(breakdown.timeCost, (metrics.totalLength / 1000 / 60) * 60, 'time cost');
+    assertClose(breakdown.pierceCost, 5 * 0.1, 'pierce cost');
+    assertClose(breakdown.unitPrice, breakdown.areaCost + breakdown.timeCost + breakdown.pierceCost, 'unit price');
+});
+
+test('markup, then the quantity discount, apply to the unit price', () => {
+    const { metrics } = parseDxf(readFixture('plate.dxf'));
+    const base = calculatePrice(metrics, ENTRY, SETTINGS);
+    const breakdown = calculatePrice(metrics, ENTRY, { ...SETTINGS, markup: 20, quantityBreaks: [{ minQty: 10, discount: 5 }] }, { quantity: 10 });
+
+    assert.equal(breakdown.discountPercent, 5);
+    assertClose(breakdown.unitPrice, base.unitPrice * 1.2 * 0.95, 'unit price');
+    assertClose(breakdown.partsTotal, breakdown.unitPrice * 10, 'parts total');
+});
+
+test('the quantity discount is the largest break reached, in whatever order the breaks are listed', () => {
+    const breaks = [{ minQty: 50, discount: 12 }, { minQty: 10, discount: 5 }, { minQty: 25, discount: 8 }];
+    assert.equal(getQuantityDiscount(breaks, 9), 0);
+    assert.equal(getQuantityDiscount(breaks, 10), 5);
+    assert.equal(getQuantityDiscount(breaks, 49), 8);
+    assert.equal(getQuantityDiscount(breaks, 500), 12);
+    assert.equal(getQuantityDiscount([], 500), 0);
+});
+
+test('a material\'s own breaks replace the shop\'s, and each break is shown with its unit price', () => {
+    const { metrics } = parseDxf(readFixture('plate.dxf'));
+    const settings = { ...SETTINGS, quantityBreaks: [{ minQty: 2, discount: 50 }] };
+    const quantityBreaks = [{ minQty: 25, discount: 8 }, { minQty: 10, discount: 5 }];
+    const breakdown = calculatePrice(metrics, ENTRY, settings, { quantity: 20, quantityBreaks });
+
+    assert.equal(breakdown.discountPercent, 5);
+    assert.deepEqual(breakdown.priceBreaks.map(b => [b.minQty, b.discount]), [[1, 0], [10, 5], [25, 8]]);
+    assertClose(breakdown.priceBreaks[2].unitPrice, breakdown.withMarkup * 0.92, 'unit price at 25');
+
+    assert.equal(calculatePrice(metrics, ENTRY, settings, { quantity: 20 }).discountPercent, 50);
+});
+
+test('a line is charged at least the minimum, setup included', () => {
+    const { metrics } = parseDxf(readFixture('slot.dxf'));
+    const settings = { ...SETTINGS, setupCharge: 15, minCharge: 25 };
+
+    const one = calculatePrice(metrics, ENTRY, settings);
+    assert.ok(one.partsTotal + 15 < 25);
+    assert.equal(one.finalPrice, 25);
+    assert.equal(one.minChargeApplied, true);
+
+    const quantity = Math.ceil(20 / one.unitPrice);
+    const many = calculatePrice(metrics, ENTRY, settings, { quantity });
+    assert.equal(many.minChargeApplied, false);
+    assertClose(many.finalPrice, many.unitPrice * quantity + 15, 'final price');
+});
+
+const SIZE_DERATING = [{ at: 5, percent: 50 }, { at: 20, percent: 100 }];
+const CORNER_DERATING = [{ at: 30, percent: 40 }, { at: 150, percent: 100 }];
+
+test('derating is linear between the curve points and held beyond them', () => {
+    assert.equal(getDeratingFactor(SIZE_DERATING, 2), 0.5);
+    assert.equal(getDeratingFactor(SIZE_DERATING, 5), 0.5);
+    assert.equal(getDeratingFactor(SIZE_DERATING, 12.5), 0.75);
+    assert.equal(getDeratingFactor(SIZE_DERATING, 30), 1);
+    assert.equal(getDeratingFactor([], 2), 1);
+    assert.equal(getDeratingFactor(SIZE_DERATING, null), 1);
+});
+
+test('a small feature is cut slower, and its corners slower still', () => {
+    // 1000 mm in all, 100 mm of it a 12.5 mm hole (75% speed) with one 90 degree corner (70% of that over 4 mm)
+    const features = [{ size: 12.5, length: 100, corners: [{ angle: 90, zone: 4 }] }];
+    const minutes = getDeratedCutTime(1000, features, 1000, { sizeDerating: SIZE_DERATING, cornerDerating: CORNER_DERATING });
+
+    assertClose(minutes, 900 / 1000 + 96 / 750 + 4 / (750 * 0.7), 'cut time');
+    assert.equal(getDeratedCutTime(1000, features, 1000, {}), 1);
+    assert.equal(getDeratedCutTime(1000, features, 0, { sizeDerating: SIZE_DERATING }), 0);
+});
+
+test('the derated cut time is priced unless derating is turned off', () => {
+    const { metrics } = parseDxf(readFixture('plate.dxf'));
+    const entry = { ...ENTRY, sizeDerating: SIZE_DERATING, cornerDerating: CORNER_DERATING };
+    const derated = calculatePrice(metrics, entry, SETTINGS);
+    const nominal = calculatePrice(metrics, entry, SETTINGS, { derate: false });
+
+    const expected = getDeratedCutTime(metrics.totalLength, metrics.features, ENTRY.cutSpeed, entry);
+    assert.equal(derated.details.derated, true);
+    assertClose(derated.details.cutTimeMinutes, expected, 'cut time');
+    assert.ok(derated.details.cutTimeMinutes > nominal.details.cutTimeMinutes);
+    assertClose(derated.timeCost, expected / 60 * ENTRY.costPerTime, 'time cost');
+
+    assert.equal(nominal.details.derated, false);
+    assertClose(nominal.details.cutTimeMinutes, metrics.totalLength / ENTRY.cutSpeed, 'nominal cut time');
+});
+
+test('small features are derated along the kerf-compensated path', () => {
+    const { metrics, contours } = parseDxf(readFixture('plate.dxf'));
+    const sizeDerating = [{ at: 5, percent: 50 }, { at: 20, percent: 100 }];
+    // A 0.8 kerf closes up the r0.3 hole
+    const kerf = 0.8;
+    const compensated = getCompensatedCut(contours, kerf, { kerfCompensation: true });
+    const breakdown = calculatePrice(metrics, { ...ENTRY, sizeDerating }, SETTINGS, compensated);
+
+    const offset = offsetContours(contours, kerf);
+    assert.equal(offset.collapsed.length, 1);
+    const expected = offset.contours.reduce((minutes, c) => {
+        const { size } = metrics.features.find(f => f.contourId === c.contourId);
+        return minutes + c.length / (ENTRY.cutSpeed * getDeratingFactor(sizeDerating, size));
+    }, 0);
+    assert.equal(breakdown.details.derated, true);
+    assertClose(breakdown.details.cutLength, offset.length, 'cut length');
+    assertClose(breakdown.details.cutTimeMinutes, expected, 'cut time');
+});
+
+test('order total charges setup and the minimum once for all lines', () => {
+    const settings = { ...SETTINGS, setupCharge: 15, minCharge: 25 };
+    const plate = calculatePrice(parseDxf(readFixture('plate.dxf')).metrics, ENTRY, settings, { quantity: 2 });
+    const slot = calculatePrice(parseDxf(readFixture('slot.dxf')).metrics, ENTRY, settings, { quantity: 3 });
+
+    const total = calculateOrderTotal([plate, slot], settings);
+    assert.equal(total.lineCount, 2);
+    assert.equal(total.quantity, 5);
+    assert.equal(total.setupCharge, 15);
+    assertClose(total.partsTotal, plate.partsTotal + slot.partsTotal, 'parts total');
+    assert.equal(total.minChargeApplied, true);
+    assert.equal(total.finalPrice, 25);
+
+    const large = calculateOrderTotal([{ ...plate, partsTotal: 100 }, slot], settings);
+    assert.equal(large.minChargeApplied, false);
+    assertClose(large.finalPrice, 100 + slot.partsTotal + 15, 'final price');
+});
+
+test('an empty order costs nothing', () => {
+    const total = calculateOrderTotal([], { ...SETTINGS, setupCharge: 15, minCharge: 25 });
+    assert.equal(total.finalPrice, 0);
+    assert.equal(total.setupCharge, 0);
+});
+
+const rectangle = (width, height) => [{ x: 0, y: 0 }, { x: width, y: 0 }, { x: width, y: height }, { x: 0, y: height }];
+const SHEET = { id: 1, width: 1000, height: 500, cost: 2 };
+
+test('parts fill a sheet before the next one is started', () => {
+    const nesting = nestParts([{ id: 'part', outline: rectangle(100, 50), quantity: 250 }], [SHEET]);
+
+    assert.equal(nesting.sheetCount, 3);
+    assert.deepEqual(nesting.sheets.map(sheet => sheet.placements.length), [100, 100, 50]);
+    assert.equal(nesting.sheetArea, 3 * 1000 * 500);
+    assertClose(nesting.utilization, 250 * 100 * 50 / nesting.sheetArea, 'utilization');
+    assert.deepEqual(nesting.unplaced, []);
+});
+
+test('parts are turned to fit, and parts that fit no sheet are left over', () => {
+    const tall = { id: 'tall', outline: rectangle(400, 900), quantity: 3 };
+
+    const turned = nestParts([tall], [SHEET]);
+    assert.equal(turned.sheetCount, 3);
+    assert.ok(turned.sheets.every(sheet => sheet.placements[0].rotation === 90));
+
+    const upright = nestParts([tall], [SHEET], { rotations: [0] });
+    assert.equal(upright.sheetCount, 0);
+    assert.equal(upright.placedCount, 0);
+    assert.deepEqual(upright.unplaced, [{ partId: 'tall', count: 3 }]);
+});
+
+test('small parts fill in around the large ones', () => {
+    // One 600 x 400 part to a sheet, leaving room for all twenty 100 x 100 parts beside it
+    const nesting = nestParts([
+        { id: 'small', outline: rectangle(100, 100), quantity: 20 },
+        { id: 'large', outline: rectangle(600, 400), quantity: 2 },
+    ], [SHEET]);
+
+    assert.equal(nesting.sheetCount, 2);
+    assert.equal(nesting.placedCount, 22);
+    const counts = nesting.sheets.map(sheet => sheet.placements.filter(p => p.partId === 'small').length);
+    assert.deepEqual(counts, [20, 0]);
+});
+
+test('parts keep the spacing from each other and the sheet edge', () => {
+    const spacing = 10;
+    const nesting = nestParts([{ id: 'part', outline: rectangle(100, 50), quantity: 100 }], [SHEET], { spacing });
+
+    assert.equal(nesting.sheetCount, 2);
+    for (const { placements } of nesting.sheets) {
+        for (const p of placements) {
+            assert.ok(p.x >= spacing - 1e-9 && p.y >= spacing - 1e-9);
+            assert.ok(p.x + p.width <= SHEET.width - spacing + 1e-9 && p.y + p.height <= SHEET.height - spacing + 1e-9);
+        }
+        for (const [i, a] of placements.entries()) {
+            for (const b of placements.slice(i + 1)) {
+                const apart = Math.max(b.x - (a.x + a.width), a.x - (b.x + b.width), b.y - (a.y + a.height), a.y - (b.y + b.height));
+                assert.ok(apart >= spacing - 1e-9, `${JSON.stringify(a)} and ${JSON.stringify(b)} are ${apart} apart`);
+            }
+        }
+    }
+});
+
+test('a large order nests as repeats of one full sheet', () => {
+    // 100 x 50 parts, ten by ten to a sheet
+    const nesting = nestParts([{ id: 'part', outline: rectangle(100, 50), quantity: 250001 }], [SHEET]);
+
+    assert.equal(nesting.sheetCount, 2501);
+    assert.equal(nesting.placedCount, 250001);
+    assert.equal(nesting.sheetCost, 2 * 2501);
+    assert.ok(nesting.sheets.slice(0, -1).every(sheet => sheet.placements.length === 100));
+    assert.equal(nesting.sheets[2500].placements.length, 1);
+});
@@ -0,0 +1,105 @@
+/**
+ * The price the browser previews and the price the server quotes come from
+ * the same shared code: both must give the same breakdown for a drawing.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseDxf } from '../shared/dxf/parser.js';
+import { quotePart } from '../shared/quote.js';
+import { MAX_QUANTITY } from '../shared/pricing.js';
+import { readFixture } from './fixtures/shop.mjs';
+import { startServer } from './server.mjs';
+
+// Drawing, and what the customer picked for it
+const CASES = [
+    { name: 'plate on a machine', file: 'plate.dxf', materialId: '2', thickness: 2, quantity: 3 },
+    { name: 'plate on the slower machine', file: 'plate.dxf', materialId: '2', thickness: 1, quantity: 1, machineId: 2 },
+    { name: 'plate billed by sheets', file: 'plate.dxf', materialId: '1', thickness: 2, quantity: 12 },
+    { name: 'slot billed by net area', file: 'slot.dxf', materialId: '3', thickness: 1, quantity: 50 },
+    { name: 'slot at an interpolated thickness', file: 'slot.dxf', materialId: '3', thickness: 2, quantity: 1 },
+    { name: 'inch drawing', file: 'ring-inch.dxf', materialId: '3', thickness: 3, quantity: 2 },
+    { name: 'inch drawing read as mm', file: 'ring-inch.dxf', materialId: '3', thickness: 3, quantity: 2, parseOptions: { units: 'mm' } },
+];
+
+let server;
+let config;
+
+before(async () => {
+    server = await startServer();
+    config = await (await fetch(`${server.url}/api/config`)).json();
+});
+
+after(() => server.close());
+
+// The quote page: parse in the browser with the shop's rules, price with quotePart
+function previewQuote({ file, parseOptions = {}, materialId, thickness, quantity, machineId = null }) {
+    const { settings } = config;
+    const parsed = parseDxf(readFixture(file), {
+        ...parseOptions,
+        layerRules: settings.layerRules,
+        engraveColors: settings.engraveColors,
+        cleanupTolerance: settings.cleanupTolerance,
+    });
+    // As sent over the wire
+    return JSON.parse(JSON.stringify(quotePart(parsed, config, { materialId, thickness, quantity, machineId })));
+}
+
+async function serverQuote({ file, parseOptions = {}, materialId, thickness, quantity, machineId = null }) {
+    const response = await fetch(`${server.url}/api/quote/calculate`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ dxfContent: readFixture(file), parseOptions, materialId, thickness, quantity, machineId }),
+    });
+    assert.equal(response.status, 200);
+    return response.json();
+}
+
+for (const testCase of CASES) {
+    test(`client and server agree: ${testCase.name}`, async () => {
+        const preview = previewQuote(testCase);
+        const quoted = await serverQuote(testCase);
+
+        assert.ok(preview.breakdown, 'the fixture can be priced');
+        assert.deepEqual(quoted.breakdown, preview.breakdown);
+        assert.deepEqual(quoted.machineQuotes, preview.machineQuotes);
+        assert.deepEqual(quoted.machine, preview.machine);
+        assert.equal(quoted.kerf, preview.kerf);
+    });
+}
+
+test('the chosen machine is the one priced', async () => {
+    const quoted = await serverQuote(CASES[1]);
+    assert.equal(quoted.machine.id, 2);
+    assert.equal(quoted.breakdown.details.machine.name, 'Waterjet');
+});
+
+test('unknown material is a bad request', async () => {
+    const response = await fetch(`${server.url}/api/quote/calculate`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ dxfContent: readFixture('plate.dxf'), materialId: 99, thickness: 1 }),
+    });
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).error, 'Material not found');
+});
+
+test('quantities that are not a whole number up to the limit are bad requests', async () => {
+    const post = (path, body) => fetch(`${server.url}${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+    });
+    const line = { dxfContent: readFixture('plate.dxf'), materialId: '1', thickness: 2 };
+
+    for (const quantity of [0, -3, 2.5, 'many', MAX_QUANTITY + 1]) {
+        const calculated = await post('/api/quote/calculate', { ...line, quantity });
+        assert.equal(calculated.status, 400, `calculate ${quantity}`);
+        assert.match((await calculated.json()).error, /Quantity/);
+
+        const saved = await post('/api/quotes', { lines: [{ ...line, quantity }] });
+        assert.equal(saved.status, 400, `save ${quantity}`);
+    }
+
+    assert.equal((await post('/api/quote/calculate', { ...line, quantity: MAX_QUANTITY })).status, 200);
+});
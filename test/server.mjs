@@ -0,0 +1,51 @@
+/**
+ * The server's public routes on a free port, reading the fixture shop in
+ * place of the database
+ */
+
+import { createRequire } from 'node:module';
+import { MATERIALS, MACHINES, SETTINGS } from './fixtures/shop.mjs';
+
+const require = createRequire(import.meta.url);
+// Packages as the server resolves them
+const serverRequire = createRequire(new URL('../server/index.js', import.meta.url));
+
+// Each query gets its own copy, as it would from the database
+const rows = (list) => async () => structuredClone(list);
+
+const prismaPath = require.resolve('../server/lib/prisma.js');
+require.cache[prismaPath] = {
+    id: prismaPath,
+    filename: prismaPath,
+    loaded: true,
+    exports: {
+        material: { findMany: rows(MATERIALS) },
+        machine: { findMany: rows(MACHINES) },
+        globalSettings: { findMany: rows(SETTINGS) },
+    },
+};
+
+const express = serverRequire('express');
+const configRoutes = require('../server/routes/config.js');
+const calculateRoutes = require('../server/routes/calculate.js');
+const quoteRoutes = require('../server/routes/quotes.js');
+
+/**
+ * @returns {Promise<Object>} { url, close }
+ */
+export function startServer() {
+    const app = express();
+    app.use(express.json({ limit: '20mb' }));
+    app.use('/api/config', configRoutes);
+    app.use('/api/quotes', quoteRoutes);
+    app.use('/api/quote', calculateRoutes);
+
+    return new Promise((resolve) => {
+        const server = app.listen(0, '127.0.0.1', () => {
+            resolve({
+                url: `http://127.0.0.1:${server.address().port}`,
+                close: () => new Promise(done => server.close(done)),
+            });
+        });
+    });
+}